@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * Manage API clients and keys
+ *
+ * Usage:
+ *   npm run api-keys -- create <name> [--requests-per-day N] [--spend-per-month USD] [--role reviewer|admin]
+ *   npm run api-keys -- list
+ *   npm run api-keys -- revoke <clientId>
+ *
+ * The registry file (API_KEYS_FILE, default DATA_DIR/api-keys.json) only
+ * stores key hashes. A running server picks up changes automatically.
+ */
+require('dotenv').config();
+
+const apiKeyStore = require('../src/services/apiKeyStore');
+
+function readOption(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return undefined;
+
+  const value = parseFloat(args[index + 1]);
+  if (isNaN(value) || value < 0) {
+    throw new Error(`${name} expects a non-negative number`);
+  }
+  return value;
+}
+
+/**
+ * Values of a repeatable option, e.g. --role reviewer --role admin
+ */
+function readList(args, name) {
+  return args
+    .map((arg, index) => (arg === name ? args[index + 1] : undefined))
+    .filter(value => value !== undefined);
+}
+
+function printUsage() {
+  console.log('Usage:');
+  console.log('  npm run api-keys -- create <name> [--requests-per-day N] [--spend-per-month USD] [--role reviewer|admin]');
+  console.log('  npm run api-keys -- list');
+  console.log('  npm run api-keys -- revoke <clientId>');
+}
+
+function main(args) {
+  const [command, ...rest] = args;
+
+  if (command === 'create') {
+    const name = rest[0];
+    if (!name || name.startsWith('--')) {
+      printUsage();
+      return 1;
+    }
+
+    const { client, apiKey } = apiKeyStore.createClient(name, {
+      requestsPerDay: readOption(rest, '--requests-per-day'),
+      spendPerMonthUsd: readOption(rest, '--spend-per-month')
+    }, readList(rest, '--role'));
+
+    console.log(`Created client "${client.name}" (${client.id})`);
+    console.log(`API key: ${apiKey}`);
+    console.log('Store the key now, it cannot be shown again.');
+    return 0;
+  }
+
+  if (command === 'list') {
+    apiKeyStore.listClients().forEach(client => {
+      const quotas = client.quotas || {};
+      console.log([
+        client.id,
+        client.name,
+        client.keyPrefix + '…',
+        `requests/day: ${quotas.requestsPerDay ?? 'default'}`,
+        `spend/month: ${quotas.spendPerMonthUsd ?? 'default'}`,
+        `roles: ${(client.roles || []).join(',') || '-'}`,
+        client.revokedAt ? `revoked ${client.revokedAt}` : 'active'
+      ].join('  '));
+    });
+    return 0;
+  }
+
+  if (command === 'revoke') {
+    const client = rest[0] && apiKeyStore.revokeClient(rest[0]);
+    if (!client) {
+      console.error(`Client ${rest[0]} not found`);
+      return 1;
+    }
+    console.log(`Revoked client "${client.name}" (${client.id})`);
+    return 0;
+  }
+
+  printUsage();
+  return 1;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
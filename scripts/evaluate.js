@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * Measure extraction accuracy against a golden set of hand-labelled PDFs
+ *
+ * Usage:
+ *   npm run evaluate -- <goldenDir> [--mode standard|validated|clean] [--tolerance 0.01]
+ *                       [--prompt-version v1] [--out report.json] [--baseline previous-report.json]
+ *
+ * <goldenDir> holds <name>.pdf files, each with its expected data in
+ * <name>.expected.json. Every PDF is extracted with the configured
+ * LLM_PROVIDER (use replay or mock for offline runs) and compared field by
+ * field. --tolerance is the accepted relative error of numeric fields
+ * (default 0.01 = 1%). --prompt-version evaluates a prompt version other than
+ * PROMPT_VERSION (see src/prompts). The report (default evaluation-report.json) is stable
+ * between runs so it can be committed and diffed; --baseline prints the metric
+ * changes against an earlier report.
+ */
+require('dotenv').config();
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+
+const evaluationService = require('../src/services/evaluationService');
+
+const USAGE = 'Usage: npm run evaluate -- <goldenDir> [--mode standard|validated|clean] [--tolerance 0.01] ' +
+  '[--prompt-version v1] [--out report.json] [--baseline previous-report.json]';
+
+function readOption(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+function formatRate(value) {
+  return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+function printSummary(report, out) {
+  const { summary } = report;
+  const line = (label, value) => console.log(`  ${(label + ':').padEnd(34)}${value}`);
+
+  console.log(`Golden set evaluation (${report.mode} mode, ${report.provider}/${report.model}, prompts ${report.prompt_version})`);
+  line('Documents', `${summary.documents} (${summary.failed} failed)`);
+  line('Classification accuracy', formatRate(summary.classification_accuracy));
+  line('Precision', formatRate(summary.precision));
+  line('Recall', formatRate(summary.recall));
+  line('Fabrication rate', formatRate(summary.fabrication_rate));
+  line(`Numeric within ${formatRate(report.tolerance)}`, formatRate(summary.numeric_within_tolerance_rate));
+  line('Mean relative error', formatRate(summary.mean_relative_error));
+  line('Cost', `$${summary.total_cost_usd} ($${summary.average_cost_usd} per document)`);
+
+  report.documents
+    .filter(document => document.status === 'failed')
+    .forEach(document => console.log(`  FAILED ${document.name}: ${document.error}`));
+
+  console.log(`Report written to ${out}`);
+}
+
+function printChanges(changes, baselinePath) {
+  if (changes.length === 0) {
+    console.log(`No metric changes against ${baselinePath}`);
+    return;
+  }
+
+  console.log(`Changes against ${baselinePath}:`);
+  changes.forEach(change => {
+    const delta = change.delta === null ? '' : ` (${change.delta > 0 ? '+' : ''}${change.delta})`;
+    console.log(`  ${change.metric}: ${change.baseline} -> ${change.current}${delta}`);
+  });
+}
+
+async function main(args) {
+  const goldenDir = args[0];
+  const mode = readOption(args, '--mode', 'clean');
+  const tolerance = parseFloat(readOption(args, '--tolerance', '0.01'));
+  const out = readOption(args, '--out', 'evaluation-report.json');
+  const baselinePath = readOption(args, '--baseline');
+  const promptVersion = readOption(args, '--prompt-version');
+
+  if (!goldenDir || goldenDir.startsWith('--') || isNaN(tolerance) || tolerance < 0) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const report = await evaluationService.evaluate(goldenDir, { mode, tolerance, promptVersion });
+  fs.writeFileSync(out, JSON.stringify(report, null, 2) + '\n');
+  printSummary(report, out);
+
+  if (baselinePath) {
+    const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+    printChanges(evaluationService.compareReports(baseline, report), baselinePath);
+  }
+
+  return report.summary.failed > 0 ? 2 : 0;
+}
+
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Re-run an extraction offline from recorded cassettes
+ *
+ * Usage:
+ *   npm run replay -- <documentHash> [--mode standard|validated|clean] [--prompt-version v] [--out result.json]
+ *
+ * Serves the cassettes of one recorded extraction, CASSETTE_DIR/<documentHash>/<mode>-<promptFingerprint>/
+ * (recorded with RECORD_CASSETTES=true), to the extraction services, so the
+ * original PDF is not needed. --prompt-version picks the prompts the extraction
+ * was recorded with, default PROMPT_VERSION. The output contains the model's data, the validation report, the
+ * programmatic calculation checks and, in clean mode, the data after
+ * applyIntelligentCorrections - handy for reproducing a customer's extraction
+ * and for regression checks of the correction and validation code.
+ */
+require('dotenv').config();
+
+process.env.LLM_PROVIDER = 'replay';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+
+const { getProvider } = require('../src/providers');
+const cassettes = require('../src/providers/cassettes');
+const promptRegistry = require('../src/services/promptRegistry');
+const claudeService = require('../src/services/claudeService');
+const validatedClaudeService = require('../src/services/validatedClaudeService');
+const { applyIntelligentCorrections, getRecommendation } = require('../src/utils/corrections');
+
+const MODES = ['standard', 'validated', 'clean'];
+
+function readOption(args, name, fallback) {
+  const index = args.indexOf(name);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+async function replay(mode, promptVersion) {
+  // The replay provider ignores the document, any non-empty payload will do
+  const document = Buffer.from('replay').toString('base64');
+
+  if (mode === 'standard') {
+    return claudeService.extractPropertyData(document, { promptVersion });
+  }
+
+  const result = await validatedClaudeService.extractPropertyData(document, true, { promptVersion });
+  if (mode === 'validated') {
+    return result;
+  }
+
+  return {
+    ...result,
+    cleanedData: applyIntelligentCorrections(result.data, result.validation),
+    recommendation: getRecommendation(result.validation)
+  };
+}
+
+async function main(args) {
+  const documentHash = args[0];
+  const mode = readOption(args, '--mode', 'clean');
+  const out = readOption(args, '--out');
+  const { promptVersion, promptFingerprint } = promptRegistry.describe(readOption(args, '--prompt-version'));
+
+  if (!documentHash || documentHash.startsWith('--') || !MODES.includes(mode)) {
+    console.error('Usage: npm run replay -- <documentHash> [--mode standard|validated|clean] [--prompt-version v] [--out result.json]');
+    return 1;
+  }
+
+  getProvider().pinDocument(documentHash);
+
+  const result = await cassettes.session({ mode, promptFingerprint }, () => replay(mode, promptVersion));
+  const json = JSON.stringify({ documentHash, mode, ...result }, null, 2);
+
+  if (out) {
+    fs.writeFileSync(out, json);
+    console.error(`Replayed ${mode} extraction of ${documentHash} to ${out}`);
+  } else {
+    console.log(json);
+  }
+  return 0;
+}
+
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
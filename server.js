@@ -2,28 +2,61 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const path = require('path');
 require('dotenv').config();
 
 const logger = require('./src/utils/logger');
+const { redactUrl } = require('./src/utils/redact');
 const { correlationMiddleware } = require('./src/middleware/correlationContext');
+const { initTracing, shutdownTracing } = require('./src/utils/tracing');
+const { httpMetrics } = require('./src/middleware/httpMetrics');
+const { authenticate } = require('./src/middleware/auth');
+const { attachProgressStream } = require('./src/middleware/progressStream');
+const { shutdownRateLimiters } = require('./src/middleware/rateLimiter');
+const { getProvider } = require('./src/providers');
 const errorHandler = require('./src/middleware/errorHandler');
 const extractionRoutes = require('./src/routes/extraction');
 const validatedExtractionRoutes = require('./src/routes/validatedExtraction');
 const cleanExtractionRoutes = require('./src/routes/cleanExtraction');
+const compareExtractionRoutes = require('./src/routes/compareExtraction');
+const jobRoutes = require('./src/routes/jobs');
+const progressRoutes = require('./src/routes/progress');
+const extractionsRoutes = require('./src/routes/extractions');
+const reviewRoutes = require('./src/routes/reviews');
+const exampleRoutes = require('./src/routes/examples');
+const promptRoutes = require('./src/routes/prompts');
+const experimentRoutes = require('./src/routes/experiments');
+const costRoutes = require('./src/routes/costs');
+const healthRoutes = require('./src/routes/health');
+const metricsRoutes = require('./src/routes/metrics');
+
+// Before the first request, see src/utils/tracing.js
+initTracing();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
+// First, so every request is counted (see GET /metrics)
+app.use(httpMetrics);
+
 app.use(helmet());
 
 const corsOptions = {
   origin: process.env.ALLOWED_ORIGINS
     ? process.env.ALLOWED_ORIGINS.split(',')
     : true,
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Accept'],
+  methods: ['GET', 'POST', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Accept', 'Authorization', 'X-API-Key', 'X-Request-ID', 'X-Correlation-ID', 'X-Progress-Stream', 'traceparent', 'tracestate'],
+  exposedHeaders: [
+    'X-Request-ID',
+    'X-Correlation-ID',
+    'X-Quota-Requests-Limit',
+    'X-Quota-Requests-Remaining',
+    'X-Quota-Requests-Reset',
+    'X-Quota-Spend-Limit',
+    'X-Quota-Spend-Remaining',
+    'X-Quota-Spend-Reset'
+  ],
   maxAge: 86400
 };
 app.use(cors(corsOptions));
@@ -31,28 +64,41 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: '35mb' }));
 app.use(express.urlencoded({ extended: true, limit: '35mb' }));
 
-// Add correlation middleware BEFORE routes to track all requests
+// Add correlation middleware BEFORE routes to track all requests (and trace them)
 app.use(correlationMiddleware);
 
 if (process.env.ENABLE_REQUEST_LOGGING === 'true') {
+  // Progress stream tokens travel in the query string
+  morgan.token('url', req => redactUrl(req.originalUrl || req.url));
   app.use(morgan('combined', {
     stream: { write: message => logger.info(message.trim()) }
   }));
 }
 
+// Every API route requires an API key, see src/middleware/auth.js; the extraction
+// routes and job submissions also enforce the client's quotas
+app.use('/api', authenticate, attachProgressStream);
+
 app.use('/api', extractionRoutes);
 app.use('/api', validatedExtractionRoutes);
 app.use('/api', cleanExtractionRoutes);
+app.use('/api', compareExtractionRoutes);
+app.use('/api', jobRoutes);
+app.use('/api', progressRoutes);
+app.use('/api', extractionsRoutes);
+app.use('/api', reviewRoutes);
+app.use('/api', exampleRoutes);
+app.use('/api', promptRoutes);
+app.use('/api', experimentRoutes);
+app.use('/api', costRoutes);
 
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    version: '1.0.0',
-    timestamp: new Date().toISOString(),
-    environment: NODE_ENV,
-    uptime: process.uptime()
-  });
-});
+// Liveness and readiness without an API key, the detailed report under /api
+app.use(healthRoutes);
+
+// Prometheus scraping, off unless METRICS_ENABLED=true; protect it with METRICS_TOKEN
+if (process.env.METRICS_ENABLED === 'true') {
+  app.use(metricsRoutes);
+}
 
 if (NODE_ENV === 'development') {
   app.get('/upload', (req, res) => {
@@ -171,6 +217,18 @@ if (NODE_ENV === 'development') {
             color: #666;
             font-size: 14px;
           }
+          select {
+            padding: 8px;
+            border: 1px solid #ddd;
+            border-radius: 4px;
+            font-size: 14px;
+          }
+          .progress-log {
+            margin-top: 10px;
+            padding-left: 20px;
+            color: #555;
+            font-size: 14px;
+          }
         </style>
       </head>
       <body>
@@ -184,10 +242,24 @@ if (NODE_ENV === 'development') {
               <input type="file" id="pdfFile" name="pdf" accept=".pdf,application/pdf" required />
               <div class="file-info" id="fileInfo"></div>
             </div>
+            <div class="form-group">
+              <label for="apiKey">API Key</label>
+              <input type="password" id="apiKey" autocomplete="off" placeholder="imf_..." />
+            </div>
+            <div class="form-group">
+              <label for="endpoint">Extraction Endpoint</label>
+              <select id="endpoint">
+                <option value="/api/extract-property-data">Standard (fast)</option>
+                <option value="/api/extract-clean">Clean (validated)</option>
+                <option value="/api/extract-property-data-validated">Validated (full report)</option>
+                <option value="/api/extract-compare">Compare standard vs validated</option>
+              </select>
+            </div>
             <button type="submit" id="submitBtn">Extract Property Data</button>
           </form>
 
           <div class="status" id="status"></div>
+          <ul class="progress-log" id="progressLog"></ul>
           <div class="result" id="result">
             <h3>Extracted Data:</h3>
             <pre id="jsonOutput"></pre>
@@ -202,6 +274,40 @@ if (NODE_ENV === 'development') {
           const submitBtn = document.getElementById('submitBtn');
           const fileInput = document.getElementById('pdfFile');
           const fileInfo = document.getElementById('fileInfo');
+          const progressLog = document.getElementById('progressLog');
+          const endpointSelect = document.getElementById('endpoint');
+          const apiKeyInput = document.getElementById('apiKey');
+
+          function describeProgress(event) {
+            const details = event.details || {};
+            if (event.stage === 'classification' && event.status === 'completed') {
+              return \`Classified as \${details.result}\`;
+            }
+            if (event.stage === 'extraction' && event.status === 'completed') {
+              return details.itemCount > 1
+                ? \`Extracted \${details.itemCount} properties, verifying…\`
+                : 'Extraction done, verifying…';
+            }
+            if (event.stage === 'verification' && event.status === 'completed') {
+              return \`Verification done: confidence \${details.confidenceScore ?? 'n/a'}%, \${details.incorrect} incorrect, \${details.fabricated} fabricated\`;
+            }
+            if (event.stage === 'correction' && event.status === 'started') {
+              return 'Correction pass triggered…';
+            }
+            if (event.stage === 'correction' && event.status === 'skipped') {
+              return 'No correction pass needed';
+            }
+            if (event.status === 'started') {
+              return \`\${event.stage.charAt(0).toUpperCase() + event.stage.slice(1)} started…\`;
+            }
+            return null;
+          }
+
+          function addProgressLine(text) {
+            const item = document.createElement('li');
+            item.textContent = text;
+            progressLog.appendChild(item);
+          }
 
           fileInput.addEventListener('change', (e) => {
             const file = e.target.files[0];
@@ -235,10 +341,35 @@ if (NODE_ENV === 'development') {
             statusDiv.style.display = 'block';
             resultDiv.style.display = 'none';
             submitBtn.disabled = true;
+            progressLog.innerHTML = '';
+
+            // Stream per-pass progress: the server creates the stream, the upload names it
+            // EventSource cannot send headers, the stream is opened with its short-lived token
+            const apiKey = apiKeyInput.value.trim();
+            let progressStream = { close() {} };
+            const streamResponse = await fetch('/api/progress', {
+              method: 'POST',
+              headers: { 'X-API-Key': apiKey }
+            });
+            const stream = streamResponse.ok ? await streamResponse.json() : null;
+            if (stream) {
+              progressStream = new EventSource(
+                \`\${stream.streamUrl}?token=\${stream.token}\`
+              );
+              progressStream.addEventListener('progress', (message) => {
+                const text = describeProgress(JSON.parse(message.data));
+                if (text) {
+                  addProgressLine(text);
+                }
+              });
+              progressStream.addEventListener('result', () => progressStream.close());
+              progressStream.addEventListener('failed', () => progressStream.close());
+            }
 
             try {
-              const response = await fetch('/api/extract-property-data', {
+              const response = await fetch(endpointSelect.value, {
                 method: 'POST',
+                headers: stream ? { 'X-Progress-Stream': stream.streamId, 'X-API-Key': apiKey } : { 'X-API-Key': apiKey },
                 body: formData
               });
 
@@ -251,7 +382,7 @@ if (NODE_ENV === 'development') {
                 jsonOutput.textContent = JSON.stringify(data, null, 2);
               } else {
                 statusDiv.className = 'status error';
-                statusDiv.textContent = \`Error: \${data.error || 'Failed to extract data'}\`;
+                statusDiv.textContent = \`Error: \${data.message || data.error || 'Failed to extract data'}\`;
                 resultDiv.style.display = 'none';
               }
             } catch (error) {
@@ -260,6 +391,7 @@ if (NODE_ENV === 'development') {
               resultDiv.style.display = 'none';
             } finally {
               submitBtn.disabled = false;
+              progressStream.close();
             }
           });
         </script>
@@ -281,7 +413,13 @@ app.use((req, res) => {
 
 const server = app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT} in ${NODE_ENV} mode`);
-  logger.info(`Health check available at http://localhost:${PORT}/health`);
+  logger.info(`Health check available at http://localhost:${PORT}/health (readiness /health/ready, details /api/health)`);
+
+  const provider = getProvider();
+  logger.info(`LLM provider: ${provider.name} (model ${provider.model})`);
+  if (!provider.isConfigured()) {
+    logger.warn('ANTHROPIC_API_KEY is missing or invalid, extractions will fail. Set LLM_PROVIDER=mock to run offline.');
+  }
   if (NODE_ENV === 'development') {
     logger.info(`Test upload form available at http://localhost:${PORT}/upload`);
   }
@@ -289,16 +427,20 @@ const server = app.listen(PORT, () => {
 
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received: closing HTTP server');
-  server.close(() => {
+  server.close(async () => {
     logger.info('HTTP server closed');
+    await shutdownRateLimiters();
+    await shutdownTracing();
     process.exit(0);
   });
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT signal received: closing HTTP server');
-  server.close(() => {
+  server.close(async () => {
     logger.info('HTTP server closed');
+    await shutdownRateLimiters();
+    await shutdownTracing();
     process.exit(0);
   });
 });
@@ -0,0 +1,164 @@
+const apiKeyStore = require('../services/apiKeyStore');
+const quotaService = require('../services/quotaService');
+const progressTracker = require('../utils/progressTracker');
+const { getContext } = require('./correlationContext');
+const logger = require('../utils/contextLogger');
+
+const authEnabled = process.env.AUTH_ENABLED !== 'false';
+
+const PROGRESS_STREAM_PATH = /^\/progress\/([^/]+)$/;
+
+/**
+ * Read the API key from the X-API-Key header or an "Authorization: Bearer" header.
+ * Keys are never read from the query string, where they would end up in access logs.
+ */
+function extractApiKey(req) {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+
+  const authorization = req.headers.authorization;
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  return null;
+}
+
+/**
+ * The client of a progress stream opened with its token. EventSource cannot send
+ * headers, so GET /api/progress/:streamId also accepts the short-lived token
+ * issued by POST /api/progress as ?token=, for that one stream only.
+ */
+function findStreamClient(req) {
+  const match = req.method === 'GET' && req.path.match(PROGRESS_STREAM_PATH);
+  if (!match || !req.query.token) {
+    return null;
+  }
+
+  const stream = progressTracker.verifyToken(match[1], req.query.token);
+  return stream ? apiKeyStore.findById(stream.clientId) : null;
+}
+
+/**
+ * Reject requests without a valid API key and attach the client to the request
+ * (req.apiClient) and to the correlation context (clientId), so logs and cost
+ * accounting are attributed to it.
+ */
+function authenticate(req, res, next) {
+  if (!authEnabled) {
+    return next();
+  }
+
+  const apiKey = extractApiKey(req);
+  const client = apiKey ? apiKeyStore.findByKey(apiKey) : findStreamClient(req);
+
+  if (!client) {
+    const credential = apiKey || req.query.token;
+    logger.warn(credential ? 'Rejected invalid or revoked API key' : 'Rejected request without API key', {
+      ip: req.ip,
+      path: req.path
+    });
+
+    const error = new Error(credential ? 'Invalid or revoked API key' : 'Missing API key');
+    error.name = 'UnauthorizedError';
+    error.status = 401;
+    return next(error);
+  }
+
+  req.apiClient = client;
+  getContext().clientId = client.id;
+
+  next();
+}
+
+/**
+ * Only let clients with one of the roles through (403 otherwise). Admins have
+ * every role. Without authentication (AUTH_ENABLED=false) everything is allowed.
+ * @param {...String} roles - Roles of apiKeyStore
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!authEnabled || roles.some(role => apiKeyStore.hasRole(req.apiClient, role))) {
+      return next();
+    }
+
+    logger.warn('Rejected request without the required role', {
+      path: req.path,
+      roles
+    });
+
+    const error = new Error(`This endpoint requires the ${roles.join(' or ')} role`);
+    error.name = 'ForbiddenError';
+    error.status = 403;
+    next(error);
+  };
+}
+
+function setQuotaHeaders(res, quota) {
+  if (quota.requests.limit !== null) {
+    res.set('X-Quota-Requests-Limit', String(quota.requests.limit));
+    res.set('X-Quota-Requests-Remaining', String(quota.requests.remaining));
+    res.set('X-Quota-Requests-Reset', quota.requests.resetsAt);
+  }
+  if (quota.spend.limit !== null) {
+    res.set('X-Quota-Spend-Limit', quota.spend.limit.toFixed(2));
+    res.set('X-Quota-Spend-Remaining', quota.spend.remaining.toFixed(4));
+    res.set('X-Quota-Spend-Reset', quota.spend.resetsAt);
+  }
+}
+
+/**
+ * Enforce the client's daily request quota (429) and monthly spend quota (402).
+ *
+ * Applied to the extraction endpoints and job submissions only, after their rate
+ * limiter, so polling, history lookups, reviews and requests rejected by the rate
+ * limiter are free. The request is counted as soon as it passes the check, so
+ * concurrent requests cannot overrun the quota, and given back if it fails.
+ * Spend is charged by the extraction pipeline after each Claude run, cache hits
+ * cost nothing.
+ */
+function enforceQuota(req, res, next) {
+  if (!req.apiClient) {
+    return next();
+  }
+
+  const quota = quotaService.check(req.apiClient);
+  setQuotaHeaders(res, quota);
+
+  if (quota.exceeded === 'requests') {
+    logger.warn('Daily request quota exceeded', { clientId: req.apiClient.id, limit: quota.requests.limit });
+    return res.status(429)
+      .set('Retry-After', String(Math.ceil((new Date(quota.requests.resetsAt) - Date.now()) / 1000)))
+      .json({
+        error: 'Too Many Requests',
+        message: `Daily request quota of ${quota.requests.limit} exhausted. Resets at ${quota.requests.resetsAt}.`,
+        status: 429
+      });
+  }
+
+  if (quota.exceeded === 'spend') {
+    logger.warn('Monthly spend quota exceeded', { clientId: req.apiClient.id, limit: quota.spend.limit });
+    return res.status(402).json({
+      error: 'Payment Required',
+      message: `Monthly spend quota of $${quota.spend.limit.toFixed(2)} exhausted. Resets at ${quota.spend.resetsAt}.`,
+      status: 402
+    });
+  }
+
+  const clientId = req.apiClient.id;
+  const day = quotaService.recordRequest(clientId);
+  res.on('finish', () => {
+    if (res.statusCode >= 400) {
+      quotaService.releaseRequest(clientId, day);
+    }
+  });
+
+  next();
+}
+
+module.exports = {
+  authenticate,
+  enforceQuota,
+  requireRole
+};
@@ -0,0 +1,130 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { useTestEnvironment, startApp } = require('../testSupport');
+
+useTestEnvironment({ AUTH_ENABLED: 'true' });
+
+const apiKeyStore = require('../services/apiKeyStore');
+const quotaService = require('../services/quotaService');
+const extractionStore = require('../services/extractionStore');
+const { authenticate, enforceQuota, requireRole } = require('./auth');
+const extractionRoutes = require('../routes/extractions');
+
+const regular = apiKeyStore.createClient('regular');
+const limited = apiKeyStore.createClient('limited', { requestsPerDay: 2 });
+const busy = apiKeyStore.createClient('busy', { requestsPerDay: 2 });
+const failing = apiKeyStore.createClient('failing', { requestsPerDay: 1 });
+const broke = apiKeyStore.createClient('broke', { spendPerMonthUsd: 1 });
+const admin = apiKeyStore.createClient('admin', {}, ['admin']);
+const revoked = apiKeyStore.createClient('revoked');
+apiKeyStore.revokeClient(revoked.client.id);
+
+let server;
+
+before(async () => {
+  const api = express.Router();
+  api.use(authenticate, extractionRoutes);
+  api.get('/whoami', (req, res) => res.json({ name: req.apiClient.name }));
+  api.post('/extract', enforceQuota, async (req, res) => {
+    await new Promise(resolve => setTimeout(resolve, Number(req.query.delay || 0)));
+    res.status(Number(req.query.status || 200)).json({ ok: true });
+  });
+  api.get('/admin-only', requireRole('admin'), (req, res) => res.json({ ok: true }));
+
+  const app = express.Router();
+  app.use('/api', api);
+  server = await startApp(app);
+});
+
+after(() => server.close());
+
+function request(path, { method = 'GET', headers = {} } = {}) {
+  return fetch(`${server.url}${path}`, { method, headers });
+}
+
+const withKey = apiKey => ({ headers: { 'X-API-Key': apiKey } });
+
+test('accepts a key in X-API-Key or as a bearer token', async () => {
+  const response = await request('/api/whoami', withKey(regular.apiKey));
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { name: 'regular' });
+
+  const bearer = await request('/api/whoami', { headers: { Authorization: `Bearer ${regular.apiKey}` } });
+  assert.equal(bearer.status, 200);
+});
+
+test('rejects missing, unknown, revoked and query string keys', async () => {
+  assert.equal((await request('/api/whoami')).status, 401);
+  assert.equal((await request('/api/whoami', withKey('imf_unknown'))).status, 401);
+  assert.equal((await request('/api/whoami', withKey(revoked.apiKey))).status, 401);
+  assert.equal((await request(`/api/whoami?api_key=${regular.apiKey}`)).status, 401);
+});
+
+test('stores only key hashes', () => {
+  const stored = apiKeyStore.listClients().find(client => client.id === regular.client.id);
+  assert.equal(JSON.stringify(stored).includes(regular.apiKey), false);
+  assert.equal(stored.keyPrefix, regular.apiKey.slice(0, 8));
+});
+
+test('enforces the daily request quota on the routes it guards', async () => {
+  const post = () => request('/api/extract', { method: 'POST', ...withKey(limited.apiKey) });
+
+  assert.equal((await post()).status, 200);
+  const second = await post();
+  assert.equal(second.status, 200);
+  assert.equal(second.headers.get('x-quota-requests-limit'), '2');
+
+  const rejected = await post();
+  assert.equal(rejected.status, 429);
+  assert.ok(Number(rejected.headers.get('retry-after')) > 0);
+  assert.equal((await request('/api/whoami', withKey(limited.apiKey))).status, 200);
+});
+
+test('counts a request when it is admitted, so concurrent requests cannot overrun the quota', async () => {
+  const post = () => request('/api/extract?delay=50', { method: 'POST', ...withKey(busy.apiKey) });
+
+  const statuses = (await Promise.all([post(), post(), post()])).map(response => response.status);
+  assert.deepEqual(statuses.sort(), [200, 200, 429]);
+  assert.equal(quotaService.check(busy.client).requests.used, 2);
+});
+
+test('gives the quota back for failed requests', async () => {
+  const post = status => request(`/api/extract?status=${status}`, { method: 'POST', ...withKey(failing.apiKey) });
+
+  assert.equal((await post(400)).status, 400);
+  assert.equal((await post(503)).status, 503);
+  assert.equal(quotaService.check(failing.client).requests.used, 0);
+
+  assert.equal((await post(200)).status, 200);
+  assert.equal((await post(200)).status, 429);
+  assert.equal(quotaService.check(failing.client).requests.used, 1);
+});
+
+test('enforces the monthly spend quota', async () => {
+  quotaService.recordSpend(broke.client.id, 1.5);
+
+  const response = await request('/api/extract', { method: 'POST', ...withKey(broke.apiKey) });
+  assert.equal(response.status, 402);
+  assert.equal(response.headers.get('x-quota-spend-remaining'), '0.0000');
+});
+
+test('requires the role of role-restricted endpoints', async () => {
+  assert.equal((await request('/api/admin-only', withKey(regular.apiKey))).status, 403);
+  assert.equal((await request('/api/admin-only', withKey(admin.apiKey))).status, 200);
+  assert.equal(apiKeyStore.hasRole(admin.client, 'reviewer'), true);
+  assert.throws(() => apiKeyStore.createClient('typo', {}, ['superuser']), /Unknown role/);
+});
+
+test('shows clients only their own extractions', async () => {
+  const own = await extractionStore.save({ clientId: regular.client.id, documentHash: 'own', mode: 'standard', data: {} });
+  const foreign = await extractionStore.save({ clientId: admin.client.id, documentHash: 'foreign', mode: 'standard', data: {} });
+
+  const list = await (await request('/api/extractions', withKey(regular.apiKey))).json();
+  assert.deepEqual(list.items.map(item => item.id), [own.id]);
+
+  assert.equal((await request(`/api/extractions/${own.id}`, withKey(regular.apiKey))).status, 200);
+  assert.equal((await request(`/api/extractions/${foreign.id}`, withKey(regular.apiKey))).status, 404);
+  assert.equal((await request('/api/extractions?to=yesterday', withKey(regular.apiKey))).status, 400);
+});
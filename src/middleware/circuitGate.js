@@ -0,0 +1,92 @@
+const fs = require('fs').promises;
+
+const { upload, handleMulterError, cleanupFile } = require('./upload');
+const { circuitBreaker } = require('../providers/circuitBreaker');
+const jobQueue = require('../services/jobQueue');
+const { jobOptions } = require('../services/extractionPipeline');
+const logger = require('../utils/contextLogger');
+
+/**
+ * Queue the uploaded PDF as a job while the breaker is open (degraded mode).
+ * Responds like POST /api/jobs.
+ */
+async function queueUpload(mode, req, res, next) {
+  const filePath = req.file?.path;
+
+  try {
+    if (!req.file) {
+      const error = new Error('No PDF file provided. Please upload a file with field name "pdf".');
+      error.status = 400;
+      throw error;
+    }
+
+    const fileBuffer = await fs.readFile(filePath);
+    const job = jobQueue.submit(mode, fileBuffer, {
+      originalName: req.file.originalname,
+      ...jobOptions(req.query)
+    });
+
+    logger.warn('LLM circuit breaker open, upload queued as a job', { jobId: job.id, mode });
+
+    res.status(202)
+      .set('Location', `${req.baseUrl}/jobs/${job.id}`)
+      .json({
+        jobId: job.id,
+        status: job.status,
+        mode: job.mode,
+        statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+        queue: jobQueue.getStats(),
+        degraded: true,
+        message: 'Claude is currently unavailable. The PDF was queued and will be processed once it is available again.'
+      });
+  } catch (error) {
+    next(error);
+  } finally {
+    if (filePath) {
+      cleanupFile(filePath);
+    }
+  }
+}
+
+/**
+ * Guard for the synchronous extraction endpoints, placed before the upload:
+ * while the LLM circuit breaker is open the request fails with 503 and
+ * Retry-After without uploading the PDF or calling the API.
+ *
+ * With CIRCUIT_QUEUE_WHEN_OPEN=true (degraded mode) the PDF is accepted instead
+ * and queued as a job of the given mode, answered with 202 and the job URL.
+ * @param {String} mode - Job mode to queue the upload as; none to always fail fast
+ */
+function circuitGate(mode) {
+  return (req, res, next) => {
+    if (circuitBreaker.isClosed()) {
+      return next();
+    }
+    if (!mode || !circuitBreaker.queueWhenOpen) {
+      return next(circuitBreaker.openError());
+    }
+
+    upload.single('pdf')(req, res, (error) => {
+      if (error) {
+        return handleMulterError(error, req, res, next);
+      }
+      queueUpload(mode, req, res, next);
+    });
+  };
+}
+
+/**
+ * Guard for POST /api/jobs: jobs wait for the breaker to close in degraded
+ * mode, otherwise submissions fail fast like the synchronous endpoints
+ */
+function jobCircuitGate(req, res, next) {
+  if (circuitBreaker.isClosed() || circuitBreaker.queueWhenOpen) {
+    return next();
+  }
+  next(circuitBreaker.openError());
+}
+
+module.exports = {
+  circuitGate,
+  jobCircuitGate
+};
@@ -1,19 +1,59 @@
 const { AsyncLocalStorage } = require('async_hooks');
 const { v4: uuidv4 } = require('uuid');
+const { ROOT_CONTEXT, SpanKind, SpanStatusCode, propagation, trace } = require('@opentelemetry/api');
+const {
+  ATTR_HTTP_REQUEST_METHOD,
+  ATTR_HTTP_RESPONSE_STATUS_CODE,
+  ATTR_HTTP_ROUTE,
+  ATTR_URL_PATH
+} = require('@opentelemetry/semantic-conventions');
+
+const { routeTemplate } = require('./httpMetrics');
 
 const asyncLocalStorage = new AsyncLocalStorage();
+const tracer = trace.getTracer('immo-frog');
+
+/**
+ * End the request's span, named after the route template once one matched
+ * (see ./httpMetrics.js)
+ */
+function endRequestSpan(span, req, res) {
+  const route = routeTemplate(req);
+  if (route !== 'unmatched') {
+    span.updateName(`${req.method} ${route}`);
+    span.setAttribute(ATTR_HTTP_ROUTE, route);
+  }
+  span.setAttribute(ATTR_HTTP_RESPONSE_STATUS_CODE, res.statusCode);
+  if (res.statusCode >= 500) {
+    span.setStatus({ code: SpanStatusCode.ERROR });
+  }
+  span.end();
+}
 
 function correlationMiddleware(req, res, next) {
   const requestId = req.headers['x-request-id'] ||
                     req.headers['x-correlation-id'] ||
                     uuidv4();
 
+  // Continues the caller's trace when the request has a W3C traceparent header
+  const parentContext = propagation.extract(ROOT_CONTEXT, req.headers);
+  const span = tracer.startSpan(req.method, {
+    kind: SpanKind.SERVER,
+    attributes: {
+      [ATTR_HTTP_REQUEST_METHOD]: req.method,
+      [ATTR_URL_PATH]: req.path,
+      'request.id': requestId
+    }
+  }, parentContext);
+  res.on('close', () => endRequestSpan(span, req, res));
+
   const context = {
     requestId,
     startTime: Date.now(),
     endpoint: req.path,
     method: req.method,
-    userAgent: req.headers['user-agent']
+    userAgent: req.headers['user-agent'],
+    traceContext: trace.setSpan(parentContext, span)
   };
 
   asyncLocalStorage.run(context, () => {
@@ -27,8 +67,40 @@ function getContext() {
   return asyncLocalStorage.getStore() || {};
 }
 
+/**
+ * OpenTelemetry context manager that keeps the active trace context in the
+ * correlation context (`traceContext`), so spans follow a request or job
+ * across awaits like its request ID does. Registered by src/utils/tracing.js.
+ */
+class CorrelationContextManager {
+  active() {
+    return getContext().traceContext || ROOT_CONTEXT;
+  }
+
+  with(traceContext, fn, thisArg, ...args) {
+    return asyncLocalStorage.run({ ...getContext(), traceContext }, () => fn.call(thisArg, ...args));
+  }
+
+  bind(traceContext, target) {
+    if (typeof target !== 'function') return target;
+    const manager = this;
+    return function (...args) {
+      return manager.with(traceContext, target, this, ...args);
+    };
+  }
+
+  enable() {
+    return this;
+  }
+
+  disable() {
+    return this;
+  }
+}
+
 module.exports = {
   correlationMiddleware,
   getContext,
-  asyncLocalStorage
+  asyncLocalStorage,
+  CorrelationContextManager
 };
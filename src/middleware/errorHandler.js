@@ -1,4 +1,5 @@
 const logger = require('../utils/contextLogger');
+const { redactHeaders, redactUrl } = require('../utils/redact');
 const { v4: uuidv4 } = require('uuid');
 
 const errorHandler = (err, req, res, next) => {
@@ -11,10 +12,10 @@ const errorHandler = (err, req, res, next) => {
     status,
     message,
     stack: err.stack,
-    url: req.url,
+    url: redactUrl(req.originalUrl),
     method: req.method,
     ip: req.ip,
-    headers: req.headers
+    headers: redactHeaders(req.headers)
   });
 
   if (err.name === 'ValidationError') {
@@ -36,6 +37,15 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  if (err.name === 'ForbiddenError') {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: err.message,
+      errorId,
+      status: 403
+    });
+  }
+
   if (err.code === 'ENOENT') {
     return res.status(404).json({
       error: 'Not Found',
@@ -74,6 +84,10 @@ const errorHandler = (err, req, res, next) => {
 
   if (err.source === 'claude-api') {
     const claudeStatus = err.status || 503;
+    // Set by the LLM circuit breaker while it is open
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
     return res.status(claudeStatus).json({
       error: 'Claude API Error',
       message: err.message || 'Failed to process document with Claude AI',
@@ -0,0 +1,37 @@
+const { metrics } = require('../utils/metrics');
+
+/**
+ * Route template of a request (e.g. /api/jobs/:id), "unmatched" when no route matched.
+ *
+ * An error that leaves a router for the error handler resets req.baseUrl, then
+ * the mount path is the part of the URL before the route's segments.
+ */
+function routeTemplate(req) {
+  const routePath = req.route?.path;
+  if (typeof routePath !== 'string') return 'unmatched';
+  if (req.baseUrl) return `${req.baseUrl}${routePath}`;
+
+  const segments = req.originalUrl.split('?')[0].replace(/(.)\/+$/, '$1').split('/');
+  const routeSegments = routePath.split('/').length - 1;
+  return `${segments.slice(0, Math.max(1, segments.length - routeSegments)).join('/')}${routePath}`;
+}
+
+/**
+ * Count every request and its duration per route template, never per URL
+ */
+function httpMetrics(req, res, next) {
+  const endTimer = metrics.httpDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeTemplate(req) };
+    endTimer(labels);
+    metrics.httpRequests.inc({ ...labels, status: res.statusCode });
+  });
+
+  next();
+}
+
+module.exports = {
+  httpMetrics,
+  routeTemplate
+};
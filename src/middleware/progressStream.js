@@ -0,0 +1,28 @@
+const progressTracker = require('../utils/progressTracker');
+const { getContext } = require('./correlationContext');
+
+/**
+ * Report the progress of this request to the progress stream named in the
+ * X-Progress-Stream header (see POST /api/progress). The stream must belong
+ * to the client sending the request.
+ */
+function attachProgressStream(req, res, next) {
+  const streamId = req.headers['x-progress-stream'];
+  if (!streamId) {
+    return next();
+  }
+
+  const stream = progressTracker.getStream(streamId);
+  if (!stream || stream.clientId !== (req.apiClient?.id ?? null)) {
+    const error = new Error(`Unknown or expired progress stream ${streamId}. Create one with POST /api/progress.`);
+    error.status = 400;
+    return next(error);
+  }
+
+  getContext().progressStreamId = stream.id;
+  next();
+}
+
+module.exports = {
+  attachProgressStream
+};
@@ -0,0 +1,91 @@
+const { rateLimit, ipKeyGenerator, MemoryStore } = require('express-rate-limit');
+
+const FileRateLimitStore = require('../utils/fileRateLimitStore');
+const logger = require('../utils/contextLogger');
+
+const windowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10);
+const storeType = process.env.RATE_LIMIT_STORE || 'file';
+
+/**
+ * Rate limit buckets. Every route of a bucket shares the same counter per
+ * client, so switching between endpoints does not reset the limit.
+ * - cheap:     2-pass standard extraction
+ * - expensive: multi-pass validated/clean extraction
+ */
+const BUCKETS = {
+  cheap: parseInt(process.env.RATE_LIMIT_CHEAP_MAX || '10', 10),
+  expensive: parseInt(process.env.RATE_LIMIT_EXPENSIVE_MAX || '5', 10)
+};
+
+/**
+ * Create the counter store for a bucket. Add new backends here, e.g. a Redis
+ * store when running several server instances.
+ */
+function createStore(bucket) {
+  if (storeType === 'memory') {
+    return new MemoryStore();
+  }
+  if (storeType === 'file') {
+    return new FileRateLimitStore(bucket);
+  }
+  throw new Error(`Unknown RATE_LIMIT_STORE "${storeType}". Valid stores: file, memory`);
+}
+
+/**
+ * Limit per API client, falling back to the IP address when authentication is disabled
+ */
+function clientKey(req) {
+  if (req.apiClient) {
+    return `client:${req.apiClient.id}`;
+  }
+  return `ip:${ipKeyGenerator(req.ip)}`;
+}
+
+const stores = [];
+
+function createLimiter(bucket) {
+  const store = createStore(bucket);
+  stores.push(store);
+
+  return rateLimit({
+    windowMs,
+    limit: BUCKETS[bucket],
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: clientKey,
+    store,
+    handler: (req, res, next, options) => {
+      logger.warn(`Rate limit exceeded for ${clientKey(req)}`, { bucket, limit: options.limit });
+      res.status(429).json({
+        error: 'Too Many Requests',
+        message: `Too many ${bucket === 'expensive' ? 'validated ' : ''}extraction requests. Please try again later.`,
+        status: 429
+      });
+    }
+  });
+}
+
+const cheapLimiter = createLimiter('cheap');
+const expensiveLimiter = createLimiter('expensive');
+
+/**
+ * Pick the bucket from the ?mode= query parameter (job submissions)
+ */
+function limiterForMode(req, res, next) {
+  const limiter = req.query.mode === 'standard' ? cheapLimiter : expensiveLimiter;
+  return limiter(req, res, next);
+}
+
+/**
+ * Persist pending counters and stop store timers (called on server shutdown)
+ */
+async function shutdownRateLimiters() {
+  await Promise.all(stores.map(store => store.shutdown && store.shutdown()));
+}
+
+module.exports = {
+  cheapLimiter,
+  expensiveLimiter,
+  limiterForMode,
+  shutdownRateLimiters
+};
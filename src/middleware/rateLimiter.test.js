@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { useTestEnvironment, startApp } = require('../testSupport');
+
+useTestEnvironment({ AUTH_ENABLED: 'true', RATE_LIMIT_STORE: 'file', RATE_LIMIT_CHEAP_MAX: '2' });
+
+const apiKeyStore = require('../services/apiKeyStore');
+const FileRateLimitStore = require('../utils/fileRateLimitStore');
+const { authenticate } = require('./auth');
+const { cheapLimiter, shutdownRateLimiters } = require('./rateLimiter');
+
+const first = apiKeyStore.createClient('first');
+const second = apiKeyStore.createClient('second');
+
+let server;
+
+before(async () => {
+  const api = express.Router();
+  api.use(authenticate);
+  api.post('/extract-property-data', cheapLimiter, (req, res) => res.json({ ok: true }));
+  api.post('/jobs', cheapLimiter, (req, res) => res.json({ ok: true }));
+
+  const app = express.Router();
+  app.use('/api', api);
+  server = await startApp(app);
+});
+
+after(async () => {
+  await shutdownRateLimiters();
+  await server.close();
+});
+
+function post(path, apiKey) {
+  return fetch(`${server.url}${path}`, { method: 'POST', headers: { 'X-API-Key': apiKey } });
+}
+
+test('limits each API key separately, even from the same IP', async () => {
+  assert.equal((await post('/api/extract-property-data', first.apiKey)).status, 200);
+  assert.equal((await post('/api/extract-property-data', first.apiKey)).status, 200);
+
+  const limited = await post('/api/extract-property-data', first.apiKey);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('ratelimit-limit'), '2');
+
+  assert.equal((await post('/api/extract-property-data', second.apiKey)).status, 200);
+});
+
+test('shares one counter across the routes of a bucket', async () => {
+  assert.equal((await post('/api/jobs', first.apiKey)).status, 429);
+  assert.equal((await post('/api/jobs', second.apiKey)).status, 200);
+  assert.equal((await post('/api/extract-property-data', second.apiKey)).status, 429);
+});
+
+test('restores counters of the current window after a restart', async () => {
+  const store = new FileRateLimitStore('restart');
+  await store.init({ windowMs: 60 * 1000 });
+  await store.increment('client:a');
+  await store.increment('client:a');
+  await store.shutdown();
+
+  const restarted = new FileRateLimitStore('restart');
+  await restarted.init({ windowMs: 60 * 1000 });
+  assert.equal((await restarted.get('client:a')).totalHits, 2);
+  assert.equal(await restarted.get('client:b'), undefined);
+});
+
+test('forgets counters of an expired window', async () => {
+  const store = new FileRateLimitStore('expired');
+  await store.init({ windowMs: 1 });
+  await store.increment('client:a');
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await store.shutdown();
+
+  const restarted = new FileRateLimitStore('expired');
+  await restarted.init({ windowMs: 60 * 1000 });
+  assert.equal(await restarted.get('client:a'), undefined);
+});
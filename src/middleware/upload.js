@@ -3,6 +3,7 @@ const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/contextLogger');
+const { tracer, recordError } = require('../utils/tracing');
 
 const uploadDir = process.env.UPLOAD_DIR || './uploads';
 if (!fs.existsSync(uploadDir)) {
@@ -43,7 +44,7 @@ const fileFilter = (req, file, cb) => {
 const maxFileSizeMB = parseInt(process.env.MAX_FILE_SIZE_MB || '32', 10);
 const maxFileSize = maxFileSizeMB * 1024 * 1024;
 
-const upload = multer({
+const multerUpload = multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
@@ -53,6 +54,27 @@ const upload = multer({
   }
 });
 
+/**
+ * multer's single(), with receiving the file traced as a `pdf.upload` span
+ */
+const upload = {
+  single: (fieldName) => {
+    const receive = multerUpload.single(fieldName);
+    return (req, res, next) => {
+      const span = tracer.startSpan('pdf.upload');
+      receive(req, res, (error) => {
+        if (error) {
+          recordError(span, error);
+        } else if (req.file) {
+          span.setAttribute('pdf.size_bytes', req.file.size);
+        }
+        span.end();
+        next(error);
+      });
+    };
+  }
+};
+
 const handleMulterError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     logger.error(`Multer error: ${err.message}`, { code: err.code, field: err.field });
@@ -130,7 +152,10 @@ const cleanupOldFiles = () => {
   });
 };
 
-setInterval(cleanupOldFiles, 5 * 60 * 1000);
+const cleanupTimer = setInterval(cleanupOldFiles, 5 * 60 * 1000);
+if (cleanupTimer.unref) {
+  cleanupTimer.unref();
+}
 
 module.exports = {
   upload,
@@ -0,0 +1,158 @@
+const Anthropic = require('@anthropic-ai/sdk');
+
+const { normalizeResponse, requireText } = require('./responses');
+const cassettes = require('./cassettes');
+
+/**
+ * LLM provider backed by the Anthropic Messages API
+ *
+ * The client is created on first use, so the server starts (and the mock
+ * provider can be used) without ANTHROPIC_API_KEY.
+ *
+ * With RECORD_CASSETTES=true every call is also written to a cassette file
+ * (see ./cassettes.js) for replay with LLM_PROVIDER=replay.
+ */
+class AnthropicProvider {
+  constructor() {
+    this.name = 'anthropic';
+    this.model = process.env.CLAUDE_MODEL || 'claude-sonnet-4-5';
+    this.client = null;
+  }
+
+  isConfigured() {
+    if (!process.env.ANTHROPIC_API_KEY) {
+      return false;
+    }
+    return process.env.ANTHROPIC_API_KEY.startsWith('sk-ant-');
+  }
+
+  getClient() {
+    if (!this.client) {
+      if (!process.env.ANTHROPIC_API_KEY) {
+        // A server configuration problem, not the caller's fault
+        const error = new Error('ANTHROPIC_API_KEY is not configured');
+        error.status = 503;
+        throw error;
+      }
+
+      this.client = new Anthropic({
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        // Retried per pass with our own backoff and time budget (see ./retry.js)
+        maxRetries: 0
+      });
+    }
+    return this.client;
+  }
+
+  buildRequest(document, prompt, options) {
+    const request = {
+      model: options.model || this.model,
+      max_tokens: options.maxTokens,
+      temperature: 0,
+      messages: [
+        {
+          role: "user",
+          content: [
+            { type: "text", text: prompt },
+            {
+              type: "document",
+              source: {
+                type: "base64",
+                media_type: "application/pdf",
+                data: document
+              }
+            }
+          ]
+        }
+      ]
+    };
+
+    // The model continues this text instead of starting a new answer
+    if (options.prefill) {
+      request.messages.push({ role: "assistant", content: options.prefill.trimEnd() });
+    }
+
+    if (options.tool) {
+      request.tools = [options.tool];
+      request.tool_choice = { type: "tool", name: options.tool.name };
+    }
+
+    return request;
+  }
+
+  async send(pass, document, prompt, options) {
+    const client = this.getClient();
+    const request = this.buildRequest(document, prompt, options);
+
+    let response;
+    try {
+      response = await client.messages.create(request);
+    } catch (error) {
+      if (cassettes.recording) {
+        await cassettes.record(pass, document, request, { error });
+      }
+      throw error;
+    }
+
+    if (cassettes.recording) {
+      await cassettes.record(pass, document, request, { response });
+    }
+    return normalizeResponse(response);
+  }
+
+  /**
+   * Classify the document, expects "SINGLE" or "PORTFOLIO" as text
+   */
+  async classify({ document, prompt, model }) {
+    return requireText(await this.send('classify', document, prompt, { maxTokens: 10, model }));
+  }
+
+  /**
+   * Extract structured data by forcing a call to the given tool
+   */
+  async extractWithTool({ document, prompt, tool, model }) {
+    return this.send('extract', document, prompt, { maxTokens: 8192, tool, model });
+  }
+
+  /**
+   * Re-read the document and check extracted data, expects a JSON report as text
+   */
+  async verify({ document, prompt, model }) {
+    return requireText(await this.send('verify', document, prompt, { maxTokens: 4096, model }));
+  }
+
+  /**
+   * Re-extract with verification findings applied, through the same tool
+   */
+  async correct({ document, prompt, tool, model }) {
+    return this.send('correct', document, prompt, { maxTokens: 8192, tool, model });
+  }
+
+  /**
+   * Re-ask for tool input that was cut off, missing or violated the schema, through the same tool
+   */
+  async repair({ document, prompt, tool, model }) {
+    return this.send('repair', document, prompt, { maxTokens: 8192, tool, model });
+  }
+
+  /**
+   * Continue a text answer that was cut off at the token limit; returns only the continuation
+   */
+  async continueText({ document, prompt, partial, model }) {
+    return requireText(await this.send('continue', document, prompt, { maxTokens: 4096, prefill: partial, model }));
+  }
+
+  /**
+   * Smallest possible call, without a document, to check the API accepts requests again
+   * (see ./circuitBreaker.js). Fails on an invalid key and exhausted credit like a real pass.
+   */
+  async probe() {
+    await this.getClient().messages.create({
+      model: this.model,
+      max_tokens: 1,
+      messages: [{ role: "user", content: "ping" }]
+    });
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { useTestEnvironment } = require('../testSupport');
+
+const dataDir = useTestEnvironment({ RECORD_CASSETTES: 'true' });
+const cassetteDir = path.join(dataDir, 'cassettes');
+process.env.CASSETTE_DIR = cassetteDir;
+
+const AnthropicProvider = require('./anthropicProvider');
+const MockProvider = require('./mockProvider');
+const { documentHash, session } = require('./cassettes');
+
+const document = Buffer.from('%PDF-1.4 recorded').toString('base64');
+
+/**
+ * Provider whose Messages API client answers with the given responses in turn
+ */
+function providerAnswering(...outcomes) {
+  const provider = new AnthropicProvider();
+  provider.client = {
+    messages: {
+      create: async () => {
+        const outcome = outcomes.shift();
+        if (outcome instanceof Error) throw outcome;
+        return outcome;
+      }
+    }
+  };
+  return provider;
+}
+
+function readCassette(pass) {
+  return JSON.parse(fs.readFileSync(path.join(cassetteDir, documentHash(document), `${pass}.json`), 'utf8'));
+}
+
+test('records each pass as a cassette without the PDF', async () => {
+  const provider = providerAnswering({
+    content: [{ type: 'text', text: 'SINGLE' }],
+    usage: { input_tokens: 1200, output_tokens: 2 },
+    stop_reason: 'end_turn'
+  });
+
+  await provider.classify({ document, prompt: 'Classify' });
+
+  const cassette = readCassette('classify');
+  assert.equal(cassette.content[0].text, 'SINGLE');
+  assert.equal(cassette.cassette.pass, 'classify');
+  assert.equal(cassette.cassette.documentHash, documentHash(document));
+  assert.equal(JSON.stringify(cassette).includes(document), false);
+  assert.match(cassette.cassette.request.messages[0].content[1].source.data, /^\[stripped \d+ base64 chars\]$/);
+});
+
+test('records failed calls as error cassettes', async () => {
+  const overloaded = Object.assign(new Error('Overloaded'), { status: 529 });
+  const provider = providerAnswering(overloaded);
+
+  await assert.rejects(provider.verify({ document, prompt: 'Verify' }), { status: 529 });
+  assert.deepEqual(readCassette('verify').error, { status: 529, message: 'Overloaded' });
+});
+
+test('replays recorded cassettes offline', async () => {
+  const replay = new MockProvider({ name: 'replay', fixturesDir: cassetteDir, useDefault: false });
+
+  const result = await replay.classify({ document });
+  assert.equal(result.text, 'SINGLE');
+  assert.equal(result.usage.input_tokens, 1200);
+  await assert.rejects(replay.verify({ document }), { status: 529 });
+  await assert.rejects(replay.extractWithTool({ document }), /No replay fixture/);
+});
+
+test('records repeated passes of an extraction session in turn and replays them in order', async () => {
+  const repaired = attempt => ({
+    content: [{ type: 'tool_use', name: 'extract', input: { attempt } }],
+    usage: { input_tokens: 100, output_tokens: 50 },
+    stop_reason: 'tool_use'
+  });
+  const provider = providerAnswering(repaired(1), repaired(2));
+  const key = { mode: 'validated', promptFingerprint: 'abc123' };
+
+  await session(key, async () => {
+    await provider.repair({ document, prompt: 'Repair' });
+    await provider.repair({ document, prompt: 'Repair' });
+  });
+
+  const sessionDir = path.join(cassetteDir, documentHash(document), 'validated-abc123');
+  assert.deepEqual(fs.readdirSync(sessionDir).sort(), ['repair-2.json', 'repair.json']);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(sessionDir, 'repair.json'), 'utf8')).cassette.session, 'validated-abc123');
+
+  const replay = new MockProvider({ name: 'replay', fixturesDir: cassetteDir, useDefault: false });
+  await session(key, async () => {
+    assert.deepEqual((await replay.repair({ document })).toolInput, { attempt: 1 });
+    assert.deepEqual((await replay.repair({ document })).toolInput, { attempt: 2 });
+    await assert.rejects(replay.repair({ document }), /No replay fixture for pass "repair"/);
+  });
+  await assert.rejects(session({ ...key, mode: 'standard' }, () => replay.repair({ document })), /No replay fixture/);
+});
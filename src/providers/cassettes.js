@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const { asyncLocalStorage, getContext } = require('../middleware/correlationContext');
+const logger = require('../utils/contextLogger');
+
+const cassetteDir = process.env.CASSETTE_DIR || './cassettes';
+const recording = process.env.RECORD_CASSETTES === 'true';
+
+/**
+ * SHA-256 of the PDF bytes, same as the documentHash of stored extractions
+ */
+function documentHash(document) {
+  return crypto.createHash('sha256').update(Buffer.from(document, 'base64')).digest('hex');
+}
+
+function cassettePath(directory, hash, pass) {
+  return path.join(directory, path.basename(hash), `${pass}.json`);
+}
+
+/**
+ * Run the LLM calls of one extraction as a cassette session. Its calls are
+ * numbered per pass, so repeated passes (several repairs, the two extract calls
+ * of a comparison) and other modes or prompts of the same document each get
+ * their own cassette.
+ * @param {Object} key - { mode, promptFingerprint }
+ */
+function session({ mode, promptFingerprint }, fn) {
+  const cassetteSession = { name: `${mode}-${promptFingerprint}`, calls: {} };
+  return asyncLocalStorage.run({ ...getContext(), cassetteSession }, fn);
+}
+
+/**
+ * Cassette of the next call of a pass in the current session:
+ * <documentHash>/<mode>-<promptFingerprint>/<pass>.json for its first call,
+ * <pass>-2.json, <pass>-3.json ... for later ones. Null outside a session.
+ */
+function sessionCassettePath(directory, hash, pass) {
+  const current = getContext().cassetteSession;
+  if (!current) return null;
+
+  const call = (current.calls[pass] || 0) + 1;
+  current.calls[pass] = call;
+  return cassettePath(path.join(directory, path.basename(hash)), current.name, call === 1 ? pass : `${pass}-${call}`);
+}
+
+/**
+ * Copy of a Messages API request with the base64 PDF replaced by a placeholder
+ */
+function stripDocuments(request) {
+  return {
+    ...request,
+    messages: request.messages.map(message => ({
+      ...message,
+      content: Array.isArray(message.content)
+        ? message.content.map(block => (block.type === 'document' && block.source?.data
+          ? { ...block, source: { ...block.source, data: `[stripped ${block.source.data.length} base64 chars]` } }
+          : block))
+        : message.content
+    }))
+  };
+}
+
+/**
+ * Write one pass of a real API call to its session cassette (see
+ * sessionCassettePath), outside a session to CASSETTE_DIR/<documentHash>/<pass>.json.
+ *
+ * The cassette is the API response (or { error }) plus the stripped request, so
+ * the mock and replay providers can serve it back as is. Recording problems are
+ * logged and never fail the extraction.
+ */
+async function record(pass, document, request, outcome) {
+  const hash = documentHash(document);
+  const file = sessionCassettePath(cassetteDir, hash, pass) || cassettePath(cassetteDir, hash, pass);
+
+  const cassette = outcome.error
+    ? { error: { status: outcome.error.status, message: outcome.error.message } }
+    : { ...outcome.response };
+
+  cassette.cassette = {
+    pass,
+    documentHash: hash,
+    session: getContext().cassetteSession?.name || null,
+    recordedAt: new Date().toISOString(),
+    request: stripDocuments(request)
+  };
+
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(cassette, null, 2));
+    logger.debug('Cassette recorded', { pass, file });
+  } catch (error) {
+    logger.warn('Failed to record cassette', { pass, file, error: error.message });
+  }
+}
+
+module.exports = {
+  cassetteDir,
+  recording,
+  documentHash,
+  cassettePath,
+  session,
+  sessionCassettePath,
+  stripDocuments,
+  record
+};
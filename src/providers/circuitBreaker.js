@@ -0,0 +1,202 @@
+const { EventEmitter } = require('events');
+const { APIConnectionError } = require('@anthropic-ai/sdk');
+
+const logger = require('../utils/contextLogger');
+
+const failureThreshold = Math.max(1, parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5', 10));
+const probeIntervalMs = parseInt(process.env.CIRCUIT_PROBE_INTERVAL_MS || '30000', 10);
+const queueWhenOpen = process.env.CIRCUIT_QUEUE_WHEN_OPEN === 'true';
+
+const CREDIT_ERROR = /credit balance is too low/i;
+
+/**
+ * The API rejects requests because the account ran out of credit (a 400)
+ */
+function isCreditError(error) {
+  return error.status === 400 && CREDIT_ERROR.test(error.error?.error?.message || error.message || '');
+}
+
+/**
+ * Failures that say the API is unusable for every request, not just this one:
+ * invalid key or missing permission, exhausted credit, server errors and
+ * overload (after retries), and an unreachable API
+ */
+function isOutage(error) {
+  if (error.status === 401 || error.status === 403 || error.status >= 500) return true;
+  if (isCreditError(error)) return true;
+  return error.status === undefined && error instanceof APIConnectionError;
+}
+
+/**
+ * Circuit breaker around the LLM provider
+ *
+ * closed:    calls go through; CIRCUIT_FAILURE_THRESHOLD outage failures in a
+ *            row (see isOutage) open the breaker, a success resets the count
+ * open:      calls fail fast with a 503 and Retry-After, without reaching the
+ *            API; every CIRCUIT_PROBE_INTERVAL_MS a probe call is made
+ * half_open: a probe is in flight; success closes the breaker, failure opens
+ *            it for another interval
+ *
+ * Emits `state` with the new state on every transition.
+ */
+class CircuitBreaker extends EventEmitter {
+  constructor() {
+    super();
+    this.threshold = failureThreshold;
+    this.probeIntervalMs = probeIntervalMs;
+    this.queueWhenOpen = queueWhenOpen;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.nextProbeAt = null;
+    this.lastFailure = null;
+    this.probe = null;
+    this.probeTimer = null;
+  }
+
+  isClosed() {
+    return this.state === 'closed';
+  }
+
+  /**
+   * Seconds until the next probe, for Retry-After
+   */
+  retryAfterSeconds() {
+    if (!this.nextProbeAt) return Math.ceil(this.probeIntervalMs / 1000);
+    return Math.max(1, Math.ceil((this.nextProbeAt - Date.now()) / 1000));
+  }
+
+  /**
+   * The error a call gets while the breaker is not closed
+   */
+  openError() {
+    const error = new Error('Claude is currently unavailable. Please try again later.');
+    error.status = 503;
+    error.source = 'claude-api';
+    error.code = 'CIRCUIT_OPEN';
+    error.retryAfter = this.retryAfterSeconds();
+    error.details = this.lastFailure?.message || null;
+    return error;
+  }
+
+  /**
+   * Make one call through the breaker
+   * @param {String} pass - Provider pass, for the logs
+   * @param {Function} call - () => Promise of the pass result
+   */
+  async call(pass, call) {
+    if (!this.isClosed()) {
+      throw this.openError();
+    }
+
+    try {
+      const result = await call();
+      this.failures = 0;
+      return result;
+    } catch (error) {
+      if (isOutage(error)) {
+        this.recordFailure(pass, error);
+      }
+      throw error;
+    }
+  }
+
+  recordFailure(pass, error) {
+    this.failures++;
+    this.lastFailure = { pass, status: error.status || null, message: error.message, at: new Date().toISOString() };
+
+    if (this.isClosed() && this.failures >= this.threshold) {
+      logger.error('LLM circuit breaker opened', {
+        stage: 'circuit',
+        pass,
+        failures: this.failures,
+        status: error.status,
+        error: error.message,
+        probeIntervalMs: this.probeIntervalMs
+      });
+      this.openedAt = new Date().toISOString();
+      this.open();
+    }
+  }
+
+  open() {
+    this.setState('open');
+    this.nextProbeAt = Date.now() + this.probeIntervalMs;
+    this.probeTimer = setTimeout(() => this.runProbe(), this.probeIntervalMs);
+    if (this.probeTimer.unref) {
+      this.probeTimer.unref();
+    }
+  }
+
+  async runProbe() {
+    this.probeTimer = null;
+    this.setState('half_open');
+
+    try {
+      await this.probe();
+    } catch (error) {
+      this.lastFailure = { pass: 'probe', status: error.status || null, message: error.message, at: new Date().toISOString() };
+      logger.warn('LLM circuit breaker probe failed', {
+        stage: 'circuit',
+        status: error.status,
+        error: error.message,
+        nextProbeInMs: this.probeIntervalMs
+      });
+      this.open();
+      return;
+    }
+
+    logger.info('LLM circuit breaker closed', { stage: 'circuit', openedAt: this.openedAt });
+    this.failures = 0;
+    this.openedAt = null;
+    this.nextProbeAt = null;
+    this.setState('closed');
+  }
+
+  setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    this.emit('state', state);
+  }
+
+  /**
+   * State as reported on /api/health
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      threshold: this.threshold,
+      openedAt: this.openedAt,
+      nextProbeAt: this.nextProbeAt && new Date(this.nextProbeAt).toISOString(),
+      lastFailure: this.lastFailure,
+      queueWhenOpen: this.queueWhenOpen
+    };
+  }
+}
+
+const circuitBreaker = new CircuitBreaker();
+
+/**
+ * Route every pass of a provider through the circuit breaker, and probe with
+ * the provider's probe() while the breaker is open. Wraps the retries, so a
+ * pass that failed after all its retries counts as one failure.
+ * @param {Object} provider - Provider instance, changed in place
+ * @param {Array} passes - Names of its pass methods
+ */
+function withCircuitBreaker(provider, passes) {
+  passes.forEach(pass => {
+    const call = provider[pass].bind(provider);
+    provider[pass] = args => circuitBreaker.call(pass, () => call(args));
+  });
+  circuitBreaker.probe = () => provider.probe();
+  return provider;
+}
+
+module.exports = {
+  circuitBreaker,
+  withCircuitBreaker,
+  isOutage,
+  isCreditError
+};
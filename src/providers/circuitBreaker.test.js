@@ -0,0 +1,182 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { useTestEnvironment, samplePdf, startApp, waitFor } = require('../testSupport');
+
+const dataDir = useTestEnvironment({
+  CIRCUIT_FAILURE_THRESHOLD: '2',
+  CIRCUIT_PROBE_INTERVAL_MS: '100'
+});
+
+// Default fixtures, plus documents whose classification fails
+const fixturesDir = path.join(dataDir, 'fixtures');
+fs.cpSync(path.join(__dirname, '..', '..', 'fixtures', 'mock', 'default'), path.join(fixturesDir, 'default'), { recursive: true });
+process.env.MOCK_FIXTURES_DIR = fixturesDir;
+
+const express = require('express');
+const { APIConnectionError } = require('@anthropic-ai/sdk');
+const { circuitBreaker, isOutage, isCreditError } = require('./circuitBreaker');
+const { getProvider } = require('./index');
+const { documentHash } = require('./cassettes');
+const extractionRoutes = require('../routes/extraction');
+const jobRoutes = require('../routes/jobs');
+const jobQueue = require('../services/jobQueue');
+const healthService = require('../services/healthService');
+
+const CREDIT_MESSAGE = 'Your credit balance is too low to access the Anthropic API.';
+const probeFile = path.join(fixturesDir, 'default', 'probe.json');
+
+let server;
+const states = [];
+
+before(async () => {
+  const api = express.Router();
+  api.use(extractionRoutes, jobRoutes);
+  const app = express.Router();
+  app.use('/api', api);
+  server = await startApp(app);
+
+  circuitBreaker.on('state', state => states.push(state));
+});
+
+after(() => server.close());
+
+function apiError(status, message = `HTTP ${status}`) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * A PDF whose classify pass fails with the given mock error
+ */
+function failingPdf(name, error) {
+  const pdf = samplePdf(name);
+  const documentDir = path.join(fixturesDir, documentHash(pdf.toString('base64')));
+  fs.mkdirSync(documentDir);
+  fs.writeFileSync(path.join(documentDir, 'classify.json'), JSON.stringify({ error }));
+  return pdf.toString('base64');
+}
+
+const creditPdf = failingPdf('out of credit', { status: 400, message: CREDIT_MESSAGE });
+
+function classify(document) {
+  return getProvider().classify({ document, prompt: 'Classify' });
+}
+
+/**
+ * Open the breaker with failing probes, so it stays open until closeBreaker()
+ */
+async function openBreaker() {
+  fs.writeFileSync(probeFile, JSON.stringify({ error: { status: 400, message: CREDIT_MESSAGE } }));
+  while (circuitBreaker.isClosed()) {
+    await assert.rejects(classify(creditPdf), { status: 400 });
+  }
+}
+
+async function closeBreaker() {
+  fs.rmSync(probeFile, { force: true });
+  await waitFor(() => circuitBreaker.isClosed());
+}
+
+function upload(pathname) {
+  const form = new FormData();
+  form.append('pdf', new Blob([samplePdf(pathname)], { type: 'application/pdf' }), 'degraded.pdf');
+  return fetch(`${server.url}/api${pathname}`, { method: 'POST', body: form });
+}
+
+test('counts auth, credit, server and connection failures as outages', () => {
+  assert.equal(isCreditError(apiError(400, CREDIT_MESSAGE)), true);
+  assert.equal(isCreditError({ status: 400, message: '400', error: { error: { message: CREDIT_MESSAGE } } }), true);
+  assert.equal(isCreditError(apiError(400, 'prompt is too long')), false);
+
+  assert.equal(isOutage(apiError(401)), true);
+  assert.equal(isOutage(apiError(403)), true);
+  assert.equal(isOutage(apiError(529)), true);
+  assert.equal(isOutage(apiError(400, CREDIT_MESSAGE)), true);
+  assert.equal(isOutage(new APIConnectionError({ message: 'Connection error.' })), true);
+
+  assert.equal(isOutage(apiError(400, 'prompt is too long')), false);
+  assert.equal(isOutage(apiError(429)), false);
+  assert.equal(isOutage(new Error('No mock fixture')), false);
+});
+
+test('opens after consecutive outages only', async () => {
+  const invalidPdf = failingPdf('invalid request', { status: 400, message: 'prompt is too long' });
+
+  await assert.rejects(classify(creditPdf), { status: 400 });
+  await classify(samplePdf('success').toString('base64'));
+  await assert.rejects(classify(invalidPdf), { status: 400 });
+  await assert.rejects(classify(creditPdf), { status: 400 });
+  assert.equal(circuitBreaker.state, 'closed');
+  assert.equal(circuitBreaker.failures, 1);
+
+  await assert.rejects(classify(creditPdf), { status: 400 });
+  assert.equal(circuitBreaker.state, 'open');
+  assert.equal(circuitBreaker.getStatus().lastFailure.message, CREDIT_MESSAGE);
+
+  await closeBreaker();
+});
+
+test('fails fast with 503 and Retry-After while open, without calling the API', async () => {
+  await openBreaker();
+
+  let called = false;
+  try {
+    await assert.rejects(circuitBreaker.call('classify', async () => { called = true; }), { status: 503, code: 'CIRCUIT_OPEN' });
+    assert.equal(called, false);
+    await assert.rejects(classify(samplePdf('success').toString('base64')), { status: 503, code: 'CIRCUIT_OPEN' });
+
+    const response = await upload('/extract-property-data');
+    assert.equal(response.status, 503);
+    assert.ok(Number(response.headers.get('retry-after')) >= 1);
+    assert.equal(fs.readdirSync(process.env.UPLOAD_DIR).length, 0);
+
+    assert.equal((await upload('/jobs?mode=standard')).status, 503);
+    assert.equal((await healthService.checkLlm()).status, 'fail');
+  } finally {
+    await closeBreaker();
+  }
+});
+
+test('probes until the API answers again, then closes', async () => {
+  states.length = 0;
+  await openBreaker();
+
+  // At least one failed probe before the fixture is removed
+  await waitFor(() => states.filter(state => state === 'open').length >= 2);
+  await closeBreaker();
+
+  assert.deepEqual(states.slice(0, 4), ['open', 'half_open', 'open', 'half_open']);
+  assert.equal(states.at(-1), 'closed');
+  assert.deepEqual(
+    (({ state, failures, openedAt, nextProbeAt }) => ({ state, failures, openedAt, nextProbeAt }))(circuitBreaker.getStatus()),
+    { state: 'closed', failures: 0, openedAt: null, nextProbeAt: null }
+  );
+  assert.equal((await healthService.checkLlm()).status, 'pass');
+});
+
+test('queues uploads in degraded mode and processes them once the breaker closes', async () => {
+  circuitBreaker.queueWhenOpen = true;
+  try {
+    await openBreaker();
+
+    const response = await upload('/extract-property-data');
+    assert.equal(response.status, 202);
+    const body = await response.json();
+    assert.equal(body.degraded, true);
+    assert.equal(body.mode, 'standard');
+    assert.equal(response.headers.get('location'), `/api/jobs/${body.jobId}`);
+
+    assert.equal(jobQueue.getStats().paused, true);
+    assert.equal(jobQueue.getJob(body.jobId).status, 'queued');
+    assert.equal((await healthService.checkLlm()).status, 'warn');
+
+    await closeBreaker();
+    await waitFor(() => jobQueue.getJob(body.jobId).status === 'completed');
+  } finally {
+    circuitBreaker.queueWhenOpen = false;
+  }
+});
@@ -0,0 +1,64 @@
+const AnthropicProvider = require('./anthropicProvider');
+const MockProvider = require('./mockProvider');
+const { cassetteDir } = require('./cassettes');
+const { withRetries } = require('./retry');
+const { withCircuitBreaker } = require('./circuitBreaker');
+const { withPassMetrics } = require('./passMetrics');
+const { withPassTracing } = require('./passTracing');
+const { withPassCosts } = require('./passCosts');
+
+/**
+ * LLM providers. Every provider implements the same passes, each taking the
+ * base64 PDF as `document`, returning { text, toolInput, usage, stopReason }
+ * (see ./responses.js) and throwing errors with an HTTP-like `status`:
+ *
+ * - classify({ document, prompt })
+ * - extractWithTool({ document, prompt, tool })
+ * - verify({ document, prompt })
+ * - correct({ document, prompt, tool })
+ * - repair({ document, prompt, tool })
+ * - continueText({ document, prompt, partial }) - the continuation of a cut-off text answer
+ *
+ * Every pass also accepts an optional `model` that overrides the provider's
+ * default for that call (the mock and replay providers ignore it). Transient
+ * failures of a pass are retried (see ./retry.js), duration and tokens of
+ * every pass are recorded (see ./passMetrics.js) and traced as a span (see
+ * ./passTracing.js), every successful call goes into the cost ledger (see
+ * ./passCosts.js), and all passes go through the circuit breaker (see
+ * ./circuitBreaker.js).
+ *
+ * Plus `name`, `model`, `isConfigured()` and `probe()`, the breaker's health check call.
+ */
+const PASSES = ['classify', 'extractWithTool', 'verify', 'correct', 'repair', 'continueText'];
+
+const PROVIDERS = {
+  anthropic: () => new AnthropicProvider(),
+  mock: () => new MockProvider(),
+  // Recorded cassettes only, a missing cassette is an error
+  replay: () => new MockProvider({ name: 'replay', model: 'replay', fixturesDir: cassetteDir, useDefault: false })
+};
+
+let provider = null;
+
+/**
+ * The provider selected with LLM_PROVIDER (default: anthropic), shared by all services
+ */
+function getProvider() {
+  if (!provider) {
+    const name = process.env.LLM_PROVIDER || 'anthropic';
+    const createProvider = PROVIDERS[name];
+    if (!createProvider) {
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Valid providers: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    provider = withPassCosts(withRetries(createProvider(), PASSES), PASSES);
+    provider = withPassTracing(withPassMetrics(provider, PASSES), PASSES);
+    provider = withCircuitBreaker(provider, PASSES);
+  }
+  return provider;
+}
+
+module.exports = {
+  PASSES,
+  PROVIDERS,
+  getProvider
+};
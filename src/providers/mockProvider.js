@@ -0,0 +1,138 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const { normalizeResponse, requireText } = require('./responses');
+const { documentHash, cassettePath, sessionCassettePath } = require('./cassettes');
+const logger = require('../utils/contextLogger');
+
+/**
+ * Offline LLM provider that replays recorded responses from fixture files
+ *
+ * Fixtures are looked up per pass (classify, extract, verify, correct, repair, continue):
+ *   <MOCK_FIXTURES_DIR>/<documentHash>/<session>/<pass>[-n].json   nth call of an extraction session (see ./cassettes.js)
+ *   <MOCK_FIXTURES_DIR>/<documentHash>/<pass>.json                 responses for one specific PDF
+ *   <MOCK_FIXTURES_DIR>/default/<pass>.json                        fallback for any PDF
+ *
+ * A fixture is either an Anthropic Messages API response
+ *   { "content": [...], "usage": {...}, "stop_reason": "..." }
+ * or an error to throw, to exercise error handling
+ *   { "error": { "status": 429, "message": "Rate limited", "headers": { "retry-after": "2" } } }
+ *   { "error": { "code": "ECONNRESET", "message": "socket hang up" } }
+ *
+ * documentHash is the SHA-256 of the PDF bytes, as stored with every extraction.
+ * Cassettes recorded with RECORD_CASSETTES=true use the same layout, which is how
+ * the replay provider (a MockProvider without default fallback) serves them.
+ */
+class MockProvider {
+  /**
+   * @param {Object} options - { name, model, fixturesDir, useDefault }
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'mock';
+    this.model = options.model || process.env.MOCK_MODEL || 'mock';
+    this.fixturesDir = options.fixturesDir || process.env.MOCK_FIXTURES_DIR || path.join(__dirname, '../../fixtures/mock');
+    this.useDefault = options.useDefault !== false;
+    this.latencyMs = parseInt(process.env.MOCK_LATENCY_MS || '0', 10);
+    this.pinnedDocumentHash = null;
+  }
+
+  /**
+   * Serve the fixtures of one document regardless of the PDF passed in, to
+   * replay a recorded extraction without having the original PDF
+   */
+  pinDocument(hash) {
+    this.pinnedDocumentHash = hash;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async loadFixture(document, pass) {
+    const hash = this.pinnedDocumentHash || documentHash(document);
+    const candidates = [
+      sessionCassettePath(this.fixturesDir, hash, pass),
+      cassettePath(this.fixturesDir, hash, pass)
+    ].filter(Boolean);
+    if (this.useDefault) {
+      candidates.push(cassettePath(this.fixturesDir, 'default', pass));
+    }
+
+    for (const file of candidates) {
+      try {
+        const fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+        logger.debug(`${this.name} provider replaying fixture`, { pass, file });
+        return fixture;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    throw new Error(`No ${this.name} fixture for pass "${pass}" in ${this.fixturesDir} (document ${hash})`);
+  }
+
+  async replay(document, pass) {
+    const fixture = await this.loadFixture(document, pass);
+
+    if (this.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    }
+
+    if (fixture.error) {
+      const error = new Error(fixture.error.message || `Mock ${pass} error`);
+      error.status = fixture.error.status;
+      error.code = fixture.error.code;
+      error.headers = fixture.error.headers;
+      throw error;
+    }
+
+    return normalizeResponse(fixture);
+  }
+
+  async classify({ document }) {
+    return requireText(await this.replay(document, 'classify'));
+  }
+
+  async extractWithTool({ document }) {
+    return this.replay(document, 'extract');
+  }
+
+  async verify({ document }) {
+    return requireText(await this.replay(document, 'verify'));
+  }
+
+  async correct({ document }) {
+    return this.replay(document, 'correct');
+  }
+
+  async repair({ document }) {
+    return this.replay(document, 'repair');
+  }
+
+  async continueText({ document }) {
+    return requireText(await this.replay(document, 'continue'));
+  }
+
+  /**
+   * Circuit breaker probe: fails with <MOCK_FIXTURES_DIR>/default/probe.json if that is
+   * an error fixture, succeeds otherwise
+   */
+  async probe() {
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.readFile(cassettePath(this.fixturesDir, 'default', 'probe'), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    if (fixture.error) {
+      const error = new Error(fixture.error.message || 'Mock probe error');
+      error.status = fixture.error.status;
+      error.code = fixture.error.code;
+      throw error;
+    }
+  }
+}
+
+module.exports = MockProvider;
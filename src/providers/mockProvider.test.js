@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { useTestEnvironment } = require('../testSupport');
+
+const dataDir = useTestEnvironment();
+
+const MockProvider = require('./mockProvider');
+const { documentHash } = require('./cassettes');
+
+const document = Buffer.from('%PDF-1.4 mock').toString('base64');
+
+function writeFixture(directory, pass, fixture) {
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(path.join(directory, `${pass}.json`), JSON.stringify(fixture));
+}
+
+test('answers every pass from the default fixtures', async () => {
+  const provider = new MockProvider();
+
+  assert.equal(provider.isConfigured(), true);
+  assert.equal((await provider.classify({ document })).text.trim(), 'SINGLE');
+
+  const extraction = await provider.extractWithTool({ document });
+  assert.equal(extraction.toolInput.property_identity.city, 'München');
+  assert.ok(extraction.usage.input_tokens > 0);
+  assert.equal(extraction.stopReason, 'tool_use');
+
+  assert.ok((await provider.verify({ document })).text);
+  assert.ok((await provider.correct({ document })).toolInput);
+});
+
+test('prefers the fixtures of the document, by its hash', async () => {
+  const fixturesDir = path.join(dataDir, 'fixtures');
+  writeFixture(path.join(fixturesDir, 'default'), 'classify', {
+    content: [{ type: 'text', text: 'SINGLE' }],
+    usage: { input_tokens: 1, output_tokens: 1 }
+  });
+  writeFixture(path.join(fixturesDir, documentHash(document)), 'classify', {
+    content: [{ type: 'text', text: 'PORTFOLIO' }],
+    usage: { input_tokens: 1, output_tokens: 1 }
+  });
+  const provider = new MockProvider({ fixturesDir });
+
+  assert.equal((await provider.classify({ document })).text, 'PORTFOLIO');
+  assert.equal((await provider.classify({ document: Buffer.from('other').toString('base64') })).text, 'SINGLE');
+});
+
+test('throws error fixtures with their status and code', async () => {
+  const fixturesDir = path.join(dataDir, 'errors');
+  writeFixture(path.join(fixturesDir, 'default'), 'verify', {
+    error: { status: 429, message: 'Rate limited', headers: { 'retry-after': '2' } }
+  });
+  const provider = new MockProvider({ fixturesDir });
+
+  await assert.rejects(provider.verify({ document }), error => {
+    assert.equal(error.status, 429);
+    assert.equal(error.message, 'Rate limited');
+    assert.equal(error.headers['retry-after'], '2');
+    return true;
+  });
+});
+
+test('fails without a fixture when the default fallback is off', async () => {
+  const provider = new MockProvider({ name: 'replay', fixturesDir: path.join(dataDir, 'none'), useDefault: false });
+
+  await assert.rejects(provider.classify({ document }), /No replay fixture for pass "classify"/);
+});
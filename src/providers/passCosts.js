@@ -0,0 +1,30 @@
+const { STAGES } = require('./passMetrics');
+const costLedger = require('../services/costLedger');
+
+/**
+ * Record every successful pass of a provider in the cost ledger (see
+ * src/services/costLedger.js). Failed calls are not billed and not recorded.
+ * @param {Object} provider - Provider instance, changed in place
+ * @param {Array} passes - Names of its pass methods
+ */
+function withPassCosts(provider, passes) {
+  passes.forEach(pass => {
+    const call = provider[pass].bind(provider);
+
+    provider[pass] = async args => {
+      const response = await call(args);
+      costLedger.record({
+        pass: STAGES[pass] || pass,
+        provider: provider.name,
+        model: args?.model || provider.model,
+        usage: response.usage || {}
+      });
+      return response;
+    };
+  });
+  return provider;
+}
+
+module.exports = {
+  withPassCosts
+};
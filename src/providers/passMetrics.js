@@ -0,0 +1,44 @@
+const { metrics } = require('../utils/metrics');
+
+// Pipeline stage names of the provider passes, as in the logs and progress events
+const STAGES = {
+  classify: 'classification',
+  extractWithTool: 'extraction',
+  verify: 'verification',
+  correct: 'correction',
+  repair: 'repair',
+  continueText: 'continuation'
+};
+
+/**
+ * Record duration and token usage of every pass of a provider (see GET /metrics).
+ * Wraps the retries, so the duration is the pass as the pipeline waited for it.
+ * @param {Object} provider - Provider instance, changed in place
+ * @param {Array} passes - Names of its pass methods
+ */
+function withPassMetrics(provider, passes) {
+  passes.forEach(pass => {
+    const call = provider[pass].bind(provider);
+    const labels = { pass: STAGES[pass] || pass, provider: provider.name };
+
+    provider[pass] = async args => {
+      const endTimer = metrics.passDuration.startTimer(labels);
+      try {
+        const response = await call(args);
+        endTimer({ outcome: 'success' });
+        metrics.tokens.inc({ ...labels, direction: 'input' }, response.usage?.input_tokens || 0);
+        metrics.tokens.inc({ ...labels, direction: 'output' }, response.usage?.output_tokens || 0);
+        return response;
+      } catch (error) {
+        endTimer({ outcome: 'error' });
+        throw error;
+      }
+    };
+  });
+  return provider;
+}
+
+module.exports = {
+  STAGES,
+  withPassMetrics
+};
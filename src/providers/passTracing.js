@@ -0,0 +1,49 @@
+const { SpanKind } = require('@opentelemetry/api');
+
+const { STAGES } = require('./passMetrics');
+const { tracer, recordError } = require('../utils/tracing');
+
+/**
+ * Trace every pass of a provider as a span with the model and token usage
+ * (gen_ai.* attributes). Wraps the retries, which show as `retry` events of
+ * the span (see ./retry.js).
+ * @param {Object} provider - Provider instance, changed in place
+ * @param {Array} passes - Names of its pass methods
+ */
+function withPassTracing(provider, passes) {
+  passes.forEach(pass => {
+    const call = provider[pass].bind(provider);
+    const stage = STAGES[pass] || pass;
+
+    provider[pass] = args => tracer.startActiveSpan(`llm.${stage}`, {
+      kind: SpanKind.CLIENT,
+      attributes: {
+        'llm.pass': stage,
+        'gen_ai.system': provider.name,
+        'gen_ai.request.model': args?.model || provider.model
+      }
+    }, async span => {
+      try {
+        const response = await call(args);
+        span.setAttributes({
+          'gen_ai.usage.input_tokens': response.usage?.input_tokens || 0,
+          'gen_ai.usage.output_tokens': response.usage?.output_tokens || 0
+        });
+        if (response.stopReason) {
+          span.setAttribute('gen_ai.response.finish_reasons', [response.stopReason]);
+        }
+        return response;
+      } catch (error) {
+        recordError(span, error);
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  });
+  return provider;
+}
+
+module.exports = {
+  withPassTracing
+};
@@ -0,0 +1,46 @@
+/**
+ * Normalize an Anthropic Messages API response into the provider result shape
+ * shared by all adapters:
+ * {
+ *   text: String|null,        first text block
+ *   toolInput: Object|null,   input of the first tool_use block
+ *   usage: { input_tokens, output_tokens, cache_creation_input_tokens, cache_read_input_tokens },
+ *   stopReason: String|null
+ * }
+ */
+function normalizeResponse(response) {
+  if (!response || !Array.isArray(response.content)) {
+    throw new Error('Invalid response structure from Claude API');
+  }
+
+  const textBlock = response.content.find(block => block.type === 'text');
+  const toolUse = response.content.find(block => block.type === 'tool_use');
+
+  return {
+    text: textBlock && textBlock.text ? textBlock.text : null,
+    toolInput: toolUse && toolUse.input ? toolUse.input : null,
+    usage: {
+      input_tokens: response.usage?.input_tokens || 0,
+      output_tokens: response.usage?.output_tokens || 0,
+      // Prompt caching, priced differently from input_tokens (see src/utils/pricing.js)
+      cache_creation_input_tokens: response.usage?.cache_creation_input_tokens || 0,
+      cache_read_input_tokens: response.usage?.cache_read_input_tokens || 0
+    },
+    stopReason: response.stop_reason || null
+  };
+}
+
+/**
+ * Text passes (classification, verification) are useless without text
+ */
+function requireText(result) {
+  if (!result.text) {
+    throw new Error('No text content found in Claude response');
+  }
+  return result;
+}
+
+module.exports = {
+  normalizeResponse,
+  requireText
+};
@@ -0,0 +1,132 @@
+const { APIConnectionError } = require('@anthropic-ai/sdk');
+const { trace } = require('@opentelemetry/api');
+
+const { getContext } = require('../middleware/correlationContext');
+const logger = require('../utils/contextLogger');
+
+const maxRetries = parseInt(process.env.LLM_MAX_RETRIES || '4', 10);
+const baseDelayMs = parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '1000', 10);
+const maxDelayMs = parseInt(process.env.LLM_RETRY_MAX_DELAY_MS || '30000', 10);
+const timeBudgetMs = parseInt(process.env.LLM_RETRY_TIME_BUDGET_MS || '120000', 10);
+
+// Rate limited and overloaded
+const TRANSIENT_STATUSES = [429, 529];
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+
+/**
+ * Rate limits, overload and network errors are worth another try; anything
+ * else (bad request, invalid key, missing configuration) fails the same way again
+ */
+function isTransient(error) {
+  if (TRANSIENT_STATUSES.includes(error.status)) return true;
+  if (error.error?.error?.type === 'overloaded_error') return true;
+  if (error.status !== undefined) return false;
+  return error instanceof APIConnectionError ||
+    NETWORK_ERROR_CODES.includes(error.code) ||
+    NETWORK_ERROR_CODES.includes(error.cause?.code);
+}
+
+/**
+ * Delay the API asked for with retry-after-ms or retry-after (seconds or HTTP date)
+ * @returns {Number|null} Milliseconds, null without a usable header
+ */
+function retryAfterMs(error) {
+  const headers = error.headers;
+  const header = name => (typeof headers?.get === 'function' ? headers.get(name) : headers?.[name]);
+
+  const milliseconds = parseFloat(header('retry-after-ms'));
+  if (!isNaN(milliseconds)) return milliseconds;
+
+  const value = header('retry-after');
+  if (!value) return null;
+  const seconds = parseFloat(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay up to base * 2^retry, capped
+ */
+function backoffMs(retry) {
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** retry));
+}
+
+/**
+ * Call one pass, retrying transient failures
+ *
+ * Up to LLM_MAX_RETRIES retries, waiting as long as retry-after says or an
+ * exponential backoff with jitter. No retry starts once it would end later than
+ * LLM_RETRY_TIME_BUDGET_MS after the start of the request (or job), so a
+ * request that already waited long fails instead of waiting more.
+ * @param {String} pass - Provider pass, for the logs
+ * @param {Function} call - () => Promise of the pass result
+ */
+async function callWithRetries(pass, providerName, call) {
+  const startTime = getContext().startTime || Date.now();
+
+  for (let retry = 0; ; retry++) {
+    try {
+      return await call();
+    } catch (error) {
+      if (!isTransient(error) || retry >= maxRetries) {
+        throw error;
+      }
+
+      const retryAfter = retryAfterMs(error);
+      const delayMs = retryAfter ?? backoffMs(retry);
+      const elapsedMs = Date.now() - startTime;
+      if (elapsedMs + delayMs > timeBudgetMs) {
+        logger.warn('LLM call failed, retry time budget exhausted', {
+          stage: 'retry',
+          pass,
+          provider: providerName,
+          retries: retry,
+          status: error.status,
+          error: error.message,
+          delayMs,
+          elapsedMs
+        });
+        throw error;
+      }
+
+      logger.warn('LLM call failed, retrying', {
+        stage: 'retry',
+        pass,
+        provider: providerName,
+        attempt: retry + 1,
+        maxRetries,
+        status: error.status,
+        error: error.message,
+        retryAfterMs: retryAfter,
+        delayMs
+      });
+      trace.getActiveSpan()?.addEvent('retry', {
+        attempt: retry + 1,
+        'error.status': error.status || 0,
+        'retry.delay_ms': delayMs
+      });
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+/**
+ * Retry transient failures of every pass of a provider. A failed pass is
+ * retried on its own, the passes before it are not repeated.
+ * @param {Object} provider - Provider instance, changed in place
+ * @param {Array} passes - Names of its pass methods
+ */
+function withRetries(provider, passes) {
+  passes.forEach(pass => {
+    const call = provider[pass].bind(provider);
+    provider[pass] = args => callWithRetries(pass, provider.name, () => call(args));
+  });
+  return provider;
+}
+
+module.exports = {
+  withRetries,
+  isTransient,
+  retryAfterMs
+};
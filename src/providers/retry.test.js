@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useTestEnvironment } = require('../testSupport');
+
+useTestEnvironment({
+  LLM_MAX_RETRIES: '2',
+  LLM_RETRY_BASE_DELAY_MS: '1',
+  LLM_RETRY_MAX_DELAY_MS: '5',
+  LLM_RETRY_TIME_BUDGET_MS: '1000'
+});
+
+const { APIConnectionError } = require('@anthropic-ai/sdk');
+const { withRetries, isTransient, retryAfterMs } = require('./retry');
+
+function apiError(status, headers) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  error.headers = headers;
+  return error;
+}
+
+/**
+ * Provider whose passes fail with the given errors before they succeed
+ */
+function flakyProvider(failures) {
+  const calls = { classify: 0, extractWithTool: 0 };
+  const provider = {
+    name: 'flaky',
+    async classify() {
+      calls.classify++;
+      if (failures.classify?.length) throw failures.classify.shift();
+      return { text: 'SINGLE' };
+    },
+    async extractWithTool() {
+      calls.extractWithTool++;
+      if (failures.extractWithTool?.length) throw failures.extractWithTool.shift();
+      return { toolInput: {} };
+    }
+  };
+  return { provider: withRetries(provider, ['classify', 'extractWithTool']), calls };
+}
+
+test('retries rate limits, overload and network errors only', () => {
+  assert.equal(isTransient(apiError(429)), true);
+  assert.equal(isTransient(apiError(529)), true);
+  assert.equal(isTransient({ status: 500, error: { error: { type: 'overloaded_error' } } }), true);
+  assert.equal(isTransient(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), true);
+  assert.equal(isTransient(new APIConnectionError({ message: 'Connection error.' })), true);
+
+  assert.equal(isTransient(apiError(400)), false);
+  assert.equal(isTransient(apiError(401)), false);
+  assert.equal(isTransient(new Error('ANTHROPIC_API_KEY is not configured')), false);
+});
+
+test('reads retry-after in milliseconds, seconds or as an HTTP date', () => {
+  assert.equal(retryAfterMs(apiError(429, new Headers({ 'retry-after-ms': '250' }))), 250);
+  assert.equal(retryAfterMs(apiError(429, { 'retry-after': '2' })), 2000);
+
+  const date = retryAfterMs(apiError(429, { 'retry-after': new Date(Date.now() + 10000).toUTCString() }));
+  assert.ok(date > 8000 && date <= 10000);
+  assert.equal(retryAfterMs(apiError(429, { 'retry-after': 'soon' })), null);
+  assert.equal(retryAfterMs(apiError(429)), null);
+});
+
+test('resumes from the failed pass instead of starting over', async () => {
+  const { provider, calls } = flakyProvider({ extractWithTool: [apiError(529), apiError(429)] });
+
+  await provider.classify({});
+  assert.deepEqual(await provider.extractWithTool({}), { toolInput: {} });
+  assert.deepEqual(calls, { classify: 1, extractWithTool: 3 });
+});
+
+test('gives up after LLM_MAX_RETRIES and on errors that are not transient', async () => {
+  const exhausted = flakyProvider({ classify: [apiError(429), apiError(429), apiError(429)] });
+  await assert.rejects(exhausted.provider.classify({}), { status: 429 });
+  assert.equal(exhausted.calls.classify, 3);
+
+  const invalid = flakyProvider({ classify: [apiError(400)] });
+  await assert.rejects(invalid.provider.classify({}), { status: 400 });
+  assert.equal(invalid.calls.classify, 1);
+});
+
+test('waits as long as retry-after asks', async () => {
+  const { provider, calls } = flakyProvider({ classify: [apiError(429, { 'retry-after-ms': '50' })] });
+
+  const start = Date.now();
+  await provider.classify({});
+  assert.ok(Date.now() - start >= 45);
+  assert.equal(calls.classify, 2);
+});
+
+test('fails instead of waiting beyond the time budget', async () => {
+  const { provider, calls } = flakyProvider({ classify: [apiError(429, { 'retry-after': '5' })] });
+
+  const start = Date.now();
+  await assert.rejects(provider.classify({}), { status: 429 });
+  assert.ok(Date.now() - start < 1000);
+  assert.equal(calls.classify, 1);
+});
@@ -1,120 +1,18 @@
 const express = require('express');
 const fs = require('fs').promises;
-const { v4: uuidv4 } = require('uuid');
-const rateLimit = require('express-rate-limit');
 
 const { upload, handleMulterError, cleanupFile } = require('../middleware/upload');
-const validatedClaudeService = require('../services/validatedClaudeService');
-const validator = require('../utils/validator');
+const { enforceQuota } = require('../middleware/auth');
+const { circuitGate } = require('../middleware/circuitGate');
+const { expensiveLimiter } = require('../middleware/rateLimiter');
+const { runCleanExtraction, includeOptions, withExtras } = require('../services/extractionPipeline');
+const { getContext } = require('../middleware/correlationContext');
+const { schemaHeader } = require('../utils/schemaVersions');
+const progressTracker = require('../utils/progressTracker');
 const logger = require('../utils/contextLogger');
 
 const router = express.Router();
 
-const extractionLimiter = rateLimit({
-  windowMs: 60 * 1000,
-  max: 5,
-  message: 'Too many extraction requests. Please try again later.',
-  standardHeaders: true,
-  legacyHeaders: false,
-  handler: (req, res) => {
-    logger.warn(`Rate limit exceeded for IP: ${req.ip}`);
-    res.status(429).json({
-      error: 'Too Many Requests',
-      message: 'Too many clean extraction requests. Please try again later.',
-      status: 429
-    });
-  }
-});
-
-/**
- * Apply intelligent corrections based on validation findings
- * This uses the validation report to fix known issues in the extracted data
- */
-function applyIntelligentCorrections(data, validation) {
-  const corrected = JSON.parse(JSON.stringify(data)); // Deep clone
-
-  if (!validation || !validation.self_verification) {
-    return corrected;
-  }
-
-  const verifications = validation.self_verification.field_verifications || [];
-  const criticalIssues = validation.self_verification.critical_issues || [];
-
-  // Apply field-level corrections
-  verifications.forEach(verification => {
-    if (verification.status === 'INCORRECT' && verification.correct_value !== undefined) {
-      applyFieldCorrection(corrected, verification.field_path, verification.correct_value);
-    }
-
-    // Remove fabricated data
-    if (verification.status === 'FABRICATED') {
-      applyFieldCorrection(corrected, verification.field_path, null);
-      logger.info(`Removed fabricated field: ${verification.field_path}`);
-    }
-
-    // Add missing data
-    if (verification.status === 'MISSING' && verification.correct_value !== undefined) {
-      applyFieldCorrection(corrected, verification.field_path, verification.correct_value);
-      logger.info(`Added missing field: ${verification.field_path}`);
-    }
-  });
-
-  // Handle specific critical issues
-  criticalIssues.forEach(issue => {
-    if (issue.includes('Land area') && issue.includes('not stated')) {
-      // Set land_area_sqm to null if it's fabricated
-      if (corrected.property_metrics) {
-        corrected.property_metrics.land_area_sqm = null;
-      }
-    }
-
-    if (issue.includes('Parking area in sqm') && issue.includes('fabricated')) {
-      // Remove parking_sqm if fabricated
-      if (corrected.property_metrics?.breakdown_by_use) {
-        corrected.property_metrics.breakdown_by_use.parking_sqm = null;
-      }
-    }
-  });
-
-  // Apply calculation corrections if breakdowns don't match totals
-  if (validation.calculation_validation?.issues) {
-    validation.calculation_validation.issues.forEach(issue => {
-      if (issue.field === 'property_metrics.total_usable_area_sqm') {
-        // If breakdown doesn't sum correctly, trust the stated total
-        logger.info(`Area breakdown sum (${issue.difference}) doesn't match total - keeping stated total`);
-      }
-
-      if (issue.field === 'financial.total_rental_income_annual_eur') {
-        // If income breakdown doesn't sum correctly, trust the stated total
-        logger.info(`Income breakdown sum (${issue.difference}) doesn't match total - keeping stated total`);
-      }
-    });
-  }
-
-  return corrected;
-}
-
-/**
- * Apply a correction to a nested field path
- * Example: "property_identity.city" -> corrected.property_identity.city = value
- */
-function applyFieldCorrection(obj, fieldPath, value) {
-  const parts = fieldPath.split('.');
-  let current = obj;
-
-  // Navigate to parent object
-  for (let i = 0; i < parts.length - 1; i++) {
-    if (!current[parts[i]]) {
-      current[parts[i]] = {};
-    }
-    current = current[parts[i]];
-  }
-
-  // Set the value
-  const lastPart = parts[parts.length - 1];
-  current[lastPart] = value;
-}
-
 /**
  * POST /api/extract-clean
  *
@@ -126,14 +24,29 @@ function applyFieldCorrection(obj, fieldPath, value) {
  * - X-Corrections-Applied: Whether corrections were made (true/false)
  * - X-Fabrications-Detected: Number of fabricated fields removed
  * - X-Validation-Issues: Number of critical issues found
+ * - X-Cache: HIT when the result of an identical PDF was returned from the store
+ * - X-Review-ID: Set when the extraction is waiting in the human review queue (see /api/reviews)
+ * - X-Prompt-Version: Prompt version that produced the data (see /api/prompts)
+ * - X-Schema-Version: Schema and version the data follows, e.g. "complex@1"
+ *
+ * Query parameters:
+ * - force=true: Bypass the result cache and re-run the extraction
+ * - include=sources: Respond with { data, sources }, a page number, verbatim snippet and
+ *   arithmetic for every extracted value
+ * - include=confidence: Respond with { data, confidence }, the verification status and a 0-100
+ *   confidence per field path (combine as include=sources,confidence)
+ * - broker: Broker of the exposé, prefers reviewed correction examples of the same broker in the prompts
+ * - prompt_version: Pin a prompt version (default: PROMPT_VERSION), see GET /api/prompts
  */
 router.post(
   '/extract-clean',
-  extractionLimiter,
+  expensiveLimiter,
+  enforceQuota,
+  circuitGate('clean'),
   upload.single('pdf'),
   handleMulterError,
   async (req, res, next) => {
-    const requestId = uuidv4();
+    const { requestId } = getContext();
     const startTime = Date.now();
     let filePath = null;
 
@@ -154,23 +67,16 @@ router.post(
       });
 
       const fileBuffer = await fs.readFile(filePath);
-      const base64Pdf = fileBuffer.toString('base64');
-
-      // Use validated extraction service
-      const result = await validatedClaudeService.extractPropertyData(base64Pdf, true);
-
-      // Apply intelligent corrections based on validation findings
-      const cleanedData = applyIntelligentCorrections(result.data, result.validation);
-
-      // Run schema validation on cleaned data
-      const schemaValidation = validator.validatePropertyData(cleanedData);
-      if (!schemaValidation.valid) {
-        logger.warn('Schema validation warnings on cleaned data:', {
-          requestId,
-          warnings: schemaValidation.warnings,
-          errors: schemaValidation.errors
-        });
-      }
+
+      // Validated extraction with intelligent corrections applied
+      const { data: cleanedData, sources, confidence, result, extractionId, reviewId, cached } = await runCleanExtraction(fileBuffer, {
+        originalName: req.file.originalname,
+        force: req.query.force === 'true',
+        broker: req.query.broker,
+        promptVersion: req.query.prompt_version,
+        ...includeOptions(req.query)
+      });
+      const responseBody = withExtras(cleanedData, { sources, confidence });
 
       const processingTime = Date.now() - startTime;
 
@@ -200,11 +106,16 @@ router.post(
         'X-Fabrications-Detected': fabricationsDetected.toString(),
         'X-Validation-Issues': criticalIssues.toString(),
         'X-Model': result.metadata?.model || 'unknown',
-        'X-Classification': result.metadata?.classification || 'unknown'
+        'X-Classification': result.metadata?.classification || 'unknown',
+        'X-Cache': cached ? 'HIT' : 'MISS',
+        ...(result.metadata?.promptVersion && { 'X-Prompt-Version': result.metadata.promptVersion }),
+        ...(result.metadata?.schema && { 'X-Schema-Version': schemaHeader(result.metadata.schema) }),
+        ...(extractionId && { 'X-Extraction-ID': extractionId }),
+        ...(reviewId && { 'X-Review-ID': reviewId })
       });
 
       // Calculate response size
-      const responseSizeKB = Math.round(JSON.stringify(cleanedData).length / 1024);
+      const responseSizeKB = Math.round(JSON.stringify(responseBody).length / 1024);
 
       // Log response before sending
       const responseLog = {
@@ -223,13 +134,14 @@ router.post(
 
       // Optionally log full response body (only enable for debugging)
       if (process.env.LOG_RESPONSE_BODY === 'true') {
-        responseLog.responseBody = cleanedData;
+        responseLog.responseBody = responseBody;
       }
 
       logger.info('Sending response', responseLog);
 
-      // Return ONLY the cleaned data (no validation wrapper)
-      res.json(cleanedData);
+      // Return ONLY the cleaned data (no validation wrapper), plus citations if requested
+      progressTracker.publishResult(responseBody);
+      res.json(responseBody);
 
     } catch (error) {
       logger.error(`Clean extraction failed`, {
@@ -243,6 +155,7 @@ router.post(
         error.message = 'Uploaded file was not found or could not be processed.';
       }
 
+      progressTracker.publishFailure(error);
       next(error);
 
     } finally {
@@ -269,14 +182,24 @@ router.post(
  *     "summary": "..."
  *   }
  * }
+ *
+ * Query parameters:
+ * - force=true: Bypass the result cache and re-run the extraction
+ * - include=sources: Add `sources`, a page number, verbatim snippet and arithmetic for every
+ *   extracted value
+ * - include=confidence: Add `confidence`, the verification status and a 0-100 confidence per field path
+ * - broker: Broker of the exposé, prefers reviewed correction examples of the same broker in the prompts
+ * - prompt_version: Pin a prompt version (default: PROMPT_VERSION), see GET /api/prompts
  */
 router.post(
   '/extract-clean-with-report',
-  extractionLimiter,
+  expensiveLimiter,
+  enforceQuota,
+  circuitGate('clean'),
   upload.single('pdf'),
   handleMulterError,
   async (req, res, next) => {
-    const requestId = uuidv4();
+    const { requestId } = getContext();
     const startTime = Date.now();
     let filePath = null;
 
@@ -291,36 +214,37 @@ router.post(
 
       filePath = req.file.path;
       const fileBuffer = await fs.readFile(filePath);
-      const base64Pdf = fileBuffer.toString('base64');
 
-      // Use validated extraction service
-      const result = await validatedClaudeService.extractPropertyData(base64Pdf, true);
-
-      // Apply intelligent corrections
-      const cleanedData = applyIntelligentCorrections(result.data, result.validation);
+      // Validated extraction with intelligent corrections and simplified report
+      const { data: cleanedData, sources, confidence, result, report, extractionId, reviewId, cached } = await runCleanExtraction(fileBuffer, {
+        originalName: req.file.originalname,
+        force: req.query.force === 'true',
+        broker: req.query.broker,
+        promptVersion: req.query.prompt_version,
+        ...includeOptions(req.query)
+      });
+      const responseBody = {
+        data: cleanedData,
+        ...(sources && { sources }),
+        ...(confidence && { confidence }),
+        report
+      };
 
       const processingTime = Date.now() - startTime;
 
-      // Build simplified validation report
-      const report = {
-        confidence_score: result.validation?.confidence_score || 0,
-        corrections_applied: result.validation?.corrections_applied || false,
-        verification_summary: result.validation?.self_verification?.verification_summary || {},
-        critical_issues: result.validation?.self_verification?.critical_issues || [],
-        calculation_issues: result.validation?.calculation_validation?.issues || [],
-        recommendation: getRecommendation(result.validation)
-      };
-
       res.set({
         'Content-Type': 'application/json',
         'X-Request-ID': requestId,
-        'X-Processing-Time': `${processingTime}ms`
+        'X-Processing-Time': `${processingTime}ms`,
+        'X-Cache': cached ? 'HIT' : 'MISS',
+        ...(result.metadata?.promptVersion && { 'X-Prompt-Version': result.metadata.promptVersion }),
+        ...(result.metadata?.schema && { 'X-Schema-Version': schemaHeader(result.metadata.schema) }),
+        ...(extractionId && { 'X-Extraction-ID': extractionId }),
+        ...(reviewId && { 'X-Review-ID': reviewId })
       });
 
-      res.json({
-        data: cleanedData,
-        report
-      });
+      progressTracker.publishResult(responseBody);
+      res.json(responseBody);
 
     } catch (error) {
       logger.error(`Clean extraction with report failed`, {
@@ -328,6 +252,7 @@ router.post(
         error: error.message
       });
 
+      progressTracker.publishFailure(error);
       next(error);
 
     } finally {
@@ -338,34 +263,6 @@ router.post(
   }
 );
 
-/**
- * Generate a recommendation based on validation results
- */
-function getRecommendation(validation) {
-  if (!validation) {
-    return 'No validation performed';
-  }
-
-  const confidenceScore = validation.confidence_score || 0;
-  const fabrications = validation.self_verification?.verification_summary?.fabricated || 0;
-  const criticalIssues = validation.self_verification?.critical_issues?.length || 0;
-  const calculationIssues = validation.calculation_validation?.issues?.filter(i => i.severity === 'high').length || 0;
-
-  if (confidenceScore < 60 || fabrications > 5 || criticalIssues > 5) {
-    return 'LOW CONFIDENCE - Manual review strongly recommended. Multiple critical issues detected.';
-  }
-
-  if (confidenceScore < 75 || fabrications > 2 || criticalIssues > 2 || calculationIssues > 2) {
-    return 'MEDIUM CONFIDENCE - Review recommended for critical fields (financial data, areas).';
-  }
-
-  if (confidenceScore >= 90 && fabrications === 0 && criticalIssues === 0) {
-    return 'HIGH CONFIDENCE - Data appears accurate and reliable.';
-  }
-
-  return 'ACCEPTABLE CONFIDENCE - Data has been validated and corrected. Spot checks recommended.';
-}
-
 /**
  * GET endpoint - Shows usage information
  */
@@ -392,7 +289,11 @@ router.get('/extract-clean', (req, res) => {
       'X-Fabrications-Detected': 'Number of fabricated fields removed',
       'X-Validation-Issues': 'Number of critical issues found',
       'X-Model': 'Claude model used',
-      'X-Classification': 'SINGLE or PORTFOLIO'
+      'X-Classification': 'SINGLE or PORTFOLIO',
+      'X-Cache': 'HIT if an identical PDF was already extracted (bypass with ?force=true), otherwise MISS',
+      'X-Review-ID': 'Review queue entry when the extraction needs a human review (see /api/reviews)',
+      'X-Prompt-Version': 'Prompt version that produced the data (see /api/prompts)',
+      'X-Schema-Version': 'Schema and version the data follows, e.g. complex@1'
     }
   });
 });
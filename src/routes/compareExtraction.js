@@ -0,0 +1,145 @@
+const express = require('express');
+const fs = require('fs').promises;
+
+const { upload, handleMulterError, cleanupFile } = require('../middleware/upload');
+const { enforceQuota } = require('../middleware/auth');
+const { circuitGate } = require('../middleware/circuitGate');
+const { expensiveLimiter } = require('../middleware/rateLimiter');
+const { runComparison } = require('../services/extractionPipeline');
+const { getContext } = require('../middleware/correlationContext');
+const progressTracker = require('../utils/progressTracker');
+const logger = require('../utils/contextLogger');
+
+const router = express.Router();
+
+/**
+ * POST /api/extract-compare
+ *
+ * Runs the standard and the validated extraction on the same PDF (sharing one
+ * classification pass) and compares them field by field. Meant for QA: the
+ * recommendation tells whether a document needs the expensive validated mode.
+ *
+ * Response format:
+ * {
+ *   "classification": "SINGLE",
+ *   "standard":   { "data": {...}, "metadata": {...} },
+ *   "validated":  { "data": {...}, "validation": {...}, "metadata": {...} },
+ *   "comparison": { "differences": [...], "statistics": {...}, "confidence_metrics": {...} },
+ *   "summary":    { "overview": {...}, "critical_findings": {...}, "validation_quality": {...}, "recommendation": "..." },
+ *   "recommendation": "RECOMMENDED: Use validated extraction for improved accuracy",
+ *   "metadata":   { "classification": "SINGLE", "totalCost": 0.41, "totalTokens": 123456, "apiCallsCount": 5 }
+ * }
+ *
+ * Query parameters:
+ * - prompt_version: Pin a prompt version (default: PROMPT_VERSION), see GET /api/prompts
+ *
+ * Comparisons always run fresh and are not stored in the extraction history.
+ */
+router.post(
+  '/extract-compare',
+  expensiveLimiter,
+  enforceQuota,
+  circuitGate(),
+  upload.single('pdf'),
+  handleMulterError,
+  async (req, res, next) => {
+    const { requestId } = getContext();
+    let filePath = null;
+
+    logger.info(`Starting extraction comparison`, { requestId });
+
+    try {
+      if (!req.file) {
+        const error = new Error('No PDF file provided. Please upload a file with field name "pdf".');
+        error.status = 400;
+        throw error;
+      }
+
+      filePath = req.file.path;
+      logger.info(`Processing file: ${req.file.originalname}`, {
+        requestId,
+        fileSize: req.file.size,
+        mimeType: req.file.mimetype
+      });
+
+      const fileBuffer = await fs.readFile(filePath);
+      const result = await runComparison(fileBuffer, {
+        originalName: req.file.originalname,
+        promptVersion: req.query.prompt_version
+      });
+
+      logger.info(`Extraction comparison completed`, {
+        requestId,
+        processingTime: `${result.metadata.processingTime}ms`,
+        classification: result.classification,
+        fieldsCompared: result.comparison.statistics.fields_compared,
+        fieldsDifferent: result.comparison.statistics.fields_different,
+        totalCost: result.metadata.totalCost,
+        recommendation: result.summary.recommendation
+      });
+
+      res.set({
+        'Content-Type': 'application/json',
+        'X-Request-ID': requestId,
+        'X-Processing-Time': `${result.metadata.processingTime}ms`,
+        'X-Classification': result.classification
+      });
+
+      const body = {
+        classification: result.classification,
+        standard: result.standard,
+        validated: result.validated,
+        comparison: result.comparison,
+        summary: result.summary,
+        recommendation: result.summary.recommendation,
+        metadata: result.metadata
+      };
+
+      progressTracker.publishResult(body);
+      res.json(body);
+
+    } catch (error) {
+      logger.error(`Extraction comparison failed`, {
+        requestId,
+        error: error.message,
+        stack: error.stack
+      });
+
+      progressTracker.publishFailure(error);
+      next(error);
+
+    } finally {
+      if (filePath) {
+        cleanupFile(filePath);
+      }
+    }
+  }
+);
+
+/**
+ * GET endpoint - Shows usage information
+ */
+router.get('/extract-compare', (req, res) => {
+  res.status(405).json({
+    error: 'Method Not Allowed',
+    message: 'This endpoint only accepts POST requests with PDF files',
+    status: 405,
+    usage: {
+      method: 'POST',
+      endpoint: '/api/extract-compare',
+      contentType: 'multipart/form-data',
+      field: 'pdf',
+      description: 'Runs standard and validated extraction on one PDF and compares the results',
+      responseFormat: {
+        classification: 'SINGLE or PORTFOLIO (shared by both extractions)',
+        standard: '{ data, metadata } from the standard extraction',
+        validated: '{ data, validation, metadata } from the validated extraction',
+        comparison: 'field-by-field differences and statistics',
+        summary: 'overview, critical findings and validation quality',
+        recommendation: 'whether the validated mode is worth its cost for this document'
+      }
+    }
+  });
+});
+
+module.exports = router;
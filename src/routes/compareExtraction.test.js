@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { useTestEnvironment, samplePdf, startApp, waitFor } = require('../testSupport');
+
+useTestEnvironment();
+
+const compareRoutes = require('./compareExtraction');
+const extractionStore = require('../services/extractionStore');
+const { getProvider } = require('../providers');
+
+let server;
+
+before(async () => {
+  server = await startApp(compareRoutes);
+});
+
+after(() => server.close());
+
+function upload(pdf, name = 'munich.pdf') {
+  const form = new FormData();
+  form.append('pdf', new Blob([pdf], { type: 'application/pdf' }), name);
+  return fetch(`${server.url}/extract-compare`, { method: 'POST', body: form });
+}
+
+test('returns both extractions with the diff report and a recommendation', async () => {
+  const response = await upload(samplePdf('compare'));
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('x-classification'), 'SINGLE');
+
+  const body = await response.json();
+  assert.equal(body.classification, 'SINGLE');
+  assert.equal(body.standard.data.property_identity.city, 'München');
+  assert.ok(body.validated.validation);
+  assert.ok(body.comparison.statistics.fields_compared > 0);
+  assert.equal(body.comparison.statistics.fields_compared,
+    body.comparison.statistics.fields_identical + body.comparison.statistics.fields_different);
+  assert.equal(body.recommendation, body.summary.recommendation);
+  assert.match(body.recommendation, /^[A-Z ]+: /);
+});
+
+test('classifies the document once for both extractions', async () => {
+  const provider = getProvider();
+  const classify = provider.classify;
+  let classifications = 0;
+  provider.classify = request => {
+    classifications++;
+    return classify.call(provider, request);
+  };
+
+  try {
+    const response = await upload(samplePdf('one classification'));
+    assert.equal(response.status, 200);
+    assert.equal(classifications, 1);
+  } finally {
+    provider.classify = classify;
+  }
+});
+
+test('neither stores the comparison nor keeps the upload', async () => {
+  await upload(samplePdf('not stored'));
+
+  assert.equal(extractionStore.list().total, 0);
+  await waitFor(() => fs.readdirSync(process.env.UPLOAD_DIR).length === 0);
+});
+
+test('rejects requests without a PDF and explains GET requests', async () => {
+  const missing = await fetch(`${server.url}/extract-compare`, { method: 'POST' });
+  assert.equal(missing.status, 400);
+
+  const usage = await fetch(`${server.url}/extract-compare`);
+  assert.equal(usage.status, 405);
+  assert.equal((await usage.json()).usage.endpoint, '/api/extract-compare');
+});
@@ -0,0 +1,76 @@
+const express = require('express');
+
+const costLedger = require('../services/costLedger');
+const apiKeyStore = require('../services/apiKeyStore');
+const { requireRole } = require('../middleware/auth');
+const { listPrices } = require('../utils/pricing');
+
+const router = express.Router();
+
+/**
+ * Client whose spend the caller may see: any (or all) for admins and without
+ * authentication, otherwise only the caller's own
+ */
+function reportedClientId(req) {
+  const requested = req.query.client_id;
+  if (!req.apiClient || apiKeyStore.hasRole(req.apiClient, 'admin')) {
+    return requested;
+  }
+
+  if (requested && requested !== req.apiClient.id) {
+    const error = new Error('The spend of other clients requires the admin role');
+    error.name = 'ForbiddenError';
+    error.status = 403;
+    throw error;
+  }
+  return req.apiClient.id;
+}
+
+/**
+ * GET /api/costs
+ *
+ * Claude spend from the cost ledger, totalled and grouped by one dimension.
+ *
+ * Query parameters:
+ * - from, to: UTC days (YYYY-MM-DD), inclusive; default the current month up to today
+ * - group_by: day (default) | client | endpoint | classification | document | model | pass | mode
+ * - client_id: Only the spend of this API client. Without the admin role the
+ *   report always covers the caller's own spend only
+ *
+ * Response format:
+ * {
+ *   "from": "2025-01-01",
+ *   "to": "2025-01-31",
+ *   "groupBy": "document",
+ *   "clientId": null,
+ *   "currency": "USD",
+ *   "total": { "costUsd": 41.2, "calls": 702, "documents": 128, "costPerDocumentUsd": 0.3219, "inputTokens": ..., ... },
+ *   "groups": [
+ *     { "key": "4d96...", "originalName": "expose.pdf", "costUsd": 0.6501, "calls": 10, "documents": 1, ... }
+ *   ]
+ * }
+ */
+router.get('/costs', async (req, res, next) => {
+  try {
+    res.json(await costLedger.report({
+      from: req.query.from,
+      to: req.query.to,
+      groupBy: req.query.group_by,
+      clientId: reportedClientId(req)
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/costs/prices
+ *
+ * The price table costs are calculated with, USD per million tokens per model.
+ * Admin only.
+ */
+router.get('/costs/prices', requireRole('admin'), (req, res) => {
+  res.json({ currency: 'USD', unit: 'per million tokens', prices: listPrices() });
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { useTestEnvironment, startApp } = require('../testSupport');
+
+useTestEnvironment({ AUTH_ENABLED: 'true' });
+
+const apiKeyStore = require('../services/apiKeyStore');
+const costLedger = require('../services/costLedger');
+const { asyncLocalStorage } = require('../middleware/correlationContext');
+const { authenticate } = require('../middleware/auth');
+const costRoutes = require('./costs');
+
+const own = apiKeyStore.createClient('own');
+const other = apiKeyStore.createClient('other');
+const admin = apiKeyStore.createClient('admin', {}, ['admin']);
+
+let server;
+
+before(async () => {
+  [[own, 1], [other, 2]].forEach(([{ client }, calls]) => {
+    for (let call = 0; call < calls; call++) {
+      asyncLocalStorage.run({ clientId: client.id, endpoint: '/api/extract-property-data' }, () =>
+        costLedger.record({ pass: 'extraction', provider: 'mock', model: 'mock', usage: { input_tokens: 1000 } }));
+    }
+  });
+
+  const api = express.Router();
+  api.use(authenticate, costRoutes);
+  const app = express.Router();
+  app.use('/api', api);
+  server = await startApp(app);
+});
+
+after(() => server.close());
+
+function get(path, apiKey) {
+  return fetch(`${server.url}/api${path}`, { headers: { 'X-API-Key': apiKey } });
+}
+
+test('reports the caller\'s own spend only', async () => {
+  const response = await get('/costs', own.apiKey);
+  assert.equal(response.status, 200);
+
+  const report = await response.json();
+  assert.equal(report.clientId, own.client.id);
+  assert.equal(report.total.calls, 1);
+  assert.equal(report.currency, 'USD');
+
+  assert.equal((await get(`/costs?client_id=${own.client.id}`, own.apiKey)).status, 200);
+  assert.equal((await get(`/costs?client_id=${other.client.id}`, own.apiKey)).status, 403);
+});
+
+test('reports the spend of all clients or any one to admins', async () => {
+  const all = await (await get('/costs?group_by=client', admin.apiKey)).json();
+  assert.equal(all.clientId, null);
+  assert.equal(all.total.calls, 3);
+  assert.deepEqual(all.groups.map(group => [group.name, group.calls]), [['other', 2], ['own', 1]]);
+
+  const one = await (await get(`/costs?client_id=${other.client.id}&group_by=endpoint`, admin.apiKey)).json();
+  assert.deepEqual(one.groups.map(group => [group.key, group.calls]), [['/api/extract-property-data', 2]]);
+});
+
+test('rejects invalid query parameters', async () => {
+  assert.equal((await get('/costs?group_by=weekday', own.apiKey)).status, 400);
+  assert.equal((await get('/costs?from=2025-1-1', own.apiKey)).status, 400);
+});
+
+test('shows the price table to admins only', async () => {
+  assert.equal((await get('/costs/prices', own.apiKey)).status, 403);
+
+  const response = await get('/costs/prices', admin.apiKey);
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.unit, 'per million tokens');
+  assert.deepEqual(body.prices.default, { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 });
+});
@@ -0,0 +1,134 @@
+const express = require('express');
+
+const { requireRole } = require('../middleware/auth');
+const apiKeyStore = require('../services/apiKeyStore');
+const correctionExamples = require('../services/correctionExamples');
+const extractionStore = require('../services/extractionStore');
+const { valueAtPath } = require('../utils/fieldPaths');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 200;
+
+function parseCount(value, fallback, max) {
+  const parsed = parseInt(value, 10);
+  if (isNaN(parsed) || parsed < 0) return fallback;
+  return max ? Math.min(parsed, max) : parsed;
+}
+
+function notFound(res, message) {
+  return res.status(404).json({
+    error: 'Not Found',
+    message,
+    status: 404
+  });
+}
+
+/**
+ * Extractions a caller may take an example from: their own, any for admins
+ */
+function canUse(req, record) {
+  return apiKeyStore.hasRole(req.apiClient, 'admin') || (record.clientId || null) === (req.apiClient?.id ?? null);
+}
+
+/**
+ * GET /api/examples
+ *
+ * Lists the correction examples used as few-shot examples, newest first.
+ * Examples hold excerpts of other clients' documents, so this requires the reviewer role.
+ *
+ * Query parameters:
+ * - broker: Broker name (case-insensitive)
+ * - category: Error category (case-insensitive), e.g. "Baujahr summed wrongly"
+ * - field: Field path, portfolio indexes match any property ("[0].city" = "[3].city")
+ * - limit (default 50, max 200), offset
+ */
+router.get('/examples', requireRole('reviewer'), (req, res, next) => {
+  try {
+    res.json(correctionExamples.list({
+      broker: req.query.broker,
+      category: req.query.category,
+      field: req.query.field,
+      limit: parseCount(req.query.limit, 50, MAX_PAGE_SIZE),
+      offset: parseCount(req.query.offset, 0)
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/examples
+ *
+ * Submits a corrected value as a few-shot example for the validated prompts.
+ * Examples end up in the prompts of every client, so this requires the reviewer role.
+ *
+ * Body:
+ * {
+ *   "extractionId": "5b1d...",          optional, one of the caller's own extractions (any for admins);
+ *                                       fills in wrongValue, excerpt, broker and classification
+ *   "field": "project_details.original_year_built",
+ *   "correctValue": 1972,
+ *   "wrongValue": 3946,                 taken from the extraction when omitted
+ *   "excerpt": "Baujahr: BV14 1972, BV16 1974",
+ *   "rule": "Take the earliest Baujahr of all buildings, never add years",
+ *   "category": "Baujahr summed wrongly",
+ *   "broker": "Engel & Völkers"
+ * }
+ */
+router.post('/examples', requireRole('reviewer'), async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    let fromExtraction = {};
+
+    if (body.extractionId) {
+      const record = await extractionStore.get(body.extractionId);
+      if (!record || !canUse(req, record)) {
+        return notFound(res, `Extraction ${body.extractionId} not found`);
+      }
+
+      const modelData = record.originalData ?? record.data;
+      fromExtraction = {
+        wrongValue: typeof body.field === 'string' ? valueAtPath(modelData, body.field) ?? null : null,
+        excerpt: record.sources?.[body.field]?.snippet || null,
+        broker: record.broker,
+        classification: record.classification
+      };
+    }
+
+    const example = await correctionExamples.add({
+      field: body.field,
+      correctValue: body.correctValue,
+      wrongValue: body.wrongValue ?? fromExtraction.wrongValue,
+      excerpt: body.excerpt ?? fromExtraction.excerpt,
+      rule: body.rule,
+      category: body.category,
+      broker: body.broker ?? fromExtraction.broker,
+      classification: fromExtraction.classification,
+      extractionId: body.extractionId,
+      createdBy: req.apiClient?.name || body.createdBy || null
+    });
+
+    res.status(201).json(example);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/examples/:id
+ *
+ * Removes an example that turned out to be wrong or misleading. Requires the reviewer role.
+ */
+router.delete('/examples/:id', requireRole('reviewer'), async (req, res, next) => {
+  try {
+    if (!(await correctionExamples.remove(req.params.id))) {
+      return notFound(res, `Example ${req.params.id} not found`);
+    }
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,208 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { useTestEnvironment, startApp } = require('../testSupport');
+
+useTestEnvironment({ AUTH_ENABLED: 'true', FEW_SHOT_MAX_EXAMPLES: '2' });
+
+const apiKeyStore = require('../services/apiKeyStore');
+const extractionStore = require('../services/extractionStore');
+const correctionExamples = require('../services/correctionExamples');
+const reviewQueue = require('../services/reviewQueue');
+const validatedClaudeService = require('../services/validatedClaudeService');
+const { authenticate } = require('../middleware/auth');
+const exampleRoutes = require('./examples');
+
+const client = apiKeyStore.createClient('client');
+const reviewer = apiKeyStore.createClient('reviewer', {}, ['reviewer']);
+const admin = apiKeyStore.createClient('admin', {}, ['admin']);
+
+const baujahr = {
+  field: 'project_details.original_year_built',
+  wrongValue: 3946,
+  correctValue: 1972,
+  excerpt: 'Baujahr: BV14 1972, BV16 1974',
+  rule: 'Take the earliest Baujahr of all buildings, never add years',
+  category: 'Baujahr summed wrongly'
+};
+
+let server;
+
+before(async () => {
+  const api = express.Router();
+  api.use(authenticate, exampleRoutes);
+
+  const app = express.Router();
+  app.use('/api', api);
+  server = await startApp(app);
+});
+
+after(() => server.close());
+
+function request(path, apiKey, { method = 'GET', body } = {}) {
+  return fetch(`${server.url}${path}`, {
+    method,
+    headers: { 'X-API-Key': apiKey, 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+}
+
+async function removeAll() {
+  for (const example of correctionExamples.list({ limit: 1000 }).items) {
+    await correctionExamples.remove(example.id);
+  }
+}
+
+test('lets only reviewers list, add and remove examples', async () => {
+  assert.equal((await request('/api/examples', client.apiKey, { method: 'POST', body: baujahr })).status, 403);
+
+  const created = await request('/api/examples', reviewer.apiKey, { method: 'POST', body: baujahr });
+  assert.equal(created.status, 201);
+  const example = await created.json();
+  assert.equal(example.source, 'api');
+  assert.equal(example.createdBy, 'reviewer');
+
+  assert.equal((await request('/api/examples', client.apiKey)).status, 403);
+  const listed = await (await request('/api/examples?category=baujahr%20summed%20wrongly', reviewer.apiKey)).json();
+  assert.deepEqual(listed.items.map(item => item.id), [example.id]);
+
+  assert.equal((await request(`/api/examples/${example.id}`, client.apiKey, { method: 'DELETE' })).status, 403);
+  assert.equal((await request(`/api/examples/${example.id}`, reviewer.apiKey, { method: 'DELETE' })).status, 204);
+  assert.equal((await request(`/api/examples/${example.id}`, reviewer.apiKey, { method: 'DELETE' })).status, 404);
+});
+
+test('takes the wrong value, excerpt and broker from a stored extraction', async () => {
+  const extraction = await extractionStore.save({
+    clientId: reviewer.client.id,
+    documentHash: 'baujahr',
+    mode: 'clean',
+    broker: 'Engel & Völkers',
+    classification: 'SINGLE',
+    data: { project_details: { original_year_built: 3946 } },
+    sources: { 'project_details.original_year_built': { page: 2, snippet: 'Baujahr: 1972/1974' } }
+  });
+
+  const response = await request('/api/examples', reviewer.apiKey, {
+    method: 'POST',
+    body: { extractionId: extraction.id, field: baujahr.field, correctValue: 1972, rule: baujahr.rule }
+  });
+  assert.equal(response.status, 201);
+
+  const example = await response.json();
+  assert.equal(example.wrongValue, 3946);
+  assert.equal(example.excerpt, 'Baujahr: 1972/1974');
+  assert.equal(example.broker, 'Engel & Völkers');
+  assert.equal(example.classification, 'SINGLE');
+
+  const missing = await request('/api/examples', reviewer.apiKey, {
+    method: 'POST',
+    body: { extractionId: 'unknown', field: baujahr.field, correctValue: 1972, rule: baujahr.rule }
+  });
+  assert.equal(missing.status, 404);
+});
+
+test('takes examples from other clients\' extractions for admins only', async () => {
+  const extraction = await extractionStore.save({
+    clientId: client.client.id,
+    documentHash: 'other client',
+    mode: 'clean',
+    broker: 'Private broker',
+    classification: 'SINGLE',
+    data: { project_details: { original_year_built: 3946 } }
+  });
+  const body = { extractionId: extraction.id, field: baujahr.field, correctValue: 1972, rule: baujahr.rule };
+
+  const forReviewer = await request('/api/examples', reviewer.apiKey, { method: 'POST', body });
+  assert.equal(forReviewer.status, 404);
+  assert.ok(correctionExamples.list({ limit: 1000 }).items.every(example => example.extractionId !== extraction.id));
+
+  const forAdmin = await request('/api/examples', admin.apiKey, { method: 'POST', body });
+  assert.equal(forAdmin.status, 201);
+  assert.equal((await forAdmin.json()).broker, 'Private broker');
+});
+
+test('rejects examples without a rule or without a change', async () => {
+  const post = body => request('/api/examples', reviewer.apiKey, { method: 'POST', body });
+
+  assert.equal((await post({ ...baujahr, rule: ' ' })).status, 400);
+  assert.equal((await post({ ...baujahr, field: undefined })).status, 400);
+  assert.equal((await post({ ...baujahr, wrongValue: 1972 })).status, 400);
+});
+
+test('selects the most relevant examples, one per category, within the cap', async () => {
+  await removeAll();
+  const other = await correctionExamples.add({ ...baujahr, broker: 'Other broker' });
+  const sameBroker = await correctionExamples.add({ ...baujahr, broker: 'Engel & Völkers' });
+  const area = await correctionExamples.add({
+    field: 'property_metrics.total_usable_area_sqm',
+    wrongValue: 345,
+    correctValue: 3450,
+    rule: 'Read thousands separators',
+    category: 'Separator misread'
+  });
+
+  const selected = correctionExamples.select({ classification: 'SINGLE', broker: 'engel & völkers' });
+  assert.deepEqual(selected.map(example => example.id), [sameBroker.id, area.id]);
+
+  // The data under verification repeats a corrected mistake
+  const verification = correctionExamples.select({ data: { property_metrics: { total_usable_area_sqm: 345 } } });
+  assert.equal(verification[0].id, area.id);
+  assert.ok([other.id, sameBroker.id].includes(verification[1].id));
+});
+
+test('keeps the selection within FEW_SHOT_MAX_CHARS', async () => {
+  process.env.FEW_SHOT_MAX_CHARS = '200';
+  const capped = new correctionExamples.constructor();
+  delete process.env.FEW_SHOT_MAX_CHARS;
+
+  const selected = capped.select({});
+  assert.equal(selected.length, 1);
+  assert.ok(capped.formatExample(selected[0], 1).length <= 200);
+});
+
+test('adds the selected examples to the extraction and verification prompts', () => {
+  const examples = correctionExamples.select({ broker: 'Engel & Völkers' });
+
+  const extraction = validatedClaudeService.getExtractionPromptWithSourceAttribution('SINGLE', examples);
+  assert.match(extraction, /LESSONS FROM REVIEWED EXTRACTIONS/);
+  assert.ok(extraction.includes(baujahr.rule));
+  assert.ok(extraction.includes('Wrong: 3946  Correct: 1972'));
+
+  const verification = validatedClaudeService.getVerificationPrompt({}, 'SINGLE', examples);
+  assert.match(verification, /KNOWN ERROR PATTERNS/);
+
+  assert.doesNotMatch(validatedClaudeService.getExtractionPromptWithSourceAttribution('SINGLE', []), /LESSONS FROM/);
+});
+
+test('turns approved review corrections with a rule into examples', async () => {
+  await removeAll();
+  const data = { project_details: { original_year_built: 3946, completion_year: 1975 } };
+  const extraction = await extractionStore.save({ documentHash: 'reviewed', mode: 'clean', broker: 'Engel & Völkers', data });
+  const review = await reviewQueue.enqueue({
+    extractionId: extraction.id,
+    documentHash: 'reviewed',
+    mode: 'clean',
+    broker: 'Engel & Völkers',
+    data,
+    validation: { confidence_score: 40 }
+  });
+
+  await reviewQueue.correct(review.id, [
+    { field: baujahr.field, value: 1972, rule: baujahr.rule, category: baujahr.category },
+    { field: 'project_details.completion_year', value: 1976, comment: 'typo, no rule' }
+  ], 'reviewer');
+  await reviewQueue.approve(review.id, 'reviewer');
+
+  const [example] = correctionExamples.list().items;
+  assert.equal(correctionExamples.list().total, 1);
+  assert.equal(example.source, 'review');
+  assert.equal(example.reviewId, review.id);
+  assert.equal(example.wrongValue, 3946);
+  assert.equal(example.broker, 'Engel & Völkers');
+});
+
+test('keeps examples across restarts', () => {
+  const reloaded = new correctionExamples.constructor();
+  assert.equal(reloaded.list().total, correctionExamples.list().total);
+});
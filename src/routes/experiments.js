@@ -0,0 +1,49 @@
+const express = require('express');
+
+const experimentService = require('../services/experimentService');
+
+const router = express.Router();
+
+/**
+ * GET /api/experiments
+ *
+ * The running experiment (EXPERIMENT_NAME) with its variants and traffic
+ * split, and every experiment with recorded runs.
+ */
+router.get('/experiments', (req, res) => {
+  res.json(experimentService.list());
+});
+
+/**
+ * GET /api/experiments/:name
+ *
+ * Per-variant report of an experiment: runs, failures, mean confidence score,
+ * confidence levels, verification failures (incorrect, missing, fabricated),
+ * correction-pass rate and cost, plus the candidate's difference to the control.
+ *
+ * Response format:
+ * {
+ *   "experiment": "verification-wording",
+ *   "active": true,
+ *   "trafficPercent": 20,
+ *   "variants": {
+ *     "control":   { "promptVersion": "v1", "model": "claude-sonnet-4-5", "runs": 112, "meanConfidence": 84.2, ... },
+ *     "candidate": { "promptVersion": "v2", "model": "claude-sonnet-4-5", "runs": 27, "meanConfidence": 88.9, ... }
+ *   },
+ *   "difference": { "meanConfidence": 4.7, "verificationFailuresPerRun": -0.6, "correctionRate": -0.12, ... }
+ * }
+ */
+router.get('/experiments/:name', (req, res) => {
+  const report = experimentService.report(req.params.name);
+  if (!report) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Experiment ${req.params.name} not found`,
+      status: 404
+    });
+  }
+
+  res.json(report);
+});
+
+module.exports = router;
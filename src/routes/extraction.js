@@ -1,40 +1,41 @@
 const express = require('express');
 const fs = require('fs').promises;
-const path = require('path');
-const pdfParse = require('pdf-parse');
-const { v4: uuidv4 } = require('uuid');
-const rateLimit = require('express-rate-limit');
 
 const { upload, handleMulterError, cleanupFile } = require('../middleware/upload');
-const claudeService = require('../services/claudeService');
-const validator = require('../utils/validator');
+const { enforceQuota } = require('../middleware/auth');
+const { circuitGate } = require('../middleware/circuitGate');
+const { cheapLimiter } = require('../middleware/rateLimiter');
+const { runStandardExtraction, includeOptions, withExtras } = require('../services/extractionPipeline');
+const { getContext } = require('../middleware/correlationContext');
+const { schemaHeader } = require('../utils/schemaVersions');
+const progressTracker = require('../utils/progressTracker');
 const logger = require('../utils/contextLogger');
 
 const router = express.Router();
 
-const extractionLimiter = rateLimit({
-  windowMs: 60 * 1000,
-  max: 10,
-  message: 'Too many extraction requests. Please try again later.',
-  standardHeaders: true,
-  legacyHeaders: false,
-  handler: (req, res) => {
-    logger.warn(`Rate limit exceeded for IP: ${req.ip}`);
-    res.status(429).json({
-      error: 'Too Many Requests',
-      message: 'Too many extraction requests. Please try again later.',
-      status: 429
-    });
-  }
-});
-
+/**
+ * POST /api/extract-property-data
+ *
+ * Fast 2-pass extraction (classification + extraction).
+ *
+ * Query parameters:
+ * - force=true: Bypass the result cache and re-run the extraction
+ * - include=sources: Respond with { data, sources }, a page number, verbatim snippet and
+ *   arithmetic for every extracted value
+ * - prompt_version: Pin a prompt version (default: PROMPT_VERSION), see GET /api/prompts
+ *
+ * The prompt version that produced the data is returned in the X-Prompt-Version header,
+ * the schema version the data follows in X-Schema-Version (e.g. "complex@1").
+ */
 router.post(
   '/extract-property-data',
-  extractionLimiter,
+  cheapLimiter,
+  enforceQuota,
+  circuitGate('standard'),
   upload.single('pdf'),
   handleMulterError,
   async (req, res, next) => {
-    const requestId = uuidv4();
+    const { requestId } = getContext();
     const startTime = Date.now();
     let filePath = null;
 
@@ -55,50 +56,13 @@ router.post(
       });
 
       const fileBuffer = await fs.readFile(filePath);
-
-      logger.info(`Validating PDF structure`, { requestId });
-      const pdfData = await pdfParse(fileBuffer, {
-        max: 100,
-        version: 'v2.0.550'
+      const { data: extractedData, sources, metadata, extractionId, cached } = await runStandardExtraction(fileBuffer, {
+        originalName: req.file.originalname,
+        force: req.query.force === 'true',
+        promptVersion: req.query.prompt_version,
+        includeSources: includeOptions(req.query).includeSources
       });
 
-      if (pdfData.info && pdfData.info.IsAcroFormPresent) {
-        const error = new Error('Password-protected or encrypted PDFs are not supported.');
-        error.status = 422;
-        error.source = 'pdf-validation';
-        throw error;
-      }
-
-      const pageCount = pdfData.numpages || 0;
-      const maxPages = parseInt(process.env.MAX_PDF_PAGES || '100', 10);
-
-      if (pageCount > maxPages) {
-        const error = new Error(`PDF exceeds maximum page limit. Found ${pageCount} pages, maximum is ${maxPages}.`);
-        error.status = 422;
-        error.source = 'pdf-validation';
-        error.details = { pageCount, maxPages };
-        throw error;
-      }
-
-      logger.info(`PDF validation successful`, {
-        requestId,
-        pageCount,
-        textLength: pdfData.text ? pdfData.text.length : 0
-      });
-
-      const base64Pdf = fileBuffer.toString('base64');
-      logger.info(`PDF converted to base64, size: ${base64Pdf.length} characters`, { requestId });
-
-      const extractedData = await claudeService.extractPropertyData(base64Pdf);
-
-      const validationResult = validator.validatePropertyData(extractedData);
-      if (!validationResult.valid) {
-        logger.warn('Extracted data validation warnings:', {
-          requestId,
-          warnings: validationResult.warnings
-        });
-      }
-
       const processingTime = Date.now() - startTime;
       logger.info(`Property data extraction completed successfully`, {
         requestId,
@@ -109,11 +73,17 @@ router.post(
       res.set({
         'Content-Type': 'application/json',
         'X-Request-ID': requestId,
-        'X-Processing-Time': `${processingTime}ms`
+        'X-Processing-Time': `${processingTime}ms`,
+        'X-Cache': cached ? 'HIT' : 'MISS',
+        ...(metadata?.promptVersion && { 'X-Prompt-Version': metadata.promptVersion }),
+        ...(metadata?.schema && { 'X-Schema-Version': schemaHeader(metadata.schema) }),
+        ...(extractionId && { 'X-Extraction-ID': extractionId })
       });
 
+      const responseBody = withExtras(extractedData, { sources });
+
       // Calculate response size
-      const responseJson = JSON.stringify(extractedData);
+      const responseJson = JSON.stringify(responseBody);
       const responseSizeKB = Math.round(responseJson.length / 1024);
 
       // Log response metadata (not full body to save space)
@@ -129,12 +99,13 @@ router.post(
 
       // Optionally log full response body (only enable for debugging)
       if (process.env.LOG_RESPONSE_BODY === 'true') {
-        responseLog.responseBody = extractedData;
+        responseLog.responseBody = responseBody;
       }
 
       logger.info('Sending response', responseLog);
 
-      res.json(extractedData);
+      progressTracker.publishResult(responseBody);
+      res.json(responseBody);
 
     } catch (error) {
       logger.error(`Property data extraction failed`, {
@@ -148,12 +119,7 @@ router.post(
         error.message = 'Uploaded file was not found or could not be processed.';
       }
 
-      if (error.message && error.message.includes('PDF damaged')) {
-        error.status = 422;
-        error.source = 'pdf-validation';
-        error.message = 'The PDF file appears to be damaged or corrupted.';
-      }
-
+      progressTracker.publishFailure(error);
       next(error);
 
     } finally {
@@ -0,0 +1,93 @@
+const express = require('express');
+
+const extractionStore = require('../services/extractionStore');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 200;
+
+function parseDate(value, name) {
+  if (value === undefined) return undefined;
+
+  if (isNaN(new Date(value).getTime())) {
+    const error = new Error(`Invalid ${name} date: ${value}. Use ISO 8601, e.g. 2025-01-31.`);
+    error.status = 400;
+    throw error;
+  }
+  return value;
+}
+
+function parseCount(value, fallback, max) {
+  const parsed = parseInt(value, 10);
+  if (isNaN(parsed) || parsed < 0) return fallback;
+  return max ? Math.min(parsed, max) : parsed;
+}
+
+/**
+ * GET /api/extractions
+ *
+ * Lists the calling client's stored extractions (summaries without extracted data), newest first.
+ *
+ * Query parameters:
+ * - city: Exact city name (case-insensitive), matches any property of a portfolio
+ * - postal_code: Postal code or prefix (e.g. "80" for all of Munich)
+ * - classification: SINGLE | PORTFOLIO
+ * - mode: standard | validated | clean
+ * - document_hash: SHA-256 of the PDF bytes
+ * - review_status: pending | approved | rejected (extractions in the human review queue)
+ * - prompt_version: Prompt version that produced the extraction, e.g. "v1"
+ * - from, to: ISO 8601 date range on the extraction date, both inclusive; a date-only
+ *   to (e.g. 2025-01-31) includes that whole day (UTC)
+ * - limit (default 50, max 200), offset
+ */
+router.get('/extractions', (req, res, next) => {
+  try {
+    const result = extractionStore.list({
+      clientId: req.apiClient?.id ?? null,
+      city: req.query.city,
+      postalCode: req.query.postal_code,
+      classification: req.query.classification,
+      mode: req.query.mode,
+      documentHash: req.query.document_hash,
+      reviewStatus: req.query.review_status,
+      promptVersion: req.query.prompt_version,
+      from: parseDate(req.query.from, 'from'),
+      to: parseDate(req.query.to, 'to'),
+      limit: parseCount(req.query.limit, 50, MAX_PAGE_SIZE),
+      offset: parseCount(req.query.offset, 0)
+    });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/extractions/:id
+ *
+ * Returns one stored extraction with data, validation report and cost metadata.
+ * After an approved review, data is the reviewed version and originalData the model output.
+ * Extractions of an older schema version are returned upgraded to the current one,
+ * metadata.schema.migratedFrom names the version they were stored in.
+ */
+router.get('/extractions/:id', async (req, res, next) => {
+  try {
+    const record = await extractionStore.get(req.params.id);
+
+    // Extractions are only visible to the client that requested them
+    if (!record || (record.clientId || null) !== (req.apiClient?.id ?? null)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Extraction ${req.params.id} not found`,
+        status: 404
+      });
+    }
+
+    res.json(record);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+
+const { requireRole } = require('../middleware/auth');
+const healthService = require('../services/healthService');
+
+const router = express.Router();
+
+/**
+ * Status of one check for the unauthenticated probe; the llm check also shows
+ * the circuit breaker state
+ */
+function publicCheck(check) {
+  return check.circuitBreaker
+    ? { status: check.status, circuitBreaker: { state: check.circuitBreaker.state } }
+    : { status: check.status };
+}
+
+/**
+ * Readiness report without the details of the checks (paths, hosts, error
+ * messages), for the unauthenticated probe
+ */
+function publicReport(report) {
+  return {
+    status: report.status,
+    ready: report.ready,
+    version: report.version,
+    timestamp: report.timestamp,
+    checks: Object.fromEntries(
+      Object.entries(report.checks).map(([name, check]) => [name, publicCheck(check)])
+    )
+  };
+}
+
+/**
+ * GET /health/live
+ *
+ * Liveness: the process is up and answers. Never checks dependencies, so an
+ * orchestrator does not restart an instance that only waits for the LLM API.
+ */
+router.get('/health/live', (req, res) => {
+  res.json(healthService.liveness());
+});
+
+/**
+ * GET /health
+ *
+ * Same as /health/live, for load balancers and uptime checks that expect /health
+ */
+router.get('/health', (req, res) => {
+  res.json(healthService.liveness());
+});
+
+/**
+ * GET /health/ready
+ *
+ * Readiness: 200 when no check fails, 503 otherwise, with the status of each
+ * check and the circuit breaker state. The details are only in GET /api/health.
+ *
+ * Response format:
+ * {
+ *   "status": "degraded",
+ *   "ready": true,
+ *   "version": "1.0.0",
+ *   "checks": {
+ *     "uploadDirectory": { "status": "pass" },
+ *     "llm": { "status": "pass", "circuitBreaker": { "state": "closed" } },
+ *     "loki": { "status": "warn" },
+ *     ...
+ *   }
+ * }
+ */
+router.get('/health/ready', async (req, res, next) => {
+  try {
+    const report = await healthService.readiness();
+    res.status(report.ready ? 200 : 503).json(publicReport(report));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/health
+ *
+ * The full readiness report with the details and messages of every check,
+ * always with 200, for dashboards and humans. Under /api, so it needs an API
+ * key, and it requires the admin role.
+ */
+router.get('/api/health', requireRole('admin'), async (req, res, next) => {
+  try {
+    res.json(await healthService.readiness());
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
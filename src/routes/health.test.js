@@ -0,0 +1,140 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const express = require('express');
+
+const { useTestEnvironment, startApp } = require('../testSupport');
+
+useTestEnvironment({ AUTH_ENABLED: 'true', HEALTH_MIN_FREE_DISK_MB: '1' });
+fs.mkdirSync(process.env.UPLOAD_DIR);
+
+const apiKeyStore = require('../services/apiKeyStore');
+const claudeService = require('../services/claudeService');
+const healthService = require('../services/healthService');
+const { circuitBreaker } = require('../providers/circuitBreaker');
+const { authenticate } = require('../middleware/auth');
+const healthRoutes = require('./health');
+const { version } = require('../../package.json');
+
+const admin = apiKeyStore.createClient('admin', {}, ['admin']);
+const user = apiKeyStore.createClient('user');
+
+let server;
+
+before(async () => {
+  // Mounted as in server.js: /api/health behind the API key, the probes without
+  const app = express.Router();
+  app.use('/api', authenticate);
+  app.use(healthRoutes);
+  server = await startApp(app);
+});
+
+after(() => server.close());
+
+function get(path, apiKey) {
+  return fetch(`${server.url}${path}`, { headers: apiKey ? { 'X-API-Key': apiKey } : {} });
+}
+
+/**
+ * Run with the LLM provider reported as not configured, as with an invalid API key
+ */
+async function withoutApiKey(run) {
+  const validateApiKey = claudeService.validateApiKey;
+  claudeService.validateApiKey = () => false;
+  try {
+    return await run();
+  } finally {
+    claudeService.validateApiKey = validateApiKey;
+  }
+}
+
+test('answers liveness with the package version, whatever the checks say', async () => {
+  await withoutApiKey(async () => {
+    for (const path of ['/health', '/health/live']) {
+      const response = await get(path);
+      assert.equal(response.status, 200);
+
+      const body = await response.json();
+      assert.equal(body.status, 'alive');
+      assert.equal(body.version, version);
+      assert.equal(typeof body.uptime, 'number');
+    }
+  });
+});
+
+test('reports every readiness check', async () => {
+  const report = await healthService.readiness();
+
+  assert.deepEqual(Object.keys(report.checks),
+    ['uploadDirectory', 'logDirectory', 'diskSpace', 'schemas', 'llm', 'queue', 'loki']);
+  assert.equal(report.ready, true);
+  ['uploadDirectory', 'diskSpace', 'schemas', 'llm', 'queue', 'loki'].forEach(name => {
+    assert.equal(report.checks[name].status, 'pass', name);
+    assert.equal(typeof report.checks[name].durationMs, 'number');
+  });
+  assert.deepEqual(Object.keys(report.checks.schemas.versions), ['complex', 'portfolio']);
+  assert.equal(report.checks.llm.provider, 'mock');
+  assert.equal(report.checks.llm.circuitBreaker.state, 'closed');
+});
+
+test('is not ready with an invalid API key or an upload directory that cannot be written', async () => {
+  await withoutApiKey(async () => {
+    const report = await healthService.readiness();
+    assert.equal(report.status, 'unhealthy');
+    assert.equal(report.ready, false);
+    assert.equal(report.checks.llm.status, 'fail');
+    assert.match(report.checks.llm.message, /ANTHROPIC_API_KEY/);
+  });
+
+  fs.rmSync(process.env.UPLOAD_DIR, { recursive: true });
+  try {
+    const { checks } = await healthService.readiness();
+    assert.equal(checks.uploadDirectory.status, 'fail');
+    assert.match(checks.uploadDirectory.message, /ENOENT/);
+  } finally {
+    fs.mkdirSync(process.env.UPLOAD_DIR);
+  }
+});
+
+test('answers the readiness probe with 503 and only the status of each check and the breaker state', async () => {
+  const ready = await get('/health/ready');
+  assert.equal(ready.status, 200);
+  assert.deepEqual((await ready.json()).checks.llm, { status: 'pass', circuitBreaker: { state: 'closed' } });
+
+  await withoutApiKey(async () => {
+    const response = await get('/health/ready');
+    assert.equal(response.status, 503);
+
+    const body = await response.json();
+    assert.equal(body.status, 'unhealthy');
+    assert.equal(body.ready, false);
+    assert.deepEqual(body.checks.llm, { status: 'fail', circuitBreaker: { state: 'closed' } });
+    assert.deepEqual(body.checks.uploadDirectory, { status: 'pass' });
+  });
+});
+
+test('shows an open circuit breaker on the readiness probe', async () => {
+  circuitBreaker.setState('open');
+  try {
+    const response = await get('/health/ready');
+    assert.equal(response.status, 503);
+    assert.deepEqual((await response.json()).checks.llm, { status: 'fail', circuitBreaker: { state: 'open' } });
+  } finally {
+    circuitBreaker.setState('closed');
+  }
+});
+
+test('serves the full report on /api/health to admins only, with 200 even when not ready', async () => {
+  assert.equal((await get('/api/health')).status, 401);
+  assert.equal((await get('/api/health', user.apiKey)).status, 403);
+
+  await withoutApiKey(async () => {
+    const response = await get('/api/health', admin.apiKey);
+    assert.equal(response.status, 200);
+
+    const body = await response.json();
+    assert.equal(body.ready, false);
+    assert.match(body.checks.llm.message, /ANTHROPIC_API_KEY/);
+    assert.equal(body.checks.uploadDirectory.path, process.env.UPLOAD_DIR);
+  });
+});
@@ -0,0 +1,111 @@
+const express = require('express');
+const fs = require('fs').promises;
+
+const { upload, handleMulterError, cleanupFile } = require('../middleware/upload');
+const { enforceQuota } = require('../middleware/auth');
+const { limiterForMode } = require('../middleware/rateLimiter');
+const { jobCircuitGate } = require('../middleware/circuitGate');
+const jobQueue = require('../services/jobQueue');
+const { EXTRACTION_MODES, jobOptions } = require('../services/extractionPipeline');
+const logger = require('../utils/contextLogger');
+
+const router = express.Router();
+
+/**
+ * POST /api/jobs
+ *
+ * Queues a PDF for asynchronous extraction and returns immediately with a job ID.
+ * Poll GET /api/jobs/:id for status, per-stage progress and the final result.
+ *
+ * Query parameters:
+ * - mode=clean (default) | validated | standard
+ * - validate=false: Skip validation passes (validated mode only)
+ * - force=true: Bypass the result cache for identical PDFs
+ * - include=sources,confidence: Add per-value source citations and (clean mode) per-field
+ *   confidence to the result, see the extraction endpoints
+ * - broker: Broker of the exposé (validated and clean mode), see the extraction endpoints
+ * - prompt_version: Pin a prompt version (default: PROMPT_VERSION), see GET /api/prompts
+ *
+ * While the LLM circuit breaker is open, submissions fail with 503 and Retry-After, unless
+ * CIRCUIT_QUEUE_WHEN_OPEN=true: then the job is accepted and waits until the breaker closes.
+ */
+router.post(
+  '/jobs',
+  limiterForMode,
+  enforceQuota,
+  jobCircuitGate,
+  upload.single('pdf'),
+  handleMulterError,
+  async (req, res, next) => {
+    let filePath = null;
+
+    try {
+      if (!req.file) {
+        const error = new Error('No PDF file provided. Please upload a file with field name "pdf".');
+        error.status = 400;
+        throw error;
+      }
+
+      const mode = req.query.mode || 'clean';
+      if (!EXTRACTION_MODES.includes(mode)) {
+        const error = new Error(`Invalid mode "${mode}". Valid modes: ${EXTRACTION_MODES.join(', ')}`);
+        error.status = 400;
+        throw error;
+      }
+
+      filePath = req.file.path;
+      const fileBuffer = await fs.readFile(filePath);
+
+      const job = jobQueue.submit(mode, fileBuffer, {
+        originalName: req.file.originalname,
+        ...jobOptions(req.query)
+      });
+
+      res.status(202)
+        .set('Location', `${req.baseUrl}/jobs/${job.id}`)
+        .json({
+          jobId: job.id,
+          status: job.status,
+          mode: job.mode,
+          statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+          queue: jobQueue.getStats()
+        });
+
+    } catch (error) {
+      logger.error(`Job submission failed`, {
+        error: error.message
+      });
+
+      next(error);
+
+    } finally {
+      // The PDF is held in memory by the queue, the temporary file is no longer needed
+      if (filePath) {
+        cleanupFile(filePath);
+      }
+    }
+  }
+);
+
+/**
+ * GET /api/jobs/:id
+ *
+ * Returns job status (queued, processing, completed, failed), the current
+ * pipeline stage, the per-stage progress log and, once finished, the result or error.
+ */
+router.get('/jobs/:id', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+
+  // Jobs are only visible to the client that submitted them
+  if (!job || (job.clientId && job.clientId !== req.apiClient?.id)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Job ${req.params.id} not found. Finished jobs are kept for ${process.env.JOB_RETENTION_MINUTES || '60'} minutes.`,
+      status: 404
+    });
+  }
+
+  res.json(jobQueue.serialize(job));
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const express = require('express');
+const { Gauge } = require('prom-client');
+
+const { PREFIX, registry, contentType, renderMetrics } = require('../utils/metrics');
+const { circuitBreaker } = require('../providers/circuitBreaker');
+const jobQueue = require('../services/jobQueue');
+
+const router = express.Router();
+
+const metricsToken = process.env.METRICS_TOKEN || null;
+
+const CIRCUIT_STATES = ['closed', 'open', 'half_open'];
+
+// Gauges are read at scrape time
+new Gauge({
+  name: `${PREFIX}llm_circuit_state`,
+  help: 'State of the LLM circuit breaker, 1 for the current state',
+  labelNames: ['state'],
+  registers: [registry],
+  collect() {
+    CIRCUIT_STATES.forEach(state => this.set({ state }, circuitBreaker.state === state ? 1 : 0));
+  }
+});
+
+new Gauge({
+  name: `${PREFIX}jobs`,
+  help: 'Asynchronous extraction jobs waiting (queued) and running (active)',
+  labelNames: ['status'],
+  registers: [registry],
+  collect() {
+    const { queued, active } = jobQueue.getStats();
+    this.set({ status: 'queued' }, queued);
+    this.set({ status: 'active' }, active);
+  }
+});
+
+/**
+ * With METRICS_TOKEN set, only scrapers that send it as "Authorization: Bearer" get the metrics
+ */
+function requireMetricsToken(req, res, next) {
+  if (!metricsToken) {
+    return next();
+  }
+
+  const authorization = req.headers.authorization || '';
+  const token = authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length).trim() : '';
+  const expected = crypto.createHash('sha256').update(metricsToken).digest();
+  const actual = crypto.createHash('sha256').update(token).digest();
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    const error = new Error(token ? 'Invalid metrics token' : 'Missing metrics token');
+    error.name = 'UnauthorizedError';
+    error.status = 401;
+    return next(error);
+  }
+  next();
+}
+
+/**
+ * GET /metrics
+ *
+ * Prometheus scrape endpoint: request counts and latency per route, per-pass
+ * LLM latency and tokens, cost, classification, confidence, correction and
+ * recommendation outcomes, circuit breaker and job queue state.
+ */
+router.get('/metrics', requireMetricsToken, async (req, res, next) => {
+  try {
+    const text = await renderMetrics();
+    res.set('Content-Type', contentType);
+    res.send(text);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
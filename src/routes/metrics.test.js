@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { useTestEnvironment, samplePdf, startApp } = require('../testSupport');
+
+useTestEnvironment({ METRICS_TOKEN: 'scrape-secret' });
+
+const { httpMetrics } = require('../middleware/httpMetrics');
+const extractionRoutes = require('./extraction');
+const metricsRoutes = require('./metrics');
+const { runValidatedExtraction } = require('../services/extractionPipeline');
+
+let server;
+
+before(async () => {
+  const app = express.Router();
+  app.use('/api', extractionRoutes);
+  app.use(metricsRoutes);
+  server = await startApp(httpMetrics, app);
+});
+
+after(() => server.close());
+
+function scrape(token = 'scrape-secret') {
+  return fetch(`${server.url}/metrics`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+}
+
+/**
+ * Value of one series in the scraped text, null when it is not there
+ */
+function sample(text, series) {
+  const line = text.split('\n').find(candidate => candidate.startsWith(`immofrog_${series} `));
+  return line ? Number(line.slice(line.lastIndexOf(' ') + 1)) : null;
+}
+
+test('requires the metrics token as a bearer token', async () => {
+  const missing = await scrape(null);
+  assert.equal(missing.status, 401);
+  assert.equal((await missing.json()).error, 'Unauthorized');
+  assert.equal((await scrape('wrong')).status, 401);
+
+  const response = await scrape();
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+  assert.match(await response.text(), /^# TYPE immofrog_llm_pass_duration_seconds histogram$/m);
+});
+
+test('counts requests per route template and status', async () => {
+  const form = new FormData();
+  form.append('pdf', new Blob([samplePdf('metrics standard')], { type: 'application/pdf' }), 'metrics.pdf');
+  assert.equal((await fetch(`${server.url}/api/extract-property-data`, { method: 'POST', body: form })).status, 200);
+  assert.equal((await fetch(`${server.url}/api/extract-property-data`, { method: 'POST' })).status, 400);
+  assert.equal((await fetch(`${server.url}/nowhere/42`)).status, 404);
+
+  const text = await (await scrape()).text();
+  assert.equal(sample(text, 'http_requests_total{method="POST",route="/api/extract-property-data",status="200"}'), 1);
+  assert.equal(sample(text, 'http_requests_total{method="POST",route="/api/extract-property-data",status="400"}'), 1);
+  assert.equal(sample(text, 'http_requests_total{method="GET",route="unmatched",status="404"}'), 1);
+  assert.equal(sample(text, 'http_request_duration_seconds_count{method="POST",route="/api/extract-property-data"}'), 2);
+  assert.equal(sample(text, 'extractions_total{mode="standard",cache="miss"}'), 1);
+  assert.equal(sample(text, 'classifications_total{mode="standard",type="SINGLE"}'), 1);
+});
+
+test('records passes, tokens, cost, confidence, corrections and recommendations of verified extractions', async () => {
+  const pdf = samplePdf('metrics validated');
+  const { validation, metadata } = await runValidatedExtraction(pdf);
+  await runValidatedExtraction(pdf);
+
+  const text = await (await scrape()).text();
+  ['classification', 'extraction', 'verification', 'correction'].forEach(pass => {
+    assert.ok(sample(text, `llm_pass_duration_seconds_count{pass="${pass}",provider="mock",outcome="success"}`) >= 1, pass);
+    assert.ok(sample(text, `llm_tokens_total{pass="${pass}",provider="mock",direction="output"}`) > 0, pass);
+  });
+  assert.equal(sample(text, 'extractions_total{mode="validated",cache="miss"}'), 1);
+  assert.equal(sample(text, 'extractions_total{mode="validated",cache="hit"}'), 1);
+  assert.equal(sample(text, 'extraction_cost_usd_total{mode="validated"}'), metadata.totalCost);
+  assert.equal(sample(text, 'confidence_score_sum{mode="validated"}'), validation.confidence_score);
+  assert.equal(sample(text, 'confidence_score_count{mode="validated"}'), 1);
+  assert.equal(sample(text, 'correction_passes_total{mode="validated",result="applied"}'), 1);
+  assert.equal(text.split('\n').filter(line => line.startsWith('immofrog_recommendations_total{mode="validated"')).length, 1);
+});
+
+test('reports circuit breaker and job queue state at scrape time', async () => {
+  const text = await (await scrape()).text();
+
+  assert.equal(sample(text, 'llm_circuit_state{state="closed"}'), 1);
+  assert.equal(sample(text, 'llm_circuit_state{state="open"}'), 0);
+  assert.equal(sample(text, 'jobs{status="queued"}'), 0);
+});
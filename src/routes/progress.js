@@ -0,0 +1,102 @@
+const express = require('express');
+
+const progressTracker = require('../utils/progressTracker');
+const logger = require('../utils/contextLogger');
+
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+
+/**
+ * POST /api/progress
+ *
+ * Creates a progress stream for the calling client. Open it with
+ * GET /api/progress/:streamId, then submit the PDF to any extraction endpoint
+ * (or POST /api/jobs) with the stream ID in the X-Progress-Stream header.
+ *
+ * Response: { streamId, token, expiresAt, streamUrl }
+ */
+router.post('/progress', (req, res) => {
+  const stream = progressTracker.createStream(req.apiClient?.id ?? null);
+
+  logger.info('Progress stream created', { streamId: stream.streamId });
+
+  res.status(201).json({
+    ...stream,
+    streamUrl: `${req.baseUrl}/progress/${stream.streamId}`
+  });
+});
+
+/**
+ * GET /api/progress/:streamId
+ *
+ * Server-Sent Events stream of the extraction progress of the requests sent
+ * with X-Progress-Stream: <streamId>. Only the client that created the stream
+ * can open it. Events already published to the stream are replayed, so the
+ * stream can also be opened after submitting the PDF.
+ *
+ * Events:
+ * - progress: { stage, status, details } per pipeline pass
+ * - result:   { payload } final response body, closes the stream
+ * - failed:   { error } extraction failed, closes the stream
+ */
+router.get('/progress/:streamId', (req, res) => {
+  const { streamId } = req.params;
+  const stream = progressTracker.getStream(streamId);
+
+  // Streams are only visible to the client that created them
+  if (!stream || stream.clientId !== (req.apiClient?.id ?? null)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Progress stream ${streamId} not found. Create one with POST /api/progress.`,
+      status: 404
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Disable proxy buffering (nginx) so events arrive as they happen
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  logger.info('Progress stream opened', { streamId });
+
+  let closed = false;
+  let unsubscribe = () => {};
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  const send = (event) => {
+    if (closed) return;
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+
+    if (event.type === 'result' || event.type === 'failed') {
+      close();
+    }
+  };
+
+  const heartbeat = setInterval(() => {
+    res.write(': keep-alive\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  unsubscribe = progressTracker.subscribe(streamId, send);
+  if (closed) {
+    unsubscribe();
+  }
+
+  req.on('close', () => {
+    logger.debug('Progress stream closed by client', { streamId });
+    close();
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { useTestEnvironment, startApp } = require('../testSupport');
+
+useTestEnvironment({ AUTH_ENABLED: 'true' });
+
+const apiKeyStore = require('../services/apiKeyStore');
+const progressTracker = require('../utils/progressTracker');
+const { authenticate } = require('../middleware/auth');
+const { attachProgressStream } = require('../middleware/progressStream');
+const progressRoutes = require('./progress');
+
+const owner = apiKeyStore.createClient('owner');
+const other = apiKeyStore.createClient('other');
+
+let server;
+
+before(async () => {
+  const api = express.Router();
+  api.use(authenticate, attachProgressStream, progressRoutes);
+  // Stands in for an extraction endpoint: reports one stage, then the result
+  api.post('/work', (req, res) => {
+    progressTracker.report('extraction', 'started');
+    progressTracker.publishResult({ done: true });
+    res.json({ ok: true });
+  });
+
+  const app = express.Router();
+  app.use('/api', api);
+  server = await startApp(app);
+});
+
+after(() => server.close());
+
+function request(path, { apiKey, method = 'GET', headers = {} } = {}) {
+  return fetch(`${server.url}${path}`, {
+    method,
+    headers: { ...(apiKey && { 'X-API-Key': apiKey }), ...headers }
+  });
+}
+
+async function createStream(apiKey) {
+  const response = await request('/api/progress', { apiKey, method: 'POST' });
+  assert.equal(response.status, 201);
+  return response.json();
+}
+
+/**
+ * Event types of an SSE response, until the stream closes
+ */
+async function readEvents(response) {
+  const text = await response.text();
+  return [...text.matchAll(/^event: (\w+)$/gm)].map(match => match[1]);
+}
+
+test('creates a stream with a server-generated ID and a short-lived token', async () => {
+  const stream = await createStream(owner.apiKey);
+
+  assert.match(stream.streamId, /^[0-9a-f-]{36}$/);
+  assert.match(stream.token, /^[0-9a-f]{48}$/);
+  assert.ok(Date.parse(stream.expiresAt) > Date.now());
+  assert.equal(stream.streamUrl, `/api/progress/${stream.streamId}`);
+});
+
+test('streams the progress and result of the requests sent with X-Progress-Stream', async () => {
+  const stream = await createStream(owner.apiKey);
+
+  const work = await request('/api/work', {
+    apiKey: owner.apiKey,
+    method: 'POST',
+    headers: { 'X-Progress-Stream': stream.streamId }
+  });
+  assert.equal(work.status, 200);
+
+  // Opened after the work finished: the events are replayed, the result closes the stream
+  const events = await request(`${stream.streamUrl}?token=${stream.token}`);
+  assert.equal(events.status, 200);
+  assert.match(events.headers.get('content-type'), /text\/event-stream/);
+  assert.deepEqual(await readEvents(events), ['progress', 'result']);
+});
+
+test('only lets the owner open a stream', async () => {
+  const stream = await createStream(owner.apiKey);
+  const otherStream = await createStream(other.apiKey);
+
+  assert.equal((await request(stream.streamUrl, { apiKey: other.apiKey })).status, 404);
+  assert.equal((await request(`${stream.streamUrl}?token=${otherStream.token}`)).status, 401);
+  assert.equal((await request(`${stream.streamUrl}?token=nope`)).status, 401);
+  assert.equal((await request('/api/progress/unknown', { apiKey: owner.apiKey })).status, 404);
+});
+
+test('rejects requests reporting to another client\'s stream', async () => {
+  const stream = await createStream(owner.apiKey);
+
+  const response = await request('/api/work', {
+    apiKey: other.apiKey,
+    method: 'POST',
+    headers: { 'X-Progress-Stream': stream.streamId }
+  });
+  assert.equal(response.status, 400);
+});
+
+test('accepts the stream token only for opening that stream', async () => {
+  const stream = await createStream(owner.apiKey);
+
+  assert.equal((await request(`/api/progress?token=${stream.token}`, { method: 'POST' })).status, 401);
+  assert.equal((await request(`/api/progress?api_key=${owner.apiKey}`, { method: 'POST' })).status, 401);
+});
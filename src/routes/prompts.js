@@ -0,0 +1,48 @@
+const express = require('express');
+
+const promptRegistry = require('../services/promptRegistry');
+
+const router = express.Router();
+
+/**
+ * GET /api/prompts
+ *
+ * Lists the prompt versions with their fingerprints, the default version
+ * (PROMPT_VERSION) and which templates each version overrides.
+ *
+ * Response format:
+ * {
+ *   "default": "v2",
+ *   "versions": [{ "version": "v1", "fingerprint": "3f9a1c0b7d2e", "templates": [...], "overrides": [...] }]
+ * }
+ */
+router.get('/prompts', (req, res) => {
+  res.json(promptRegistry.list());
+});
+
+/**
+ * GET /api/prompts/:version
+ *
+ * Returns the templates of one prompt version, inherited ones included,
+ * with their {{variable}} placeholders unrendered.
+ */
+router.get('/prompts/:version', (req, res) => {
+  const resolved = promptRegistry.get(req.params.version);
+  if (!resolved) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Prompt version ${req.params.version} not found`,
+      status: 404
+    });
+  }
+
+  res.json({
+    version: resolved.version,
+    fingerprint: resolved.fingerprint,
+    default: resolved.version === promptRegistry.defaultVersion,
+    overrides: resolved.overrides,
+    templates: resolved.templates
+  });
+});
+
+module.exports = router;
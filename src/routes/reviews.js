@@ -0,0 +1,165 @@
+const express = require('express');
+
+const { requireRole } = require('../middleware/auth');
+const reviewQueue = require('../services/reviewQueue');
+const apiKeyStore = require('../services/apiKeyStore');
+const extractionStore = require('../services/extractionStore');
+const { buildFieldConfidence } = require('../utils/fieldConfidence');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 200;
+
+function parseCount(value, fallback, max) {
+  const parsed = parseInt(value, 10);
+  if (isNaN(parsed) || parsed < 0) return fallback;
+  return max ? Math.min(parsed, max) : parsed;
+}
+
+/**
+ * Who made a change: the authenticated API client. The reviewer named in the
+ * body is only kept as a free-text note.
+ */
+function reviewerOf(req) {
+  return req.apiClient?.name || 'anonymous';
+}
+
+function reviewerNoteOf(req) {
+  return typeof req.body?.reviewer === 'string' ? req.body.reviewer : null;
+}
+
+/**
+ * Reviewers see every review, other clients those of their own extractions
+ */
+function canSee(req, review) {
+  return apiKeyStore.hasRole(req.apiClient, 'reviewer') || (review.clientId || null) === (req.apiClient?.id ?? null);
+}
+
+function notFound(res, id) {
+  return res.status(404).json({
+    error: 'Not Found',
+    message: `Review ${id} not found`,
+    status: 404
+  });
+}
+
+/**
+ * GET /api/reviews
+ *
+ * Lists reviews (without data), oldest first. Clients without the reviewer role
+ * only see the reviews of their own extractions.
+ *
+ * Query parameters:
+ * - status: pending (default) | approved | rejected | all
+ * - limit (default 50, max 200), offset
+ */
+router.get('/reviews', (req, res, next) => {
+  try {
+    const status = req.query.status || 'pending';
+    const result = reviewQueue.list({
+      clientId: apiKeyStore.hasRole(req.apiClient, 'reviewer') ? undefined : req.apiClient?.id ?? null,
+      status: status === 'all' ? undefined : status,
+      limit: parseCount(req.query.limit, 50, MAX_PAGE_SIZE),
+      offset: parseCount(req.query.offset, 0)
+    });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reviews/:id
+ *
+ * Returns one review with the data under review next to the verification report
+ * of its extraction and the per-field confidence of the model output.
+ *
+ * Response format:
+ * {
+ *   "review": { "id": "...", "status": "pending", "originalData": {...}, "data": {...}, "corrections": [...], ... },
+ *   "validation": { "confidence_score": 68, "self_verification": {...}, "calculation_validation": {...} },
+ *   "report": {...},
+ *   "confidence": { "financial.noi_annual_eur": { "status": "UNCERTAIN", "confidence": 50, ... } },
+ *   "sources": {...}
+ * }
+ */
+router.get('/reviews/:id', async (req, res, next) => {
+  try {
+    const review = reviewQueue.get(req.params.id);
+    if (!review || !canSee(req, review)) {
+      return notFound(res, req.params.id);
+    }
+
+    const extraction = await extractionStore.get(review.extractionId);
+    const { schema_validation: _schemaValidation, ...validation } = extraction?.validation || {};
+
+    res.json({
+      review,
+      validation: extraction ? validation : null,
+      report: extraction?.report || null,
+      confidence: extraction ? buildFieldConfidence(review.originalData, validation) : null,
+      sources: extraction?.sources || null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reviews/:id/corrections
+ *
+ * Applies field-level corrections to the data under review. Field paths are
+ * the keys of the confidence map, e.g. "financial.noi_annual_eur" or "[0].city".
+ * Requires the reviewer role, like the decisions below.
+ *
+ * Body: { "reviewer": "jane", "corrections": [{ "field": "...", "value": 128000, "comment": "p. 4" }] }
+ * reviewer is an optional note; the review records the API client as the reviewer.
+ */
+router.post('/reviews/:id/corrections', requireRole('reviewer'), async (req, res, next) => {
+  try {
+    const review = await reviewQueue.correct(req.params.id, req.body?.corrections, reviewerOf(req), reviewerNoteOf(req));
+    res.json({ review });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reviews/:id/approve
+ *
+ * Approves the reviewed data; it becomes the canonical result of the extraction
+ * (served by GET /api/extractions/:id and by cache hits for the same PDF).
+ * Corrections with a rule become few-shot examples for every client, so this
+ * requires the reviewer role.
+ *
+ * Body (optional): { "reviewer": "jane", "comment": "..." }
+ */
+router.post('/reviews/:id/approve', requireRole('reviewer'), async (req, res, next) => {
+  try {
+    const review = await reviewQueue.approve(req.params.id, reviewerOf(req), req.body?.comment, reviewerNoteOf(req));
+    res.json({ review });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reviews/:id/reject
+ *
+ * Rejects the extraction. It stays in the history, but the next request for the
+ * same PDF runs a fresh extraction instead of returning it from the cache.
+ * Requires the reviewer role.
+ *
+ * Body (optional): { "reviewer": "jane", "comment": "..." }
+ */
+router.post('/reviews/:id/reject', requireRole('reviewer'), async (req, res, next) => {
+  try {
+    const review = await reviewQueue.reject(req.params.id, reviewerOf(req), req.body?.comment, reviewerNoteOf(req));
+    res.json({ review });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,189 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { useTestEnvironment, startApp } = require('../testSupport');
+
+useTestEnvironment({ AUTH_ENABLED: 'true' });
+
+const apiKeyStore = require('../services/apiKeyStore');
+const extractionStore = require('../services/extractionStore');
+const reviewQueue = require('../services/reviewQueue');
+const { currentSchema } = require('../utils/schemaVersions');
+const { authenticate } = require('../middleware/auth');
+const reviewRoutes = require('./reviews');
+const extractionRoutes = require('./extractions');
+
+const owner = apiKeyStore.createClient('owner');
+const other = apiKeyStore.createClient('other');
+const reviewer = apiKeyStore.createClient('reviewer', {}, ['reviewer']);
+
+const lowConfidence = { confidence_score: 50, self_verification: { field_verifications: [] } };
+
+let server;
+
+before(async () => {
+  const api = express.Router();
+  api.use(authenticate, reviewRoutes, extractionRoutes);
+
+  const app = express.Router();
+  app.use('/api', api);
+  server = await startApp(app);
+});
+
+after(() => server.close());
+
+function request(path, apiKey, body) {
+  return fetch(`${server.url}${path}`, {
+    method: body ? 'POST' : 'GET',
+    headers: { 'X-API-Key': apiKey, 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+}
+
+/**
+ * A stored extraction of the owner, queued for review
+ */
+async function queuedExtraction(name) {
+  const data = {
+    property_identity: { name_id: name, city: 'München', postal_code: '80802', streets: [], country: 'DE' },
+    financial: { total_rental_income_annual_eur: 766800 }
+  };
+  const extraction = await extractionStore.save({
+    clientId: owner.client.id,
+    documentHash: `hash-${name}`,
+    mode: 'clean',
+    classification: 'SINGLE',
+    schemaVersion: currentSchema('SINGLE').version,
+    schemaFingerprint: currentSchema('SINGLE').fingerprint,
+    data,
+    validation: lowConfidence
+  });
+  const review = await reviewQueue.enqueue({
+    extractionId: extraction.id,
+    clientId: owner.client.id,
+    documentHash: extraction.documentHash,
+    mode: 'clean',
+    classification: 'SINGLE',
+    data,
+    originalData: { ...data, financial: { total_rental_income_annual_eur: 767000 } },
+    validation: lowConfidence
+  });
+  return { extraction, review };
+}
+
+test('queues only extractions with a low or medium confidence', async () => {
+  assert.equal(reviewQueue.needsReview({ confidence_score: 90 }), false);
+  assert.equal(reviewQueue.needsReview({ confidence_score: 70 }), true);
+  assert.equal(reviewQueue.needsReview(lowConfidence), true);
+
+  const extraction = await extractionStore.save({ clientId: owner.client.id, documentHash: 'confident', mode: 'clean', data: {} });
+  assert.equal(await reviewQueue.enqueue({ extractionId: extraction.id, data: {}, validation: { confidence_score: 95 } }), null);
+
+  const { extraction: queued, review } = await queuedExtraction('queued');
+  assert.equal(review.confidenceLevel, 'LOW');
+  assert.deepEqual((await extractionStore.get(queued.id)).review, { id: review.id, status: 'pending' });
+});
+
+test('shows reviews to the client of the extraction and to reviewers only', async () => {
+  const { review } = await queuedExtraction('visibility');
+
+  const own = await (await request('/api/reviews', owner.apiKey)).json();
+  assert.ok(own.items.some(item => item.id === review.id));
+  assert.equal(own.items[0].data, undefined);
+  assert.equal((await (await request('/api/reviews', other.apiKey)).json()).total, 0);
+  assert.ok((await (await request('/api/reviews', reviewer.apiKey)).json()).total >= 1);
+
+  const detail = await (await request(`/api/reviews/${review.id}`, owner.apiKey)).json();
+  assert.equal(detail.validation.confidence_score, 50);
+  assert.equal(detail.review.originalData.financial.total_rental_income_annual_eur, 767000);
+  assert.equal(detail.confidence['financial.total_rental_income_annual_eur'].status, 'UNVERIFIED');
+
+  assert.equal((await request(`/api/reviews/${review.id}`, other.apiKey)).status, 404);
+  assert.equal((await request('/api/reviews?status=done', owner.apiKey)).status, 400);
+});
+
+test('lets only reviewers correct and decide', async () => {
+  const { review } = await queuedExtraction('roles');
+  const correction = { corrections: [{ field: 'property_identity.postal_code', value: '80803' }] };
+
+  assert.equal((await request(`/api/reviews/${review.id}/corrections`, owner.apiKey, correction)).status, 403);
+  assert.equal((await request(`/api/reviews/${review.id}/approve`, owner.apiKey, {})).status, 403);
+  assert.equal((await request(`/api/reviews/${review.id}/reject`, other.apiKey, {})).status, 403);
+});
+
+test('records corrections with the API client as reviewer and the body reviewer as a note', async () => {
+  const { review } = await queuedExtraction('corrections');
+
+  const response = await request(`/api/reviews/${review.id}/corrections`, reviewer.apiKey, {
+    reviewer: 'jane',
+    corrections: [{ field: 'property_identity.postal_code', value: '80803', comment: 'page 2' }]
+  });
+  assert.equal(response.status, 200);
+
+  const [entry] = (await response.json()).review.corrections;
+  assert.equal(entry.reviewer, 'reviewer');
+  assert.equal(entry.reviewerNote, 'jane');
+  assert.equal(entry.previousValue, '80802');
+  assert.equal(entry.value, '80803');
+});
+
+test('rejects corrections of unknown fields without changing the review', async () => {
+  const { review } = await queuedExtraction('bad path');
+
+  const response = await request(`/api/reviews/${review.id}/corrections`, reviewer.apiKey, {
+    corrections: [
+      { field: 'property_identity.postal_code', value: '80803' },
+      { field: 'property_identity.nope.deeper', value: 1 }
+    ]
+  });
+  assert.equal(response.status, 400);
+  assert.equal(reviewQueue.get(review.id).corrections.length, 0);
+  assert.equal(reviewQueue.get(review.id).data.property_identity.postal_code, '80802');
+});
+
+test('makes the approved data the canonical result and keeps the model output', async () => {
+  const { extraction, review } = await queuedExtraction('approve');
+
+  await request(`/api/reviews/${review.id}/corrections`, reviewer.apiKey, {
+    corrections: [{ field: 'financial.total_rental_income_annual_eur', value: 770000 }]
+  });
+  const approved = await request(`/api/reviews/${review.id}/approve`, reviewer.apiKey, { comment: 'checked' });
+  assert.equal(approved.status, 200);
+  assert.equal((await approved.json()).review.decision.comment, 'checked');
+
+  const record = await (await request(`/api/extractions/${extraction.id}`, owner.apiKey)).json();
+  assert.equal(record.data.financial.total_rental_income_annual_eur, 770000);
+  assert.equal(record.originalData.financial.total_rental_income_annual_eur, 767000);
+  assert.equal(record.review.status, 'approved');
+
+  assert.equal((await request(`/api/reviews/${review.id}/reject`, reviewer.apiKey, {})).status, 409);
+});
+
+test('keeps rejected extractions in the history without serving them from the cache', async () => {
+  const { extraction, review } = await queuedExtraction('reject');
+  const cacheKey = {
+    clientId: owner.client.id,
+    documentHash: extraction.documentHash,
+    mode: 'clean',
+    model: null,
+    promptFingerprint: null,
+    validationEnabled: null,
+    includeSources: false
+  };
+  assert.equal((await extractionStore.findLatest(cacheKey)).id, extraction.id);
+
+  assert.equal((await request(`/api/reviews/${review.id}/reject`, reviewer.apiKey, {})).status, 200);
+
+  assert.equal((await extractionStore.get(extraction.id)).review.status, 'rejected');
+  assert.equal(await extractionStore.findLatest(cacheKey), null);
+});
+
+test('keeps reviews across restarts', async () => {
+  const { review } = await queuedExtraction('restart');
+  await reviewQueue.correct(review.id, [{ field: 'property_identity.city', value: 'Munich' }], 'reviewer');
+
+  const reloaded = new reviewQueue.constructor();
+  assert.equal(reloaded.get(review.id).data.property_identity.city, 'Munich');
+  assert.equal(reloaded.get(review.id).corrections.length, 1);
+});
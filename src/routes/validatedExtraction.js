@@ -1,31 +1,18 @@
 const express = require('express');
 const fs = require('fs').promises;
-const { v4: uuidv4 } = require('uuid');
-const rateLimit = require('express-rate-limit');
 
 const { upload, handleMulterError, cleanupFile } = require('../middleware/upload');
-const validatedClaudeService = require('../services/validatedClaudeService');
-const validator = require('../utils/validator');
+const { enforceQuota } = require('../middleware/auth');
+const { circuitGate } = require('../middleware/circuitGate');
+const { expensiveLimiter } = require('../middleware/rateLimiter');
+const { runValidatedExtraction, includeOptions, withExtras } = require('../services/extractionPipeline');
+const { getContext } = require('../middleware/correlationContext');
+const { schemaHeader } = require('../utils/schemaVersions');
+const progressTracker = require('../utils/progressTracker');
 const logger = require('../utils/contextLogger');
 
 const router = express.Router();
 
-const extractionLimiter = rateLimit({
-  windowMs: 60 * 1000,
-  max: 5, // Lower limit due to multiple API calls per request
-  message: 'Too many extraction requests. Please try again later.',
-  standardHeaders: true,
-  legacyHeaders: false,
-  handler: (req, res) => {
-    logger.warn(`Rate limit exceeded for IP: ${req.ip}`);
-    res.status(429).json({
-      error: 'Too Many Requests',
-      message: 'Too many validated extraction requests. Please try again later.',
-      status: 429
-    });
-  }
-});
-
 /**
  * POST /api/extract-property-data-validated
  *
@@ -38,14 +25,21 @@ const extractionLimiter = rateLimit({
  * Query parameters:
  * - validate=true (default): Enable full validation
  * - validate=false: Skip validation passes (faster, less accurate)
+ * - force=true: Bypass the result cache and re-run the extraction
+ * - include=sources: Add `sources`, a page number, verbatim snippet and arithmetic for every
+ *   extracted value (with validate=false the response becomes { data, sources })
+ * - broker: Broker of the exposé, prefers reviewed correction examples of the same broker in the prompts
+ * - prompt_version: Pin a prompt version (default: PROMPT_VERSION), see GET /api/prompts
  */
 router.post(
   '/extract-property-data-validated',
-  extractionLimiter,
+  expensiveLimiter,
+  enforceQuota,
+  circuitGate('validated'),
   upload.single('pdf'),
   handleMulterError,
   async (req, res, next) => {
-    const requestId = uuidv4();
+    const { requestId } = getContext();
     const startTime = Date.now();
     let filePath = null;
 
@@ -69,21 +63,17 @@ router.post(
       });
 
       const fileBuffer = await fs.readFile(filePath);
-      const base64Pdf = fileBuffer.toString('base64');
-
-      logger.info(`PDF converted to base64, starting validated extraction`, { requestId });
 
-      // Use validated extraction service
-      const result = await validatedClaudeService.extractPropertyData(base64Pdf, enableValidation);
-
-      // Run additional validation
-      const validationResult = validator.validatePropertyData(result.data);
-      if (!validationResult.valid) {
-        logger.warn('Schema validation warnings:', {
-          requestId,
-          warnings: validationResult.warnings
-        });
-      }
+      // Use validated extraction pipeline (includes additional schema validation)
+      const result = await runValidatedExtraction(fileBuffer, {
+        enableValidation,
+        originalName: req.file.originalname,
+        force: req.query.force === 'true',
+        broker: req.query.broker,
+        promptVersion: req.query.prompt_version,
+        includeSources: includeOptions(req.query).includeSources
+      });
+      const validationResult = result.schemaValidation;
 
       const processingTime = Date.now() - startTime;
       logger.info(`Validated extraction completed`, {
@@ -100,15 +90,21 @@ router.post(
         'X-Request-ID': requestId,
         'X-Processing-Time': `${processingTime}ms`,
         'X-Validation-Enabled': enableValidation.toString(),
-        'X-Confidence-Score': result.validation?.confidence_score?.toString() || 'N/A'
+        'X-Confidence-Score': result.validation?.confidence_score?.toString() || 'N/A',
+        'X-Cache': result.cached ? 'HIT' : 'MISS',
+        ...(result.metadata?.promptVersion && { 'X-Prompt-Version': result.metadata.promptVersion }),
+        ...(result.metadata?.schema && { 'X-Schema-Version': schemaHeader(result.metadata.schema) }),
+        ...(result.extractionId && { 'X-Extraction-ID': result.extractionId }),
+        ...(result.reviewId && { 'X-Review-ID': result.reviewId })
       });
 
       // Calculate response size
       const responseData = enableValidation ? {
         data: result.data,
+        ...(result.sources && { sources: result.sources }),
         validation: { ...result.validation, schema_validation: validationResult },
         metadata: { ...result.metadata, processingTime, requestId }
-      } : result.data;
+      } : withExtras(result.data, { sources: result.sources });
       const responseSizeKB = Math.round(JSON.stringify(responseData).length / 1024);
 
       // Log response
@@ -133,11 +129,13 @@ router.post(
       }
 
       logger.info('Sending response', responseLog);
+      progressTracker.publishResult(responseData);
 
       // Structure response based on validation mode
       if (enableValidation) {
         res.json({
           data: result.data,
+          ...(result.sources && { sources: result.sources }),
           validation: {
             ...result.validation,
             schema_validation: validationResult
@@ -150,7 +148,7 @@ router.post(
         });
       } else {
         // Simplified response when validation is disabled
-        res.json(result.data);
+        res.json(withExtras(result.data, { sources: result.sources }));
       }
 
     } catch (error) {
@@ -165,6 +163,7 @@ router.post(
         error.message = 'Uploaded file was not found or could not be processed.';
       }
 
+      progressTracker.publishFailure(error);
       next(error);
 
     } finally {
@@ -190,7 +189,8 @@ router.get('/extract-property-data-validated', (req, res) => {
       maxFileSize: `${process.env.MAX_FILE_SIZE_MB || '32'}MB`,
       maxPages: process.env.MAX_PDF_PAGES || '100',
       queryParameters: {
-        validate: 'true (default) | false - Enable/disable multi-pass validation'
+        validate: 'true (default) | false - Enable/disable multi-pass validation',
+        force: 'true | false (default) - Bypass the result cache for identical PDFs'
       },
       validationPasses: [
         '1. Initial extraction with source attribution',
@@ -0,0 +1,99 @@
+/**
+ * Migrations between extraction schema versions
+ *
+ * Every change to complexSchema.json or portfolioSchema.json raises the
+ * schema's `version` and adds a migration from the previous version here. A
+ * migration reshapes one property (the single property, or each property of a
+ * portfolio) and returns it; stored and cached results are upgraded on read
+ * (see src/utils/schemaVersions.js). Use the helpers below, e.g. for complex
+ * version 2:
+ *
+ *   {
+ *     from: 1,
+ *     description: 'Rename apartments to residential_units, add parking_spaces, split noi',
+ *     migrate: property => {
+ *       renameField(property, 'unit_counts.apartments', 'unit_counts.residential_units');
+ *       addField(property, 'additional_metrics.parking_spaces');
+ *       return splitField(property, 'financial.noi', {
+ *         'financial.noi_annual_eur': value => value?.amount ?? null,
+ *         'financial.noi_source': value => value?.source ?? null
+ *       });
+ *     }
+ *   }
+ */
+
+function parentOf(property, path, create) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let parent = property;
+
+  for (const key of keys) {
+    if (parent[key] === null || typeof parent[key] !== 'object') {
+      if (!create) return { parent: null, last };
+      parent[key] = {};
+    }
+    parent = parent[key];
+  }
+
+  return { parent, last };
+}
+
+/**
+ * Move a value to a new path (no-op when the old path is absent)
+ */
+function renameField(property, from, to) {
+  const source = parentOf(property, from, false);
+  if (!source.parent || !(source.last in source.parent)) {
+    return property;
+  }
+
+  const value = source.parent[source.last];
+  delete source.parent[source.last];
+  const target = parentOf(property, to, true);
+  target.parent[target.last] = value;
+  return property;
+}
+
+/**
+ * Add a field that older results do not have, null unless a value is given
+ */
+function addField(property, path, value = null) {
+  const target = parentOf(property, path, true);
+  if (!(target.last in target.parent)) {
+    target.parent[target.last] = value;
+  }
+  return property;
+}
+
+/**
+ * Replace one field by several, each derived from the old value
+ * @param {Object} targets - { newPath: oldValue => newValue }
+ */
+function splitField(property, from, targets) {
+  const source = parentOf(property, from, false);
+  const value = source.parent ? source.parent[source.last] : undefined;
+  if (source.parent) {
+    delete source.parent[source.last];
+  }
+
+  Object.entries(targets).forEach(([path, derive]) => {
+    const target = parentOf(property, path, true);
+    target.parent[target.last] = derive(value);
+  });
+  return property;
+}
+
+/**
+ * Migrations per schema, each from one version to the next: [{ from, description, migrate }]
+ */
+const MIGRATIONS = {
+  complex: [],
+  portfolio: []
+};
+
+module.exports = {
+  MIGRATIONS,
+  renameField,
+  addField,
+  splitField
+};
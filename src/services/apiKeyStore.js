@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const logger = require('../utils/contextLogger');
+
+const dataDir = process.env.DATA_DIR || './data';
+const keysFile = process.env.API_KEYS_FILE || path.join(dataDir, 'api-keys.json');
+
+/**
+ * reviewer: may change the correction examples and decide reviews
+ * admin: everything a reviewer may, and see the data of all clients
+ */
+const ROLES = ['reviewer', 'admin'];
+
+/**
+ * Registry of API clients
+ *
+ * Keys are never stored in plain text, only their SHA-256 hash. The registry
+ * file is re-read whenever it changes on disk, so keys created or revoked with
+ * `npm run api-keys` take effect without a restart.
+ *
+ * File format:
+ * {
+ *   "clients": [
+ *     {
+ *       "id": "uuid",
+ *       "name": "valuation-tool",
+ *       "keyHash": "sha256 hex",
+ *       "keyPrefix": "imf_1a2b",
+ *       "quotas": { "requestsPerDay": 200, "spendPerMonthUsd": 50 },
+ *       "roles": ["reviewer"],
+ *       "createdAt": "ISO date",
+ *       "revokedAt": null
+ *     }
+ *   ]
+ * }
+ */
+class ApiKeyStore {
+  constructor() {
+    this.file = keysFile;
+    this.clients = [];
+    this.byHash = new Map();
+    this.loadedMtimeMs = null;
+  }
+
+  hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  reloadIfChanged() {
+    let stats;
+    try {
+      stats = fs.statSync(this.file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.clients = [];
+      this.byHash = new Map();
+      this.loadedMtimeMs = null;
+      return;
+    }
+
+    if (stats.mtimeMs === this.loadedMtimeMs) return;
+
+    const content = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    this.clients = content.clients || [];
+    this.byHash = new Map(this.clients.map(client => [client.keyHash, client]));
+    this.loadedMtimeMs = stats.mtimeMs;
+
+    logger.info('API key registry loaded', { clients: this.clients.length });
+  }
+
+  /**
+   * @returns {Object|null} The active client the key belongs to
+   */
+  findByKey(apiKey) {
+    this.reloadIfChanged();
+
+    const client = this.byHash.get(this.hashKey(apiKey));
+    if (!client || client.revokedAt) {
+      return null;
+    }
+    return client;
+  }
+
+  /**
+   * @returns {Object|null} The active client with this ID
+   */
+  findById(clientId) {
+    this.reloadIfChanged();
+
+    const client = this.clients.find(c => c.id === clientId);
+    if (!client || client.revokedAt) {
+      return null;
+    }
+    return client;
+  }
+
+  listClients() {
+    this.reloadIfChanged();
+    return this.clients;
+  }
+
+  /**
+   * Whether the client has a role; admins have every role
+   */
+  hasRole(client, role) {
+    const roles = client?.roles || [];
+    return roles.includes(role) || roles.includes('admin');
+  }
+
+  /**
+   * Create a client with a new random key. The plain key is only returned here.
+   * @param {String} name - Human readable client name
+   * @param {Object} quotas - { requestsPerDay, spendPerMonthUsd }, null for the server default
+   * @param {Array<String>} roles - Any of ROLES, none for a regular client
+   * @returns {Object} { client, apiKey }
+   */
+  createClient(name, quotas = {}, roles = []) {
+    this.reloadIfChanged();
+
+    const unknown = roles.filter(role => !ROLES.includes(role));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown role "${unknown[0]}". Valid roles: ${ROLES.join(', ')}`);
+    }
+
+    const apiKey = `imf_${crypto.randomBytes(24).toString('hex')}`;
+    const client = {
+      id: uuidv4(),
+      name,
+      keyHash: this.hashKey(apiKey),
+      keyPrefix: apiKey.slice(0, 8),
+      quotas: {
+        requestsPerDay: quotas.requestsPerDay ?? null,
+        spendPerMonthUsd: quotas.spendPerMonthUsd ?? null
+      },
+      roles: [...new Set(roles)],
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+
+    this.clients.push(client);
+    this.save();
+
+    return { client, apiKey };
+  }
+
+  revokeClient(clientId) {
+    this.reloadIfChanged();
+
+    const client = this.clients.find(c => c.id === clientId);
+    if (!client) return null;
+
+    client.revokedAt = new Date().toISOString();
+    this.save();
+    return client;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const temp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify({ clients: this.clients }, null, 2), { mode: 0o600 });
+    fs.renameSync(temp, this.file);
+    this.loadedMtimeMs = null;
+  }
+}
+
+module.exports = new ApiKeyStore();
@@ -1,87 +1,30 @@
-const Anthropic = require('@anthropic-ai/sdk');
 const logger = require('../utils/contextLogger');
-const { getContext } = require('../middleware/correlationContext');
+const progressTracker = require('../utils/progressTracker');
+const { withCitations, getCitationInstructions } = require('../utils/sourceCitations');
+const { getProvider } = require('../providers');
+const { isCreditError } = require('../providers/circuitBreaker');
+const promptRegistry = require('./promptRegistry');
+const costLedger = require('./costLedger');
+const { RepairBudget, runToolPass } = require('./outputRepair');
 const complexSchema = require('../schemas/complexSchema.json');
 const portfolioSchema = require('../schemas/portfolioSchema.json');
+const { describeSchema, toolSchema } = require('../utils/schemaVersions');
+const { calculateCost } = require('../utils/pricing');
 
-// Helper function to calculate API costs
-function calculateCost(usage) {
-  const inputCost = (usage.input_tokens / 1_000_000) * 3.0;  // $3/MTok
-  const outputCost = (usage.output_tokens / 1_000_000) * 15.0; // $15/MTok
-  return parseFloat((inputCost + outputCost).toFixed(4));
-}
+const NO_USAGE = { input_tokens: 0, output_tokens: 0 };
 
 class ClaudeService {
   constructor() {
-    if (!process.env.ANTHROPIC_API_KEY) {
-      throw new Error('ANTHROPIC_API_KEY is not configured');
-    }
-
-    this.client = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
-    });
-
-    this.model = process.env.CLAUDE_MODEL || 'claude-sonnet-4-5';
+    this.provider = getProvider();
+    this.model = this.provider.model;
   }
 
-  getClassificationPrompt() {
-    return `You are analyzing a German real estate exposé (property listing document).
-
-Your task is to determine whether this document describes:
-- SINGLE: One complex property (possibly with multiple uses, addresses, or components, but it's ONE property)
-- PORTFOLIO: Multiple separate properties that could be sold individually
-
-Classification criteria:
-
-Classify as SINGLE when:
-- Document describes one building complex with multiple addresses
-- Mixed-use property with integrated components (e.g., retail + residential in same building)
-- Single purchase price for entire complex
-- Shared infrastructure (parking, utilities, management)
-- One land plot (Grundstück) number or contiguous land
-- Described as "Objekt" (singular) not "Objekte" (plural)
-- One overall property name/identifier
-
-Classify as PORTFOLIO when:
-- Multiple distinct properties at completely different locations
-- Separate building IDs or names that indicate independence (e.g., "Building A", "Building B")
-- Individual property metrics listed in separate tables
-- Properties that can be sold separately
-- Different construction years per building indicating separate developments
-- Separate land plots (Flurstücke) per property
-- Multiple property addresses that are geographically separate
-
-Respond with ONLY one word: either "SINGLE" or "PORTFOLIO"`;
+  getClassificationPrompt(promptVersion) {
+    return promptRegistry.render(promptVersion, 'classification');
   }
 
-  getExtractionPrompt(propertyType) {
-    if (propertyType === 'SINGLE') {
-      return `You are extracting property information from a German real estate exposé.
-
-Key extraction rules:
-- Extract ALL numerical values (areas, income, occupancy rates)
-- For mixed-use properties, provide both totals AND breakdowns by use type
-- Convert German number formats: "1.234,56" becomes 1234.56
-- Look for "IST" (current) vs "SOLL" (potential) income sections
-- Extract modernization years separately from original construction year
-- Count parking as number of spaces, not area
-- Ensure all required fields are filled - if data is missing, use null for optional fields
-- Be thorough - extract every piece of information available
-
-You MUST use the extract_complex_property tool to return the data.`;
-    } else {
-      return `You are extracting property information from a German real estate exposé with multiple properties.
-
-Key extraction rules:
-- Create one array item for each distinct property
-- Extract ALL properties mentioned in the document
-- Convert German number formats: "1.234,56" becomes 1234.56
-- Each property must have at minimum: name_id, street, postal_code, city, country
-- Extract all available metrics for each property
-- If a value is not available for a property, use null
-
-You MUST use the extract_portfolio_properties tool to return the data.`;
-    }
+  getExtractionPrompt(propertyType, promptVersion) {
+    return promptRegistry.render(promptVersion, propertyType === 'SINGLE' ? 'extraction-single' : 'extraction-portfolio');
   }
 
   // Convert JSON schema to Anthropic tool input schema format
@@ -91,59 +34,78 @@ You MUST use the extract_portfolio_properties tool to return the data.`;
     return jsonSchema;
   }
 
-  async extractPropertyData(pdfBase64) {
-    try {
-      const context = getContext();
-      logger.info('Starting fast extraction process', {
-        pdfSizeKB: Math.round(pdfBase64.length / 1024)
-      });
-      const startTime = Date.now();
+  /**
+   * Classification pass, also used to share one classification between services
+   * @param {String} pdfBase64 - The PDF
+   * @param {Object} options - { promptVersion }
+   * @returns {Object} { type: 'SINGLE' or 'PORTFOLIO', usage, cost }
+   */
+  async classifyDocument(pdfBase64, options = {}) {
+    const { promptVersion } = promptRegistry.describe(options.promptVersion);
 
-      // STEP 1: Classify the document type
+    try {
       logger.info('Classification pass started', {
         stage: 'classification',
         pdfSizeKB: Math.round(pdfBase64.length / 1024)
       });
+      progressTracker.report('classification', 'started');
       const classifyStart = Date.now();
-      const classificationResponse = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 10,
-        temperature: 0,
-        messages: [
-          {
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text: this.getClassificationPrompt()
-              },
-              {
-                type: "document",
-                source: {
-                  type: "base64",
-                  media_type: "application/pdf",
-                  data: pdfBase64
-                }
-              }
-            ]
-          }
-        ]
+      const classificationResponse = await this.provider.classify({
+        document: pdfBase64,
+        prompt: this.getClassificationPrompt(promptVersion)
       });
 
-      const classificationType = this.extractTextFromResponse(classificationResponse).trim();
+      const classificationType = classificationResponse.text.trim();
 
       logger.info('Classification pass completed', {
         stage: 'classification',
         result: classificationType,
         inputTokens: classificationResponse.usage.input_tokens,
         outputTokens: classificationResponse.usage.output_tokens,
-        cost: calculateCost(classificationResponse.usage),
+        cost: calculateCost(classificationResponse.usage, this.model),
         durationMs: Date.now() - classifyStart
       });
+      progressTracker.report('classification', 'completed', { result: classificationType });
 
       if (classificationType !== 'SINGLE' && classificationType !== 'PORTFOLIO') {
         throw new Error(`Invalid classification result: ${classificationType}`);
       }
+      costLedger.classify(classificationType);
+
+      return {
+        type: classificationType,
+        usage: classificationResponse.usage,
+        cost: calculateCost(classificationResponse.usage, this.model)
+      };
+
+    } catch (error) {
+      logger.error('Claude API error:', error);
+      this.handleApiError(error);
+    }
+  }
+
+  /**
+   * @param {String} pdfBase64 - The PDF
+   * @param {Object} options - { classification, includeSources, promptVersion }
+   *   classification: Result of classifyDocument() to reuse; its cost is then left to the caller
+   *     and not included in the metadata
+   *   includeSources: Ask for a source citation per value, returned as `citations`
+   *   promptVersion: Pinned prompt version (default: PROMPT_VERSION), see promptRegistry
+   */
+  async extractPropertyData(pdfBase64, options = {}) {
+    const prompts = promptRegistry.describe(options.promptVersion);
+
+    try {
+      logger.info('Starting fast extraction process', {
+        pdfSizeKB: Math.round(pdfBase64.length / 1024)
+      });
+      const startTime = Date.now();
+
+      // STEP 1: Classify the document type (unless the caller already did)
+      const classification = options.classification || await this.classifyDocument(pdfBase64, prompts);
+      const classificationType = classification.type;
+      const classificationUsage = options.classification ? NO_USAGE : classification.usage;
+      const classificationCalls = options.classification ? 0 : 1;
 
       // STEP 2: Extract with the appropriate schema using TOOL CALLING
       logger.info('Extraction pass started', {
@@ -151,68 +113,57 @@ You MUST use the extract_portfolio_properties tool to return the data.`;
         documentType: classificationType,
         schema: classificationType === 'SINGLE' ? 'complex' : 'portfolio'
       });
+      progressTracker.report('extraction', 'started', { documentType: classificationType });
       const extractStart = Date.now();
 
       const tool = classificationType === 'SINGLE' ? {
         name: "extract_complex_property",
         description: "Extract structured information about a single complex property from the exposé",
-        input_schema: complexSchema
+        input_schema: toolSchema(complexSchema)
       } : {
         name: "extract_portfolio_properties",
         description: "Extract structured information about multiple properties from the exposé",
         input_schema: {
           type: "object",
           properties: {
-            properties: portfolioSchema
+            properties: toolSchema(portfolioSchema)
           },
           required: ["properties"]
         }
       };
 
-      const extractionResponse = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 8192,
-        temperature: 0,
-        tools: [tool],
-        tool_choice: { type: "tool", name: tool.name },
-        messages: [
-          {
-            role: "user",
-            content: [
-              {
-                type: "text",
-                text: this.getExtractionPrompt(classificationType)
-              },
-              {
-                type: "document",
-                source: {
-                  type: "base64",
-                  media_type: "application/pdf",
-                  data: pdfBase64
-                }
-              }
-            ]
-          }
-        ]
+      // Cut-off, missing or schema-violating tool input is repaired within the budget
+      const repairs = new RepairBudget(usage => calculateCost(usage, this.model));
+      const citationInstructions = options.includeSources ? `\n\n${getCitationInstructions()}` : '';
+      const extraction = await runToolPass(this.provider, repairs, {
+        name: 'extraction',
+        send: request => this.provider.extractWithTool(request),
+        request: {
+          document: pdfBase64,
+          prompt: this.getExtractionPrompt(classificationType, prompts.promptVersion) + citationInstructions,
+          tool: options.includeSources ? withCitations(tool) : tool
+        },
+        classificationType,
+        promptVersion: prompts.promptVersion,
+        citationInstructions
       });
-
-      // Extract the tool use result
-      const toolUse = extractionResponse.content.find(block => block.type === 'tool_use');
-      if (!toolUse || !toolUse.input) {
-        throw new Error('No tool use found in Claude response');
-      }
+      const extractionResponse = extraction.response;
+      const { data, citations } = extraction;
 
       logger.info('Extraction pass completed', {
         stage: 'extraction',
         inputTokens: extractionResponse.usage.input_tokens,
         outputTokens: extractionResponse.usage.output_tokens,
-        cost: calculateCost(extractionResponse.usage),
+        cost: calculateCost(extractionResponse.usage, this.model),
         durationMs: Date.now() - extractStart
       });
+      progressTracker.report('extraction', 'completed', {
+        itemCount: Array.isArray(data) ? data.length : 1
+      });
 
-      const totalTokens = classificationResponse.usage.input_tokens + classificationResponse.usage.output_tokens +
-                         extractionResponse.usage.input_tokens + extractionResponse.usage.output_tokens;
-      const totalCost = calculateCost(classificationResponse.usage) + calculateCost(extractionResponse.usage);
+      const totalTokens = classificationUsage.input_tokens + classificationUsage.output_tokens +
+                         extractionResponse.usage.input_tokens + extractionResponse.usage.output_tokens + repairs.tokens;
+      const totalCost = calculateCost(classificationUsage, this.model) + calculateCost(extractionResponse.usage, this.model) + repairs.cost;
 
       logger.info('Request completed successfully', {
         stage: 'complete',
@@ -221,67 +172,88 @@ You MUST use the extract_portfolio_properties tool to return the data.`;
         totalTokens,
         passesExecuted: 2
       });
-
-      // Unwrap portfolio data from wrapper object
-      return classificationType === 'PORTFOLIO' ? toolUse.input.properties : toolUse.input;
+      progressTracker.report('complete', 'completed', { totalCost, passesExecuted: 2 });
+
+      return {
+        data,
+        metadata: {
+          model: this.model,
+          ...prompts,
+          classification: classificationType,
+          schema: describeSchema(classificationType),
+          pdfSizeKB: Math.round(pdfBase64.length / 1024),
+          totalCost,
+          totalTokens,
+          apiCallsCount: classificationCalls + 1 + repairs.attempts.length,
+          repairs: repairs.summary()
+        },
+        citations: options.includeSources ? citations : null
+      };
 
     } catch (error) {
       logger.error('Claude API error:', error);
+      this.handleApiError(error);
+    }
+  }
 
-      if (error.status === 429) {
-        const rateLimitError = new Error('Rate limit exceeded. Please try again in a moment.');
-        rateLimitError.status = 429;
-        rateLimitError.source = 'claude-api';
-        throw rateLimitError;
-      }
+  handleApiError(error) {
+    // Already translated, e.g. by classifyDocument()
+    if (error.source === 'claude-api') {
+      throw error;
+    }
 
-      if (error.status === 401) {
-        const authError = new Error('Invalid API key. Please check your Claude API credentials.');
-        authError.status = 401;
-        authError.source = 'claude-api';
-        throw authError;
-      }
+    if (error.status === 429) {
+      const rateLimitError = new Error('Rate limit exceeded. Please try again in a moment.');
+      rateLimitError.status = 429;
+      rateLimitError.source = 'claude-api';
+      throw rateLimitError;
+    }
 
-      if (error.status === 400) {
-        const badRequestError = new Error('Invalid request to Claude API. The PDF may be corrupted or in an unsupported format.');
-        badRequestError.status = 400;
-        badRequestError.source = 'claude-api';
-        badRequestError.details = error.message;
-        throw badRequestError;
-      }
+    if (error.status === 529) {
+      const overloadedError = new Error('Claude is temporarily overloaded. Please try again in a moment.');
+      overloadedError.status = 503;
+      overloadedError.source = 'claude-api';
+      throw overloadedError;
+    }
 
-      if (error.status === 413) {
-        const sizeError = new Error('PDF file is too large for Claude API (max 32MB).');
-        sizeError.status = 413;
-        sizeError.source = 'claude-api';
-        throw sizeError;
-      }
+    if (error.status === 401) {
+      const authError = new Error('Invalid API key. Please check your Claude API credentials.');
+      authError.status = 401;
+      authError.source = 'claude-api';
+      throw authError;
+    }
 
-      const genericError = new Error(`Failed to process PDF with Claude: ${error.message}`);
-      genericError.status = error.status || 500;
-      genericError.source = 'claude-api';
-      throw genericError;
+    // Not the caller's fault, and the same for every request until credit is added
+    if (isCreditError(error)) {
+      const creditError = new Error('Claude API credit balance is too low. Please try again later.');
+      creditError.status = 503;
+      creditError.source = 'claude-api';
+      throw creditError;
     }
-  }
 
-  extractTextFromResponse(response) {
-    if (!response || !response.content || !Array.isArray(response.content)) {
-      throw new Error('Invalid response structure from Claude API');
+    if (error.status === 400) {
+      const badRequestError = new Error('Invalid request to Claude API. The PDF may be corrupted or in an unsupported format.');
+      badRequestError.status = 400;
+      badRequestError.source = 'claude-api';
+      badRequestError.details = error.message;
+      throw badRequestError;
     }
 
-    const textContent = response.content.find(item => item.type === 'text');
-    if (!textContent || !textContent.text) {
-      throw new Error('No text content found in Claude response');
+    if (error.status === 413) {
+      const sizeError = new Error('PDF file is too large for Claude API (max 32MB).');
+      sizeError.status = 413;
+      sizeError.source = 'claude-api';
+      throw sizeError;
     }
 
-    return textContent.text;
+    const genericError = new Error(`Failed to process PDF with Claude: ${error.message}`);
+    genericError.status = error.status || 500;
+    genericError.source = 'claude-api';
+    throw genericError;
   }
 
   validateApiKey() {
-    if (!process.env.ANTHROPIC_API_KEY) {
-      return false;
-    }
-    return process.env.ANTHROPIC_API_KEY.startsWith('sk-ant-');
+    return this.provider.isConfigured();
   }
 }
 
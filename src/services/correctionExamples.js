@@ -0,0 +1,242 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const JsonFileStore = require('../utils/jsonFileStore');
+const { valueAtPath, valuePaths } = require('../utils/fieldPaths');
+const logger = require('../utils/contextLogger');
+
+const dataDir = process.env.DATA_DIR || './data';
+
+const MAX_EXCERPT_LENGTH = 300;
+
+function exampleError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Portfolio paths are matched across properties: [3].city -> [].city
+ */
+function fieldPattern(field) {
+  return field.replace(/\[\d+\]/g, '[]');
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function formatValue(value) {
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Reviewed corrections kept as few-shot examples for the validated prompts
+ *
+ * Each example is a (document excerpt, wrong value, correct value, rule) tuple
+ * for one field, tagged with an error category ("Baujahr summed wrongly") and
+ * optionally the broker whose exposé it came from. Examples come from approved
+ * reviews (corrections that carry a rule) or are submitted directly via
+ * POST /api/examples.
+ *
+ * The extraction and verification prompts include the most relevant few:
+ * same broker first, then same document type; for verification, examples whose
+ * field (or wrong value) shows up in the data being checked. FEW_SHOT_MAX_EXAMPLES
+ * and FEW_SHOT_MAX_CHARS cap what is added per prompt.
+ *
+ * Examples are kept in memory and written to DATA_DIR/examples/<id>.json.
+ */
+class CorrectionExamples {
+  constructor() {
+    this.maxExamples = parseInt(process.env.FEW_SHOT_MAX_EXAMPLES || '3', 10);
+    this.maxChars = parseInt(process.env.FEW_SHOT_MAX_CHARS || '3000', 10);
+
+    this.store = new JsonFileStore(path.join(dataDir, 'examples'));
+    this.examples = new Map();
+
+    this.store.loadAll().forEach(example => this.examples.set(example.id, example));
+  }
+
+  /**
+   * Store a new example
+   * @param {Object} example - { field, correctValue, wrongValue, excerpt, rule, category, broker,
+   *                            classification, extractionId, reviewId, createdBy }
+   * @returns {Object} The stored example
+   */
+  async add(example) {
+    if (typeof example.field !== 'string' || !example.field.trim()) {
+      throw exampleError('An example needs the "field" path of the corrected value');
+    }
+    if (example.correctValue === undefined) {
+      throw exampleError('An example needs a "correctValue"');
+    }
+    if (typeof example.rule !== 'string' || !example.rule.trim()) {
+      throw exampleError('An example needs a "rule" explaining how to get the value right');
+    }
+    if (sameValue(example.wrongValue, example.correctValue)) {
+      throw exampleError(`The correct value of "${example.field}" equals the wrong value, there is nothing to learn from`);
+    }
+
+    const record = {
+      id: uuidv4(),
+      createdAt: new Date().toISOString(),
+      source: example.reviewId ? 'review' : 'api',
+      field: example.field.trim(),
+      wrongValue: example.wrongValue ?? null,
+      correctValue: example.correctValue,
+      excerpt: typeof example.excerpt === 'string' ? example.excerpt.trim().slice(0, MAX_EXCERPT_LENGTH) : null,
+      rule: example.rule.trim(),
+      category: example.category || null,
+      broker: example.broker || null,
+      classification: example.classification || null,
+      extractionId: example.extractionId || null,
+      reviewId: example.reviewId || null,
+      createdBy: example.createdBy || null
+    };
+
+    await this.store.write(record.id, record);
+    this.examples.set(record.id, record);
+
+    logger.info('Correction example stored', {
+      exampleId: record.id,
+      field: record.field,
+      category: record.category,
+      source: record.source
+    });
+
+    return record;
+  }
+
+  get(id) {
+    return this.examples.get(id) || null;
+  }
+
+  async remove(id) {
+    if (!this.examples.has(id)) return false;
+    await this.store.remove(id);
+    this.examples.delete(id);
+    return true;
+  }
+
+  /**
+   * List examples, newest first
+   * @param {Object} filters - { broker, category, field, limit, offset }
+   */
+  list(filters = {}) {
+    const category = filters.category?.toLowerCase();
+    const broker = filters.broker?.toLowerCase();
+
+    const matches = [...this.examples.values()]
+      .filter(example => {
+        if (broker && example.broker?.toLowerCase() !== broker) return false;
+        if (category && example.category?.toLowerCase() !== category) return false;
+        if (filters.field && fieldPattern(example.field) !== fieldPattern(filters.field)) return false;
+        return true;
+      })
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    const offset = filters.offset || 0;
+    const limit = filters.limit || 50;
+
+    return {
+      total: matches.length,
+      offset,
+      limit,
+      items: matches.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * Relevance of an example to the document at hand (higher is better)
+   * @param {Object} context - { classification, broker, data } - data only for verification
+   */
+  score(example, context) {
+    let score = 0;
+
+    if (context.broker && example.broker?.toLowerCase() === context.broker.toLowerCase()) score += 4;
+    if (context.classification && example.classification === context.classification) score += 1;
+
+    if (context.data !== undefined) {
+      const pattern = fieldPattern(example.field);
+      const paths = valuePaths(context.data).filter(candidate => fieldPattern(candidate) === pattern);
+      if (paths.length > 0) score += 2;
+      // The data under verification contains the exact mistake corrected before
+      if (example.wrongValue !== null && paths.some(candidate => sameValue(valueAtPath(context.data, candidate), example.wrongValue))) {
+        score += 5;
+      }
+    }
+
+    return score;
+  }
+
+  /**
+   * The most relevant examples for a prompt, within FEW_SHOT_MAX_EXAMPLES and FEW_SHOT_MAX_CHARS
+   *
+   * Ranked by score, then newest first; an error category already covered is
+   * only repeated when nothing else scores as high.
+   * @param {Object} context - { classification, broker, data }
+   * @returns {Array} Selected examples
+   */
+  select(context = {}) {
+    if (this.maxExamples <= 0 || this.examples.size === 0) {
+      return [];
+    }
+
+    const ranked = [...this.examples.values()]
+      .map(example => ({ example, score: this.score(example, context) }))
+      .sort((a, b) => b.score - a.score || b.example.createdAt.localeCompare(a.example.createdAt));
+
+    const selected = [];
+    const categories = new Set();
+    let chars = 0;
+
+    while (selected.length < this.maxExamples && ranked.length > 0) {
+      const topScore = ranked[0].score;
+      const index = ranked.findIndex(entry => entry.score === topScore && !categories.has(entry.example.category));
+      const [{ example }] = ranked.splice(index === -1 ? 0 : index, 1);
+
+      const length = this.formatExample(example, selected.length + 1).length;
+      if (chars + length > this.maxChars) continue;
+
+      chars += length;
+      selected.push(example);
+      if (example.category) categories.add(example.category);
+    }
+
+    return selected;
+  }
+
+  formatExample(example, number) {
+    const lines = [`${number}. ${example.category ? `[${example.category}] ` : ''}${example.field}`];
+    if (example.excerpt) lines.push(`   Document excerpt: "${example.excerpt}"`);
+    lines.push(`   Wrong: ${formatValue(example.wrongValue)}  Correct: ${formatValue(example.correctValue)}`);
+    lines.push(`   Rule: ${example.rule}`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Prompt section for the extraction pass ('' without examples)
+   */
+  getExtractionSection(examples) {
+    if (examples.length === 0) return '';
+
+    return `LESSONS FROM REVIEWED EXTRACTIONS:
+Analysts corrected these values in earlier exposés. Apply the same rules to this document - never copy the values.
+
+${examples.map((example, index) => this.formatExample(example, index + 1)).join('\n\n')}`;
+  }
+
+  /**
+   * Prompt section for the verification pass ('' without examples)
+   */
+  getVerificationSection(examples) {
+    if (examples.length === 0) return '';
+
+    return `KNOWN ERROR PATTERNS:
+Reviewers found these mistakes in earlier extractions. Check the extraction result for the same kind of error.
+
+${examples.map((example, index) => this.formatExample(example, index + 1)).join('\n\n')}`;
+  }
+}
+
+module.exports = new CorrectionExamples();
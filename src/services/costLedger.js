@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { v4: uuidv4 } = require('uuid');
+
+const { asyncLocalStorage, getContext } = require('../middleware/correlationContext');
+const { calculateCost, getPrice } = require('../utils/pricing');
+const apiKeyStore = require('./apiKeyStore');
+const logger = require('../utils/contextLogger');
+
+const dataDir = process.env.DATA_DIR || './data';
+
+const GROUP_BY = ['day', 'client', 'endpoint', 'classification', 'document', 'model', 'pass', 'mode'];
+const GROUP_KEYS = {
+  day: entry => entry.day,
+  client: entry => entry.clientId,
+  endpoint: entry => entry.endpoint,
+  classification: entry => entry.classification,
+  document: entry => entry.documentHash,
+  model: entry => entry.model,
+  pass: entry => entry.pass,
+  mode: entry => entry.mode
+};
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_FILE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+function round(value, digits = 4) {
+  return parseFloat(value.toFixed(digits));
+}
+
+function emptyTotals() {
+  return {
+    costUsd: 0,
+    calls: 0,
+    documents: new Set(),
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheCreationInputTokens: 0,
+    cacheReadInputTokens: 0
+  };
+}
+
+function addEntry(totals, entry) {
+  totals.costUsd += entry.costUsd;
+  totals.calls += 1;
+  if (entry.documentHash) {
+    totals.documents.add(entry.documentHash);
+  }
+  totals.inputTokens += entry.inputTokens;
+  totals.outputTokens += entry.outputTokens;
+  totals.cacheCreationInputTokens += entry.cacheCreationInputTokens;
+  totals.cacheReadInputTokens += entry.cacheReadInputTokens;
+}
+
+function summarizeTotals({ documents, ...totals }) {
+  return {
+    ...totals,
+    costUsd: round(totals.costUsd),
+    documents: documents.size,
+    costPerDocumentUsd: documents.size > 0 ? round(totals.costUsd / documents.size) : null
+  };
+}
+
+/**
+ * Ledger of every LLM call and its cost
+ *
+ * Each successful pass (see src/providers/passCosts.js) becomes one entry with
+ * model, pass, tokens (prompt cache included), the price it was charged at
+ * (see src/utils/pricing.js) and who and what it was for: client, endpoint,
+ * request, and within an extraction the document and its classification.
+ * Entries are appended as JSON lines to DATA_DIR/ledger/<YYYY-MM-DD>.jsonl,
+ * one file per UTC day; report() reads the days of the requested period only.
+ */
+class CostLedger {
+  constructor() {
+    this.directory = path.join(dataDir, 'ledger');
+    fs.mkdirSync(this.directory, { recursive: true });
+    this.writes = Promise.resolve();
+  }
+
+  dayFile(day) {
+    return path.join(this.directory, `${day}.jsonl`);
+  }
+
+  /**
+   * Run an extraction of one document, so its calls are attributed to it.
+   * Its entries are written when it ends, with the classification it found.
+   * @param {Object} document - { documentHash, originalName, mode }
+   * @param {Function} fn - async () => result
+   */
+  async attribute(document, fn) {
+    const attribution = { ...document, classification: null, entries: [] };
+    try {
+      return await asyncLocalStorage.run({ ...getContext(), costAttribution: attribution }, fn);
+    } finally {
+      this.append(attribution.entries);
+    }
+  }
+
+  /**
+   * Classification of the document being extracted; also set on its calls so
+   * far, the classification pass itself included
+   */
+  classify(classification) {
+    const attribution = getContext().costAttribution;
+    if (!attribution) return;
+
+    attribution.classification = classification;
+    attribution.entries
+      .filter(entry => entry.classification === null)
+      .forEach(entry => {
+        entry.classification = classification;
+      });
+  }
+
+  /**
+   * Record one LLM call
+   * @param {Object} call - { pass, provider, model, usage }
+   * @returns {Object} The entry
+   */
+  record({ pass, provider, model, usage }) {
+    const context = getContext();
+    const attribution = context.costAttribution;
+    const price = getPrice(model);
+    const timestamp = new Date().toISOString();
+
+    const entry = {
+      id: uuidv4(),
+      timestamp,
+      day: timestamp.slice(0, 10),
+      requestId: context.requestId || null,
+      jobId: context.jobId || null,
+      clientId: context.clientId || null,
+      // Jobs run outside their request, their context endpoint is the job
+      endpoint: context.jobId ? '/api/jobs' : context.endpoint || null,
+      mode: attribution?.mode || null,
+      documentHash: attribution?.documentHash || null,
+      originalName: attribution?.originalName || null,
+      classification: attribution?.classification || null,
+      provider,
+      model,
+      pass,
+      inputTokens: usage.input_tokens || 0,
+      outputTokens: usage.output_tokens || 0,
+      cacheCreationInputTokens: usage.cache_creation_input_tokens || 0,
+      cacheReadInputTokens: usage.cache_read_input_tokens || 0,
+      price,
+      costUsd: calculateCost(usage, model)
+    };
+
+    if (attribution) {
+      attribution.entries.push(entry);
+    } else {
+      this.append([entry]);
+    }
+    return entry;
+  }
+
+  /**
+   * Append entries to their day files, one write at a time so lines never interleave
+   */
+  append(entries) {
+    if (entries.length === 0) return this.writes;
+
+    this.writes = this.writes.then(async () => {
+      for (const entry of entries) {
+        try {
+          await fs.promises.appendFile(this.dayFile(entry.day), `${JSON.stringify(entry)}\n`);
+        } catch (error) {
+          logger.error('Failed to persist cost ledger entry', { entryId: entry.id, error: error.message });
+        }
+      }
+    });
+    return this.writes;
+  }
+
+  /**
+   * Days between two days (inclusive) that have entries
+   */
+  async daysWithEntries(from, to) {
+    const files = await fs.promises.readdir(this.directory);
+    return files
+      .map(file => DAY_FILE.exec(file)?.[1])
+      .filter(day => day && day >= from && day <= to)
+      .sort();
+  }
+
+  /**
+   * Entries of one UTC day, read line by line
+   */
+  async *readDay(day) {
+    const input = fs.createReadStream(this.dayFile(day), { encoding: 'utf8' });
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (error) {
+        logger.warn('Skipping unreadable cost ledger line', { day, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Spend between two UTC days (inclusive), grouped by one dimension
+   * @param {Object} query - { from, to, groupBy, clientId }
+   *   from: YYYY-MM-DD, default the first day of the current month
+   *   to: YYYY-MM-DD, default today
+   *   groupBy: One of GROUP_BY, default day
+   *   clientId: Only the calls of this client
+   * @returns {Promise<Object>} { from, to, groupBy, currency, total, groups }
+   */
+  async report(query = {}) {
+    const today = new Date().toISOString().slice(0, 10);
+    const from = query.from || `${today.slice(0, 7)}-01`;
+    const to = query.to || today;
+    const groupBy = query.groupBy || 'day';
+
+    if (!DAY.test(from) || !DAY.test(to)) {
+      const error = new Error('from and to must be days (YYYY-MM-DD)');
+      error.status = 400;
+      throw error;
+    }
+    if (!GROUP_BY.includes(groupBy)) {
+      const error = new Error(`Invalid groupBy "${groupBy}". Valid values: ${GROUP_BY.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    // Entries still being written are reported once written
+    await this.writes;
+
+    const total = emptyTotals();
+    const groups = new Map();
+    for (const day of await this.daysWithEntries(from, to)) {
+      for await (const entry of this.readDay(day)) {
+        if (query.clientId && entry.clientId !== query.clientId) continue;
+
+        addEntry(total, entry);
+        const key = GROUP_KEYS[groupBy](entry);
+        if (!groups.has(key)) {
+          groups.set(key, { entry, totals: emptyTotals() });
+        }
+        addEntry(groups.get(key).totals, entry);
+      }
+    }
+
+    const clientNames = groupBy === 'client'
+      ? new Map(apiKeyStore.listClients().map(client => [client.id, client.name]))
+      : null;
+
+    const summarized = [...groups.entries()].map(([key, { entry, totals }]) => ({
+      key,
+      ...(groupBy === 'client' ? { name: clientNames.get(key) || null } : {}),
+      ...(groupBy === 'document' ? { originalName: entry.originalName } : {}),
+      ...summarizeTotals(totals)
+    }));
+    if (groupBy === 'day') {
+      summarized.sort((a, b) => a.key.localeCompare(b.key));
+    } else {
+      summarized.sort((a, b) => b.costUsd - a.costUsd);
+    }
+
+    return {
+      from,
+      to,
+      groupBy,
+      clientId: query.clientId || null,
+      currency: 'USD',
+      total: summarizeTotals(total),
+      groups: summarized
+    };
+  }
+}
+
+module.exports = new CostLedger();
@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useTestEnvironment, samplePdf } = require('../testSupport');
+
+useTestEnvironment();
+
+const { asyncLocalStorage } = require('../middleware/correlationContext');
+const costLedger = require('./costLedger');
+const apiKeyStore = require('./apiKeyStore');
+const { runValidatedExtraction } = require('./extractionPipeline');
+const { documentHash } = require('../providers/cassettes');
+
+const usage = { input_tokens: 1000, output_tokens: 500, cache_read_input_tokens: 2000 };
+
+function inRequest(context, fn) {
+  return asyncLocalStorage.run({ endpoint: '/api/validated/extract-property-data', ...context }, fn);
+}
+
+async function entriesOf(hash) {
+  const today = new Date().toISOString().slice(0, 10);
+  await costLedger.writes;
+  const entries = [];
+  for await (const entry of costLedger.readDay(today)) {
+    if (entry.documentHash === hash) entries.push(entry);
+  }
+  return entries;
+}
+
+test('records a call with its price, tokens and request', async () => {
+  const entry = inRequest({ requestId: 'request-1', clientId: 'client-1' }, () =>
+    costLedger.record({ pass: 'verification', provider: 'anthropic', model: 'claude-sonnet-4-5-20250929', usage }));
+
+  assert.equal(entry.requestId, 'request-1');
+  assert.equal(entry.clientId, 'client-1');
+  assert.equal(entry.endpoint, '/api/validated/extract-property-data');
+  assert.equal(entry.documentHash, null);
+  assert.equal(entry.price.model, 'claude-sonnet-4');
+  assert.deepEqual(
+    [entry.inputTokens, entry.outputTokens, entry.cacheCreationInputTokens, entry.cacheReadInputTokens],
+    [1000, 500, 0, 2000]
+  );
+  // 1000 x 3 + 500 x 15 + 2000 x 0.3 per million
+  assert.equal(entry.costUsd, 0.0111);
+
+  const job = inRequest({ jobId: 'job-1' }, () => costLedger.record({ pass: 'extraction', provider: 'mock', model: 'mock', usage }));
+  assert.equal(job.endpoint, '/api/jobs');
+});
+
+test('attributes the calls of an extraction to its document and classification, written when it ends', async () => {
+  const written = [];
+  await inRequest({ clientId: 'client-2' }, () => costLedger.attribute(
+    { documentHash: 'document-1', originalName: 'expose.pdf', mode: 'validated' },
+    async () => {
+      costLedger.record({ pass: 'classification', provider: 'mock', model: 'mock', usage });
+      costLedger.classify('PORTFOLIO');
+      costLedger.record({ pass: 'extraction', provider: 'mock', model: 'mock', usage });
+      written.push(...await entriesOf('document-1'));
+    }
+  ));
+
+  assert.deepEqual(written, []);
+  const entries = await entriesOf('document-1');
+  assert.deepEqual(entries.map(entry => [entry.pass, entry.classification, entry.mode, entry.originalName, entry.clientId]), [
+    ['classification', 'PORTFOLIO', 'validated', 'expose.pdf', 'client-2'],
+    ['extraction', 'PORTFOLIO', 'validated', 'expose.pdf', 'client-2']
+  ]);
+});
+
+test('records every pass of a fresh extraction and nothing for a cached one', async () => {
+  const pdf = samplePdf('ledger');
+  const hash = documentHash(pdf.toString('base64'));
+
+  const { metadata } = await runValidatedExtraction(pdf, { originalName: 'ledger.pdf' });
+  await runValidatedExtraction(pdf);
+
+  const entries = await entriesOf(hash);
+  assert.deepEqual(entries.map(entry => entry.pass), ['classification', 'extraction', 'verification', 'correction']);
+  assert.ok(entries.every(entry => entry.classification === 'SINGLE' && entry.mode === 'validated'));
+  assert.equal(entries[0].originalName, 'ledger.pdf');
+
+  const ledgerCost = entries.reduce((sum, entry) => sum + entry.costUsd, 0);
+  assert.ok(Math.abs(ledgerCost - metadata.totalCost) < 0.001, `${ledgerCost} vs ${metadata.totalCost}`);
+});
+
+test('reports spend per document and client, over the current month by default', async () => {
+  const { client } = apiKeyStore.createClient('finance');
+  for (const hash of ['report-1', 'report-2']) {
+    await inRequest({ clientId: client.id }, () => costLedger.attribute({ documentHash: hash, originalName: `${hash}.pdf`, mode: 'standard' },
+      async () => costLedger.record({ pass: 'extraction', provider: 'mock', model: 'mock', usage: { input_tokens: 10000 } })));
+  }
+
+  const byDocument = await costLedger.report({ groupBy: 'document', clientId: client.id });
+  assert.equal(byDocument.clientId, client.id);
+  assert.equal(byDocument.total.costUsd, 0.06);
+  assert.equal(byDocument.total.documents, 2);
+  assert.equal(byDocument.total.costPerDocumentUsd, 0.03);
+  assert.deepEqual(byDocument.groups.map(group => group.originalName).sort(), ['report-1.pdf', 'report-2.pdf']);
+
+  const byClient = await costLedger.report({ groupBy: 'client' });
+  assert.equal(byClient.groups.find(group => group.key === client.id).name, 'finance');
+
+  const thisMonth = await costLedger.report();
+  assert.equal(thisMonth.from, `${new Date().toISOString().slice(0, 7)}-01`);
+  assert.equal((await costLedger.report({ from: '2025-01-01', to: '2025-01-31' })).total.calls, 0);
+});
+
+test('rejects invalid days and groupings', async () => {
+  await assert.rejects(costLedger.report({ from: 'January' }), { status: 400 });
+  await assert.rejects(costLedger.report({ groupBy: 'weekday' }), { status: 400, message: /Valid values: day, client/ });
+});
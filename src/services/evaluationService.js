@@ -0,0 +1,358 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const {
+  EXTRACTION_MODES,
+  runStandardExtraction,
+  runValidatedExtraction,
+  runCleanExtraction
+} = require('./extractionPipeline');
+const extractionStore = require('./extractionStore');
+const promptRegistry = require('./promptRegistry');
+const { getProvider } = require('../providers');
+const comparator = require('../utils/extractionCompare');
+const logger = require('../utils/contextLogger');
+
+const EXPECTED_SUFFIX = '.expected.json';
+
+function round(value, digits = 4) {
+  return value === null ? null : parseFloat(value.toFixed(digits));
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? round(numerator / denominator) : null;
+}
+
+function isPresent(value) {
+  return value !== null && value !== undefined;
+}
+
+function emptyCounts() {
+  return {
+    true_positives: 0,
+    false_positives: 0,
+    false_negatives: 0,
+    true_negatives: 0,
+    fabricated: 0,
+    numeric_compared: 0,
+    numeric_within_tolerance: 0,
+    relative_error_sum: 0
+  };
+}
+
+function addCounts(target, source) {
+  Object.keys(target).forEach(key => {
+    target[key] += source[key];
+  });
+}
+
+/**
+ * Precision, recall and friends from raw counts
+ *
+ * - precision: extracted values that are correct
+ * - recall: expected values that were extracted correctly
+ * - fabrication_rate: extracted values where the golden set has none
+ * - numeric_within_tolerance_rate / mean_relative_error: numeric fields with a value on both sides
+ */
+function summarizeCounts(counts) {
+  const extracted = counts.true_positives + counts.false_positives;
+  return {
+    true_positives: counts.true_positives,
+    false_positives: counts.false_positives,
+    false_negatives: counts.false_negatives,
+    true_negatives: counts.true_negatives,
+    precision: ratio(counts.true_positives, extracted),
+    recall: ratio(counts.true_positives, counts.true_positives + counts.false_negatives),
+    fabrication_rate: ratio(counts.fabricated, extracted),
+    numeric_within_tolerance_rate: ratio(counts.numeric_within_tolerance, counts.numeric_compared),
+    mean_relative_error: ratio(counts.relative_error_sum, counts.numeric_compared)
+  };
+}
+
+/**
+ * Portfolio field paths are aggregated across properties: portfolio[3].city -> portfolio[].city
+ */
+function aggregateFieldName(field) {
+  return field.replace(/\[\d+\]/g, '[]');
+}
+
+/**
+ * Evaluates extraction accuracy against a golden set of hand-labelled PDFs
+ *
+ * A golden set is a directory of PDFs, each with the expected data next to it:
+ *   <name>.pdf
+ *   <name>.expected.json   data as the extraction returns it - an object for a
+ *                          single property, an array for a portfolio
+ *
+ * Every PDF is run through the extraction pipeline in the chosen mode (cache
+ * and extraction history are bypassed) and compared field by field with
+ * ExtractionComparator, the expected data taking the place of the validated
+ * result. The report is deterministic for a given tree and provider (sorted,
+ * rounded, no timestamps or durations), so reports from two branches can be
+ * diffed directly.
+ */
+class EvaluationService {
+  /**
+   * Find the golden cases in a directory
+   * @returns {Array} [{ name, pdfPath, expectedPath }] sorted by name
+   */
+  async loadGoldenSet(dir) {
+    const files = await fs.readdir(dir);
+    const pdfs = files.filter(file => file.toLowerCase().endsWith('.pdf')).sort();
+
+    const cases = [];
+    for (const file of pdfs) {
+      const name = file.slice(0, -'.pdf'.length);
+      const expectedPath = path.join(dir, name + EXPECTED_SUFFIX);
+      if (!files.includes(name + EXPECTED_SUFFIX)) {
+        logger.warn('Golden set PDF has no expected data, skipping', { file, expected: name + EXPECTED_SUFFIX });
+        continue;
+      }
+      cases.push({ name, pdfPath: path.join(dir, file), expectedPath });
+    }
+    return cases;
+  }
+
+  /**
+   * Run one PDF through the pipeline without touching the cache or the extraction history
+   * @returns {Object} { data, metadata }
+   */
+  async extract(mode, fileBuffer, originalName, promptVersion) {
+    const options = { originalName, force: true, persist: false, promptVersion };
+
+    if (mode === 'standard') {
+      const { data, metadata } = await runStandardExtraction(fileBuffer, options);
+      return { data, metadata };
+    }
+    if (mode === 'validated') {
+      const { data, metadata } = await runValidatedExtraction(fileBuffer, options);
+      return { data, metadata };
+    }
+    const { data, result } = await runCleanExtraction(fileBuffer, options);
+    return { data, metadata: result.metadata };
+  }
+
+  /**
+   * Count the outcome of every compared field
+   * @returns {Object} { counts, fields: { fieldName: counts }, mismatches }
+   */
+  scoreFields(fieldResults) {
+    const counts = emptyCounts();
+    const fields = {};
+    const mismatches = [];
+
+    fieldResults.forEach(result => {
+      const name = aggregateFieldName(result.field);
+      const fieldCounts = fields[name] || (fields[name] = emptyCounts());
+      const outcome = emptyCounts();
+      const actualPresent = isPresent(result.standard_value);
+      const expectedPresent = isPresent(result.validated_value);
+
+      if (result.matches) {
+        if (actualPresent) outcome.true_positives++;
+        else outcome.true_negatives++;
+      } else {
+        if (actualPresent) outcome.false_positives++;
+        if (expectedPresent) outcome.false_negatives++;
+        if (actualPresent && !expectedPresent) outcome.fabricated++;
+
+        mismatches.push({
+          field: result.field,
+          expected: isPresent(result.validated_value) ? result.validated_value : null,
+          actual: isPresent(result.standard_value) ? result.standard_value : null,
+          issue: !expectedPresent ? 'fabricated' : !actualPresent ? 'missing' : 'wrong_value'
+        });
+      }
+
+      if (result.absolute_difference !== undefined && actualPresent && expectedPresent) {
+        const expected = Math.abs(Number(result.validated_value));
+        outcome.numeric_compared++;
+        if (result.matches) outcome.numeric_within_tolerance++;
+        outcome.relative_error_sum += expected > 0 ? result.absolute_difference / expected : 0;
+      }
+
+      addCounts(counts, outcome);
+      addCounts(fieldCounts, outcome);
+    });
+
+    return { counts, fields, mismatches };
+  }
+
+  /**
+   * Compare extracted data with the expected data
+   */
+  compareWithExpected(actual, actualClassification, expected, expectedClassification, tolerance) {
+    const options = { relativeTolerance: tolerance, recordFields: true };
+
+    if (actualClassification !== expectedClassification) {
+      // Different shapes cannot be compared field by field: every expected value counts as missed
+      const expectedFields = comparator.compare(expected, expected, expectedClassification, options).field_results;
+      return expectedFields.map(result => ({
+        ...result,
+        standard_value: null,
+        matches: !isPresent(result.validated_value),
+        absolute_difference: undefined
+      }));
+    }
+
+    if (expectedClassification === 'PORTFOLIO') {
+      // Pad missing properties so their fields count as missed or fabricated
+      const length = Math.max(actual.length, expected.length);
+      const pad = list => [...list, ...Array(length - list.length).fill({})];
+      return comparator.compare(pad(actual), pad(expected), expectedClassification, options).field_results;
+    }
+
+    return comparator.compare(actual, expected, expectedClassification, options).field_results;
+  }
+
+  async evaluateCase(goldenCase, mode, tolerance, promptVersion) {
+    const fileBuffer = await fs.readFile(goldenCase.pdfPath);
+    const expected = JSON.parse(await fs.readFile(goldenCase.expectedPath, 'utf8'));
+    const expectedClassification = Array.isArray(expected) ? 'PORTFOLIO' : 'SINGLE';
+
+    const document = {
+      name: goldenCase.name,
+      document_hash: extractionStore.hashDocument(fileBuffer),
+      expected_classification: expectedClassification
+    };
+
+    let extraction;
+    try {
+      extraction = await this.extract(mode, fileBuffer, path.basename(goldenCase.pdfPath), promptVersion);
+    } catch (error) {
+      logger.warn('Golden set extraction failed', { name: goldenCase.name, error: error.message });
+      return { ...document, status: 'failed', error: error.message, counts: emptyCounts() };
+    }
+
+    const actualClassification = extraction.metadata?.classification;
+    const fieldResults = this.compareWithExpected(
+      extraction.data,
+      actualClassification,
+      expected,
+      expectedClassification,
+      tolerance
+    );
+    const { counts, fields, mismatches } = this.scoreFields(fieldResults);
+
+    return {
+      ...document,
+      status: 'ok',
+      actual_classification: actualClassification,
+      cost_usd: extraction.metadata?.totalCost || 0,
+      tokens: extraction.metadata?.totalTokens || 0,
+      api_calls: extraction.metadata?.apiCallsCount || 0,
+      counts,
+      fields,
+      mismatches
+    };
+  }
+
+  /**
+   * Evaluate a golden set
+   * @param {String} dir - Golden set directory
+   * @param {Object} options - { mode, tolerance, promptVersion } - tolerance is the accepted relative numeric
+   *                            error (0.01 = 1%), promptVersion defaults to PROMPT_VERSION
+   * @returns {Object} Report
+   */
+  async evaluate(dir, options = {}) {
+    const mode = options.mode || 'clean';
+    const tolerance = options.tolerance || 0;
+    const prompts = promptRegistry.describe(options.promptVersion);
+
+    if (!EXTRACTION_MODES.includes(mode)) {
+      throw new Error(`Unknown extraction mode: ${mode}. Valid modes: ${EXTRACTION_MODES.join(', ')}`);
+    }
+
+    const cases = await this.loadGoldenSet(dir);
+    if (cases.length === 0) {
+      throw new Error(`No golden cases found in ${dir} (expected <name>.pdf with <name>${EXPECTED_SUFFIX})`);
+    }
+
+    // One document at a time, an evaluation should not compete with itself for rate limits
+    const results = [];
+    for (const goldenCase of cases) {
+      logger.info('Evaluating golden case', { name: goldenCase.name, mode });
+      results.push(await this.evaluateCase(goldenCase, mode, tolerance, prompts.promptVersion));
+    }
+
+    return this.buildReport(results, { mode, tolerance, prompts });
+  }
+
+  buildReport(results, { mode, tolerance, prompts }) {
+    const provider = getProvider();
+    const totals = emptyCounts();
+    const fieldTotals = {};
+
+    results.forEach(result => {
+      addCounts(totals, result.counts);
+      Object.entries(result.fields || {}).forEach(([name, counts]) => {
+        addCounts(fieldTotals[name] || (fieldTotals[name] = emptyCounts()), counts);
+      });
+    });
+
+    const succeeded = results.filter(result => result.status === 'ok');
+    const totalCost = succeeded.reduce((sum, result) => sum + result.cost_usd, 0);
+    const classified = succeeded.filter(result => result.actual_classification === result.expected_classification);
+
+    const fields = {};
+    Object.keys(fieldTotals).sort().forEach(name => {
+      fields[name] = summarizeCounts(fieldTotals[name]);
+    });
+
+    return {
+      mode,
+      provider: provider.name,
+      model: provider.model,
+      prompt_version: prompts.promptVersion,
+      prompt_fingerprint: prompts.promptFingerprint,
+      tolerance,
+      summary: {
+        documents: results.length,
+        failed: results.length - succeeded.length,
+        classification_accuracy: ratio(classified.length, succeeded.length),
+        ...summarizeCounts(totals),
+        total_cost_usd: round(totalCost),
+        average_cost_usd: succeeded.length > 0 ? round(totalCost / succeeded.length) : null,
+        total_tokens: succeeded.reduce((sum, result) => sum + result.tokens, 0)
+      },
+      fields,
+      documents: results.map(result => {
+        const { counts, fields: _fields, ...document } = result;
+        return { ...document, metrics: summarizeCounts(counts) };
+      })
+    };
+  }
+
+  /**
+   * Summary and per-field metric changes between two reports, for a quick look
+   * before diffing the full reports
+   * @returns {Array} [{ metric, baseline, current, delta }] for metrics that changed
+   */
+  compareReports(baseline, current) {
+    const changes = [];
+    const addChange = (metric, before, after) => {
+      if (before === after) return;
+      const delta = typeof before === 'number' && typeof after === 'number' ? round(after - before) : null;
+      changes.push({ metric, baseline: before ?? null, current: after ?? null, delta });
+    };
+
+    addChange('prompt_version', baseline.prompt_version, current.prompt_version);
+    addChange('prompt_fingerprint', baseline.prompt_fingerprint, current.prompt_fingerprint);
+
+    ['precision', 'recall', 'fabrication_rate', 'numeric_within_tolerance_rate', 'mean_relative_error',
+      'classification_accuracy', 'failed', 'total_cost_usd'].forEach(metric => {
+      addChange(metric, baseline.summary?.[metric], current.summary?.[metric]);
+    });
+
+    const fieldNames = new Set([...Object.keys(baseline.fields || {}), ...Object.keys(current.fields || {})]);
+    [...fieldNames].sort().forEach(name => {
+      ['precision', 'recall'].forEach(metric => {
+        addChange(`${name}.${metric}`, baseline.fields?.[name]?.[metric], current.fields?.[name]?.[metric]);
+      });
+    });
+
+    return changes;
+  }
+}
+
+module.exports = new EvaluationService();
@@ -0,0 +1,104 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { useTestEnvironment, samplePdf } = require('../testSupport');
+
+const dataDir = useTestEnvironment();
+
+const evaluationService = require('./evaluationService');
+
+const goldenDir = path.join(dataDir, 'golden');
+
+/**
+ * Golden set of one document whose expected data differs from the mock
+ * extraction in a few known places
+ */
+before(async () => {
+  const pdf = samplePdf('golden');
+  const { data } = await evaluationService.extract('standard', pdf, 'munich.pdf');
+
+  const expected = structuredClone(data);
+  expected.property_metrics.land_area_sqm = 1250;
+  expected.property_metrics.total_usable_area_sqm = 4000;
+  expected.property_metrics.breakdown_by_use.retail_sqm = null;
+  expected.property_metrics.breakdown_by_use.parking_sqm = 300;
+
+  fs.mkdirSync(goldenDir, { recursive: true });
+  fs.writeFileSync(path.join(goldenDir, 'munich.pdf'), pdf);
+  fs.writeFileSync(path.join(goldenDir, 'munich.expected.json'), JSON.stringify(expected));
+  fs.writeFileSync(path.join(goldenDir, 'unlabelled.pdf'), samplePdf('unlabelled'));
+});
+
+test('skips PDFs without expected data', async () => {
+  const cases = await evaluationService.loadGoldenSet(goldenDir);
+  assert.deepEqual(cases.map(goldenCase => goldenCase.name), ['munich']);
+});
+
+test('reports wrong, missing and fabricated values', async () => {
+  const report = await evaluationService.evaluate(goldenDir, { mode: 'standard', tolerance: 0.01 });
+
+  assert.equal(report.summary.documents, 1);
+  assert.equal(report.summary.failed, 0);
+  assert.equal(report.summary.classification_accuracy, 1);
+
+  const issues = Object.fromEntries(report.documents[0].mismatches.map(mismatch => [mismatch.field, mismatch.issue]));
+  assert.deepEqual(issues, {
+    'property_metrics.total_usable_area_sqm': 'wrong_value',
+    'property_metrics.breakdown_by_use.retail_sqm': 'fabricated',
+    'property_metrics.breakdown_by_use.parking_sqm': 'missing'
+  });
+
+  assert.equal(report.fields['property_metrics.land_area_sqm'].precision, 1);
+  assert.equal(report.fields['property_metrics.total_usable_area_sqm'].precision, 0);
+  assert.equal(report.fields['property_metrics.breakdown_by_use.retail_sqm'].fabrication_rate, 1);
+  assert.equal(report.fields['property_metrics.breakdown_by_use.parking_sqm'].recall, 0);
+  assert.ok(report.summary.precision < 1 && report.summary.recall < 1);
+});
+
+test('accepts numeric differences only within the tolerance', async () => {
+  const exact = await evaluationService.evaluate(goldenDir, { mode: 'standard' });
+
+  assert.equal(exact.fields['property_metrics.land_area_sqm'].precision, 0);
+  assert.equal(exact.fields['property_metrics.land_area_sqm'].mean_relative_error, 0.008);
+});
+
+test('produces the same report for the same tree and provider', async () => {
+  const first = await evaluationService.evaluate(goldenDir, { mode: 'standard', tolerance: 0.01 });
+  const second = await evaluationService.evaluate(goldenDir, { mode: 'standard', tolerance: 0.01 });
+
+  assert.deepEqual(second, first);
+  assert.deepEqual(evaluationService.compareReports(first, second), []);
+});
+
+test('counts every expected value as missed when the classification differs', () => {
+  const expected = [{ name_id: 'A', city: 'Berlin' }, { name_id: 'B', city: 'Hamburg' }];
+  const fieldResults = evaluationService.compareWithExpected({ property_identity: { city: 'Berlin' } }, 'SINGLE',
+    expected, 'PORTFOLIO', 0);
+
+  const { counts, fields } = evaluationService.scoreFields(fieldResults);
+  assert.equal(counts.true_positives, 0);
+  assert.equal(counts.false_negatives, 4);
+  assert.equal(fields['portfolio[].city'].false_negatives, 2);
+});
+
+test('lists the metrics that changed between two reports', () => {
+  const baseline = {
+    prompt_version: 'v1',
+    summary: { precision: 0.8, recall: 0.7, failed: 0 },
+    fields: { city: { precision: 1, recall: 1 } }
+  };
+  const current = {
+    prompt_version: 'v2',
+    summary: { precision: 0.9, recall: 0.7, failed: 1 },
+    fields: { city: { precision: 0.5, recall: 1 } }
+  };
+
+  assert.deepEqual(evaluationService.compareReports(baseline, current), [
+    { metric: 'prompt_version', baseline: 'v1', current: 'v2', delta: null },
+    { metric: 'precision', baseline: 0.8, current: 0.9, delta: 0.1 },
+    { metric: 'failed', baseline: 0, current: 1, delta: 1 },
+    { metric: 'city.precision', baseline: 1, current: 0.5, delta: -0.5 }
+  ]);
+});
@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const JsonFileStore = require('../utils/jsonFileStore');
+const promptRegistry = require('./promptRegistry');
+const { getProvider } = require('../providers');
+const { getConfidenceLevel } = require('../utils/corrections');
+const logger = require('../utils/contextLogger');
+
+const dataDir = process.env.DATA_DIR || './data';
+
+const VARIANTS = ['control', 'candidate'];
+const VERIFICATION_FAILURES = ['incorrect', 'missing', 'fabricated'];
+
+function round(value, digits = 4) {
+  return value === null ? null : parseFloat(value.toFixed(digits));
+}
+
+function mean(values) {
+  return values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+}
+
+function difference(candidate, control) {
+  return candidate === null || control === null ? null : round(candidate - control);
+}
+
+/**
+ * Prompt and model A/B experiments on live traffic
+ *
+ * While EXPERIMENT_NAME is set, EXPERIMENT_TRAFFIC_PERCENT of the validated and
+ * clean extractions run with the candidate variant (EXPERIMENT_PROMPT_VERSION
+ * and/or EXPERIMENT_MODEL), the rest with the control variant (PROMPT_VERSION and
+ * CLAUDE_MODEL). The split is a hash of experiment name and document, so the same
+ * PDF always lands in the same variant.
+ *
+ * Every fresh extraction of the experiment is recorded with its variant,
+ * confidence score, verification failures, whether the correction pass ran and
+ * its cost; report() aggregates them per variant. Runs are kept in memory and
+ * written to DATA_DIR/experiments/<id>.json, so reports of finished experiments
+ * stay available.
+ */
+class ExperimentService {
+  constructor() {
+    this.name = process.env.EXPERIMENT_NAME || null;
+    this.trafficPercent = parseFloat(process.env.EXPERIMENT_TRAFFIC_PERCENT || '10');
+    this.variants = this.name ? this.configure() : null;
+
+    this.store = new JsonFileStore(path.join(dataDir, 'experiments'));
+    this.runs = this.store.loadAll().sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    if (this.name) {
+      logger.info('Experiment running', {
+        experiment: this.name,
+        trafficPercent: this.trafficPercent,
+        control: this.variants.control,
+        candidate: this.variants.candidate
+      });
+    }
+  }
+
+  configure() {
+    if (isNaN(this.trafficPercent) || this.trafficPercent < 0 || this.trafficPercent > 100) {
+      throw new Error(`EXPERIMENT_TRAFFIC_PERCENT must be between 0 and 100, got "${process.env.EXPERIMENT_TRAFFIC_PERCENT}"`);
+    }
+
+    const control = {
+      variant: 'control',
+      promptVersion: promptRegistry.defaultVersion,
+      model: getProvider().model
+    };
+    const candidate = {
+      variant: 'candidate',
+      promptVersion: process.env.EXPERIMENT_PROMPT_VERSION || control.promptVersion,
+      model: process.env.EXPERIMENT_MODEL || control.model
+    };
+
+    if (!promptRegistry.get(candidate.promptVersion)) {
+      throw new Error(`EXPERIMENT_PROMPT_VERSION "${candidate.promptVersion}" is not a known prompt version`);
+    }
+    if (candidate.promptVersion === control.promptVersion && candidate.model === control.model) {
+      throw new Error(`Experiment "${this.name}" has identical variants, set EXPERIMENT_PROMPT_VERSION and/or EXPERIMENT_MODEL`);
+    }
+
+    return { control, candidate };
+  }
+
+  /**
+   * Variant for a document while an experiment runs
+   * @param {String} documentHash - SHA-256 of the PDF bytes
+   * @returns {Object|null} { experiment, variant, promptVersion, model }, null without a running experiment
+   */
+  assign(documentHash) {
+    if (!this.variants) {
+      return null;
+    }
+
+    const hash = crypto.createHash('sha256').update(`${this.name}:${documentHash}`).digest('hex');
+    const bucket = parseInt(hash.slice(0, 8), 16) % 10000;
+    const variant = bucket < this.trafficPercent * 100 ? this.variants.candidate : this.variants.control;
+
+    return { experiment: this.name, ...variant };
+  }
+
+  /**
+   * Record the outcome of a fresh extraction made for an experiment.
+   * Storage problems are logged but never fail the request.
+   * @param {Object} assignment - Result of assign()
+   * @param {Object} run - { mode, extractionId, result } for a finished extraction, { mode, error } for a failed one
+   */
+  async record(assignment, run) {
+    const validation = run.result?.validation || null;
+    const summary = validation?.self_verification?.verification_summary || {};
+
+    const record = {
+      id: uuidv4(),
+      createdAt: new Date().toISOString(),
+      experiment: assignment.experiment,
+      variant: assignment.variant,
+      promptVersion: assignment.promptVersion,
+      model: assignment.model,
+      mode: run.mode,
+      extractionId: run.extractionId || null,
+      status: run.error ? 'failed' : 'completed',
+      error: run.error ? run.error.message : null,
+      confidenceScore: validation?.confidence_score ?? null,
+      confidenceLevel: getConfidenceLevel(validation),
+      verificationFailures: run.error ? null : Object.fromEntries(
+        VERIFICATION_FAILURES.map(status => [status, summary[status] || 0])
+      ),
+      correctionPassRun: validation?.correction_pass_run === true,
+      correctionsApplied: validation?.corrections_applied === true,
+      totalCost: run.result?.metadata?.totalCost ?? null,
+      totalTokens: run.result?.metadata?.totalTokens ?? null,
+      processingTime: run.result?.processingTime ?? null
+    };
+
+    try {
+      await this.store.write(record.id, record);
+      this.runs.push(record);
+    } catch (error) {
+      logger.error('Failed to record experiment run', {
+        experiment: record.experiment,
+        variant: record.variant,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Running experiment and all experiments with recorded runs
+   */
+  list() {
+    const experiments = new Map();
+    this.runs.forEach(run => {
+      const entry = experiments.get(run.experiment) || { experiment: run.experiment, runs: 0, firstRunAt: run.createdAt };
+      entry.runs += 1;
+      entry.lastRunAt = run.createdAt;
+      experiments.set(run.experiment, entry);
+    });
+
+    return {
+      active: this.name ? {
+        experiment: this.name,
+        trafficPercent: this.trafficPercent,
+        variants: VARIANTS.map(variant => this.variants[variant])
+      } : null,
+      experiments: [...experiments.values()].map(entry => ({ ...entry, active: entry.experiment === this.name }))
+    };
+  }
+
+  /**
+   * Metrics per variant, and the candidate's difference to the control
+   * @returns {Object|null} null for an unknown experiment
+   */
+  report(name) {
+    const runs = this.runs.filter(run => run.experiment === name);
+    const active = name === this.name;
+    if (runs.length === 0 && !active) {
+      return null;
+    }
+
+    const variants = {};
+    VARIANTS.forEach(variant => {
+      variants[variant] = this.summarizeRuns(
+        runs.filter(run => run.variant === variant),
+        active ? this.variants[variant] : null
+      );
+    });
+
+    const { control, candidate } = variants;
+    return {
+      experiment: name,
+      active,
+      trafficPercent: active ? this.trafficPercent : null,
+      firstRunAt: runs[0]?.createdAt || null,
+      lastRunAt: runs[runs.length - 1]?.createdAt || null,
+      variants,
+      difference: {
+        meanConfidence: difference(candidate.meanConfidence, control.meanConfidence),
+        verificationFailuresPerRun: difference(candidate.verificationFailuresPerRun, control.verificationFailuresPerRun),
+        correctionRate: difference(candidate.correctionRate, control.correctionRate),
+        failureRate: difference(candidate.failureRate, control.failureRate),
+        meanCost: difference(candidate.meanCost, control.meanCost)
+      }
+    };
+  }
+
+  /**
+   * @param {Array} runs - Runs of one variant, oldest first
+   * @param {Object} configured - Variant configuration of the running experiment (null for finished ones)
+   */
+  summarizeRuns(runs, configured) {
+    const completed = runs.filter(run => run.status === 'completed');
+    const latest = runs[runs.length - 1];
+
+    const confidenceLevels = {};
+    const verificationFailures = Object.fromEntries(VERIFICATION_FAILURES.map(status => [status, 0]));
+    completed.forEach(run => {
+      if (run.confidenceLevel) {
+        confidenceLevels[run.confidenceLevel] = (confidenceLevels[run.confidenceLevel] || 0) + 1;
+      }
+      VERIFICATION_FAILURES.forEach(status => {
+        verificationFailures[status] += run.verificationFailures?.[status] || 0;
+      });
+    });
+
+    const costs = completed.map(run => run.totalCost).filter(cost => cost !== null);
+    const failuresPerRun = completed.map(run =>
+      VERIFICATION_FAILURES.reduce((sum, status) => sum + (run.verificationFailures?.[status] || 0), 0)
+    );
+
+    return {
+      promptVersion: latest?.promptVersion ?? configured?.promptVersion ?? null,
+      model: latest?.model ?? configured?.model ?? null,
+      runs: runs.length,
+      failed: runs.length - completed.length,
+      failureRate: runs.length > 0 ? round((runs.length - completed.length) / runs.length) : null,
+      meanConfidence: mean(completed.map(run => run.confidenceScore).filter(score => score !== null)),
+      confidenceLevels,
+      verificationFailures,
+      verificationFailuresPerRun: mean(failuresPerRun),
+      correctionRate: completed.length > 0 ? round(completed.filter(run => run.correctionPassRun).length / completed.length) : null,
+      totalCost: round(costs.reduce((sum, cost) => sum + cost, 0)),
+      meanCost: mean(costs),
+      meanProcessingTime: mean(completed.map(run => run.processingTime).filter(time => time !== null))
+    };
+  }
+}
+
+module.exports = new ExperimentService();
@@ -0,0 +1,147 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { useTestEnvironment, samplePdf, startApp } = require('../testSupport');
+
+useTestEnvironment({
+  EXPERIMENT_NAME: 'bigger-model',
+  EXPERIMENT_TRAFFIC_PERCENT: '50',
+  EXPERIMENT_MODEL: 'mock-candidate'
+});
+
+const experimentService = require('./experimentService');
+const { runValidatedExtraction, runCleanExtraction } = require('./extractionPipeline');
+const experimentRoutes = require('../routes/experiments');
+
+let server;
+
+before(async () => {
+  server = await startApp(experimentRoutes);
+});
+
+after(() => server.close());
+
+function documentHash(index) {
+  return crypto.createHash('sha256').update(`document ${index}`).digest('hex');
+}
+
+/**
+ * An experiment service configured from the given environment, as after a restart
+ */
+function configured(env) {
+  const previous = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+  Object.assign(process.env, env);
+  try {
+    return new experimentService.constructor();
+  } finally {
+    Object.entries(previous).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  }
+}
+
+test('splits traffic by document, always putting a document in the same variant', () => {
+  const hashes = Array.from({ length: 400 }, (_, index) => documentHash(index));
+  const candidates = hashes.filter(hash => experimentService.assign(hash).variant === 'candidate');
+
+  assert.ok(candidates.length > 150 && candidates.length < 250, `${candidates.length} of 400 in the candidate`);
+  hashes.forEach(hash => assert.equal(experimentService.assign(hash).variant, experimentService.assign(hash).variant));
+
+  const assignment = experimentService.assign(candidates[0]);
+  assert.deepEqual(assignment, { experiment: 'bigger-model', variant: 'candidate', promptVersion: 'v1', model: 'mock-candidate' });
+
+  assert.ok(hashes.every(hash => configured({ EXPERIMENT_TRAFFIC_PERCENT: '0' }).assign(hash).variant === 'control'));
+  assert.equal(configured({ EXPERIMENT_NAME: '' }).assign(hashes[0]), null);
+});
+
+test('refuses experiments without a difference or with an invalid share', () => {
+  assert.throws(() => configured({ EXPERIMENT_MODEL: '' }), /identical variants/);
+  assert.throws(() => configured({ EXPERIMENT_TRAFFIC_PERCENT: '150' }), /between 0 and 100/);
+  assert.throws(() => configured({ EXPERIMENT_PROMPT_VERSION: 'v99' }), /not a known prompt version/);
+});
+
+test('records fresh validated and clean extractions with their variant', async () => {
+  const recorded = experimentService.runs.length;
+
+  const validated = await runValidatedExtraction(samplePdf('experiment validated'));
+  const clean = await runCleanExtraction(samplePdf('experiment clean'));
+  await runValidatedExtraction(samplePdf('experiment validated'));
+
+  assert.ok(['control', 'candidate'].includes(validated.metadata.experiment.variant));
+  assert.equal(clean.result.metadata.experiment.name, 'bigger-model');
+
+  const runs = experimentService.runs.slice(recorded);
+  assert.deepEqual(runs.map(run => run.mode), ['validated', 'clean']);
+  assert.equal(runs[0].extractionId, validated.extractionId);
+  assert.equal(runs[0].status, 'completed');
+  assert.equal(typeof runs[0].confidenceScore, 'number');
+  assert.ok(runs[0].totalCost > 0);
+});
+
+test('leaves out requests that pin a prompt version or skip validation', async () => {
+  const recorded = experimentService.runs.length;
+
+  const pinned = await runValidatedExtraction(samplePdf('pinned'), { promptVersion: 'v1' });
+  await runValidatedExtraction(samplePdf('unvalidated'), { enableValidation: false });
+
+  assert.equal(pinned.metadata.experiment, undefined);
+  assert.equal(experimentService.runs.length, recorded);
+});
+
+test('aggregates confidence, verification failures, corrections and cost per variant', async () => {
+  const assignment = variant => ({ experiment: 'report', variant, promptVersion: 'v1', model: variant });
+  // correction: 'applied', 'unusable' (the pass ran, its output was not used) or null (not needed)
+  const result = (confidence, failures, correction, cost) => ({
+    validation: {
+      confidence_score: confidence,
+      correction_pass_run: correction !== null,
+      corrections_applied: correction === 'applied',
+      self_verification: { verification_summary: { incorrect: failures, missing: 0, fabricated: 0 } }
+    },
+    metadata: { totalCost: cost, totalTokens: 1000 },
+    processingTime: 100
+  });
+
+  await experimentService.record(assignment('control'), { mode: 'validated', result: result(80, 2, 'applied', 0.2) });
+  await experimentService.record(assignment('control'), { mode: 'validated', result: result(60, 4, 'unusable', 0.4) });
+  await experimentService.record(assignment('candidate'), { mode: 'validated', result: result(90, 0, null, 0.5) });
+  await experimentService.record(assignment('candidate'), { mode: 'clean', error: new Error('overloaded') });
+
+  const report = experimentService.report('report');
+  assert.equal(report.active, false);
+  const { control, candidate } = report.variants;
+  assert.equal(control.runs, 2);
+  assert.equal(control.meanConfidence, 70);
+  assert.deepEqual(control.verificationFailures, { incorrect: 6, missing: 0, fabricated: 0 });
+  assert.equal(control.verificationFailuresPerRun, 3);
+  assert.equal(control.correctionRate, 1);
+  assert.deepEqual(experimentService.runs.filter(run => run.experiment === 'report' && run.variant === 'control')
+    .map(run => [run.correctionPassRun, run.correctionsApplied]), [[true, true], [true, false]]);
+  assert.equal(control.totalCost, 0.6);
+  assert.equal(candidate.failed, 1);
+  assert.equal(candidate.failureRate, 0.5);
+  assert.deepEqual(report.difference, {
+    meanConfidence: 20,
+    verificationFailuresPerRun: -3,
+    correctionRate: -1,
+    failureRate: 0.5,
+    meanCost: 0.2
+  });
+
+  assert.equal(experimentService.report('unknown'), null);
+  assert.equal(configured({}).report('report').variants.control.runs, 2);
+});
+
+test('lists experiments and serves their reports', async () => {
+  const list = await (await fetch(`${server.url}/experiments`)).json();
+  assert.equal(list.active.experiment, 'bigger-model');
+  assert.ok(list.experiments.some(entry => entry.experiment === 'report' && !entry.active));
+
+  const report = await fetch(`${server.url}/experiments/report`);
+  assert.equal(report.status, 200);
+  assert.equal((await report.json()).variants.candidate.runs, 2);
+
+  assert.equal((await fetch(`${server.url}/experiments/unknown`)).status, 404);
+});
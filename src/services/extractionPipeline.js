@@ -0,0 +1,694 @@
+const pdfParse = require('pdf-parse');
+
+const claudeService = require('./claudeService');
+const validatedClaudeService = require('./validatedClaudeService');
+const extractionStore = require('./extractionStore');
+const quotaService = require('./quotaService');
+const reviewQueue = require('./reviewQueue');
+const promptRegistry = require('./promptRegistry');
+const experimentService = require('./experimentService');
+const costLedger = require('./costLedger');
+const cassettes = require('../providers/cassettes');
+const { getContext } = require('../middleware/correlationContext');
+const validator = require('../utils/validator');
+const { applyIntelligentCorrections, getConfidenceLevel, getRecommendation } = require('../utils/corrections');
+const comparator = require('../utils/extractionCompare');
+const { buildSources } = require('../utils/sourceCitations');
+const { buildFieldConfidence } = require('../utils/fieldConfidence');
+const { currentSchema } = require('../utils/schemaVersions');
+const { metrics } = require('../utils/metrics');
+const { withSpan } = require('../utils/tracing');
+const progressTracker = require('../utils/progressTracker');
+const logger = require('../utils/contextLogger');
+
+const cacheEnabled = process.env.EXTRACTION_CACHE_ENABLED !== 'false';
+
+/**
+ * Extraction modes, one per family of extraction endpoints:
+ * - standard:  2-pass extraction (/api/extract-property-data)
+ * - validated: multi-pass extraction with full validation metadata (/api/extract-property-data-validated)
+ * - clean:     validated extraction with intelligent corrections applied (/api/extract-clean*)
+ */
+const EXTRACTION_MODES = ['standard', 'validated', 'clean'];
+
+/**
+ * Check that the PDF can be parsed, is not encrypted and is within the page limit
+ */
+async function validatePdf(fileBuffer) {
+  let pdfData;
+  try {
+    pdfData = await withSpan('pdf.parse', { 'pdf.size_bytes': fileBuffer.length }, async span => {
+      const parsed = await pdfParse(fileBuffer, {
+        max: 100,
+        version: 'v2.0.550'
+      });
+      span.setAttribute('pdf.pages', parsed.numpages || 0);
+      return parsed;
+    });
+  } catch (parseError) {
+    if (parseError.message && parseError.message.includes('PDF damaged')) {
+      const error = new Error('The PDF file appears to be damaged or corrupted.');
+      error.status = 422;
+      error.source = 'pdf-validation';
+      throw error;
+    }
+    throw parseError;
+  }
+
+  if (pdfData.info && pdfData.info.IsAcroFormPresent) {
+    const error = new Error('Password-protected or encrypted PDFs are not supported.');
+    error.status = 422;
+    error.source = 'pdf-validation';
+    throw error;
+  }
+
+  const pageCount = pdfData.numpages || 0;
+  const maxPages = parseInt(process.env.MAX_PDF_PAGES || '100', 10);
+
+  if (pageCount > maxPages) {
+    const error = new Error(`PDF exceeds maximum page limit. Found ${pageCount} pages, maximum is ${maxPages}.`);
+    error.status = 422;
+    error.source = 'pdf-validation';
+    error.details = { pageCount, maxPages };
+    throw error;
+  }
+
+  logger.info(`PDF validation successful`, {
+    pageCount,
+    textLength: pdfData.text ? pdfData.text.length : 0
+  });
+
+  return { pageCount };
+}
+
+/**
+ * Look up a previous extraction of the identical document (same bytes, mode,
+ * model and prompt fingerprint) by the same client. Results of an older schema version are
+ * upgraded to the current one. Skipped when the cache is disabled or the caller
+ * passed force=true.
+ * @returns {Object|null} The stored record
+ */
+async function findCachedExtraction(cacheKey, options) {
+  if (!cacheEnabled || options.force) {
+    return null;
+  }
+
+  try {
+    const record = await extractionStore.findLatest({ ...cacheKey, clientId: getContext().clientId });
+    if (record) {
+      logger.info('Extraction cache hit', {
+        stage: 'cache',
+        extractionId: record.id,
+        documentHash: cacheKey.documentHash,
+        mode: cacheKey.mode,
+        extractedAt: record.createdAt,
+        migratedFrom: record.metadata.schema.migratedFrom
+      });
+      progressTracker.report('cache', 'completed', { hit: true, extractionId: record.id });
+      metrics.extractions.inc({ mode: cacheKey.mode, cache: 'hit' });
+    }
+    return record;
+  } catch (error) {
+    logger.warn('Extraction cache lookup failed', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Split the stored validation into the service validation and the schema validation
+ */
+function splitStoredValidation(record) {
+  if (!record.validation) {
+    return { validation: null, schemaValidation: null };
+  }
+  const { schema_validation: schemaValidation = null, ...validation } = record.validation;
+  return {
+    validation: Object.keys(validation).length > 0 ? validation : null,
+    schemaValidation
+  };
+}
+
+/**
+ * Persist a finished extraction. Storage problems are logged but never fail the request.
+ * Skipped when the caller passed persist=false (e.g. evaluation runs).
+ * @returns {String|null} ID of the stored extraction
+ */
+async function persistExtraction(cacheKey, options, extraction) {
+  if (options.persist === false) {
+    return null;
+  }
+
+  try {
+    const schema = currentSchema(extraction.classification);
+    const record = await extractionStore.save({
+      ...extraction,
+      documentHash: cacheKey.documentHash,
+      mode: cacheKey.mode,
+      validationEnabled: cacheKey.validationEnabled,
+      schemaVersion: schema.version,
+      schemaFingerprint: schema.fingerprint,
+      includeSources: cacheKey.includeSources,
+      originalName: options.originalName,
+      broker: options.broker,
+      requestId: getContext().requestId,
+      clientId: getContext().clientId
+    });
+    return record.id;
+  } catch (error) {
+    logger.error('Failed to store extraction', {
+      error: error.message,
+      stack: error.stack
+    });
+    return null;
+  }
+}
+
+/**
+ * Queue a freshly stored extraction for human review when its validation calls
+ * for one. Like storage, queueing problems never fail the request.
+ * @returns {String|null} ID of the created review
+ */
+async function queueForReview(cacheKey, options, extraction) {
+  try {
+    const review = await reviewQueue.enqueue({
+      ...extraction,
+      documentHash: cacheKey.documentHash,
+      mode: cacheKey.mode,
+      originalName: options.originalName,
+      broker: options.broker,
+      clientId: getContext().clientId
+    });
+    return review ? review.id : null;
+  } catch (error) {
+    logger.error('Failed to queue extraction for review', {
+      extractionId: extraction.extractionId,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Review of a cached extraction, so repeated requests still point at the open review
+ */
+function cachedReviewId(record) {
+  return record.review?.status === 'pending' ? record.review.id : null;
+}
+
+/**
+ * Experiment variant of a validated or clean extraction (see experimentService).
+ * Requests that pin a prompt version or skip validation never take part.
+ * @returns {Object|null} { experiment, variant, promptVersion, model }
+ */
+function assignVariant(documentHash, options, enableValidation) {
+  if (options.promptVersion || !enableValidation) {
+    return null;
+  }
+  return experimentService.assign(documentHash);
+}
+
+/**
+ * Validated service call of the validated and clean pipelines. A failed run
+ * that belongs to an experiment is recorded for its variant before it is rethrown.
+ */
+async function extractValidated(base64Pdf, enableValidation, serviceOptions, assignment, mode) {
+  try {
+    const result = await validatedClaudeService.extractPropertyData(base64Pdf, enableValidation, serviceOptions);
+    if (assignment) {
+      result.metadata.experiment = { name: assignment.experiment, variant: assignment.variant };
+    }
+    return result;
+  } catch (error) {
+    if (assignment) {
+      await experimentService.record(assignment, { mode, error });
+    }
+    throw error;
+  }
+}
+
+/**
+ * The document an extraction's LLM calls are attributed to in the cost ledger
+ */
+function ledgerDocument(cacheKey, options) {
+  return { documentHash: cacheKey.documentHash, originalName: options.originalName || null, mode: cacheKey.mode };
+}
+
+/**
+ * Run the LLM calls of an extraction, attributed to its document in the cost
+ * ledger and recorded as one cassette session
+ */
+function attributeCalls(document, promptFingerprint, fn) {
+  return costLedger.attribute(document, () => cassettes.session({ mode: document.mode, promptFingerprint }, fn));
+}
+
+/**
+ * Charge the Claude cost of a fresh (non-cached) extraction to the calling client
+ */
+function recordSpend(metadata) {
+  quotaService.recordSpend(getContext().clientId, metadata?.totalCost);
+}
+
+/**
+ * Outcome of the correction pass: applied, ran with unusable output, or not needed
+ */
+function correctionResult(validation) {
+  if (!validation.correction_pass_run) return 'skipped';
+  return validation.corrections_applied ? 'applied' : 'unusable';
+}
+
+/**
+ * Record the outcome of a fresh (non-cached) extraction for GET /metrics
+ * @param {String} mode - standard, validated, clean or compare
+ * @param {Object} metadata - { classification, totalCost }
+ * @param {Object} validation - Validation of the validated service, null when it did not verify
+ */
+function recordMetrics(mode, metadata, validation) {
+  metrics.extractions.inc({ mode, cache: 'miss' });
+  metrics.cost.inc({ mode }, metadata?.totalCost || 0);
+  if (metadata?.classification) {
+    metrics.classifications.inc({ mode, type: metadata.classification });
+  }
+  if (!validation) return;
+
+  if (typeof validation.confidence_score === 'number') {
+    metrics.confidence.observe({ mode }, validation.confidence_score);
+  }
+  metrics.correctionPasses.inc({ mode, result: correctionResult(validation) });
+  metrics.recommendations.inc({ mode, level: getConfidenceLevel(validation) });
+}
+
+/**
+ * Standard extraction: PDF validation, classification and one extraction pass
+ * @param {Buffer} fileBuffer - Raw PDF bytes
+ * @param {Object} options - { originalName, force, persist, includeSources, promptVersion }
+ */
+async function runStandardExtraction(fileBuffer, options = {}) {
+  const { promptVersion, promptFingerprint } = promptRegistry.describe(options.promptVersion);
+  const cacheKey = {
+    documentHash: extractionStore.hashDocument(fileBuffer),
+    mode: 'standard',
+    model: claudeService.model,
+    promptFingerprint,
+    validationEnabled: false,
+    includeSources: options.includeSources === true
+  };
+
+  const cached = await findCachedExtraction(cacheKey, options);
+  if (cached) {
+    return {
+      data: cached.data,
+      sources: cached.sources || null,
+      metadata: cached.metadata,
+      schemaValidation: splitStoredValidation(cached).schemaValidation,
+      extractionId: cached.id,
+      cached: true
+    };
+  }
+
+  logger.info(`Validating PDF structure`);
+  await validatePdf(fileBuffer);
+
+  const base64Pdf = fileBuffer.toString('base64');
+  logger.info(`PDF converted to base64, size: ${base64Pdf.length} characters`);
+
+  const { data, metadata, citations } = await attributeCalls(ledgerDocument(cacheKey, options), cacheKey.promptFingerprint, () =>
+    claudeService.extractPropertyData(base64Pdf, {
+      includeSources: cacheKey.includeSources,
+      promptVersion
+    })
+  );
+  recordSpend(metadata);
+  recordMetrics('standard', metadata, null);
+  const sources = cacheKey.includeSources ? buildSources(citations, data) : null;
+
+  const schemaValidation = validator.validatePropertyData(data, metadata.classification);
+  if (!schemaValidation.valid) {
+    logger.warn('Extracted data does not match the schema', {
+      errors: schemaValidation.errors,
+      warnings: schemaValidation.warnings
+    });
+  }
+
+  const extractionId = await persistExtraction(cacheKey, options, {
+    classification: metadata.classification,
+    data,
+    sources,
+    validation: { schema_validation: schemaValidation },
+    metadata
+  });
+
+  return { data, sources, metadata, schemaValidation, extractionId, cached: false };
+}
+
+/**
+ * Validated extraction: classification, extraction, verification and correction passes
+ *
+ * Unless the caller pins a promptVersion, a running experiment may choose the
+ * prompt version and model (see experimentService).
+ * @param {Buffer} fileBuffer - Raw PDF bytes
+ * @param {Object} options - { originalName, enableValidation, force, persist, includeSources, broker, promptVersion }
+ */
+async function runValidatedExtraction(fileBuffer, options = {}) {
+  const enableValidation = options.enableValidation !== false;
+  const documentHash = extractionStore.hashDocument(fileBuffer);
+  const assignment = assignVariant(documentHash, options, enableValidation);
+  const { promptVersion, promptFingerprint } = promptRegistry.describe(assignment?.promptVersion || options.promptVersion);
+  const cacheKey = {
+    documentHash,
+    mode: 'validated',
+    model: assignment?.model || validatedClaudeService.model,
+    promptFingerprint,
+    validationEnabled: enableValidation,
+    includeSources: options.includeSources === true
+  };
+
+  const cached = await findCachedExtraction(cacheKey, options);
+  if (cached) {
+    const { validation, schemaValidation } = splitStoredValidation(cached);
+    return {
+      data: cached.data,
+      sources: cached.sources || null,
+      validation,
+      processingTime: 0,
+      metadata: cached.metadata,
+      schemaValidation,
+      extractionId: cached.id,
+      reviewId: cachedReviewId(cached),
+      cached: true
+    };
+  }
+
+  const base64Pdf = fileBuffer.toString('base64');
+  logger.info(`PDF converted to base64, starting validated extraction`);
+
+  const { citations, ...result } = await attributeCalls(ledgerDocument(cacheKey, options), cacheKey.promptFingerprint, () =>
+    extractValidated(base64Pdf, enableValidation, {
+      includeSources: cacheKey.includeSources,
+      broker: options.broker,
+      promptVersion,
+      model: cacheKey.model
+    }, assignment, 'validated')
+  );
+  recordSpend(result.metadata);
+  recordMetrics('validated', result.metadata, result.validation);
+  const sources = cacheKey.includeSources ? buildSources(citations, result.data) : null;
+
+  const schemaValidation = validator.validatePropertyData(result.data, result.metadata?.classification);
+  if (!schemaValidation.valid) {
+    logger.warn('Extracted data does not match the schema', {
+      errors: schemaValidation.errors,
+      warnings: schemaValidation.warnings
+    });
+  }
+
+  const extractionId = await persistExtraction(cacheKey, options, {
+    classification: result.metadata?.classification,
+    data: result.data,
+    sources,
+    validation: { ...result.validation, schema_validation: schemaValidation },
+    metadata: result.metadata
+  });
+
+  const reviewId = await queueForReview(cacheKey, options, {
+    extractionId,
+    classification: result.metadata?.classification,
+    data: result.data,
+    validation: result.validation
+  });
+
+  if (assignment) {
+    await experimentService.record(assignment, { mode: 'validated', extractionId, result });
+  }
+
+  return { ...result, sources, schemaValidation, extractionId, reviewId, cached: false };
+}
+
+/**
+ * Clean extraction: validated extraction with the verification findings applied to the data
+ *
+ * With includeConfidence the result also carries a per-field confidence map,
+ * derived from the (stored) validation, so it needs no separate cache entry.
+ * Takes part in experiments like the validated extraction.
+ * @param {Buffer} fileBuffer - Raw PDF bytes
+ * @param {Object} options - { originalName, force, persist, includeSources, includeConfidence, broker, promptVersion }
+ */
+async function runCleanExtraction(fileBuffer, options = {}) {
+  const documentHash = extractionStore.hashDocument(fileBuffer);
+  const assignment = assignVariant(documentHash, options, true);
+  const { promptVersion, promptFingerprint } = promptRegistry.describe(assignment?.promptVersion || options.promptVersion);
+  const cacheKey = {
+    documentHash,
+    mode: 'clean',
+    model: assignment?.model || validatedClaudeService.model,
+    promptFingerprint,
+    validationEnabled: true,
+    includeSources: options.includeSources === true
+  };
+
+  const cached = await findCachedExtraction(cacheKey, options);
+  if (cached) {
+    const { validation, schemaValidation } = splitStoredValidation(cached);
+    return {
+      data: cached.data,
+      sources: cached.sources || null,
+      confidence: options.includeConfidence ? buildFieldConfidence(cached.data, validation) : null,
+      result: { validation, metadata: cached.metadata },
+      schemaValidation,
+      report: cached.report,
+      extractionId: cached.id,
+      reviewId: cachedReviewId(cached),
+      cached: true
+    };
+  }
+
+  const base64Pdf = fileBuffer.toString('base64');
+  const { citations, ...result } = await attributeCalls(ledgerDocument(cacheKey, options), cacheKey.promptFingerprint, () =>
+    extractValidated(base64Pdf, true, {
+      includeSources: cacheKey.includeSources,
+      broker: options.broker,
+      promptVersion,
+      model: cacheKey.model
+    }, assignment, 'clean')
+  );
+  recordSpend(result.metadata);
+  recordMetrics('clean', result.metadata, result.validation);
+
+  // Apply intelligent corrections based on validation findings
+  const cleanedData = applyIntelligentCorrections(result.data, result.validation);
+  // Built from the cleaned data, so values removed as fabricated lose their citation too
+  const sources = cacheKey.includeSources ? buildSources(citations, cleanedData) : null;
+
+  const schemaValidation = validator.validatePropertyData(cleanedData, result.metadata?.classification);
+  if (!schemaValidation.valid) {
+    logger.warn('Cleaned data does not match the schema', {
+      errors: schemaValidation.errors,
+      warnings: schemaValidation.warnings
+    });
+  }
+
+  // Build simplified validation report
+  const report = {
+    confidence_score: result.validation?.confidence_score || 0,
+    corrections_applied: result.validation?.corrections_applied || false,
+    verification_summary: result.validation?.self_verification?.verification_summary || {},
+    critical_issues: result.validation?.self_verification?.critical_issues || [],
+    calculation_issues: result.validation?.calculation_validation?.issues || [],
+    recommendation: getRecommendation(result.validation)
+  };
+
+  const extractionId = await persistExtraction(cacheKey, options, {
+    classification: result.metadata?.classification,
+    data: cleanedData,
+    sources,
+    validation: { ...result.validation, schema_validation: schemaValidation },
+    report,
+    metadata: result.metadata
+  });
+
+  const reviewId = await queueForReview(cacheKey, options, {
+    extractionId,
+    classification: result.metadata?.classification,
+    data: cleanedData,
+    originalData: result.data,
+    validation: result.validation
+  });
+
+  if (assignment) {
+    await experimentService.record(assignment, { mode: 'clean', extractionId, result });
+  }
+
+  const confidence = options.includeConfidence ? buildFieldConfidence(cleanedData, result.validation) : null;
+
+  return { data: cleanedData, sources, confidence, result, schemaValidation, report, extractionId, reviewId, cached: false };
+}
+
+/**
+ * Pipeline options from the ?include= query parameter, a comma-separated list of
+ * sources (per-value citations) and confidence (per-field confidence, clean mode)
+ */
+function includeOptions(query) {
+  const requested = String(query.include || '').split(',').map(part => part.trim());
+  return {
+    includeSources: requested.includes('sources'),
+    includeConfidence: requested.includes('confidence')
+  };
+}
+
+/**
+ * Job options from the query parameters of a job submission, see POST /api/jobs
+ */
+function jobOptions(query) {
+  return {
+    enableValidation: query.validate !== 'false',
+    force: query.force === 'true',
+    broker: query.broker,
+    promptVersion: query.prompt_version,
+    ...includeOptions(query)
+  };
+}
+
+/**
+ * Response body of the data-only endpoints: the bare data, or { data, sources, confidence }
+ * when any of them was requested with ?include=
+ * @param {Object} extras - { sources, confidence }, null entries are left out
+ */
+function withExtras(data, extras) {
+  const requested = Object.entries(extras).filter(([, value]) => value);
+  return requested.length > 0 ? { data, ...Object.fromEntries(requested) } : data;
+}
+
+/**
+ * Standard and validated extraction of the same PDF, compared field by field
+ *
+ * The document is classified once and both services reuse the result. Always
+ * runs fresh: comparisons are neither served from nor added to the result cache.
+ * @param {Buffer} fileBuffer - Raw PDF bytes
+ * @param {Object} options - { originalName, promptVersion }
+ * @returns {Object} { classification, standard, validated, comparison, summary, metadata }
+ */
+async function runComparison(fileBuffer, options = {}) {
+  const startTime = Date.now();
+  const prompts = promptRegistry.describe(options.promptVersion);
+
+  logger.info(`Validating PDF structure`);
+  await validatePdf(fileBuffer);
+
+  const base64Pdf = fileBuffer.toString('base64');
+  const document = {
+    documentHash: extractionStore.hashDocument(fileBuffer),
+    originalName: options.originalName || null,
+    mode: 'compare'
+  };
+  const { classification, standard, validated } = await attributeCalls(document, prompts.promptFingerprint, async () => {
+    const classification = await claudeService.classifyDocument(base64Pdf, prompts);
+    recordSpend({ totalCost: classification.cost });
+
+    const standard = await claudeService.extractPropertyData(base64Pdf, { classification, ...prompts });
+    recordSpend(standard.metadata);
+
+    const validated = await validatedClaudeService.extractPropertyData(base64Pdf, true, { classification, ...prompts });
+    recordSpend(validated.metadata);
+
+    return { classification, standard, validated };
+  });
+
+  recordMetrics('compare', {
+    classification: classification.type,
+    totalCost: classification.cost + standard.metadata.totalCost + validated.metadata.totalCost
+  }, validated.validation);
+
+  const comparison = comparator.compare(standard.data, validated, classification.type);
+  comparator.logComparison(comparison);
+
+  return {
+    classification: classification.type,
+    standard,
+    validated: {
+      data: validated.data,
+      validation: validated.validation,
+      metadata: validated.metadata
+    },
+    comparison,
+    summary: comparator.generateSummary(comparison),
+    metadata: {
+      classification: classification.type,
+      ...prompts,
+      totalCost: parseFloat((classification.cost + standard.metadata.totalCost + validated.metadata.totalCost).toFixed(4)),
+      totalTokens: classification.usage.input_tokens + classification.usage.output_tokens +
+                   standard.metadata.totalTokens + validated.metadata.totalTokens,
+      apiCallsCount: 1 + standard.metadata.apiCallsCount + validated.metadata.apiCallsCount,
+      processingTime: Date.now() - startTime
+    }
+  };
+}
+
+/**
+ * Run an extraction in the given mode
+ *
+ * @param {String} mode - One of EXTRACTION_MODES
+ * @param {Buffer} fileBuffer - Raw PDF bytes
+ * @param {Object} options - { originalName, force, persist, includeSources, promptVersion, includeConfidence (clean mode only),
+ *                            enableValidation (validated mode only), broker (validated and clean mode) }
+ * @returns {Object} { body, schema, extractionId, reviewId, cached } - body is what the corresponding endpoint
+ *                   would send, schema the { name, version } it follows, reviewId is set when the extraction
+ *                   waits in the review queue
+ */
+async function runExtraction(mode, fileBuffer, options = {}) {
+  if (mode === 'standard') {
+    const { data, sources, metadata, extractionId, cached } = await runStandardExtraction(fileBuffer, options);
+    return { body: withExtras(data, { sources }), schema: metadata.schema, extractionId, reviewId: null, cached };
+  }
+
+  if (mode === 'validated') {
+    const result = await runValidatedExtraction(fileBuffer, options);
+    if (!result.validation) {
+      return {
+        body: withExtras(result.data, { sources: result.sources }),
+        schema: result.metadata.schema,
+        extractionId: result.extractionId,
+        reviewId: null,
+        cached: result.cached
+      };
+    }
+    return {
+      body: {
+        data: result.data,
+        ...(result.sources && { sources: result.sources }),
+        validation: { ...result.validation, schema_validation: result.schemaValidation },
+        metadata: { ...result.metadata, processingTime: result.processingTime }
+      },
+      schema: result.metadata.schema,
+      extractionId: result.extractionId,
+      reviewId: result.reviewId,
+      cached: result.cached
+    };
+  }
+
+  if (mode === 'clean') {
+    const { data, sources, confidence, result, report, extractionId, reviewId, cached } = await runCleanExtraction(fileBuffer, options);
+    return {
+      body: { data, ...(sources && { sources }), ...(confidence && { confidence }), report, metadata: result.metadata },
+      schema: result.metadata.schema,
+      extractionId,
+      reviewId,
+      cached
+    };
+  }
+
+  const error = new Error(`Unknown extraction mode: ${mode}. Valid modes: ${EXTRACTION_MODES.join(', ')}`);
+  error.status = 400;
+  throw error;
+}
+
+module.exports = {
+  EXTRACTION_MODES,
+  validatePdf,
+  runStandardExtraction,
+  runValidatedExtraction,
+  runCleanExtraction,
+  runComparison,
+  runExtraction,
+  includeOptions,
+  jobOptions,
+  withExtras
+};
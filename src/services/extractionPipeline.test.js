@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useTestEnvironment, samplePdf } = require('../testSupport');
+
+useTestEnvironment();
+
+const { asyncLocalStorage } = require('../middleware/correlationContext');
+const { runStandardExtraction } = require('./extractionPipeline');
+
+/**
+ * Run an extraction as a request of one client would
+ */
+function asClient(clientId, fn) {
+  return asyncLocalStorage.run({ requestId: `request-${clientId}`, clientId }, fn);
+}
+
+test('serves a repeated PDF from the cache', async () => {
+  const pdf = samplePdf('cached');
+
+  const first = await runStandardExtraction(pdf);
+  const second = await runStandardExtraction(Buffer.from(pdf));
+
+  assert.equal(first.cached, false);
+  assert.equal(second.cached, true);
+  assert.equal(second.extractionId, first.extractionId);
+  assert.deepEqual(second.data, first.data);
+});
+
+test('extracts again with force, other options or another document', async () => {
+  const pdf = samplePdf('options');
+  const first = await runStandardExtraction(pdf);
+
+  const forced = await runStandardExtraction(pdf, { force: true });
+  assert.equal(forced.cached, false);
+  assert.notEqual(forced.extractionId, first.extractionId);
+
+  assert.equal((await runStandardExtraction(pdf, { includeSources: true })).cached, false);
+  assert.equal((await runStandardExtraction(samplePdf('another document'))).cached, false);
+});
+
+test('never serves one client\'s extraction to another', async () => {
+  const pdf = samplePdf('per client');
+
+  const own = await asClient('client-a', () => runStandardExtraction(pdf));
+  const other = await asClient('client-b', () => runStandardExtraction(pdf));
+  const again = await asClient('client-a', () => runStandardExtraction(pdf));
+
+  assert.equal(other.cached, false);
+  assert.notEqual(other.extractionId, own.extractionId);
+  assert.equal(again.cached, true);
+  assert.equal(again.extractionId, own.extractionId);
+});
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const JsonFileStore = require('../utils/jsonFileStore');
+const { currentSchema, isServable, upgradeRecord } = require('../utils/schemaVersions');
+const logger = require('../utils/contextLogger');
+
+const dataDir = process.env.DATA_DIR || './data';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Upper bound of a `to` filter: a date without time includes that whole UTC day
+ */
+function endOfRange(to) {
+  const time = new Date(to).getTime();
+  return DATE_ONLY.test(to) ? time + DAY_MS - 1 : time;
+}
+
+/**
+ * Persistent store of finished extractions
+ *
+ * Every record is written to DATA_DIR/extractions/<id>.json. A lightweight
+ * summary of each record (no extracted data) is kept in memory for listing
+ * and filtering; the full record is read from disk on demand. Records are
+ * stored in the schema version they were extracted with and upgraded to the
+ * current version when read (see schemaVersions). Each record belongs to the
+ * API client that requested it (clientId, null without authentication).
+ */
+class ExtractionStore {
+  constructor() {
+    this.files = new JsonFileStore(path.join(dataDir, 'extractions'));
+    this.index = new Map();
+
+    this.files.loadAll().forEach(record => {
+      this.index.set(record.id, this.summarize(record));
+    });
+
+    logger.info('Extraction store loaded', { records: this.index.size });
+  }
+
+  hashDocument(fileBuffer) {
+    return crypto.createHash('sha256').update(fileBuffer).digest('hex');
+  }
+
+  /**
+   * Persist a finished extraction
+   * @param {Object} extraction - { requestId, clientId, documentHash, originalName, broker, mode, validationEnabled,
+   *                               schemaVersion, schemaFingerprint, includeSources, classification, data, sources,
+   *                               validation, report, metadata }
+   * @returns {Object} The stored record
+   */
+  async save(extraction) {
+    const record = {
+      id: uuidv4(),
+      createdAt: new Date().toISOString(),
+      requestId: extraction.requestId || null,
+      clientId: extraction.clientId || null,
+      documentHash: extraction.documentHash,
+      originalName: extraction.originalName || null,
+      broker: extraction.broker || null,
+      mode: extraction.mode,
+      validationEnabled: extraction.validationEnabled ?? null,
+      schemaVersion: extraction.schemaVersion || currentSchema(extraction.classification).version,
+      schemaFingerprint: extraction.schemaFingerprint || null,
+      includeSources: extraction.includeSources === true,
+      classification: extraction.classification || null,
+      model: extraction.metadata?.model || null,
+      promptVersion: extraction.metadata?.promptVersion || null,
+      promptFingerprint: extraction.metadata?.promptFingerprint || null,
+      data: extraction.data,
+      sources: extraction.sources || null,
+      validation: extraction.validation || null,
+      report: extraction.report || null,
+      metadata: extraction.metadata || {}
+    };
+
+    await this.files.write(record.id, record);
+    this.index.set(record.id, this.summarize(record));
+
+    logger.info('Extraction stored', {
+      extractionId: record.id,
+      documentHash: record.documentHash,
+      mode: record.mode
+    });
+
+    return record;
+  }
+
+  /**
+   * A stored extraction, upgraded to the current schema version
+   */
+  async get(id) {
+    const record = await this.read(id);
+    return record ? upgradeRecord(record) : null;
+  }
+
+  /**
+   * A stored extraction as written, in the schema version it was extracted with
+   */
+  async read(id) {
+    if (!this.index.has(id)) return null;
+    return this.files.read(id);
+  }
+
+  /**
+   * Record the outcome of a human review on a stored extraction
+   *
+   * An approved review replaces the data with the reviewed version, so cache
+   * hits and lookups serve it from now on; the model output moves to
+   * originalData. Citations of corrected fields are dropped, they cite the
+   * model's value. A rejected extraction keeps its data but is no longer served
+   * from the cache.
+   *
+   * @param {String} id - Extraction ID
+   * @param {Object} review - { id, status, reviewer, decidedAt, correctedFields, data, originalData (approved only) }
+   *                          data is in the schema version of the extraction, as it was queued for review;
+   *                          originalData is the model output the review started from
+   * @returns {Object|null} The updated record
+   */
+  async applyReview(id, review) {
+    const record = await this.read(id);
+    if (!record) return null;
+
+    const { data, originalData, ...decision } = review;
+    record.review = decision;
+
+    if (review.status === 'approved') {
+      record.originalData = record.originalData ?? originalData ?? record.data;
+      record.data = data;
+      if (record.sources) {
+        const corrected = new Set(review.correctedFields || []);
+        record.sources = Object.fromEntries(
+          Object.entries(record.sources).filter(([field]) => !corrected.has(field))
+        );
+      }
+    }
+
+    await this.files.write(record.id, record);
+    this.index.set(record.id, this.summarize(record));
+
+    logger.info('Extraction review recorded', {
+      extractionId: record.id,
+      reviewId: review.id,
+      status: review.status
+    });
+
+    return record;
+  }
+
+  /**
+   * Most recent extraction of the same document produced for the same client
+   * under identical conditions. Extractions rejected in review are never
+   * returned, nor are those a schema version cannot be upgraded from (see isServable).
+   * @param {Object} key - { clientId, documentHash, mode, model, promptFingerprint, validationEnabled, includeSources }
+   * @returns {Object|null} The full stored record, upgraded to the current schema version
+   */
+  async findLatest(key) {
+    let latest = null;
+
+    for (const summary of this.index.values()) {
+      if (summary.clientId !== (key.clientId || null) ||
+          summary.documentHash !== key.documentHash ||
+          summary.mode !== key.mode ||
+          summary.model !== key.model ||
+          summary.promptFingerprint !== key.promptFingerprint ||
+          summary.validationEnabled !== key.validationEnabled ||
+          summary.includeSources !== (key.includeSources === true) ||
+          summary.reviewStatus === 'rejected' ||
+          !isServable(summary)) {
+        continue;
+      }
+      if (!latest || summary.createdAt > latest.createdAt) {
+        latest = summary;
+      }
+    }
+
+    return latest ? this.get(latest.id) : null;
+  }
+
+  /**
+   * List stored extractions (summaries only), newest first
+   * @param {Object} filters - { clientId, city, postalCode, classification, mode, documentHash, reviewStatus,
+   *                             promptVersion, from, to, limit, offset }
+   *   clientId: Only the extractions of this client, null for those without one; undefined for all
+   *   from, to: ISO 8601 dates, both inclusive; a date-only `to` (2025-01-31) includes that whole UTC day
+   */
+  list(filters = {}) {
+    const city = filters.city?.toLowerCase();
+    const classification = filters.classification?.toUpperCase();
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = filters.to ? endOfRange(filters.to) : null;
+
+    const matches = [...this.index.values()]
+      .filter(summary => {
+        if (filters.clientId !== undefined && summary.clientId !== filters.clientId) return false;
+        if (city && !summary.locations.some(l => l.city?.toLowerCase() === city)) return false;
+        if (filters.postalCode && !summary.locations.some(l => l.postal_code?.startsWith(filters.postalCode))) return false;
+        if (classification && summary.classification !== classification) return false;
+        if (filters.mode && summary.mode !== filters.mode) return false;
+        if (filters.documentHash && summary.documentHash !== filters.documentHash) return false;
+        if (filters.reviewStatus && summary.reviewStatus !== filters.reviewStatus) return false;
+        if (filters.promptVersion && summary.promptVersion !== filters.promptVersion) return false;
+
+        const createdAt = new Date(summary.createdAt).getTime();
+        if (from !== null && createdAt < from) return false;
+        if (to !== null && createdAt > to) return false;
+
+        return true;
+      })
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    const offset = filters.offset || 0;
+    const limit = filters.limit || 50;
+
+    return {
+      total: matches.length,
+      offset,
+      limit,
+      items: matches.slice(offset, offset + limit)
+    };
+  }
+
+  summarize(record) {
+    const items = Array.isArray(record.data) ? record.data : [record.data || {}];
+    const locations = items.map(item => ({
+      city: item.property_identity?.city ?? item.city ?? null,
+      postal_code: item.property_identity?.postal_code ?? item.postal_code ?? null
+    }));
+
+    return {
+      id: record.id,
+      createdAt: record.createdAt,
+      clientId: record.clientId || null,
+      documentHash: record.documentHash,
+      originalName: record.originalName,
+      mode: record.mode,
+      validationEnabled: record.validationEnabled ?? null,
+      schemaVersion: record.schemaVersion,
+      schemaFingerprint: record.schemaFingerprint || null,
+      includeSources: record.includeSources === true,
+      classification: record.classification,
+      model: record.model,
+      promptVersion: record.promptVersion || null,
+      promptFingerprint: record.promptFingerprint || null,
+      itemCount: items.length,
+      locations,
+      confidenceScore: record.validation?.confidence_score ?? null,
+      reviewStatus: record.review?.status ?? null,
+      totalCost: record.metadata?.totalCost ?? null,
+      totalTokens: record.metadata?.totalTokens ?? null
+    };
+  }
+}
+
+module.exports = new ExtractionStore();
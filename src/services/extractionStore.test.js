@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useTestEnvironment } = require('../testSupport');
+
+useTestEnvironment();
+
+const extractionStore = require('./extractionStore');
+
+const today = new Date().toISOString().slice(0, 10);
+const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+function property(city, postalCode) {
+  return { property_identity: { name_id: city, city, postal_code: postalCode, streets: [], country: 'DE' } };
+}
+
+const saved = Promise.all([
+  extractionStore.save({
+    clientId: 'client-a',
+    documentHash: 'hash-munich',
+    originalName: 'munich.pdf',
+    mode: 'standard',
+    classification: 'SINGLE',
+    schemaVersion: 1,
+    data: property('München', '80802'),
+    metadata: { totalCost: 0.12 }
+  }),
+  extractionStore.save({
+    clientId: 'client-a',
+    documentHash: 'hash-portfolio',
+    mode: 'clean',
+    classification: 'PORTFOLIO',
+    schemaVersion: 1,
+    data: [{ city: 'Berlin', postal_code: '10115' }, { city: 'Hamburg', postal_code: '20095' }]
+  }),
+  extractionStore.save({
+    clientId: 'client-b',
+    documentHash: 'hash-munich',
+    mode: 'standard',
+    classification: 'SINGLE',
+    schemaVersion: 1,
+    data: property('München', '80331')
+  })
+]);
+
+test('lists summaries without data, filtered by client', async () => {
+  await saved;
+
+  const all = extractionStore.list({ clientId: 'client-a' });
+  assert.equal(all.total, 2);
+  assert.equal(all.items[0].data, undefined);
+  assert.ok(all.items.every(item => item.clientId === 'client-a'));
+
+  assert.equal(extractionStore.list({ clientId: null }).total, 0);
+  assert.equal(extractionStore.list().total, 3);
+});
+
+test('filters by city, postal code prefix, classification and mode', async () => {
+  await saved;
+
+  assert.equal(extractionStore.list({ city: 'münchen' }).total, 2);
+  assert.equal(extractionStore.list({ city: 'hamburg' }).items[0].itemCount, 2);
+  assert.equal(extractionStore.list({ postalCode: '80' }).total, 2);
+  assert.equal(extractionStore.list({ postalCode: '803' }).total, 1);
+  assert.equal(extractionStore.list({ classification: 'portfolio' }).total, 1);
+  assert.equal(extractionStore.list({ mode: 'clean', clientId: 'client-b' }).total, 0);
+});
+
+test('treats a date-only `to` as the end of that day', async () => {
+  await saved;
+
+  assert.equal(extractionStore.list({ to: today }).total, 3);
+  assert.equal(extractionStore.list({ from: today, to: today }).total, 3);
+  assert.equal(extractionStore.list({ from: tomorrow }).total, 0);
+  assert.equal(extractionStore.list({ to: `${today}T00:00:00.000Z` }).total, 0);
+});
+
+test('pages through the newest records first', async () => {
+  await saved;
+
+  const first = extractionStore.list({ limit: 2 });
+  const second = extractionStore.list({ limit: 2, offset: 2 });
+  assert.equal(first.items.length, 2);
+  assert.equal(second.items.length, 1);
+  assert.ok(first.items[0].createdAt >= second.items[0].createdAt);
+});
+
+test('returns full records, upgraded to the current schema version', async () => {
+  const [, portfolio] = await saved;
+
+  const record = await extractionStore.get(portfolio.id);
+  assert.equal(record.data.length, 2);
+  assert.equal(record.metadata.schema.name, 'portfolio');
+  assert.equal(await extractionStore.get('unknown'), null);
+});
+
+test('keeps records across restarts', async () => {
+  const [munich] = await saved;
+
+  const reloaded = new extractionStore.constructor();
+  assert.equal(reloaded.list().total, 3);
+  assert.equal((await reloaded.get(munich.id)).originalName, 'munich.pdf');
+});
@@ -0,0 +1,228 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Ajv = require('ajv');
+
+const claudeService = require('./claudeService');
+const jobQueue = require('./jobQueue');
+const { getProvider } = require('../providers');
+const { circuitBreaker } = require('../providers/circuitBreaker');
+const { currentSchema, toolSchema } = require('../utils/schemaVersions');
+const logger = require('../utils/contextLogger');
+const { version } = require('../../package.json');
+
+const uploadDir = process.env.UPLOAD_DIR || './uploads';
+const dataDir = process.env.DATA_DIR || './data';
+// Where the file transports of src/utils/contextLogger.js write
+const logDir = './logs';
+const schemaDir = path.join(__dirname, '../schemas');
+const minFreeDiskMb = parseInt(process.env.HEALTH_MIN_FREE_DISK_MB || '500', 10);
+const queueWarnPercent = parseInt(process.env.HEALTH_QUEUE_WARN_PERCENT || '80', 10);
+
+const SCHEMA_FILES = {
+  complex: { file: 'complexSchema.json', classification: 'SINGLE' },
+  portfolio: { file: 'portfolioSchema.json', classification: 'PORTFOLIO' }
+};
+
+const pass = (details = {}) => ({ status: 'pass', ...details });
+const warn = (message, details = {}) => ({ status: 'warn', message, ...details });
+const fail = (message, details = {}) => ({ status: 'fail', message, ...details });
+
+/**
+ * Write and delete a probe file
+ * @returns {Error|null} Why the directory is not writable
+ */
+async function writeProbe(directory) {
+  const probeFile = path.join(directory, `.health-${process.pid}-${Date.now()}`);
+  try {
+    await fs.writeFile(probeFile, '');
+    await fs.unlink(probeFile);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Liveness and readiness of this instance
+ *
+ * Liveness only says the process answers. Readiness runs a set of checks,
+ * each resulting in pass, warn or fail: any fail makes the instance not
+ * ready (503 on GET /health/ready), so an orchestrator stops routing
+ * extractions to it; warnings are reported but keep it ready.
+ */
+class HealthService {
+  constructor() {
+    this.lastStatus = null;
+  }
+
+  /**
+   * @returns {Object} { status, version, timestamp, uptime }
+   */
+  liveness() {
+    return {
+      status: 'alive',
+      version,
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime()
+    };
+  }
+
+  /**
+   * Run all readiness checks
+   * @returns {Object} { status, ready, version, timestamp, environment, uptime, checks }
+   *   status: healthy (all pass), degraded (warnings) or unhealthy (any fail)
+   */
+  async readiness() {
+    const checks = {
+      uploadDirectory: () => this.checkUploadDirectory(),
+      logDirectory: () => this.checkLogDirectory(),
+      diskSpace: () => this.checkDiskSpace(),
+      schemas: () => this.checkSchemas(),
+      llm: () => this.checkLlm(),
+      queue: () => this.checkQueue(),
+      loki: () => this.checkLoki()
+    };
+
+    const results = await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+      const startTime = Date.now();
+      let result;
+      try {
+        result = await check();
+      } catch (error) {
+        result = fail(error.message);
+      }
+      return [name, { ...result, durationMs: Date.now() - startTime }];
+    }));
+
+    const statuses = results.map(([, result]) => result.status);
+    const status = statuses.includes('fail') ? 'unhealthy' : statuses.includes('warn') ? 'degraded' : 'healthy';
+
+    if (status !== this.lastStatus) {
+      const failing = results.filter(([, result]) => result.status !== 'pass')
+        .map(([name, result]) => ({ check: name, status: result.status, message: result.message }));
+      const log = status === 'healthy' ? logger.info : logger.warn;
+      log(`Readiness changed to ${status}`, { previous: this.lastStatus, failing });
+      this.lastStatus = status;
+    }
+
+    return {
+      status,
+      ready: status !== 'unhealthy',
+      version,
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV || 'development',
+      uptime: process.uptime(),
+      checks: Object.fromEntries(results)
+    };
+  }
+
+  async checkUploadDirectory() {
+    const error = await writeProbe(uploadDir);
+    if (error) {
+      return fail(`Upload directory is not writable: ${error.code || error.message}`, { path: uploadDir });
+    }
+    return pass({ path: uploadDir });
+  }
+
+  /**
+   * Logs only, extractions still work: a warning
+   */
+  async checkLogDirectory() {
+    const error = await writeProbe(logDir);
+    if (error) {
+      return warn(`Log directory is missing or not writable, file logs are lost: ${error.code || error.message}`, {
+        path: logDir
+      });
+    }
+    return pass({ path: logDir });
+  }
+
+  /**
+   * Free space where uploads and data are written; below HEALTH_MIN_FREE_DISK_MB
+   * fails, below twice that warns
+   */
+  async checkDiskSpace() {
+    const free = {};
+    for (const directory of [...new Set([uploadDir, dataDir])]) {
+      const stats = await fs.statfs(directory).catch(() => null);
+      free[directory] = stats ? Math.floor(stats.bavail * stats.bsize / 1024 / 1024) : null;
+    }
+
+    const details = { freeMb: free, minFreeMb: minFreeDiskMb };
+    if (Object.values(free).includes(null)) {
+      return fail('Free disk space could not be determined', details);
+    }
+
+    const lowest = Math.min(...Object.values(free));
+    if (lowest < minFreeDiskMb) {
+      return fail(`Only ${lowest} MB of disk space left`, details);
+    }
+    if (lowest < minFreeDiskMb * 2) {
+      return warn(`Disk space is running low (${lowest} MB left)`, details);
+    }
+    return pass(details);
+  }
+
+  /**
+   * The schema files on disk load and compile; a version on disk other than the
+   * one in use means they changed since the server started
+   */
+  async checkSchemas() {
+    const versions = {};
+    const changed = [];
+    const ajv = new Ajv({ allErrors: true });
+
+    for (const [name, { file, classification }] of Object.entries(SCHEMA_FILES)) {
+      const schema = JSON.parse(await fs.readFile(path.join(schemaDir, file), 'utf8'));
+      ajv.compile(toolSchema(schema));
+      versions[name] = schema.version;
+      if (schema.version !== currentSchema(classification).version) {
+        changed.push(name);
+      }
+    }
+
+    if (changed.length > 0) {
+      return warn(`Schema version changed on disk (${changed.join(', ')}), restart to load it`, { versions });
+    }
+    return pass({ versions });
+  }
+
+  async checkLlm() {
+    const provider = getProvider();
+    const details = { provider: provider.name, model: provider.model, circuitBreaker: circuitBreaker.getStatus() };
+
+    if (!claudeService.validateApiKey()) {
+      return fail('ANTHROPIC_API_KEY is missing or invalid', details);
+    }
+    if (!circuitBreaker.isClosed()) {
+      // In degraded mode uploads are still accepted and queued
+      const report = circuitBreaker.queueWhenOpen ? warn : fail;
+      return report(`Circuit breaker is ${circuitBreaker.state}: ${circuitBreaker.lastFailure?.message || 'LLM API unavailable'}`, details);
+    }
+    return pass(details);
+  }
+
+  async checkQueue() {
+    const stats = jobQueue.getStats();
+    if (stats.queued >= stats.maxQueued) {
+      return fail(`Job queue is full (${stats.queued} jobs waiting)`, stats);
+    }
+    if (stats.queued >= stats.maxQueued * queueWarnPercent / 100) {
+      return warn(`Job queue is ${Math.round(stats.queued / stats.maxQueued * 100)}% full`, stats);
+    }
+    return pass(stats);
+  }
+
+  /**
+   * Logs only: a warning when pushes to Loki fail
+   */
+  async checkLoki() {
+    const status = logger.lokiStatus();
+    if (status.configured && !status.healthy) {
+      return warn(`Loki transport is failing: ${status.lastError}`, status);
+    }
+    return pass(status);
+  }
+}
+
+module.exports = new HealthService();
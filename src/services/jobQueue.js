@@ -0,0 +1,267 @@
+const { v4: uuidv4 } = require('uuid');
+const { ROOT_CONTEXT, trace } = require('@opentelemetry/api');
+
+const { asyncLocalStorage, getContext } = require('../middleware/correlationContext');
+const { EXTRACTION_MODES, runExtraction } = require('./extractionPipeline');
+const promptRegistry = require('./promptRegistry');
+const { circuitBreaker } = require('../providers/circuitBreaker');
+const progressTracker = require('../utils/progressTracker');
+const logger = require('../utils/contextLogger');
+const { tracer, recordError } = require('../utils/tracing');
+
+/**
+ * In-process worker queue for asynchronous extraction jobs
+ *
+ * Uploaded PDFs are held in memory until a worker slot frees up, so the
+ * number of parallel Claude pipelines never exceeds JOB_CONCURRENCY.
+ * Job state (status, per-stage progress, result) is kept in memory and
+ * pruned JOB_RETENTION_MINUTES after the job finished.
+ *
+ * While the LLM circuit breaker is open no job is started, and a job that
+ * hit the open breaker goes back to the front of the queue; processing
+ * resumes when the breaker closes.
+ */
+class JobQueue {
+  constructor() {
+    this.concurrency = Math.max(1, parseInt(process.env.JOB_CONCURRENCY || '2', 10));
+    this.maxQueued = parseInt(process.env.JOB_MAX_QUEUED || '50', 10);
+    this.retentionMs = parseInt(process.env.JOB_RETENTION_MINUTES || '60', 10) * 60 * 1000;
+
+    this.jobs = new Map();
+    this.pending = [];
+    this.active = 0;
+
+    progressTracker.on('event', (event) => this.recordProgress(event));
+    circuitBreaker.on('state', (state) => {
+      if (state === 'closed') this.processNext();
+    });
+
+    const pruneTimer = setInterval(() => this.pruneFinishedJobs(), 5 * 60 * 1000);
+    if (pruneTimer.unref) {
+      pruneTimer.unref();
+    }
+  }
+
+  /**
+   * Queue a PDF for extraction
+   * @param {String} mode - One of EXTRACTION_MODES
+   * @param {Buffer} fileBuffer - Raw PDF bytes
+   * @param {Object} options - { originalName, enableValidation, force, includeSources, includeConfidence, broker,
+   *                            promptVersion }
+   * @returns {Object} The created job
+   */
+  submit(mode, fileBuffer, options = {}) {
+    if (!EXTRACTION_MODES.includes(mode)) {
+      const error = new Error(`Invalid mode "${mode}". Valid modes: ${EXTRACTION_MODES.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    // Rejects an unknown version now rather than when the job runs
+    const { promptVersion } = promptRegistry.describe(options.promptVersion);
+
+    if (this.pending.length >= this.maxQueued) {
+      const error = new Error(`Job queue is full (${this.maxQueued} jobs waiting). Please try again later.`);
+      error.status = 503;
+      throw error;
+    }
+
+    const job = {
+      id: uuidv4(),
+      requestId: getContext().requestId || null,
+      clientId: getContext().clientId || null,
+      progressStreamId: getContext().progressStreamId || null,
+      // The job's span continues the trace of the request that submitted it
+      traceContext: getContext().traceContext || null,
+      mode,
+      status: 'queued',
+      stage: null,
+      progress: [],
+      originalName: options.originalName || null,
+      options: {
+        enableValidation: options.enableValidation !== false,
+        force: options.force === true,
+        includeSources: options.includeSources === true,
+        includeConfidence: options.includeConfidence === true,
+        broker: options.broker || null,
+        promptVersion
+      },
+      fileBuffer,
+      result: null,
+      schema: null,
+      extractionId: null,
+      reviewId: null,
+      cached: false,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+
+    logger.info('Extraction job queued', {
+      jobId: job.id,
+      mode,
+      queueDepth: this.pending.length,
+      activeJobs: this.active
+    });
+
+    this.processNext();
+    return job;
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  getStats() {
+    return {
+      queued: this.pending.length,
+      active: this.active,
+      concurrency: this.concurrency,
+      maxQueued: this.maxQueued,
+      tracked: this.jobs.size,
+      paused: !circuitBreaker.isClosed()
+    };
+  }
+
+  processNext() {
+    while (this.active < this.concurrency && this.pending.length > 0 && circuitBreaker.isClosed()) {
+      const job = this.pending.shift();
+      this.active++;
+      this.runJob(job).finally(() => {
+        this.active--;
+        this.processNext();
+      });
+    }
+  }
+
+  async runJob(job) {
+    const parentContext = job.traceContext || ROOT_CONTEXT;
+    const span = tracer.startSpan('job', { attributes: { 'job.id': job.id, 'job.mode': job.mode } }, parentContext);
+    const context = {
+      requestId: job.requestId || job.id,
+      jobId: job.id,
+      clientId: job.clientId,
+      progressStreamId: job.progressStreamId,
+      startTime: Date.now(),
+      endpoint: `/jobs/${job.id}`,
+      method: 'JOB',
+      traceContext: trace.setSpan(parentContext, span)
+    };
+
+    // Run with the job's own correlation context, not the context of
+    // whichever request or job happened to trigger processNext()
+    return asyncLocalStorage.run(context, async () => {
+      let requeued = false;
+      job.status = 'processing';
+      job.startedAt = new Date().toISOString();
+      logger.info('Extraction job started', { jobId: job.id, mode: job.mode });
+
+      try {
+        const { body, schema, extractionId, reviewId, cached } = await runExtraction(job.mode, job.fileBuffer, {
+          ...job.options,
+          originalName: job.originalName
+        });
+        job.result = body;
+        job.schema = schema;
+        job.extractionId = extractionId;
+        job.reviewId = reviewId;
+        job.cached = cached;
+        job.status = 'completed';
+        progressTracker.publishResult(job.result);
+        logger.info('Extraction job completed', {
+          jobId: job.id,
+          durationMs: Date.now() - context.startTime
+        });
+      } catch (error) {
+        if (error.code === 'CIRCUIT_OPEN') {
+          requeued = true;
+          job.status = 'queued';
+          job.stage = null;
+          job.startedAt = null;
+          this.pending.unshift(job);
+          span.setAttribute('job.requeued', true);
+          logger.warn('Extraction job requeued until the LLM API is available again', { jobId: job.id });
+          return;
+        }
+
+        job.status = 'failed';
+        job.error = {
+          message: error.message,
+          status: error.status || 500,
+          source: error.source || null,
+          details: error.details || null
+        };
+        progressTracker.publishFailure(error);
+        recordError(span, error);
+        logger.error('Extraction job failed', {
+          jobId: job.id,
+          error: error.message,
+          stack: error.stack
+        });
+      } finally {
+        if (!requeued) {
+          job.completedAt = new Date().toISOString();
+          job.fileBuffer = null;
+        }
+        span.end();
+      }
+    });
+  }
+
+  recordProgress(event) {
+    if (!event.jobId || event.type !== 'progress') return;
+
+    const job = this.jobs.get(event.jobId);
+    if (!job) return;
+
+    job.stage = event.stage;
+    job.progress.push({
+      stage: event.stage,
+      status: event.status,
+      details: event.details,
+      timestamp: event.timestamp
+    });
+  }
+
+  pruneFinishedJobs() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [jobId, job] of this.jobs) {
+      if (job.completedAt && new Date(job.completedAt).getTime() < cutoff) {
+        this.jobs.delete(jobId);
+      }
+    }
+  }
+
+  /**
+   * Public representation of a job (never exposes the PDF buffer)
+   */
+  serialize(job) {
+    const queuePosition = job.status === 'queued' ? this.pending.indexOf(job) + 1 : null;
+
+    return {
+      id: job.id,
+      mode: job.mode,
+      promptVersion: job.options.promptVersion,
+      status: job.status,
+      stage: job.stage,
+      queuePosition,
+      originalName: job.originalName,
+      progress: job.progress,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      result: job.result,
+      schema: job.schema,
+      extractionId: job.extractionId,
+      reviewId: job.reviewId,
+      cached: job.cached,
+      error: job.error
+    };
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useTestEnvironment, samplePdf, waitFor } = require('../testSupport');
+
+useTestEnvironment({ JOB_CONCURRENCY: '1', JOB_MAX_QUEUED: '2' });
+
+const jobQueue = require('./jobQueue');
+
+const finished = job => () => ['completed', 'failed'].includes(job.status);
+
+test('runs a queued extraction and keeps its result and progress', async () => {
+  const job = jobQueue.submit('standard', samplePdf('job'), { originalName: 'job.pdf' });
+  assert.equal(job.status, 'processing');
+
+  await waitFor(finished(job));
+
+  const serialized = jobQueue.serialize(job);
+  assert.equal(serialized.status, 'completed', JSON.stringify(serialized.error));
+  assert.equal(serialized.originalName, 'job.pdf');
+  assert.equal(serialized.result.property_identity.city, 'München');
+  assert.deepEqual(serialized.schema, { name: 'complex', version: 1 });
+  assert.ok(serialized.extractionId);
+  assert.ok(serialized.progress.some(event => event.stage === 'extraction'));
+  assert.ok(serialized.completedAt);
+  assert.equal('fileBuffer' in serialized, false);
+  assert.equal(job.fileBuffer, null);
+});
+
+test('reports the queue position of waiting jobs', async () => {
+  const running = jobQueue.submit('standard', samplePdf('first'));
+  const waiting = jobQueue.submit('standard', samplePdf('second'));
+
+  assert.equal(jobQueue.serialize(waiting).status, 'queued');
+  assert.equal(jobQueue.serialize(waiting).queuePosition, 1);
+  assert.equal(jobQueue.getStats().queued, 1);
+
+  await waitFor(finished(running));
+  await waitFor(finished(waiting));
+  assert.equal(waiting.status, 'completed');
+});
+
+test('rejects unknown modes and a full queue', async () => {
+  assert.throws(() => jobQueue.submit('turbo', samplePdf()), { status: 400 });
+
+  const jobs = [1, 2, 3].map(n => jobQueue.submit('standard', samplePdf(`queued ${n}`)));
+  assert.throws(() => jobQueue.submit('standard', samplePdf('one too many')), { status: 503 });
+
+  for (const job of jobs) {
+    await waitFor(finished(job));
+  }
+});
+
+test('marks a job failed with the error of its extraction', async () => {
+  const job = jobQueue.submit('standard', Buffer.from('not a pdf'));
+  await waitFor(finished(job));
+
+  assert.equal(job.status, 'failed');
+  assert.ok(job.error.message);
+  assert.ok(job.error.status >= 400);
+});
@@ -0,0 +1,265 @@
+const promptRegistry = require('./promptRegistry');
+const validator = require('../utils/validator');
+const { splitCitations } = require('../utils/sourceCitations');
+const progressTracker = require('../utils/progressTracker');
+const logger = require('../utils/contextLogger');
+
+const retryBudget = parseInt(process.env.REPAIR_RETRY_BUDGET || '2', 10);
+
+function toolName(classificationType) {
+  return classificationType === 'SINGLE' ? 'extract_complex_property' : 'extract_portfolio_properties';
+}
+
+/**
+ * Extra calls made to repair unusable model output during one extraction
+ *
+ * All passes of an extraction share REPAIR_RETRY_BUDGET extra calls. Every call
+ * is recorded with its cost, and every optional pass whose output stayed
+ * unusable is recorded as skipped; summary() goes to metadata.repairs.
+ */
+class RepairBudget {
+  /**
+   * @param {Function} calculateCost - usage => cost in USD, as the service calculates it
+   */
+  constructor(calculateCost, limit = retryBudget) {
+    this.calculateCost = calculateCost;
+    this.limit = limit;
+    this.attempts = [];
+    this.skipped = [];
+  }
+
+  get remaining() {
+    return Math.max(0, this.limit - this.attempts.length);
+  }
+
+  /**
+   * @param {Object} attempt - { pass, reason, resolved, ... }
+   * @param {Object} usage - Token usage of the repair call
+   */
+  record(attempt, usage) {
+    const entry = {
+      ...attempt,
+      tokens: usage.input_tokens + usage.output_tokens,
+      cost: this.calculateCost(usage)
+    };
+    this.attempts.push(entry);
+
+    logger.info('Repair attempt completed', { stage: 'repair', ...entry });
+    progressTracker.report('repair', 'completed', { pass: entry.pass, reason: entry.reason, resolved: entry.resolved });
+    return entry;
+  }
+
+  /**
+   * An optional pass whose output could not be used, e.g. the correction
+   * @param {String} pass - Pass name
+   * @param {String} reason - Problem of its last output, as in the attempts
+   */
+  skip(pass, reason) {
+    this.skipped.push({ pass, reason });
+  }
+
+  get cost() {
+    return this.attempts.reduce((sum, attempt) => sum + attempt.cost, 0);
+  }
+
+  get tokens() {
+    return this.attempts.reduce((sum, attempt) => sum + attempt.tokens, 0);
+  }
+
+  /**
+   * @returns {Object} { budget, used, tokens, cost, attempts, skipped }
+   */
+  summary() {
+    return {
+      budget: this.limit,
+      used: this.attempts.length,
+      tokens: this.tokens,
+      cost: parseFloat(this.cost.toFixed(4)),
+      attempts: this.attempts,
+      skipped: this.skipped
+    };
+  }
+}
+
+/**
+ * What is wrong with the tool input of a response, if anything
+ * @returns {Object} { data, citations, problem } - problem: { reason, message, errors } or null
+ */
+function readToolOutput(response, classificationType) {
+  if (response.stopReason === 'max_tokens') {
+    return {
+      data: null,
+      citations: null,
+      problem: { reason: 'max_tokens', message: 'The tool input was cut off at the output token limit' }
+    };
+  }
+
+  const { input, citations } = splitCitations(response.toolInput);
+  if (!input) {
+    return {
+      data: null,
+      citations: null,
+      problem: { reason: 'no_tool_use', message: 'No tool use found in Claude response' }
+    };
+  }
+
+  // Portfolio data is unwrapped from the tool's wrapper object
+  const data = classificationType === 'PORTFOLIO' ? input.properties : input;
+  const { valid, errors } = validator.validateSchema(data, classificationType);
+  return {
+    data,
+    citations,
+    problem: valid ? null : { reason: 'schema', message: `${errors.length} schema violation(s)`, errors }
+  };
+}
+
+function repairPrompt(output, pass) {
+  const { request, classificationType, promptVersion, citationInstructions = '' } = pass;
+
+  if (output.problem.reason === 'schema') {
+    return promptRegistry.render(promptVersion, 'repair', {
+      extracted_data: JSON.stringify(output.data, null, 2),
+      schema_errors: output.problem.errors.map(error => `- ${error.path || '(root)'}: ${error.message}`).join('\n'),
+      tool_name: toolName(classificationType)
+    }) + citationInstructions;
+  }
+
+  // Nothing usable to fix: ask for the whole tool input again, more compactly
+  return `${request.prompt}\n\n${promptRegistry.render(promptVersion, 'repair-incomplete', {
+    problem: output.problem.message,
+    tool_name: toolName(classificationType)
+  })}`;
+}
+
+/**
+ * Run a tool pass (extraction, correction) and repair its output: tool input
+ * cut off at the token limit or missing is asked for again, schema violations
+ * are sent back with the list of errors. Schema-violating data is kept when
+ * the budget runs out (the best attempt, by number of violations), cut-off or
+ * missing tool input fails the pass.
+ *
+ * @param {Object} provider - LLM provider
+ * @param {RepairBudget} budget - Repair budget of the extraction
+ * @param {Object} pass - { name, send, request, classificationType, promptVersion, citationInstructions, required }
+ *   send: request => provider response, e.g. request => provider.extractWithTool(request)
+ *   request: { document, prompt, tool, model }
+ *   required: Whether unusable output fails the pass (default) or returns null data
+ * @returns {Object} { response, data, citations } - response of the first call
+ */
+async function runToolPass(provider, budget, pass) {
+  const { name, send, request, classificationType, required = true } = pass;
+  const response = await send(request);
+
+  let output = readToolOutput(response, classificationType);
+  let best = null;
+
+  while (output.problem) {
+    if (output.problem.reason === 'schema' && (!best || output.problem.errors.length < best.problem.errors.length)) {
+      best = output;
+    }
+    if (budget.remaining === 0) break;
+
+    logger.warn('Repair attempt started', {
+      stage: 'repair',
+      pass: name,
+      reason: output.problem.reason,
+      errors: output.problem.errors?.slice(0, 10)
+    });
+    progressTracker.report('repair', 'started', { pass: name, reason: output.problem.reason });
+
+    const repairResponse = await provider.repair({
+      document: request.document,
+      prompt: repairPrompt(output, pass),
+      tool: request.tool,
+      model: request.model
+    });
+    const repaired = readToolOutput(repairResponse, classificationType);
+
+    budget.record({
+      pass: name,
+      reason: output.problem.reason,
+      resolved: !repaired.problem,
+      ...(output.problem.errors && { errors: output.problem.errors.length }),
+      ...(repaired.problem?.errors && { remainingErrors: repaired.problem.errors.length })
+    }, repairResponse.usage);
+    output = repaired;
+  }
+
+  if (!output.problem) {
+    return { response, data: output.data, citations: output.citations };
+  }
+  if (best) {
+    return { response, data: best.data, citations: best.citations };
+  }
+  if (!required) {
+    logger.warn('Unusable tool output, pass skipped', { stage: 'repair', pass: name, reason: output.problem.reason });
+    budget.skip(name, output.problem.reason);
+    return { response, data: null, citations: null };
+  }
+  throw new Error(output.problem.message);
+}
+
+/**
+ * JSON object in a text answer, optionally inside a markdown code block
+ * @returns {Object} { value, error } - error is the parse error message
+ */
+function parseJsonAnswer(text) {
+  try {
+    const jsonMatch = text.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/) ||
+                     text.match(/(\{[\s\S]*\})/);
+    return { value: JSON.parse(jsonMatch ? jsonMatch[1] : text), error: null };
+  } catch (parseError) {
+    return { value: null, error: parseError.message };
+  }
+}
+
+/**
+ * Run a text pass that answers with JSON (verification) and repair its answer:
+ * an answer cut off at the token limit is continued where it stopped, an
+ * answer that is not valid JSON is asked for again with the parse error.
+ *
+ * @param {Object} pass - { name, send, request, promptVersion }
+ *   send: request => provider response, e.g. request => provider.verify(request)
+ *   request: { document, prompt, model }
+ * @returns {Object} { response, text, value, error } - response of the first call, text the
+ *   final (possibly continued) answer, value the parsed JSON or null with the parse error
+ */
+async function runJsonPass(provider, budget, pass) {
+  const { name, send, request, promptVersion } = pass;
+  const response = await send(request);
+
+  let text = response.text;
+  let stopReason = response.stopReason;
+  let parsed = parseJsonAnswer(text);
+
+  while (parsed.error && budget.remaining > 0) {
+    const reason = stopReason === 'max_tokens' ? 'max_tokens' : 'invalid_json';
+    logger.warn('Repair attempt started', { stage: 'repair', pass: name, reason, error: parsed.error });
+    progressTracker.report('repair', 'started', { pass: name, reason });
+
+    let repairResponse;
+    if (reason === 'max_tokens') {
+      repairResponse = await provider.continueText({ ...request, partial: text });
+      text = text.trimEnd() + repairResponse.text;
+    } else {
+      repairResponse = await send({
+        ...request,
+        prompt: `${request.prompt}\n\n${promptRegistry.render(promptVersion, 'repair-json', { error: parsed.error })}`
+      });
+      text = repairResponse.text;
+    }
+    stopReason = repairResponse.stopReason;
+    parsed = parseJsonAnswer(text);
+
+    budget.record({ pass: name, reason, resolved: !parsed.error }, repairResponse.usage);
+  }
+
+  return { response, text, value: parsed.value, error: parsed.error };
+}
+
+module.exports = {
+  RepairBudget,
+  runToolPass,
+  runJsonPass,
+  parseJsonAnswer
+};
@@ -0,0 +1,158 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { useTestEnvironment, samplePdf } = require('../testSupport');
+
+const dataDir = useTestEnvironment({ REPAIR_RETRY_BUDGET: '1' });
+
+// Default fixtures, plus a document whose correction pass is cut off at the token limit
+const fixturesDir = path.join(dataDir, 'fixtures');
+fs.cpSync(path.join(__dirname, '..', '..', 'fixtures', 'mock', 'default'), path.join(fixturesDir, 'default'), { recursive: true });
+process.env.MOCK_FIXTURES_DIR = fixturesDir;
+
+const { RepairBudget, runToolPass, runJsonPass, parseJsonAnswer } = require('./outputRepair');
+const { documentHash } = require('../providers/cassettes');
+const { runValidatedExtraction } = require('./extractionPipeline');
+
+const usage = { input_tokens: 1000, output_tokens: 500 };
+const validProperty = { name_id: 'A', street: 'Hauptstraße 1', postal_code: '10115', city: 'Berlin', country: 'DE' };
+
+function toolResponse(properties, stopReason = 'tool_use') {
+  return { toolInput: properties && { properties }, text: null, usage, stopReason };
+}
+
+function textResponse(text, stopReason = 'end_turn') {
+  return { toolInput: null, text, usage, stopReason };
+}
+
+/**
+ * Provider whose repair and continuation calls answer from a list, recording the requests
+ */
+function fakeProvider(answers) {
+  const requests = [];
+  const answer = request => {
+    requests.push(request);
+    return answers.shift();
+  };
+  return { requests, repair: answer, continueText: answer };
+}
+
+function toolPass(first, options = {}) {
+  return {
+    name: 'extraction',
+    send: () => first,
+    request: { document: 'pdf', prompt: 'Extract the portfolio', tool: {}, model: 'mock' },
+    classificationType: 'PORTFOLIO',
+    ...options
+  };
+}
+
+const budget = (limit = 2) => new RepairBudget(({ input_tokens, output_tokens }) => (input_tokens + output_tokens) / 1e6, limit);
+
+test('passes valid tool output through without repairs', async () => {
+  const repairs = budget();
+  const result = await runToolPass(fakeProvider([]), repairs, toolPass(toolResponse([validProperty])));
+
+  assert.deepEqual(result.data, [validProperty]);
+  assert.deepEqual(repairs.summary(), { budget: 2, used: 0, tokens: 0, cost: 0, attempts: [], skipped: [] });
+});
+
+test('sends schema violations back with their paths', async () => {
+  const provider = fakeProvider([toolResponse([validProperty])]);
+  const repairs = budget();
+
+  const result = await runToolPass(provider, repairs, toolPass(toolResponse([{ ...validProperty, year_built: 'old' }])));
+
+  assert.deepEqual(result.data, [validProperty]);
+  assert.match(provider.requests[0].prompt, /\[0\]\.year_built: /);
+  assert.deepEqual(repairs.attempts.map(({ pass, reason, resolved, errors }) => ({ pass, reason, resolved, errors })),
+    [{ pass: 'extraction', reason: 'schema', resolved: true, errors: 1 }]);
+  assert.equal(repairs.summary().cost, 0.0015);
+  assert.equal(repairs.summary().tokens, 1500);
+});
+
+test('asks again for cut-off tool input and keeps the best schema attempt when the budget runs out', async () => {
+  const better = [{ ...validProperty, year_built: 'old' }];
+  const provider = fakeProvider([
+    toolResponse(better),
+    toolResponse([{ ...validProperty, year_built: 'old', land_area_sqm: -1 }])
+  ]);
+  const repairs = budget(2);
+
+  const result = await runToolPass(provider, repairs, toolPass(toolResponse(null, 'max_tokens')));
+
+  assert.match(provider.requests[0].prompt, /^Extract the portfolio/);
+  assert.match(provider.requests[0].prompt, /cut off at the output token limit/);
+  assert.deepEqual(result.data, better);
+  assert.deepEqual(repairs.attempts.map(attempt => attempt.reason), ['max_tokens', 'schema']);
+  assert.equal(repairs.remaining, 0);
+});
+
+test('fails a required pass without usable output and skips an optional one', async () => {
+  await assert.rejects(
+    runToolPass(fakeProvider([toolResponse(null)]), budget(1), toolPass(toolResponse(null))),
+    /No tool use found in Claude response/
+  );
+
+  const repairs = budget(0);
+  const result = await runToolPass(fakeProvider([]), repairs,
+    toolPass(toolResponse(null, 'max_tokens'), { name: 'correction', required: false }));
+  assert.equal(result.data, null);
+  assert.deepEqual(repairs.summary().skipped, [{ pass: 'correction', reason: 'max_tokens' }]);
+});
+
+test('continues a JSON answer cut off at the token limit', async () => {
+  const provider = fakeProvider([textResponse('"confidence_score": 88}')]);
+  const repairs = budget();
+
+  const result = await runJsonPass(provider, repairs, {
+    name: 'verification',
+    send: () => textResponse('{"verification_summary": {}, ', 'max_tokens'),
+    request: { document: 'pdf', prompt: 'Verify', model: 'mock' }
+  });
+
+  assert.deepEqual(result.value, { verification_summary: {}, confidence_score: 88 });
+  assert.equal(provider.requests[0].partial, '{"verification_summary": {}, ');
+  assert.equal(repairs.attempts[0].reason, 'max_tokens');
+});
+
+test('asks again with the parse error for invalid JSON', async () => {
+  const prompts = [];
+  const answers = [textResponse('Here you go: {not json}'), textResponse('```json\n{"confidence_score": 90}\n```')];
+  const repairs = budget();
+
+  const result = await runJsonPass(fakeProvider([]), repairs, {
+    name: 'verification',
+    send: request => {
+      prompts.push(request.prompt);
+      return answers.shift();
+    },
+    request: { document: 'pdf', prompt: 'Verify', model: 'mock' }
+  });
+
+  assert.deepEqual(result.value, { confidence_score: 90 });
+  assert.equal(prompts.length, 2);
+  assert.match(prompts[1], /^Verify\n\n/);
+  assert.deepEqual(repairs.attempts.map(attempt => attempt.reason), ['invalid_json']);
+  assert.equal(parseJsonAnswer('no JSON at all').value, null);
+  assert.ok(parseJsonAnswer('no JSON at all').error);
+});
+
+test('keeps the extracted data and reports the skipped correction when its output stays unusable', async () => {
+  const pdf = samplePdf('correction cut off');
+  const cutOff = JSON.stringify({ content: [], usage: { input_tokens: 100, output_tokens: 8192 }, stop_reason: 'max_tokens' });
+  const documentDir = path.join(fixturesDir, documentHash(pdf.toString('base64')));
+  fs.mkdirSync(documentDir);
+  fs.writeFileSync(path.join(documentDir, 'correct.json'), cutOff);
+  fs.writeFileSync(path.join(documentDir, 'repair.json'), cutOff);
+
+  const result = await runValidatedExtraction(pdf);
+
+  assert.equal(result.validation.correction_pass_run, true);
+  assert.equal(result.validation.corrections_applied, false);
+  assert.equal(result.metadata.repairs.used, 1);
+  assert.deepEqual(result.metadata.repairs.skipped, [{ pass: 'correction', reason: 'max_tokens' }]);
+  assert.ok(result.metadata.repairs.cost > 0);
+});
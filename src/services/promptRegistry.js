@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const logger = require('../utils/contextLogger');
+
+const promptsDir = process.env.PROMPTS_DIR || path.join(__dirname, '..', 'prompts');
+
+const TEMPLATE_EXTENSION = '.txt';
+
+function promptError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Versioned prompt templates
+ *
+ * Every subdirectory of PROMPTS_DIR (default src/prompts) is one prompt
+ * version holding <name>.txt templates with {{variable}} placeholders. A
+ * version only needs the templates that changed: the others are inherited
+ * from the previous version (versions sort naturally, v2 < v10).
+ *
+ * Each version has a fingerprint (content hash of all its templates), so an
+ * edit in place is visible too. Results record { promptVersion, promptFingerprint }
+ * in their metadata and the result cache is keyed on the fingerprint.
+ * Requests use PROMPT_VERSION (default: the latest version) unless they pin one.
+ */
+class PromptRegistry {
+  constructor() {
+    this.versions = new Map();
+    this.load();
+
+    const configured = process.env.PROMPT_VERSION;
+    const names = [...this.versions.keys()];
+    this.defaultVersion = configured || names[names.length - 1];
+
+    if (!this.versions.has(this.defaultVersion)) {
+      throw new Error(`PROMPT_VERSION "${configured}" not found in ${promptsDir}. Available versions: ${names.join(', ')}`);
+    }
+
+    logger.info('Prompt registry loaded', { versions: names, default: this.defaultVersion });
+  }
+
+  load() {
+    const names = fs.readdirSync(promptsDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    let inherited = {};
+    names.forEach(name => {
+      const own = {};
+      fs.readdirSync(path.join(promptsDir, name))
+        .filter(file => file.endsWith(TEMPLATE_EXTENSION))
+        .forEach(file => {
+          // One trailing newline is file formatting, not part of the prompt
+          own[file.slice(0, -TEMPLATE_EXTENSION.length)] = fs.readFileSync(path.join(promptsDir, name, file), 'utf8')
+            .replace(/\r?\n$/, '');
+        });
+
+      const templates = { ...inherited, ...own };
+      const hash = crypto.createHash('sha256');
+      Object.keys(templates).sort().forEach(template => hash.update(template).update('\0').update(templates[template]).update('\0'));
+
+      this.versions.set(name, {
+        version: name,
+        fingerprint: hash.digest('hex').slice(0, 12),
+        templates,
+        overrides: Object.keys(own).sort()
+      });
+      inherited = templates;
+    });
+
+    if (names.length === 0) {
+      throw new Error(`No prompt versions found in ${promptsDir}`);
+    }
+  }
+
+  /**
+   * A version with its fully resolved templates, null when unknown
+   */
+  get(version) {
+    return this.versions.get(version) || null;
+  }
+
+  /**
+   * The prompt version to use, the default when none is pinned
+   * @param {String} version - Pinned version (optional)
+   * @returns {Object} { version, fingerprint, templates, overrides }
+   */
+  resolve(version) {
+    const resolved = this.get(version || this.defaultVersion);
+    if (!resolved) {
+      throw promptError(`Unknown prompt version "${version}". Available versions: ${[...this.versions.keys()].join(', ')}`, 400);
+    }
+    return resolved;
+  }
+
+  /**
+   * Render a template of a version. Every placeholder must be given a value.
+   * @param {String} version - Prompt version (default version when empty)
+   * @param {String} name - Template name, e.g. "verification"
+   * @param {Object} variables - Placeholder values
+   */
+  render(version, name, variables = {}) {
+    const resolved = this.resolve(version);
+    const template = resolved.templates[name];
+    if (template === undefined) {
+      throw new Error(`Prompt version ${resolved.version} has no template "${name}"`);
+    }
+
+    return template.replace(/\{\{(\w+)\}\}/g, (placeholder, variable) => {
+      if (!(variable in variables)) {
+        throw new Error(`Prompt template ${resolved.version}/${name} uses unknown variable "${variable}"`);
+      }
+      return String(variables[variable]);
+    });
+  }
+
+  /**
+   * Metadata recorded with every result
+   */
+  describe(version) {
+    const resolved = this.resolve(version);
+    return { promptVersion: resolved.version, promptFingerprint: resolved.fingerprint };
+  }
+
+  list() {
+    return {
+      default: this.defaultVersion,
+      versions: [...this.versions.values()].map(({ version, fingerprint, templates, overrides }) => ({
+        version,
+        fingerprint,
+        templates: Object.keys(templates).sort(),
+        overrides
+      }))
+    };
+  }
+}
+
+module.exports = new PromptRegistry();
@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { useTestEnvironment, samplePdf, startApp } = require('../testSupport');
+
+const dataDir = useTestEnvironment();
+
+// The shipped templates as v1, a v2 that overrides one of them and a v10 that overrides nothing
+const promptsDir = path.join(dataDir, 'prompts');
+fs.cpSync(path.join(__dirname, '..', 'prompts', 'v1'), path.join(promptsDir, 'v1'), { recursive: true });
+fs.mkdirSync(path.join(promptsDir, 'v2'));
+const classification = fs.readFileSync(path.join(promptsDir, 'v1', 'classification.txt'), 'utf8');
+fs.writeFileSync(path.join(promptsDir, 'v2', 'classification.txt'), `${classification.trimEnd()}\nAnswer in capitals.\n`);
+fs.mkdirSync(path.join(promptsDir, 'v10'));
+process.env.PROMPTS_DIR = promptsDir;
+
+const promptRegistry = require('./promptRegistry');
+const { runStandardExtraction } = require('./extractionPipeline');
+const promptRoutes = require('../routes/prompts');
+
+let server;
+
+before(async () => {
+  server = await startApp(promptRoutes);
+});
+
+after(() => server.close());
+
+test('sorts versions naturally and defaults to the latest', () => {
+  const { default: defaultVersion, versions } = promptRegistry.list();
+
+  assert.deepEqual(versions.map(version => version.version), ['v1', 'v2', 'v10']);
+  assert.equal(defaultVersion, 'v10');
+});
+
+test('inherits the templates a version does not override', () => {
+  const v1 = promptRegistry.get('v1');
+  const v2 = promptRegistry.get('v2');
+  const v10 = promptRegistry.get('v10');
+
+  assert.deepEqual(v2.overrides, ['classification']);
+  assert.equal(v2.templates.verification, v1.templates.verification);
+  assert.equal(v2.templates.classification, `${v1.templates.classification}\nAnswer in capitals.`);
+  assert.deepEqual(v10.templates, v2.templates);
+});
+
+test('fingerprints the resolved templates', () => {
+  const fingerprints = ['v1', 'v2', 'v10'].map(version => promptRegistry.get(version).fingerprint);
+
+  assert.match(fingerprints[0], /^[0-9a-f]{12}$/);
+  assert.notEqual(fingerprints[0], fingerprints[1]);
+  assert.equal(fingerprints[1], fingerprints[2]);
+  assert.deepEqual(promptRegistry.describe('v1'), { promptVersion: 'v1', promptFingerprint: fingerprints[0] });
+});
+
+test('renders placeholders and refuses unknown variables and versions', () => {
+  assert.match(promptRegistry.render('v2', 'repair-json', { error: 'Unexpected token' }), /Unexpected token/);
+  assert.doesNotMatch(promptRegistry.render('v2', 'repair-json', { error: 'Unexpected token' }), /\{\{/);
+  assert.throws(() => promptRegistry.render('v2', 'repair-json'), /unknown variable "error"/);
+  assert.throws(() => promptRegistry.render('v2', 'missing'), /no template "missing"/);
+  assert.throws(() => promptRegistry.resolve('v99'), error => error.status === 400 && /Available versions/.test(error.message));
+});
+
+test('records the prompt version in the result metadata and honours a pinned version', async () => {
+  const pdf = samplePdf('prompts');
+
+  const latest = await runStandardExtraction(pdf);
+  assert.equal(latest.metadata.promptVersion, 'v10');
+  assert.equal(latest.metadata.promptFingerprint, promptRegistry.get('v10').fingerprint);
+
+  const pinned = await runStandardExtraction(pdf, { promptVersion: 'v1' });
+  assert.equal(pinned.cached, false);
+  assert.equal(pinned.metadata.promptVersion, 'v1');
+
+  assert.equal((await runStandardExtraction(pdf, { promptVersion: 'v1' })).cached, true);
+  await assert.rejects(runStandardExtraction(pdf, { promptVersion: 'v99' }), { status: 400 });
+});
+
+test('lists the versions and shows one with its templates', async () => {
+  const list = await (await fetch(`${server.url}/prompts`)).json();
+  assert.equal(list.versions.length, 3);
+
+  const v2 = await (await fetch(`${server.url}/prompts/v2`)).json();
+  assert.equal(v2.default, false);
+  assert.deepEqual(v2.overrides, ['classification']);
+  assert.ok(v2.templates.verification);
+
+  assert.equal((await fetch(`${server.url}/prompts/v99`)).status, 404);
+});
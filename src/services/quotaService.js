@@ -0,0 +1,161 @@
+const path = require('path');
+
+const JsonFileStore = require('../utils/jsonFileStore');
+const logger = require('../utils/contextLogger');
+
+const dataDir = process.env.DATA_DIR || './data';
+
+function parseLimit(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+const defaultRequestsPerDay = parseLimit(process.env.DEFAULT_REQUESTS_PER_DAY);
+const defaultSpendPerMonthUsd = parseLimit(process.env.DEFAULT_SPEND_PER_MONTH_USD);
+
+/**
+ * Per-client usage accounting and quota checks
+ *
+ * Two quotas per client, both optional (null = unlimited):
+ * - requestsPerDay: extraction requests and job submissions per UTC day
+ * - spendPerMonthUsd: Claude API cost per UTC calendar month, from metadata.totalCost
+ *
+ * Usage counters are kept in memory and written to DATA_DIR/usage/<clientId>.json
+ * on every change, so they survive restarts.
+ */
+class QuotaService {
+  constructor() {
+    this.store = new JsonFileStore(path.join(dataDir, 'usage'));
+    this.usage = new Map();
+    this.pendingWrites = new Map();
+
+    this.store.loadAll().forEach(record => this.usage.set(record.clientId, record));
+  }
+
+  currentPeriods(now = new Date()) {
+    const iso = now.toISOString();
+    return {
+      day: iso.slice(0, 10),
+      month: iso.slice(0, 7),
+      dayResetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)).toISOString(),
+      monthResetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString()
+    };
+  }
+
+  /**
+   * Usage of the current day and month, counters of older periods are reset
+   */
+  getUsage(clientId) {
+    const { day, month } = this.currentPeriods();
+    const usage = this.usage.get(clientId) || { clientId, day, requests: 0, month, spendUsd: 0 };
+
+    if (usage.day !== day) {
+      usage.day = day;
+      usage.requests = 0;
+    }
+    if (usage.month !== month) {
+      usage.month = month;
+      usage.spendUsd = 0;
+    }
+
+    this.usage.set(clientId, usage);
+    return usage;
+  }
+
+  getLimits(client) {
+    const quotas = client.quotas || {};
+    return {
+      requestsPerDay: quotas.requestsPerDay ?? defaultRequestsPerDay,
+      spendPerMonthUsd: quotas.spendPerMonthUsd ?? defaultSpendPerMonthUsd
+    };
+  }
+
+  /**
+   * Current quota state of a client
+   * @returns {Object} { requests, spend, exceeded } - exceeded is 'requests', 'spend' or null
+   */
+  check(client) {
+    const usage = this.getUsage(client.id);
+    const limits = this.getLimits(client);
+    const periods = this.currentPeriods();
+
+    const requests = {
+      limit: limits.requestsPerDay,
+      used: usage.requests,
+      remaining: limits.requestsPerDay === null ? null : Math.max(0, limits.requestsPerDay - usage.requests),
+      resetsAt: periods.dayResetsAt
+    };
+    const spend = {
+      limit: limits.spendPerMonthUsd,
+      used: usage.spendUsd,
+      remaining: limits.spendPerMonthUsd === null ? null : Math.max(0, limits.spendPerMonthUsd - usage.spendUsd),
+      resetsAt: periods.monthResetsAt
+    };
+
+    let exceeded = null;
+    if (requests.remaining === 0) {
+      exceeded = 'requests';
+    } else if (spend.remaining === 0) {
+      exceeded = 'spend';
+    }
+
+    return { requests, spend, exceeded };
+  }
+
+  /**
+   * Count a request against the daily quota
+   * @returns {String} The day it was counted on, for releaseRequest
+   */
+  recordRequest(clientId) {
+    const usage = this.getUsage(clientId);
+    usage.requests++;
+    this.persist(usage);
+    return usage.day;
+  }
+
+  /**
+   * Give back a request counted on the given day, for requests that failed.
+   * No-op once the day is over and the counter was reset.
+   */
+  releaseRequest(clientId, day) {
+    const usage = this.getUsage(clientId);
+    if (usage.day !== day || usage.requests === 0) return;
+
+    usage.requests--;
+    this.persist(usage);
+  }
+
+  /**
+   * Charge Claude API cost to a client. No-op without a client (authentication disabled).
+   */
+  recordSpend(clientId, costUsd) {
+    if (!clientId || !costUsd) return;
+
+    const usage = this.getUsage(clientId);
+    usage.spendUsd = Math.round((usage.spendUsd + costUsd) * 1e6) / 1e6;
+    this.persist(usage);
+
+    logger.info('Client spend recorded', {
+      clientId,
+      cost: costUsd.toFixed(6),
+      monthToDate: usage.spendUsd.toFixed(4)
+    });
+  }
+
+  persist(usage) {
+    // Chain writes per client so concurrent updates never race on the same temp file
+    const previous = this.pendingWrites.get(usage.clientId) || Promise.resolve();
+    const write = previous
+      .then(() => this.store.write(usage.clientId, usage))
+      .catch(error => {
+        logger.error('Failed to persist client usage', {
+          clientId: usage.clientId,
+          error: error.message
+        });
+      });
+    this.pendingWrites.set(usage.clientId, write);
+  }
+}
+
+module.exports = new QuotaService();
@@ -0,0 +1,336 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const JsonFileStore = require('../utils/jsonFileStore');
+const extractionStore = require('./extractionStore');
+const correctionExamples = require('./correctionExamples');
+const { getConfidenceLevel, getRecommendation } = require('../utils/corrections');
+const { valueAtPath, setValueAtPath } = require('../utils/fieldPaths');
+const logger = require('../utils/contextLogger');
+
+const dataDir = process.env.DATA_DIR || './data';
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+function reviewError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Human review queue for low-confidence extractions
+ *
+ * Validated and clean extractions whose confidence level (see getRecommendation)
+ * is in REVIEW_QUEUE_LEVELS are queued here. A reviewer works on a copy of the
+ * extracted data: field-level corrections are applied to it and logged, and the
+ * approved version becomes the canonical result of the stored extraction.
+ *
+ * Each review keeps the original model output (originalData, before any
+ * cleaning), the reviewed version (data) and every correction and decision
+ * with reviewer and time, so
+ * the audit trail survives even if the extraction is re-run. On approval,
+ * corrections that state a rule become few-shot examples (correctionExamples).
+ * A review belongs to the client of its extraction (clientId).
+ *
+ * Reviews are kept in memory and written to DATA_DIR/reviews/<id>.json on every change.
+ */
+class ReviewQueue {
+  constructor() {
+    this.enabled = process.env.REVIEW_QUEUE_ENABLED !== 'false';
+    this.levels = (process.env.REVIEW_QUEUE_LEVELS || 'LOW,MEDIUM')
+      .split(',')
+      .map(level => level.trim().toUpperCase())
+      .filter(Boolean);
+
+    this.store = new JsonFileStore(path.join(dataDir, 'reviews'));
+    this.reviews = new Map();
+    this.pendingWrites = new Map();
+
+    this.store.loadAll().forEach(review => this.reviews.set(review.id, review));
+  }
+
+  /**
+   * Whether an extraction with this validation report needs a human look
+   */
+  needsReview(validation) {
+    return this.enabled && this.levels.includes(getConfidenceLevel(validation));
+  }
+
+  /**
+   * Queue a stored extraction for review, if its validation calls for one
+   * @param {Object} extraction - { extractionId, clientId, documentHash, originalName, broker, mode, classification,
+   *                               data, originalData, validation }
+   *   data: the extraction result under review; originalData: the model output it was derived from
+   *   (clean mode applies the verification findings), defaults to data
+   * @returns {Object|null} The created review, null when no review is needed
+   */
+  async enqueue(extraction) {
+    if (!extraction.extractionId || !this.needsReview(extraction.validation)) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const review = {
+      id: uuidv4(),
+      extractionId: extraction.extractionId,
+      clientId: extraction.clientId || null,
+      status: 'pending',
+      documentHash: extraction.documentHash,
+      originalName: extraction.originalName || null,
+      broker: extraction.broker || null,
+      mode: extraction.mode,
+      classification: extraction.classification || null,
+      confidenceLevel: getConfidenceLevel(extraction.validation),
+      confidenceScore: extraction.validation?.confidence_score ?? null,
+      reason: getRecommendation(extraction.validation),
+      createdAt: now,
+      updatedAt: now,
+      originalData: extraction.originalData ?? extraction.data,
+      data: JSON.parse(JSON.stringify(extraction.data)),
+      corrections: [],
+      decision: null
+    };
+
+    this.reviews.set(review.id, review);
+    await this.persist(review);
+    await extractionStore.applyReview(review.extractionId, { id: review.id, status: 'pending' });
+
+    logger.info('Extraction queued for review', {
+      reviewId: review.id,
+      extractionId: review.extractionId,
+      confidenceLevel: review.confidenceLevel,
+      confidenceScore: review.confidenceScore
+    });
+
+    return review;
+  }
+
+  get(id) {
+    return this.reviews.get(id) || null;
+  }
+
+  /**
+   * Latest review of a stored extraction
+   */
+  findByExtraction(extractionId) {
+    let latest = null;
+    for (const review of this.reviews.values()) {
+      if (review.extractionId === extractionId && (!latest || review.createdAt > latest.createdAt)) {
+        latest = review;
+      }
+    }
+    return latest;
+  }
+
+  /**
+   * List reviews (without data), oldest first so the queue is worked in order
+   * @param {Object} filters - { clientId, status, limit, offset }
+   *   clientId: Only the reviews of this client's extractions, null for those without one; undefined for all
+   */
+  list(filters = {}) {
+    if (filters.status && !REVIEW_STATUSES.includes(filters.status)) {
+      throw reviewError(`Invalid status "${filters.status}". Valid statuses: ${REVIEW_STATUSES.join(', ')}`, 400);
+    }
+
+    const matches = [...this.reviews.values()]
+      .filter(review => filters.clientId === undefined || (review.clientId || null) === filters.clientId)
+      .filter(review => !filters.status || review.status === filters.status)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    const offset = filters.offset || 0;
+    const limit = filters.limit || 50;
+
+    return {
+      total: matches.length,
+      offset,
+      limit,
+      items: matches.slice(offset, offset + limit).map(review => this.summarize(review))
+    };
+  }
+
+  requirePending(id) {
+    const review = this.get(id);
+    if (!review) {
+      throw reviewError(`Review ${id} not found`, 404);
+    }
+    if (review.status !== 'pending') {
+      throw reviewError(`Review ${id} is already ${review.status}`, 409);
+    }
+    return review;
+  }
+
+  /**
+   * Apply field-level corrections to the reviewed data
+   *
+   * All corrections are checked before any is applied, so a bad path leaves the review unchanged.
+   * @param {String} id - Review ID
+   * @param {Array} corrections - [{ field, value, comment, rule, category, excerpt }], field as in the confidence
+   *                              map ("financial.noi_annual_eur", "[0].city"); rule, category and the document
+   *                              excerpt are only needed for corrections that should become few-shot examples
+   * @param {String} reviewer - Who made the corrections (the API client)
+   * @param {String} reviewerNote - Free text about the reviewer, e.g. the analyst's name
+   * @returns {Object} The updated review
+   */
+  async correct(id, corrections, reviewer, reviewerNote) {
+    const review = this.requirePending(id);
+
+    if (!Array.isArray(corrections) || corrections.length === 0) {
+      throw reviewError('Expected a non-empty "corrections" array of { field, value, comment }', 400);
+    }
+
+    const data = JSON.parse(JSON.stringify(review.data));
+    const now = new Date().toISOString();
+    const entries = corrections.map((correction, index) => {
+      if (!correction || typeof correction.field !== 'string' || !('value' in correction)) {
+        throw reviewError(`Correction ${index} needs a "field" path and a "value"`, 400);
+      }
+
+      const previousValue = valueAtPath(data, correction.field) ?? null;
+      if (!setValueAtPath(data, correction.field, correction.value)) {
+        throw reviewError(`Correction ${index}: field "${correction.field}" does not exist in the extracted data`, 400);
+      }
+
+      return {
+        field: correction.field,
+        previousValue,
+        value: correction.value,
+        comment: correction.comment || null,
+        rule: correction.rule || null,
+        category: correction.category || null,
+        excerpt: correction.excerpt || null,
+        reviewer,
+        reviewerNote: reviewerNote || null,
+        correctedAt: now
+      };
+    });
+
+    review.data = data;
+    review.corrections.push(...entries);
+    review.updatedAt = now;
+    await this.persist(review);
+
+    logger.info('Review corrections applied', {
+      reviewId: review.id,
+      fields: entries.map(entry => entry.field),
+      reviewer
+    });
+
+    return review;
+  }
+
+  /**
+   * Approve the reviewed data, making it the canonical result of the extraction
+   */
+  async approve(id, reviewer, comment, reviewerNote) {
+    return this.decide(id, 'approved', reviewer, comment, reviewerNote);
+  }
+
+  /**
+   * Reject the extraction: it stays in the history but is no longer served from the cache
+   */
+  async reject(id, reviewer, comment, reviewerNote) {
+    return this.decide(id, 'rejected', reviewer, comment, reviewerNote);
+  }
+
+  async decide(id, status, reviewer, comment, reviewerNote) {
+    const review = this.requirePending(id);
+    const now = new Date().toISOString();
+
+    review.status = status;
+    review.decision = { status, reviewer, reviewerNote: reviewerNote || null, comment: comment || null, decidedAt: now };
+    review.updatedAt = now;
+    await this.persist(review);
+
+    // Read before the decision is applied: approval drops the citations of corrected fields
+    const extraction = status === 'approved' ? await extractionStore.get(review.extractionId) : null;
+
+    const updated = await extractionStore.applyReview(review.extractionId, {
+      id: review.id,
+      status,
+      reviewer,
+      decidedAt: now,
+      correctedFields: [...new Set(review.corrections.map(correction => correction.field))],
+      ...(status === 'approved' && { data: review.data, originalData: review.originalData })
+    });
+    if (!updated) {
+      logger.warn('Reviewed extraction no longer exists', { reviewId: review.id, extractionId: review.extractionId });
+    }
+    if (status === 'approved') {
+      await this.recordExamples(review, extraction?.sources || {});
+    }
+
+    logger.info(`Review ${status}`, {
+      reviewId: review.id,
+      extractionId: review.extractionId,
+      corrections: review.corrections.length,
+      reviewer
+    });
+
+    return review;
+  }
+
+  /**
+   * Turn the approved corrections that state a rule into few-shot examples,
+   * one per field (the last correction wins, reverted fields are skipped). Without an excerpt from the
+   * reviewer, the citation snippet of the model's value is used.
+   */
+  async recordExamples(review, sources) {
+    const latest = new Map();
+    review.corrections
+      .filter(correction => correction.rule)
+      .forEach(correction => latest.set(correction.field, correction));
+
+    for (const correction of latest.values()) {
+      const wrongValue = valueAtPath(review.originalData, correction.field) ?? null;
+      if (JSON.stringify(wrongValue) === JSON.stringify(correction.value ?? null)) continue;
+
+      try {
+        await correctionExamples.add({
+          field: correction.field,
+          wrongValue,
+          correctValue: correction.value,
+          excerpt: correction.excerpt || sources[correction.field]?.snippet || null,
+          rule: correction.rule,
+          category: correction.category,
+          broker: review.broker,
+          classification: review.classification,
+          extractionId: review.extractionId,
+          reviewId: review.id,
+          createdBy: correction.reviewer
+        });
+      } catch (error) {
+        logger.error('Failed to store correction example', { reviewId: review.id, field: correction.field, error: error.message });
+      }
+    }
+  }
+
+  summarize(review) {
+    return {
+      id: review.id,
+      extractionId: review.extractionId,
+      status: review.status,
+      originalName: review.originalName,
+      broker: review.broker,
+      mode: review.mode,
+      classification: review.classification,
+      confidenceLevel: review.confidenceLevel,
+      confidenceScore: review.confidenceScore,
+      reason: review.reason,
+      corrections: review.corrections.length,
+      createdAt: review.createdAt,
+      updatedAt: review.updatedAt,
+      decision: review.decision
+    };
+  }
+
+  persist(review) {
+    // Chain writes per review so concurrent updates never race on the same temp file
+    const previous = this.pendingWrites.get(review.id) || Promise.resolve();
+    const write = previous.then(() => this.store.write(review.id, review));
+    this.pendingWrites.set(review.id, write.catch(() => {}));
+    return write;
+  }
+}
+
+module.exports = new ReviewQueue();
@@ -1,15 +1,20 @@
-const Anthropic = require('@anthropic-ai/sdk');
 const logger = require('../utils/contextLogger');
 const { getContext } = require('../middleware/correlationContext');
+const progressTracker = require('../utils/progressTracker');
+const { withSpan } = require('../utils/tracing');
+const { withCitations, getCitationInstructions } = require('../utils/sourceCitations');
+const correctionExamples = require('./correctionExamples');
+const promptRegistry = require('./promptRegistry');
+const costLedger = require('./costLedger');
+const { getProvider } = require('../providers');
+const { isCreditError } = require('../providers/circuitBreaker');
 const complexSchema = require('../schemas/complexSchema.json');
 const portfolioSchema = require('../schemas/portfolioSchema.json');
+const { describeSchema, toolSchema } = require('../utils/schemaVersions');
+const { calculateCost } = require('../utils/pricing');
+const { RepairBudget, runToolPass, runJsonPass } = require('./outputRepair');
 
-// Helper function to calculate API costs
-function calculateCost(usage) {
-  const inputCost = (usage.input_tokens / 1_000_000) * 3.0;  // $3/MTok
-  const outputCost = (usage.output_tokens / 1_000_000) * 15.0; // $15/MTok
-  return parseFloat((inputCost + outputCost).toFixed(4));
-}
+const NO_USAGE = { input_tokens: 0, output_tokens: 0 };
 
 /**
  * Enhanced Claude Service with Three-Pass Validation Architecture
@@ -24,249 +29,144 @@ function calculateCost(usage) {
  */
 class ValidatedClaudeService {
   constructor() {
-    if (!process.env.ANTHROPIC_API_KEY) {
-      throw new Error('ANTHROPIC_API_KEY is not configured');
-    }
-
-    this.client = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
-    });
-
-    this.model = process.env.CLAUDE_MODEL || 'claude-sonnet-4-5';
+    this.provider = getProvider();
+    this.model = this.provider.model;
   }
 
-  getClassificationPrompt() {
-    return `You are analyzing a German real estate exposé (property listing document).
-
-Your task is to determine whether this document describes:
-- SINGLE: One complex property (possibly with multiple uses, addresses, or components, but it's ONE property)
-- PORTFOLIO: Multiple separate properties that could be sold individually
-
-Classification criteria:
-
-Classify as SINGLE when:
-- Document describes one building complex with multiple addresses
-- Mixed-use property with integrated components (e.g., retail + residential in same building)
-- Single purchase price for entire complex
-- Shared infrastructure (parking, utilities, management)
-- One land plot (Grundstück) number or contiguous land
-- Described as "Objekt" (singular) not "Objekte" (plural)
-- One overall property name/identifier
-
-Classify as PORTFOLIO when:
-- Multiple distinct properties at completely different locations
-- Separate building IDs or names that indicate independence (e.g., "Building A", "Building B")
-- Individual property metrics listed in separate tables
-- Properties that can be sold separately
-- Different construction years per building indicating separate developments
-- Separate land plots (Flurstücke) per property
-- Multiple property addresses that are geographically separate
-
-Respond with ONLY one word: either "SINGLE" or "PORTFOLIO"`;
+  getClassificationPrompt(promptVersion) {
+    return promptRegistry.render(promptVersion, 'classification');
   }
 
-  getExtractionPromptWithSourceAttribution(propertyType) {
-    const baseRules = `CRITICAL EXTRACTION RULES - READ CAREFULLY:
-
-1. SOURCE ATTRIBUTION (MANDATORY):
-   - You MUST include page numbers and specific locations for EVERY extracted value
-   - Format: "value extracted from page X, section Y, table Z"
-   - If you cannot find a value in the document, mark it as null - DO NOT GUESS
-
-2. DIFFERENTIATE vs AGGREGATE:
-   - "Baujahr" in a table header = construction year of that specific building/section
-   - Look for EARLIEST construction year across all buildings
-   - Modernization years are SEPARATE from original construction
-   - Tables often show BREAKDOWNS not totals - you must SUM them
-
-3. CALCULATION TRANSPARENCY:
-   - When summing values, list each component: "A + B + C = Total"
-   - Show your arithmetic so it can be verified
-   - If values don't add up, flag it as uncertain
-
-4. LOCATION ACCURACY:
-   - Extract EXACT text from document for city names
-   - Do not combine/modify city names (e.g., "Ingolstadt" not "Gaimersheim/Ingolstadt")
-   - Only include what's explicitly stated
-
-5. NEVER FABRICATE:
-   - If land area (Grundstück) column is empty, mark as null
-   - If parking spaces aren't listed, mark as null
-   - Missing data is better than wrong data
-
-6. NUMBER FORMATS:
-   - Convert German formats: "1.234,56" → 1234.56
-   - Verify sums match totals shown in document
-   - Round appropriately (areas to whole numbers, money to cents)`;
-
-    if (propertyType === 'SINGLE') {
-      return `${baseRules}
-
-SINGLE PROPERTY EXTRACTION:
-- Extract ALL numerical values with their locations
-- For mixed-use properties, sum ALL sections for totals
-- Verify your totals match or explain discrepancies
-- Look for multiple tables that need to be combined
-
-You MUST use the extract_complex_property tool to return the data.`;
-    } else {
-      return `${baseRules}
-
-PORTFOLIO EXTRACTION:
-- Create one array item per distinct property
-- Extract ALL properties from the document
-- Each property must cite where its data came from
-- Never duplicate or skip properties
-
-You MUST use the extract_portfolio_properties tool to return the data.`;
-    }
+  /**
+   * @param {String} propertyType - SINGLE or PORTFOLIO
+   * @param {Array} examples - Reviewed correction examples to learn from (see correctionExamples)
+   * @param {String} promptVersion - Prompt version (default: PROMPT_VERSION)
+   */
+  getExtractionPromptWithSourceAttribution(propertyType, examples = [], promptVersion) {
+    const lessons = correctionExamples.getExtractionSection(examples);
+    const rules = promptRegistry.render(promptVersion, 'validated-extraction-rules', {
+      lessons: lessons ? `\n\n${lessons}` : ''
+    });
+    return promptRegistry.render(
+      promptVersion,
+      propertyType === 'SINGLE' ? 'validated-extraction-single' : 'validated-extraction-portfolio',
+      { rules }
+    );
   }
 
-  getVerificationPrompt(extractedData, propertyType) {
-    return `You are a DATA VERIFICATION AGENT. Your job is to check the accuracy of extracted data.
-
-ORIGINAL EXTRACTION RESULT:
-${JSON.stringify(extractedData, null, 2)}
-
-Your task:
-1. Re-read the PDF document carefully
-2. Verify EACH numeric value against the source document
-3. Check all calculations (sums, totals, breakdowns)
-4. Identify any discrepancies, hallucinations, or errors
-
-For EACH field, respond with:
-- ✓ CORRECT: Value matches document
-- ✗ INCORRECT: Value differs from document (provide correct value and source)
-- ? UNCERTAIN: Cannot verify (explain why)
-- ⚠ MISSING: Field is null but data exists in document
-- ⚡ FABRICATED: Field has data but doesn't exist in document
-
-Pay special attention to:
-- Sums and breakdowns (do the parts add up to the total?)
-- City names (exact match to document?)
-- Construction years (earliest vs individual building years)
-- Empty vs missing fields (is null appropriate?)
-- Calculation errors (office area, rental income, etc.)
-
-Return a JSON object with this structure:
-{
-  "verification_summary": {
-    "total_fields_checked": number,
-    "correct": number,
-    "incorrect": number,
-    "uncertain": number,
-    "missing": number,
-    "fabricated": number,
-    "overall_accuracy_percent": number
-  },
-  "field_verifications": [
-    {
-      "field_path": "property_identity.city",
-      "status": "CORRECT|INCORRECT|UNCERTAIN|MISSING|FABRICATED",
-      "extracted_value": any,
-      "correct_value": any,
-      "source_location": "page X, section Y",
-      "notes": "explanation"
-    }
-  ],
-  "calculation_checks": [
-    {
-      "description": "Office area calculation",
-      "extracted_total": number,
-      "component_sum": "BV14: X + BV16: Y + LK02: Z = Total",
-      "is_correct": boolean,
-      "discrepancy": number
-    }
-  ],
-  "critical_issues": ["list of serious errors that must be fixed"],
-  "confidence_score": number
-}`;
+  /**
+   * @param {Object|Array} extractedData - Result of the extraction pass
+   * @param {String} propertyType - SINGLE or PORTFOLIO
+   * @param {Array} examples - Reviewed correction examples to check against (see correctionExamples)
+   * @param {String} promptVersion - Prompt version (default: PROMPT_VERSION)
+   */
+  getVerificationPrompt(extractedData, propertyType, examples = [], promptVersion) {
+    const errorPatterns = correctionExamples.getVerificationSection(examples);
+    return promptRegistry.render(promptVersion, 'verification', {
+      extracted_data: JSON.stringify(extractedData, null, 2),
+      error_patterns: errorPatterns ? `\n${errorPatterns}\n` : ''
+    });
   }
 
-  getCorrectionPrompt(extractedData, verificationResult, propertyType) {
-    return `You are a DATA CORRECTION AGENT. Based on verification findings, correct the extracted data.
-
-ORIGINAL EXTRACTION:
-${JSON.stringify(extractedData, null, 2)}
-
-VERIFICATION FINDINGS:
-${JSON.stringify(verificationResult, null, 2)}
-
-Your task:
-1. Apply all corrections identified in the verification
-2. Fix calculation errors
-3. Remove fabricated data (set to null)
-4. Add missing data that exists in the document
-5. Re-verify your corrections against the source PDF
-
-Return the CORRECTED data using the ${propertyType === 'SINGLE' ? 'extract_complex_property' : 'extract_portfolio_properties'} tool.
-
-IMPORTANT: Only include data that you can verify exists in the document. When in doubt, use null.`;
+  getCorrectionPrompt(extractedData, verificationResult, propertyType, promptVersion) {
+    return promptRegistry.render(promptVersion, 'correction', {
+      extracted_data: JSON.stringify(extractedData, null, 2),
+      verification_findings: JSON.stringify(verificationResult, null, 2),
+      tool_name: propertyType === 'SINGLE' ? 'extract_complex_property' : 'extract_portfolio_properties'
+    });
   }
 
-  async extractPropertyData(pdfBase64, enableValidation = true) {
-    try {
-      const context = getContext();
-      logger.info('Starting validated extraction process', {
-        enableValidation,
-        pdfSizeKB: Math.round(pdfBase64.length / 1024)
-      });
-      const startTime = Date.now();
+  /**
+   * Classification pass
+   * @param {String} pdfBase64 - The PDF
+   * @param {Object} options - { promptVersion, model }
+   * @returns {Object} { type: 'SINGLE' or 'PORTFOLIO', usage, cost }
+   */
+  async classifyDocument(pdfBase64, options = {}) {
+    const { promptVersion } = promptRegistry.describe(options.promptVersion);
 
-      // STEP 1: Classify the document type
+    try {
       logger.info('Classification pass started', {
         stage: 'classification',
         pdfSizeKB: Math.round(pdfBase64.length / 1024)
       });
+      progressTracker.report('classification', 'started');
       const classifyStart = Date.now();
-      const classificationResponse = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 10,
-        temperature: 0,
-        messages: [
-          {
-            role: "user",
-            content: [
-              { type: "text", text: this.getClassificationPrompt() },
-              {
-                type: "document",
-                source: {
-                  type: "base64",
-                  media_type: "application/pdf",
-                  data: pdfBase64
-                }
-              }
-            ]
-          }
-        ]
+      const classificationResponse = await this.provider.classify({
+        document: pdfBase64,
+        prompt: this.getClassificationPrompt(promptVersion),
+        model: options.model
       });
 
-      const classificationType = this.extractTextFromResponse(classificationResponse).trim();
+      const classificationType = classificationResponse.text.trim();
 
       logger.info('Classification pass completed', {
         stage: 'classification',
         result: classificationType,
         inputTokens: classificationResponse.usage.input_tokens,
         outputTokens: classificationResponse.usage.output_tokens,
-        cost: calculateCost(classificationResponse.usage),
+        cost: calculateCost(classificationResponse.usage, options.model || this.model),
         durationMs: Date.now() - classifyStart
       });
+      progressTracker.report('classification', 'completed', { result: classificationType });
 
       if (classificationType !== 'SINGLE' && classificationType !== 'PORTFOLIO') {
         throw new Error(`Invalid classification result: ${classificationType}`);
       }
+      costLedger.classify(classificationType);
+
+      return {
+        type: classificationType,
+        usage: classificationResponse.usage,
+        cost: calculateCost(classificationResponse.usage, options.model || this.model)
+      };
+
+    } catch (error) {
+      logger.error('Validated extraction error:', error);
+      this.handleApiError(error);
+    }
+  }
+
+  /**
+   * @param {String} pdfBase64 - The PDF
+   * @param {Boolean} enableValidation - Run the verification and correction passes
+   * @param {Object} options - { classification, includeSources, broker, promptVersion, model }
+   *   classification: Result of classifyDocument() to reuse (e.g. the standard service's); its cost
+   *     is then left to the caller and not included in the metadata
+   *   includeSources: Ask for a source citation per value, returned as `citations`
+   *   broker: Broker of the exposé, prefers correction examples from the same broker
+   *   promptVersion: Pinned prompt version (default: PROMPT_VERSION), see promptRegistry
+   *   model: Model for all passes (default: the provider's model), e.g. for an experiment variant
+   */
+  async extractPropertyData(pdfBase64, enableValidation = true, options = {}) {
+    const prompts = promptRegistry.describe(options.promptVersion);
+    const model = options.model || this.model;
+
+    try {
+      const context = getContext();
+      logger.info('Starting validated extraction process', {
+        enableValidation,
+        pdfSizeKB: Math.round(pdfBase64.length / 1024)
+      });
+      const startTime = Date.now();
+
+      // STEP 1: Classify the document type (unless the caller already did)
+      const classification = options.classification || await this.classifyDocument(pdfBase64, { ...prompts, model });
+      const classificationType = classification.type;
+      const classificationUsage = options.classification ? NO_USAGE : classification.usage;
+      const classificationCalls = options.classification ? 0 : 1;
 
       const tool = classificationType === 'SINGLE' ? {
         name: "extract_complex_property",
         description: "Extract structured information about a single complex property from the exposé",
-        input_schema: complexSchema
+        input_schema: toolSchema(complexSchema)
       } : {
         name: "extract_portfolio_properties",
         description: "Extract structured information about multiple properties from the exposé",
         input_schema: {
           type: "object",
           properties: {
-            properties: portfolioSchema
+            properties: toolSchema(portfolioSchema)
           },
           required: ["properties"]
         }
@@ -278,54 +178,72 @@ IMPORTANT: Only include data that you can verify exists in the document. When in
         documentType: classificationType,
         schema: classificationType === 'SINGLE' ? 'complex' : 'portfolio'
       });
+      progressTracker.report('extraction', 'started', { documentType: classificationType });
       const extractStart = Date.now();
-      const extractionResponse = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 8192,
-        temperature: 0,
-        tools: [tool],
-        tool_choice: { type: "tool", name: tool.name },
-        messages: [
-          {
-            role: "user",
-            content: [
-              { type: "text", text: this.getExtractionPromptWithSourceAttribution(classificationType) },
-              {
-                type: "document",
-                source: {
-                  type: "base64",
-                  media_type: "application/pdf",
-                  data: pdfBase64
-                }
-              }
-            ]
-          }
-        ]
-      });
-
-      const toolUse = extractionResponse.content.find(block => block.type === 'tool_use');
-      if (!toolUse || !toolUse.input) {
-        throw new Error('No tool use found in extraction response');
-      }
+      const extractionTool = options.includeSources ? withCitations(tool) : tool;
+      const citationInstructions = options.includeSources ? `\n\n${getCitationInstructions()}` : '';
+      const extractionExamples = correctionExamples.select({ classification: classificationType, broker: options.broker });
+
+      // Cut-off, missing or schema-violating output is repaired within the budget
+      // before the data is verified or returned
+      const repairs = new RepairBudget(usage => calculateCost(usage, model));
+      const toolPass = {
+        classificationType,
+        promptVersion: prompts.promptVersion,
+        citationInstructions
+      };
 
-      // Unwrap portfolio data from wrapper object
-      let extractedData = classificationType === 'PORTFOLIO' ? toolUse.input.properties : toolUse.input;
+      const extraction = await runToolPass(this.provider, repairs, {
+        ...toolPass,
+        name: 'extraction',
+        send: request => this.provider.extractWithTool(request),
+        request: {
+          document: pdfBase64,
+          prompt: this.getExtractionPromptWithSourceAttribution(classificationType, extractionExamples, prompts.promptVersion) + citationInstructions,
+          tool: extractionTool,
+          model
+        }
+      });
+      const extractionResponse = extraction.response;
+      const extractedData = extraction.data;
+      let citations = extraction.citations;
 
       logger.info('Extraction pass completed', {
         stage: 'extraction',
         fieldsExtracted: this.countExtractedFields(extractedData),
         inputTokens: extractionResponse.usage.input_tokens,
         outputTokens: extractionResponse.usage.output_tokens,
-        cost: calculateCost(extractionResponse.usage),
+        cost: calculateCost(extractionResponse.usage, model),
+        fewShotExamples: extractionExamples.length,
         durationMs: Date.now() - extractStart
       });
+      progressTracker.report('extraction', 'completed', {
+        fieldsExtracted: this.countExtractedFields(extractedData),
+        itemCount: Array.isArray(extractedData) ? extractedData.length : 1
+      });
 
       if (!enableValidation) {
         logger.info('Validation disabled, returning initial extraction');
+        progressTracker.report('complete', 'completed', { passesExecuted: 2 });
         return {
           data: extractedData,
           validation: null,
-          processingTime: Date.now() - startTime
+          processingTime: Date.now() - startTime,
+          metadata: {
+            model,
+            ...prompts,
+            classification: classificationType,
+            schema: describeSchema(classificationType),
+            validation_passes: 0,
+            pdfSizeKB: Math.round(pdfBase64.length / 1024),
+            totalCost: calculateCost(classificationUsage, model) + calculateCost(extractionResponse.usage, model) + repairs.cost,
+            totalTokens: classificationUsage.input_tokens + classificationUsage.output_tokens +
+                        extractionResponse.usage.input_tokens + extractionResponse.usage.output_tokens + repairs.tokens,
+            apiCallsCount: classificationCalls + 1 + repairs.attempts.length,
+            repairs: repairs.summary(),
+            fewShotExamples: { extraction: extractionExamples.map(example => example.id), verification: [] }
+          },
+          citations: options.includeSources ? citations : null
         };
       }
 
@@ -333,40 +251,30 @@ IMPORTANT: Only include data that you can verify exists in the document. When in
       logger.info('Verification pass started', {
         stage: 'verification'
       });
+      progressTracker.report('verification', 'started');
       const verifyStart = Date.now();
-      const verificationResponse = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 4096,
-        temperature: 0,
-        messages: [
-          {
-            role: "user",
-            content: [
-              { type: "text", text: this.getVerificationPrompt(extractedData, classificationType) },
-              {
-                type: "document",
-                source: {
-                  type: "base64",
-                  media_type: "application/pdf",
-                  data: pdfBase64
-                }
-              }
-            ]
-          }
-        ]
+      const verificationExamples = correctionExamples.select({
+        classification: classificationType,
+        broker: options.broker,
+        data: extractedData
+      });
+      // A report cut off at the token limit is continued, invalid JSON asked for again
+      const verification = await runJsonPass(this.provider, repairs, {
+        name: 'verification',
+        send: request => this.provider.verify(request),
+        request: {
+          document: pdfBase64,
+          prompt: this.getVerificationPrompt(extractedData, classificationType, verificationExamples, prompts.promptVersion),
+          model
+        },
+        promptVersion: prompts.promptVersion
       });
+      const verificationResponse = verification.response;
+      let verificationResult = verification.value;
 
-      const verificationText = this.extractTextFromResponse(verificationResponse);
-      let verificationResult;
-
-      try {
-        // Extract JSON from markdown code blocks if present
-        const jsonMatch = verificationText.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/) ||
-                         verificationText.match(/(\{[\s\S]*\})/);
-        verificationResult = JSON.parse(jsonMatch ? jsonMatch[1] : verificationText);
-      } catch (parseError) {
-        logger.warn('Failed to parse verification result as JSON', { error: parseError.message });
-        verificationResult = { error: 'Failed to parse verification', raw: verificationText };
+      if (verification.error) {
+        logger.warn('Failed to parse verification result as JSON', { error: verification.error });
+        verificationResult = { error: 'Failed to parse verification', raw: verification.text };
       }
 
       const verificationSummary = {
@@ -380,11 +288,17 @@ IMPORTANT: Only include data that you can verify exists in the document. When in
         stage: 'verification',
         ...verificationSummary,
         criticalIssuesCount: verificationResult.critical_issues?.length || 0,
+        fewShotExamples: verificationExamples.length,
         inputTokens: verificationResponse.usage.input_tokens,
         outputTokens: verificationResponse.usage.output_tokens,
-        cost: calculateCost(verificationResponse.usage),
+        cost: calculateCost(verificationResponse.usage, model),
         durationMs: Date.now() - verifyStart
       });
+      progressTracker.report('verification', 'completed', {
+        ...verificationSummary,
+        confidenceScore: verificationResult.confidence_score ?? null,
+        criticalIssuesCount: verificationResult.critical_issues?.length || 0
+      });
 
       if (verificationSummary.fabricated > 0) {
         logger.warn('Hallucinations detected', {
@@ -397,52 +311,63 @@ IMPORTANT: Only include data that you can verify exists in the document. When in
       // STEP 4: Apply corrections if needed
       let finalData = extractedData;
       let correctionResponse = null;
+      // Whether the correction pass ran and its output replaced the extracted data
+      let correctionsApplied = false;
       const hasErrors = verificationResult.verification_summary?.incorrect > 0 ||
                        verificationResult.verification_summary?.fabricated > 0 ||
                        verificationResult.critical_issues?.length > 0;
+      // The correction pass runs on every error, also when its output then turns out unusable
+      const correctionPassRun = hasErrors;
 
       if (hasErrors) {
         logger.info('Correction pass started', {
           stage: 'correction',
           issuesCount: verificationResult.verification_summary?.incorrect + verificationResult.verification_summary?.fabricated
         });
+        progressTracker.report('correction', 'started', {
+          issuesCount: verificationResult.verification_summary?.incorrect + verificationResult.verification_summary?.fabricated
+        });
         const correctStart = Date.now();
-        correctionResponse = await this.client.messages.create({
-          model: this.model,
-          max_tokens: 8192,
-          temperature: 0,
-          tools: [tool],
-          tool_choice: { type: "tool", name: tool.name },
-          messages: [
-            {
-              role: "user",
-              content: [
-                { type: "text", text: this.getCorrectionPrompt(extractedData, verificationResult, classificationType) },
-                {
-                  type: "document",
-                  source: {
-                    type: "base64",
-                    media_type: "application/pdf",
-                    data: pdfBase64
-                  }
-                }
-              ]
-            }
-          ]
+        // Without usable corrected data the extracted data is kept
+        const correction = await withSpan('extraction.correction', {
+          'correction.issues': verificationSummary.incorrect + verificationSummary.fabricated
+        }, async span => {
+          const outcome = await runToolPass(this.provider, repairs, {
+            ...toolPass,
+            name: 'correction',
+            send: request => this.provider.correct(request),
+            request: {
+              document: pdfBase64,
+              prompt: this.getCorrectionPrompt(extractedData, verificationResult, classificationType, prompts.promptVersion) + citationInstructions,
+              tool: extractionTool,
+              model
+            },
+            required: false
+          });
+          span.setAttribute('correction.applied', Boolean(outcome.data));
+          return outcome;
         });
+        correctionResponse = correction.response;
+        correctionsApplied = Boolean(correction.data);
 
-        const correctionToolUse = correctionResponse.content.find(block => block.type === 'tool_use');
-        if (correctionToolUse && correctionToolUse.input) {
-          finalData = correctionToolUse.input;
+        if (correction.data) {
+          finalData = correction.data;
+          citations = correction.citations || citations;
           logger.info('Correction pass completed', {
             stage: 'correction',
             correctionsCount: verificationResult.verification_summary?.incorrect + verificationResult.verification_summary?.fabricated,
             inputTokens: correctionResponse.usage.input_tokens,
             outputTokens: correctionResponse.usage.output_tokens,
-            cost: calculateCost(correctionResponse.usage),
+            cost: calculateCost(correctionResponse.usage, model),
             durationMs: Date.now() - correctStart
           });
+          progressTracker.report('correction', 'completed');
+        } else {
+          // Reported in metadata.repairs.skipped
+          progressTracker.report('correction', 'skipped', { unusableOutput: true });
         }
+      } else {
+        progressTracker.report('correction', 'skipped');
       }
 
       // STEP 5: Programmatic calculation validation
@@ -451,21 +376,28 @@ IMPORTANT: Only include data that you can verify exists in the document. When in
       const processingTime = Date.now() - startTime;
 
       // Calculate total API costs
-      const totalTokens = classificationResponse.usage.input_tokens + classificationResponse.usage.output_tokens +
+      const totalTokens = classificationUsage.input_tokens + classificationUsage.output_tokens +
                          extractionResponse.usage.input_tokens + extractionResponse.usage.output_tokens +
-                         verificationResponse.usage.input_tokens + verificationResponse.usage.output_tokens;
-      const totalCost = calculateCost(classificationResponse.usage) +
-                       calculateCost(extractionResponse.usage) +
-                       calculateCost(verificationResponse.usage);
+                         verificationResponse.usage.input_tokens + verificationResponse.usage.output_tokens +
+                         repairs.tokens;
+      const totalCost = calculateCost(classificationUsage, model) +
+                       calculateCost(extractionResponse.usage, model) +
+                       calculateCost(verificationResponse.usage, model) +
+                       repairs.cost;
 
       logger.info('Request completed successfully', {
         stage: 'complete',
         totalDurationMs: Date.now() - context.startTime,
-        totalCost: hasErrors ? totalCost + calculateCost(correctionResponse.usage) : totalCost,
+        totalCost: hasErrors ? totalCost + calculateCost(correctionResponse.usage, model) : totalCost,
         totalTokens: hasErrors ? totalTokens + correctionResponse.usage.input_tokens + correctionResponse.usage.output_tokens : totalTokens,
         confidenceScore: verificationResult.confidence_score || verificationSummary.accuracyPercent,
-        correctionsApplied: hasErrors,
-        passesExecuted: hasErrors ? 4 : 3
+        correctionsApplied,
+        passesExecuted: correctionPassRun ? 4 : 3
+      });
+      progressTracker.report('complete', 'completed', {
+        confidenceScore: verificationResult.confidence_score || verificationSummary.accuracyPercent,
+        correctionsApplied,
+        passesExecuted: correctionPassRun ? 4 : 3
       });
 
       return {
@@ -475,18 +407,27 @@ IMPORTANT: Only include data that you can verify exists in the document. When in
           calculation_validation: calculationValidation,
           confidence_score: verificationResult.confidence_score ||
                           verificationResult.verification_summary?.overall_accuracy_percent || null,
-          corrections_applied: hasErrors
+          correction_pass_run: correctionPassRun,
+          corrections_applied: correctionsApplied
         },
         processingTime,
         metadata: {
-          model: this.model,
+          model,
+          ...prompts,
           classification: classificationType,
-          validation_passes: hasErrors ? 4 : 3,
+          schema: describeSchema(classificationType),
+          validation_passes: correctionsApplied ? 4 : 3,
           pdfSizeKB: Math.round(pdfBase64.length / 1024),
-          totalCost: hasErrors ? totalCost + calculateCost(correctionResponse.usage) : totalCost,
+          totalCost: hasErrors ? totalCost + calculateCost(correctionResponse.usage, model) : totalCost,
           totalTokens: hasErrors ? totalTokens + correctionResponse.usage.input_tokens + correctionResponse.usage.output_tokens : totalTokens,
-          apiCallsCount: hasErrors ? 4 : 3
-        }
+          apiCallsCount: classificationCalls + (hasErrors ? 3 : 2) + repairs.attempts.length,
+          repairs: repairs.summary(),
+          fewShotExamples: {
+            extraction: extractionExamples.map(example => example.id),
+            verification: verificationExamples.map(example => example.id)
+          }
+        },
+        citations: options.includeSources ? citations : null
       };
 
     } catch (error) {
@@ -633,20 +574,12 @@ IMPORTANT: Only include data that you can verify exists in the document. When in
     };
   }
 
-  extractTextFromResponse(response) {
-    if (!response || !response.content || !Array.isArray(response.content)) {
-      throw new Error('Invalid response structure from Claude API');
-    }
-
-    const textContent = response.content.find(item => item.type === 'text');
-    if (!textContent || !textContent.text) {
-      throw new Error('No text content found in Claude response');
+  handleApiError(error) {
+    // Already translated, e.g. by classifyDocument()
+    if (error.source === 'claude-api') {
+      throw error;
     }
 
-    return textContent.text;
-  }
-
-  handleApiError(error) {
     if (error.status === 429) {
       const rateLimitError = new Error('Rate limit exceeded. Please try again in a moment.');
       rateLimitError.status = 429;
@@ -654,6 +587,13 @@ IMPORTANT: Only include data that you can verify exists in the document. When in
       throw rateLimitError;
     }
 
+    if (error.status === 529) {
+      const overloadedError = new Error('Claude is temporarily overloaded. Please try again in a moment.');
+      overloadedError.status = 503;
+      overloadedError.source = 'claude-api';
+      throw overloadedError;
+    }
+
     if (error.status === 401) {
       const authError = new Error('Invalid API key. Please check your Claude API credentials.');
       authError.status = 401;
@@ -661,6 +601,14 @@ IMPORTANT: Only include data that you can verify exists in the document. When in
       throw authError;
     }
 
+    // Not the caller's fault, and the same for every request until credit is added
+    if (isCreditError(error)) {
+      const creditError = new Error('Claude API credit balance is too low. Please try again later.');
+      creditError.status = 503;
+      creditError.source = 'claude-api';
+      throw creditError;
+    }
+
     if (error.status === 400) {
       const badRequestError = new Error('Invalid request to Claude API. The PDF may be corrupted or in an unsupported format.');
       badRequestError.status = 400;
@@ -683,10 +631,7 @@ IMPORTANT: Only include data that you can verify exists in the document. When in
   }
 
   validateApiKey() {
-    if (!process.env.ANTHROPIC_API_KEY) {
-      return false;
-    }
-    return process.env.ANTHROPIC_API_KEY.startsWith('sk-ant-');
+    return this.provider.isConfigured();
   }
 
   countExtractedFields(data) {
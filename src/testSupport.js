@@ -0,0 +1,109 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Helpers for the tests next to the code (*.test.js, run with `npm test`)
+ *
+ * Services read their configuration from the environment when first required,
+ * so a test file calls useTestEnvironment() before requiring anything from src.
+ * Every test file runs in its own process.
+ */
+
+/**
+ * Fresh DATA_DIR (and UPLOAD_DIR inside it) in the OS temp directory, the mock LLM provider and quiet logs
+ * @param {Object} env - Further environment variables
+ * @returns {String} The data directory
+ */
+function useTestEnvironment(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'immo-frog-test-'));
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    UPLOAD_DIR: path.join(dataDir, 'uploads'),
+    LLM_PROVIDER: 'mock',
+    LOG_LEVEL: 'error',
+    NODE_ENV: 'test',
+    AUTH_ENABLED: 'false',
+    RATE_LIMIT_STORE: 'memory'
+  }, env);
+  delete process.env.ANTHROPIC_API_KEY;
+
+  process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+  return dataDir;
+}
+
+/**
+ * A one-page PDF with the given text, different text giving a different document hash.
+ * Padded to 8 KB: pdf-parse misreads the cross-reference table of very small files.
+ */
+function samplePdf(text = 'Wohn- und Geschäftshaus Leopoldstraße') {
+  const content = `BT /F1 12 Tf 20 100 Td (${text.replace(/[()\\]/g, '')}) Tj ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 200 200] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+
+  let pdf = `%PDF-1.4\n%${'-'.repeat(8 * 1024)}\n`;
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+/**
+ * Serve routers as the server does (correlation context, JSON bodies, error
+ * handler) on a free port
+ * @param {...Function} handlers - Middleware and routers, in order
+ * @returns {Promise<Object>} { url, close }
+ */
+async function startApp(...handlers) {
+  const express = require('express');
+  const { correlationMiddleware } = require('./middleware/correlationContext');
+  const errorHandler = require('./middleware/errorHandler');
+
+  const app = express();
+  app.use(correlationMiddleware);
+  app.use(express.json());
+  handlers.forEach(handler => app.use(handler));
+  app.use(errorHandler);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+/**
+ * Wait until a condition holds, checking every 10 ms
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met within ${timeoutMs} ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+module.exports = {
+  useTestEnvironment,
+  samplePdf,
+  startApp,
+  waitFor
+};
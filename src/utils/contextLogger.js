@@ -1,5 +1,6 @@
 const winston = require('winston');
 const CustomLokiTransport = require('./customLokiTransport');
+const { isSpanContextValid, trace } = require('@opentelemetry/api');
 const { getContext } = require('../middleware/correlationContext');
 
 // Create base Winston logger
@@ -36,6 +37,8 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 // Add Grafana Loki transport if configured
+let lokiTransport = null;
+let lokiInitError = null;
 if (process.env.LOKI_HOST && process.env.LOKI_USERNAME && process.env.LOKI_API_KEY) {
   try {
     // Extract hostname from LOKI_HOST (remove /loki/api/v1/push if present)
@@ -44,7 +47,7 @@ if (process.env.LOKI_HOST && process.env.LOKI_USERNAME && process.env.LOKI_API_K
       .replace('http://', '')
       .replace('/loki/api/v1/push', '');
 
-    const lokiTransport = new CustomLokiTransport({
+    lokiTransport = new CustomLokiTransport({
       host: lokiHostClean,
       username: process.env.LOKI_USERNAME,
       apiKey: process.env.LOKI_API_KEY,
@@ -82,36 +85,65 @@ if (process.env.LOKI_HOST && process.env.LOKI_USERNAME && process.env.LOKI_API_K
   } catch (error) {
     console.error('❌ Failed to initialize Loki transport:', error.message);
     console.error('Full error:', error);
+    lokiTransport = null;
+    lokiInitError = error.message;
   }
 } else {
   console.log('ℹ️  Grafana Loki not configured (set LOKI_HOST, LOKI_USERNAME, LOKI_API_KEY in .env)');
 }
 
+/**
+ * Correlation context of a log line, with the IDs of the active trace and
+ * span in place of the trace context itself
+ */
+function logContext() {
+  const { traceContext, costAttribution, ...context } = getContext();
+  const spanContext = traceContext && trace.getSpanContext(traceContext);
+  if (spanContext && isSpanContextValid(spanContext)) {
+    context.traceId = spanContext.traceId;
+    context.spanId = spanContext.spanId;
+  }
+  return context;
+}
+
 // Wrapper that auto-injects correlation context into every log
 const contextLogger = {
   log: (level, message, meta = {}) => {
-    const context = getContext();
+    const context = logContext();
     baseLogger.log(level, message, { ...context, ...meta });
   },
 
   info: (message, meta = {}) => {
-    const context = getContext();
+    const context = logContext();
     baseLogger.info(message, { ...context, ...meta });
   },
 
   warn: (message, meta = {}) => {
-    const context = getContext();
+    const context = logContext();
     baseLogger.warn(message, { ...context, ...meta });
   },
 
   error: (message, meta = {}) => {
-    const context = getContext();
+    const context = logContext();
     baseLogger.error(message, { ...context, ...meta });
   },
 
   debug: (message, meta = {}) => {
-    const context = getContext();
+    const context = logContext();
     baseLogger.debug(message, { ...context, ...meta });
+  },
+
+  /**
+   * State of the Loki transport: { configured, ... } plus the transport's getStatus()
+   */
+  lokiStatus: () => {
+    if (lokiTransport) {
+      return { configured: true, ...lokiTransport.getStatus() };
+    }
+    if (lokiInitError) {
+      return { configured: true, healthy: false, lastError: lokiInitError };
+    }
+    return { configured: false };
   }
 };
 
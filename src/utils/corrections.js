@@ -0,0 +1,141 @@
+const logger = require('./contextLogger');
+
+/**
+ * Apply intelligent corrections based on validation findings
+ * This uses the validation report to fix known issues in the extracted data
+ */
+function applyIntelligentCorrections(data, validation) {
+  const corrected = JSON.parse(JSON.stringify(data)); // Deep clone
+
+  if (!validation || !validation.self_verification) {
+    return corrected;
+  }
+
+  const verifications = validation.self_verification.field_verifications || [];
+  const criticalIssues = validation.self_verification.critical_issues || [];
+
+  // Apply field-level corrections
+  verifications.forEach(verification => {
+    if (verification.status === 'INCORRECT' && verification.correct_value !== undefined) {
+      applyFieldCorrection(corrected, verification.field_path, verification.correct_value);
+    }
+
+    // Remove fabricated data
+    if (verification.status === 'FABRICATED') {
+      applyFieldCorrection(corrected, verification.field_path, null);
+      logger.info(`Removed fabricated field: ${verification.field_path}`);
+    }
+
+    // Add missing data
+    if (verification.status === 'MISSING' && verification.correct_value !== undefined) {
+      applyFieldCorrection(corrected, verification.field_path, verification.correct_value);
+      logger.info(`Added missing field: ${verification.field_path}`);
+    }
+  });
+
+  // Handle specific critical issues
+  criticalIssues.forEach(issue => {
+    if (issue.includes('Land area') && issue.includes('not stated')) {
+      // Set land_area_sqm to null if it's fabricated
+      if (corrected.property_metrics) {
+        corrected.property_metrics.land_area_sqm = null;
+      }
+    }
+
+    if (issue.includes('Parking area in sqm') && issue.includes('fabricated')) {
+      // Remove parking_sqm if fabricated
+      if (corrected.property_metrics?.breakdown_by_use) {
+        corrected.property_metrics.breakdown_by_use.parking_sqm = null;
+      }
+    }
+  });
+
+  // Apply calculation corrections if breakdowns don't match totals
+  if (validation.calculation_validation?.issues) {
+    validation.calculation_validation.issues.forEach(issue => {
+      if (issue.field === 'property_metrics.total_usable_area_sqm') {
+        // If breakdown doesn't sum correctly, trust the stated total
+        logger.info(`Area breakdown sum (${issue.difference}) doesn't match total - keeping stated total`);
+      }
+
+      if (issue.field === 'financial.total_rental_income_annual_eur') {
+        // If income breakdown doesn't sum correctly, trust the stated total
+        logger.info(`Income breakdown sum (${issue.difference}) doesn't match total - keeping stated total`);
+      }
+    });
+  }
+
+  return corrected;
+}
+
+/**
+ * Apply a correction to a nested field path
+ * Example: "property_identity.city" -> corrected.property_identity.city = value
+ */
+function applyFieldCorrection(obj, fieldPath, value) {
+  const parts = fieldPath.split('.');
+  let current = obj;
+
+  // Navigate to parent object
+  for (let i = 0; i < parts.length - 1; i++) {
+    if (!current[parts[i]]) {
+      current[parts[i]] = {};
+    }
+    current = current[parts[i]];
+  }
+
+  // Set the value
+  const lastPart = parts[parts.length - 1];
+  current[lastPart] = value;
+}
+
+/**
+ * Confidence level of a validated extraction
+ * @returns {String|null} LOW | MEDIUM | HIGH | ACCEPTABLE, or null without validation
+ */
+function getConfidenceLevel(validation) {
+  if (!validation) {
+    return null;
+  }
+
+  const confidenceScore = validation.confidence_score || 0;
+  const fabrications = validation.self_verification?.verification_summary?.fabricated || 0;
+  const criticalIssues = validation.self_verification?.critical_issues?.length || 0;
+  const calculationIssues = validation.calculation_validation?.issues?.filter(i => i.severity === 'high').length || 0;
+
+  if (confidenceScore < 60 || fabrications > 5 || criticalIssues > 5) {
+    return 'LOW';
+  }
+
+  if (confidenceScore < 75 || fabrications > 2 || criticalIssues > 2 || calculationIssues > 2) {
+    return 'MEDIUM';
+  }
+
+  if (confidenceScore >= 90 && fabrications === 0 && criticalIssues === 0) {
+    return 'HIGH';
+  }
+
+  return 'ACCEPTABLE';
+}
+
+const RECOMMENDATIONS = {
+  LOW: 'LOW CONFIDENCE - Manual review strongly recommended. Multiple critical issues detected.',
+  MEDIUM: 'MEDIUM CONFIDENCE - Review recommended for critical fields (financial data, areas).',
+  HIGH: 'HIGH CONFIDENCE - Data appears accurate and reliable.',
+  ACCEPTABLE: 'ACCEPTABLE CONFIDENCE - Data has been validated and corrected. Spot checks recommended.'
+};
+
+/**
+ * Generate a recommendation based on validation results
+ */
+function getRecommendation(validation) {
+  const level = getConfidenceLevel(validation);
+  return level ? RECOMMENDATIONS[level] : 'No validation performed';
+}
+
+module.exports = {
+  applyIntelligentCorrections,
+  applyFieldCorrection,
+  getConfidenceLevel,
+  getRecommendation
+};
@@ -22,6 +22,11 @@ class CustomLokiTransport extends Transport {
     this.batchInterval = opts.batchInterval || 5000; // 5 seconds
     this.flushTimer = null;
 
+    // Outcome of the pushes, for the readiness check
+    this.lastPushAt = null;
+    this.lastError = null;
+    this.lastErrorAt = null;
+
     // Start batch timer
     this.startBatchTimer();
   }
@@ -105,13 +110,17 @@ class CustomLokiTransport extends Transport {
       res.on('end', () => {
         if (res.statusCode !== 204) {
           console.error(`❌ Loki push failed with status ${res.statusCode}: ${data}`);
+          this.recordError(new Error(`Loki returned ${res.statusCode}: ${data}`));
           this.emit('error', new Error(`Loki returned ${res.statusCode}: ${data}`));
+        } else {
+          this.lastPushAt = new Date().toISOString();
         }
       });
     });
 
     req.on('error', (error) => {
       console.error('❌ Loki request error:', error.message);
+      this.recordError(error);
       this.emit('error', error);
     });
 
@@ -119,6 +128,26 @@ class CustomLokiTransport extends Transport {
     req.end();
   }
 
+  recordError(error) {
+    this.lastError = error.message;
+    this.lastErrorAt = new Date().toISOString();
+  }
+
+  /**
+   * Whether the last push went through, for GET /api/health
+   * @returns {Object} { host, healthy, pending, lastPushAt, lastError, lastErrorAt }
+   */
+  getStatus() {
+    return {
+      host: this.host,
+      healthy: !this.lastErrorAt || (this.lastPushAt !== null && this.lastPushAt >= this.lastErrorAt),
+      pending: this.batch.length,
+      lastPushAt: this.lastPushAt,
+      lastError: this.lastError,
+      lastErrorAt: this.lastErrorAt
+    };
+  }
+
   close() {
     // Flush remaining logs
     this.flush();
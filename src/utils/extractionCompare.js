@@ -10,12 +10,16 @@ class ExtractionComparator {
    * @param {Object} standardResult - Result from standard extraction
    * @param {Object} validatedResult - Result from validated extraction
    * @param {String} propertyType - 'SINGLE' or 'PORTFOLIO'
+   * @param {Object} options - { relativeTolerance, recordFields }
+   *   relativeTolerance: Accept numeric differences up to this fraction of the validated value (e.g. 0.01)
+   *   recordFields: Add field_results with the outcome of every compared field, not only differences
    * @returns {Object} Comparison report
    */
-  compare(standardResult, validatedResult, propertyType) {
+  compare(standardResult, validatedResult, propertyType, options = {}) {
     const report = {
       comparison_date: new Date().toISOString(),
       property_type: propertyType,
+      relative_tolerance: options.relativeTolerance || 0,
       differences: [],
       statistics: {
         fields_compared: 0,
@@ -30,6 +34,10 @@ class ExtractionComparator {
       }
     };
 
+    if (options.recordFields) {
+      report.field_results = [];
+    }
+
     if (propertyType === 'SINGLE') {
       this.compareSingleProperty(standardResult, validatedResult.data || validatedResult, report);
     } else {
@@ -238,10 +246,12 @@ class ExtractionComparator {
 
     if (standardStr === validatedStr) {
       report.statistics.fields_identical++;
+      this.recordFieldResult(report, fieldPath, standardValue, validatedValue, true);
       return;
     }
 
     report.statistics.fields_different++;
+    this.recordFieldResult(report, fieldPath, standardValue, validatedValue, false);
 
     // Detect specific types of issues
     const issue = this.categorizeIssue(standardValue, validatedValue);
@@ -263,12 +273,14 @@ class ExtractionComparator {
     // Handle null values
     if (standardValue === null && validatedValue === null) {
       report.statistics.fields_identical++;
+      this.recordFieldResult(report, fieldPath, standardValue, validatedValue, true);
       return;
     }
 
     if (standardValue === null || validatedValue === null) {
       const issue = this.categorizeIssue(standardValue, validatedValue);
       report.statistics.fields_different++;
+      this.recordFieldResult(report, fieldPath, standardValue, validatedValue, false);
       report.differences.push({
         field: fieldPath,
         severity: issue.isFabrication ? 'critical' : severity,
@@ -285,6 +297,7 @@ class ExtractionComparator {
 
     if (isNaN(std) || isNaN(val)) {
       report.statistics.fields_different++;
+      this.recordFieldResult(report, fieldPath, standardValue, validatedValue, false);
       report.differences.push({
         field: fieldPath,
         severity: 'medium',
@@ -298,13 +311,16 @@ class ExtractionComparator {
 
     const diff = Math.abs(std - val);
     const percentDiff = std !== 0 ? (diff / std) * 100 : 0;
+    const allowedDiff = Math.max(tolerance, Math.abs(val) * report.relative_tolerance);
 
-    if (diff <= tolerance) {
+    if (diff <= allowedDiff) {
       report.statistics.fields_identical++;
+      this.recordFieldResult(report, fieldPath, standardValue, validatedValue, true, diff);
       return;
     }
 
     report.statistics.fields_different++;
+    this.recordFieldResult(report, fieldPath, standardValue, validatedValue, false, diff);
     report.differences.push({
       field: fieldPath,
       severity,
@@ -317,6 +333,24 @@ class ExtractionComparator {
     });
   }
 
+  /**
+   * Outcome of one compared field, only kept when compare() was called with recordFields
+   */
+  recordFieldResult(report, fieldPath, standardValue, validatedValue, matches, absoluteDifference) {
+    if (!report.field_results) return;
+
+    const result = {
+      field: fieldPath,
+      standard_value: standardValue,
+      validated_value: validatedValue,
+      matches
+    };
+    if (absoluteDifference !== undefined) {
+      result.absolute_difference = absoluteDifference;
+    }
+    report.field_results.push(result);
+  }
+
   categorizeIssue(standardValue, validatedValue) {
     // Fabrication detection
     if (standardValue !== null && validatedValue === null) {
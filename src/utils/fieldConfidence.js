@@ -0,0 +1,110 @@
+const { normalizePath, valueAtPath, valuePaths } = require('./fieldPaths');
+
+/**
+ * Per-field confidence derived from the verification pass
+ *
+ * The verification pass reports a status per field path (field_verifications);
+ * this turns it into a map keyed by field path, parallel to the data, so
+ * consumers can grey out individual values instead of trusting the whole
+ * document equally. Scores use the same 0-100 scale as confidence_score.
+ */
+
+// Confidence of the value in the cleaned data, by verification status
+const STATUS_CONFIDENCE = {
+  CORRECT: 95,
+  INCORRECT: 80,   // replaced with the verifier's correct_value
+  MISSING: 75,     // filled in from the verifier's correct_value
+  UNCERTAIN: 50
+};
+
+// Flagged INCORRECT or MISSING, but the value was not replaced
+const UNCORRECTED_CONFIDENCE = 20;
+
+// Upper bound for values involved in a failed programmatic calculation check
+const CALCULATION_ISSUE_CAP = 50;
+
+function isPresent(value) {
+  return value !== null && value !== undefined;
+}
+
+function fieldEntry(verification, value, documentConfidence) {
+  if (!verification) {
+    return {
+      status: 'UNVERIFIED',
+      // Not checked individually, the document-level score is the best estimate
+      confidence: documentConfidence ?? null,
+      corrected: false
+    };
+  }
+
+  const status = String(verification.status || '').toUpperCase();
+  const corrected = ['INCORRECT', 'MISSING', 'FABRICATED'].includes(status) &&
+    JSON.stringify(value ?? null) !== JSON.stringify(verification.extracted_value ?? null);
+
+  let confidence = STATUS_CONFIDENCE[status] ?? documentConfidence ?? null;
+  if (!isPresent(value)) {
+    confidence = null;
+  } else if ((status === 'INCORRECT' || status === 'MISSING') && !corrected) {
+    confidence = UNCORRECTED_CONFIDENCE;
+  }
+
+  const entry = { status, confidence, corrected };
+  if (verification.source_location) entry.source_location = verification.source_location;
+  if (verification.notes) entry.notes = verification.notes;
+  return entry;
+}
+
+/**
+ * Whether a calculation issue concerns the value at a path. Portfolio issues
+ * name the field without the index ("year_built") and the property in
+ * property_index, so the index is taken off the path before comparing.
+ */
+function concernsPath(issue, path) {
+  const [, index, field] = path.match(/^\[(\d+)\]\.?(.*)$/) || [null, null, path];
+  if (Number.isInteger(issue.property_index) && Number(index) !== issue.property_index) {
+    return false;
+  }
+  return field === issue.field || field.startsWith(`${issue.field}.`);
+}
+
+/**
+ * Build the confidence map for extracted data
+ *
+ * @param {Object|Array} data - Cleaned data (after applyIntelligentCorrections)
+ * @param {Object} validation - Validation report of the validated service
+ * @returns {Object} { "<field path>": { status, confidence, corrected, source_location, notes, calculation_issue } }
+ */
+function buildFieldConfidence(data, validation) {
+  const documentConfidence = validation?.confidence_score ?? null;
+  const verifications = new Map(
+    (validation?.self_verification?.field_verifications || [])
+      .filter(verification => typeof verification.field_path === 'string')
+      .map(verification => [normalizePath(verification.field_path), verification])
+  );
+
+  // Every value in the data, plus verified fields that are now null (e.g. removed as fabricated)
+  const paths = new Set([...valuePaths(data), ...verifications.keys()]);
+  const confidence = {};
+  [...paths].sort().forEach(path => {
+    confidence[path] = fieldEntry(verifications.get(path), valueAtPath(data, path), documentConfidence);
+  });
+
+  (validation?.calculation_validation?.issues || []).forEach(issue => {
+    Object.keys(confidence)
+      .filter(path => concernsPath(issue, path))
+      .forEach(path => {
+        const entry = confidence[path];
+        entry.calculation_issue = issue.issue;
+        if (entry.confidence !== null) {
+          entry.confidence = Math.min(entry.confidence, CALCULATION_ISSUE_CAP);
+        }
+      });
+  });
+
+  return confidence;
+}
+
+module.exports = {
+  STATUS_CONFIDENCE,
+  buildFieldConfidence
+};
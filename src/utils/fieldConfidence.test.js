@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useTestEnvironment, samplePdf } = require('../testSupport');
+
+useTestEnvironment();
+
+const { STATUS_CONFIDENCE, buildFieldConfidence } = require('./fieldConfidence');
+const { runCleanExtraction } = require('../services/extractionPipeline');
+
+const data = {
+  property_identity: { city: 'München', postal_code: '80802', name_id: 'Leopoldstraße' },
+  property_metrics: { land_area_sqm: 1240, total_usable_area_sqm: 3450 },
+  financial: { total_rental_income_annual_eur: 766800, market_rental_income_annual_eur: null }
+};
+
+const validation = {
+  confidence_score: 70,
+  self_verification: {
+    field_verifications: [
+      { field_path: 'property_identity.city', status: 'CORRECT', extracted_value: 'München', source_location: 'page 1' },
+      { field_path: 'property_metrics.land_area_sqm', status: 'INCORRECT', extracted_value: 1200 },
+      { field_path: 'property_metrics.total_usable_area_sqm', status: 'INCORRECT', extracted_value: 3450 },
+      { field_path: 'property_identity.postal_code', status: 'uncertain', notes: 'hard to read' },
+      { field_path: 'financial.market_rental_income_annual_eur', status: 'FABRICATED', extracted_value: 900000 }
+    ]
+  },
+  calculation_validation: {
+    issues: [{ field: 'financial', issue: 'Breakdown does not add up to the total' }]
+  }
+};
+
+test('maps every verification status to a confidence next to the value', () => {
+  const confidence = buildFieldConfidence(data, validation);
+
+  assert.deepEqual(confidence['property_identity.city'], {
+    status: 'CORRECT',
+    confidence: STATUS_CONFIDENCE.CORRECT,
+    corrected: false,
+    source_location: 'page 1'
+  });
+  assert.equal(confidence['property_identity.postal_code'].status, 'UNCERTAIN');
+  assert.equal(confidence['property_identity.postal_code'].confidence, STATUS_CONFIDENCE.UNCERTAIN);
+  assert.equal(confidence['property_identity.postal_code'].notes, 'hard to read');
+});
+
+test('distinguishes corrected from uncorrected values', () => {
+  const confidence = buildFieldConfidence(data, validation);
+
+  assert.deepEqual(confidence['property_metrics.land_area_sqm'],
+    { status: 'INCORRECT', confidence: STATUS_CONFIDENCE.INCORRECT, corrected: true });
+  assert.deepEqual(confidence['property_metrics.total_usable_area_sqm'],
+    { status: 'INCORRECT', confidence: 20, corrected: false });
+});
+
+test('keeps fields removed as fabricated, without a confidence', () => {
+  const confidence = buildFieldConfidence(data, validation);
+
+  assert.equal(confidence['financial.market_rental_income_annual_eur'].status, 'FABRICATED');
+  assert.equal(confidence['financial.market_rental_income_annual_eur'].confidence, null);
+  assert.equal(confidence['financial.market_rental_income_annual_eur'].corrected, true);
+});
+
+test('falls back to the document score for unverified values', () => {
+  const confidence = buildFieldConfidence(data, validation);
+  assert.deepEqual(confidence['property_identity.name_id'], { status: 'UNVERIFIED', confidence: 70, corrected: false });
+
+  assert.equal(buildFieldConfidence(data, null)['property_identity.city'].confidence, null);
+});
+
+test('caps values involved in a failed calculation check', () => {
+  const confidence = buildFieldConfidence(data, validation);
+
+  assert.equal(confidence['financial.total_rental_income_annual_eur'].confidence, 50);
+  assert.equal(confidence['financial.total_rental_income_annual_eur'].calculation_issue,
+    'Breakdown does not add up to the total');
+  assert.equal(confidence['property_identity.city'].calculation_issue, undefined);
+});
+
+test('keys portfolio confidence by property index', () => {
+  const confidence = buildFieldConfidence([{ city: 'Berlin' }, { city: 'Hamburg' }], {
+    confidence_score: 80,
+    self_verification: { field_verifications: [{ field_path: 'properties[1].city', status: 'CORRECT' }] }
+  });
+
+  assert.deepEqual(Object.keys(confidence), ['[0].city', '[1].city']);
+  assert.equal(confidence['[1].city'].status, 'CORRECT');
+  assert.equal(confidence['[0].city'].status, 'UNVERIFIED');
+});
+
+test('caps the values of a portfolio property involved in a failed calculation check', () => {
+  const portfolio = [
+    { name_id: 'A', year_built: 1750, area: { living: 800, commercial: 200 } },
+    { name_id: 'B', year_built: 1750, area: { living: 600, commercial: null } }
+  ];
+  const confidence = buildFieldConfidence(portfolio, {
+    confidence_score: 80,
+    calculation_validation: {
+      issues: [
+        { property_index: 1, field: 'year_built', issue: 'Year (1750) outside reasonable range' },
+        { property_index: 0, field: 'area', issue: 'Areas do not add up' }
+      ]
+    }
+  });
+
+  assert.equal(confidence['[1].year_built'].calculation_issue, 'Year (1750) outside reasonable range');
+  assert.equal(confidence['[1].year_built'].confidence, 50);
+  assert.equal(confidence['[0].year_built'].calculation_issue, undefined);
+  assert.equal(confidence['[0].area.living'].calculation_issue, 'Areas do not add up');
+  assert.equal(confidence['[0].area.commercial'].confidence, 50);
+  assert.equal(confidence['[1].area.living'].confidence, 80);
+});
+
+test('returns confidence from a clean extraction only when requested', async () => {
+  const pdf = samplePdf('confidence');
+
+  const plain = await runCleanExtraction(pdf);
+  assert.equal(plain.confidence, null);
+
+  const cleaned = await runCleanExtraction(pdf, { includeConfidence: true });
+  const office = cleaned.confidence['financial.breakdown_by_use.office'];
+  assert.equal(cleaned.data.financial.breakdown_by_use.office, 128000);
+  assert.equal(office.status, 'INCORRECT');
+  assert.equal(office.corrected, true);
+});
@@ -0,0 +1,83 @@
+/**
+ * Field paths into extracted data, as used by citations and per-field confidence:
+ * "financial.total_rental_income_annual_eur" for a single property,
+ * "[2].city" for the third property of a portfolio.
+ */
+
+// Never walk into the prototype chain with a client-supplied path
+const UNSAFE_TOKENS = ['__proto__', 'constructor', 'prototype'];
+
+function isPresent(value) {
+  return value !== null && value !== undefined;
+}
+
+/**
+ * Normalize a path reported by the model. Portfolio tool input wraps the list
+ * in "properties", the returned data is the bare array.
+ */
+function normalizePath(path) {
+  return path.trim().replace(/^properties(?=\[)/, '');
+}
+
+function valueAtPath(data, path) {
+  return (path.match(/[^.[\]]+/g) || []).reduce((value, token) => {
+    if (!isPresent(value)) return undefined;
+    return value[Array.isArray(value) ? parseInt(token, 10) : token];
+  }, data);
+}
+
+/**
+ * Set the value at a path whose parent exists in the data. Indexes must point
+ * into arrays and names into objects; returns false when the path does not fit
+ * the data, so callers can reject it.
+ */
+function setValueAtPath(data, path, value) {
+  const segments = [...path.matchAll(/\[(\d+)\]|([^.[\]]+)/g)]
+    .map(([, index, key]) => (index !== undefined ? { index: parseInt(index, 10) } : { key }));
+  if (segments.length === 0 || segments.some(segment => UNSAFE_TOKENS.includes(segment.key))) {
+    return false;
+  }
+
+  let current = data;
+  for (let i = 0; i < segments.length; i++) {
+    const { index, key } = segments[i];
+    if (!isPresent(current) || typeof current !== 'object') return false;
+    if (Array.isArray(current) !== (index !== undefined)) return false;
+    if (index !== undefined && index >= current.length) return false;
+
+    const name = index !== undefined ? index : key;
+    if (i === segments.length - 1) {
+      current[name] = value;
+      return true;
+    }
+    current = current[name];
+  }
+  return false;
+}
+
+/**
+ * Paths of the non-null values. Arrays of primitives (streets, usage_mix) count as one value.
+ */
+function valuePaths(data, prefix = '') {
+  if (!isPresent(data)) return [];
+
+  if (Array.isArray(data)) {
+    if (data.every(item => item === null || typeof item !== 'object')) {
+      return data.length > 0 ? [prefix] : [];
+    }
+    return data.flatMap((item, index) => valuePaths(item, `${prefix}[${index}]`));
+  }
+
+  if (typeof data === 'object') {
+    return Object.keys(data).flatMap(key => valuePaths(data[key], prefix ? `${prefix}.${key}` : key));
+  }
+
+  return [prefix];
+}
+
+module.exports = {
+  normalizePath,
+  valueAtPath,
+  setValueAtPath,
+  valuePaths
+};
@@ -0,0 +1,134 @@
+const path = require('path');
+
+const JsonFileStore = require('./jsonFileStore');
+const logger = require('./contextLogger');
+
+const dataDir = process.env.DATA_DIR || './data';
+const FLUSH_DELAY_MS = 1000;
+
+/**
+ * express-rate-limit store that keeps fixed-window counters in memory and
+ * snapshots them to DATA_DIR/rate-limits/<prefix>.json, so limits survive a
+ * restart. Snapshots are written at most once per second.
+ *
+ * Only suitable for a single server process. For several instances, plug in a
+ * shared store (e.g. rate-limit-redis) in src/middleware/rateLimiter.js.
+ */
+class FileRateLimitStore {
+  /**
+   * @param {String} prefix - Bucket name, also used as the snapshot file name
+   */
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.localKeys = true;
+    this.files = new JsonFileStore(path.join(dataDir, 'rate-limits'));
+    this.hits = new Map();
+    this.flushTimer = null;
+  }
+
+  async init(options) {
+    this.windowMs = options.windowMs;
+
+    try {
+      const snapshot = await this.files.read(this.prefix);
+      const now = Date.now();
+
+      Object.entries(snapshot?.clients || {}).forEach(([key, client]) => {
+        if (client.resetTime > now) {
+          this.hits.set(key, client);
+        }
+      });
+    } catch (error) {
+      logger.warn('Could not restore rate limit counters', {
+        bucket: this.prefix,
+        error: error.message
+      });
+    }
+  }
+
+  current(key) {
+    const client = this.hits.get(key);
+    if (!client || client.resetTime <= Date.now()) {
+      return null;
+    }
+    return client;
+  }
+
+  async get(key) {
+    const client = this.current(key);
+    return client
+      ? { totalHits: client.totalHits, resetTime: new Date(client.resetTime) }
+      : undefined;
+  }
+
+  async increment(key) {
+    let client = this.current(key);
+    if (!client) {
+      client = { totalHits: 0, resetTime: Date.now() + this.windowMs };
+      this.hits.set(key, client);
+    }
+
+    client.totalHits++;
+    this.scheduleFlush();
+
+    return { totalHits: client.totalHits, resetTime: new Date(client.resetTime) };
+  }
+
+  async decrement(key) {
+    const client = this.current(key);
+    if (client && client.totalHits > 0) {
+      client.totalHits--;
+      this.scheduleFlush();
+    }
+  }
+
+  async resetKey(key) {
+    this.hits.delete(key);
+    this.scheduleFlush();
+  }
+
+  async resetAll() {
+    this.hits.clear();
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, FLUSH_DELAY_MS);
+    this.flushTimer.unref();
+  }
+
+  async flush() {
+    const now = Date.now();
+    const clients = {};
+
+    this.hits.forEach((client, key) => {
+      if (client.resetTime > now) {
+        clients[key] = client;
+      } else {
+        this.hits.delete(key);
+      }
+    });
+
+    try {
+      await this.files.write(this.prefix, { bucket: this.prefix, clients });
+    } catch (error) {
+      logger.error('Failed to persist rate limit counters', {
+        bucket: this.prefix,
+        error: error.message
+      });
+    }
+  }
+
+  async shutdown() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    await this.flush();
+  }
+}
+
+module.exports = FileRateLimitStore;
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./contextLogger');
+
+/**
+ * Minimal persistent collection: one JSON file per record in a directory.
+ *
+ * Writes go to a temporary file first and are renamed into place, so a crash
+ * mid-write never leaves a truncated record behind.
+ */
+class JsonFileStore {
+  constructor(directory) {
+    this.directory = directory;
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+    }
+  }
+
+  filePath(id) {
+    // IDs are generated by us (UUIDs, hashes), but never allow path traversal
+    return path.join(this.directory, `${path.basename(String(id))}.json`);
+  }
+
+  /**
+   * Read every record synchronously (used once at startup to build indexes)
+   */
+  loadAll() {
+    const records = [];
+
+    fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        try {
+          records.push(JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8')));
+        } catch (error) {
+          logger.warn(`Skipping unreadable record: ${file}`, { error: error.message });
+        }
+      });
+
+    return records;
+  }
+
+  async read(id) {
+    try {
+      const content = await fs.promises.readFile(this.filePath(id), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async write(id, record) {
+    const target = this.filePath(id);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(record, null, 2));
+    await fs.promises.rename(temp, target);
+  }
+
+  async remove(id) {
+    try {
+      await fs.promises.unlink(this.filePath(id));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = JsonFileStore;
@@ -1,5 +1,4 @@
 const winston = require('winston');
-const path = require('path');
 
 const logLevel = process.env.LOG_LEVEL || 'info';
 const nodeEnv = process.env.NODE_ENV || 'development';
@@ -0,0 +1,95 @@
+/**
+ * Prometheus metrics, rendered in the text exposition format on GET /metrics
+ *
+ * Counters, histograms and gauges of prom-client in a registry of our own, so
+ * only the metrics below are exposed. Label values must come from a small fixed
+ * set (route templates, pass names, modes), never from request data.
+ */
+const { Counter, Histogram, Registry } = require('prom-client');
+
+const PREFIX = 'immofrog_';
+const registry = new Registry();
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+const metrics = {
+  httpRequests: new Counter({
+    name: `${PREFIX}http_requests_total`,
+    help: 'HTTP requests by route template, method and status code',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry]
+  }),
+  httpDuration: new Histogram({
+    name: `${PREFIX}http_request_duration_seconds`,
+    help: 'HTTP request duration by route template and method',
+    labelNames: ['method', 'route'],
+    buckets: DURATION_BUCKETS,
+    registers: [registry]
+  }),
+  passDuration: new Histogram({
+    name: `${PREFIX}llm_pass_duration_seconds`,
+    help: 'Duration of an LLM pass, retries included',
+    labelNames: ['pass', 'provider', 'outcome'],
+    buckets: DURATION_BUCKETS,
+    registers: [registry]
+  }),
+  tokens: new Counter({
+    name: `${PREFIX}llm_tokens_total`,
+    help: 'LLM tokens by pass and direction (input, output)',
+    labelNames: ['pass', 'provider', 'direction'],
+    registers: [registry]
+  }),
+  cost: new Counter({
+    name: `${PREFIX}extraction_cost_usd_total`,
+    help: 'Claude cost of fresh extractions in USD, repairs included',
+    labelNames: ['mode'],
+    registers: [registry]
+  }),
+  extractions: new Counter({
+    name: `${PREFIX}extractions_total`,
+    help: 'Extractions by mode and cache result (hit, miss)',
+    labelNames: ['mode', 'cache'],
+    registers: [registry]
+  }),
+  classifications: new Counter({
+    name: `${PREFIX}classifications_total`,
+    help: 'Document classifications of fresh extractions (SINGLE, PORTFOLIO)',
+    labelNames: ['mode', 'type'],
+    registers: [registry]
+  }),
+  confidence: new Histogram({
+    name: `${PREFIX}confidence_score`,
+    help: 'Confidence score (0-100) of fresh verified extractions (validated, clean, compare)',
+    labelNames: ['mode'],
+    buckets: [10, 20, 30, 40, 50, 60, 70, 75, 80, 85, 90, 95, 100],
+    registers: [registry]
+  }),
+  correctionPasses: new Counter({
+    name: `${PREFIX}correction_passes_total`,
+    help: 'Verified extractions by correction pass outcome (applied, unusable output, skipped)',
+    labelNames: ['mode', 'result'],
+    registers: [registry]
+  }),
+  recommendations: new Counter({
+    name: `${PREFIX}recommendations_total`,
+    help: 'Confidence level behind the recommendation of verified extractions (HIGH, ACCEPTABLE, MEDIUM, LOW)',
+    labelNames: ['mode', 'level'],
+    registers: [registry]
+  })
+};
+
+/**
+ * All metrics in the Prometheus text format
+ * @returns {Promise<String>}
+ */
+function renderMetrics() {
+  return registry.metrics();
+}
+
+module.exports = {
+  PREFIX,
+  registry,
+  contentType: registry.contentType,
+  metrics,
+  renderMetrics
+};
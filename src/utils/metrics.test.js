@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { metrics, contentType, renderMetrics } = require('./metrics');
+
+test('registers the metrics of the service, prefixed, and only those', async () => {
+  const text = await renderMetrics();
+  const types = text.split('\n').filter(line => line.startsWith('# TYPE ')).map(line => line.split(' ').slice(2).join(' '));
+
+  assert.deepEqual(types, [
+    'immofrog_http_requests_total counter',
+    'immofrog_http_request_duration_seconds histogram',
+    'immofrog_llm_pass_duration_seconds histogram',
+    'immofrog_llm_tokens_total counter',
+    'immofrog_extraction_cost_usd_total counter',
+    'immofrog_extractions_total counter',
+    'immofrog_classifications_total counter',
+    'immofrog_confidence_score histogram',
+    'immofrog_correction_passes_total counter',
+    'immofrog_recommendations_total counter'
+  ]);
+  assert.equal(contentType, 'text/plain; version=0.0.4; charset=utf-8');
+});
+
+test('renders labelled counters and timed histograms in the text format', async () => {
+  metrics.tokens.inc({ pass: 'extraction', provider: 'mock', direction: 'input' }, 1200);
+  metrics.tokens.inc({ pass: 'extraction', provider: 'mock', direction: 'input' }, 300);
+
+  const endTimer = metrics.passDuration.startTimer({ pass: 'verification', provider: 'mock' });
+  endTimer({ outcome: 'success' });
+
+  const lines = (await renderMetrics()).split('\n');
+  assert.ok(lines.includes('immofrog_llm_tokens_total{pass="extraction",provider="mock",direction="input"} 1500'));
+  assert.ok(lines.includes('immofrog_llm_pass_duration_seconds_bucket{le="0.05",pass="verification",provider="mock",outcome="success"} 1'));
+  assert.ok(lines.includes('immofrog_llm_pass_duration_seconds_count{pass="verification",provider="mock",outcome="success"} 1'));
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+
+const pricesFile = process.env.LLM_PRICES_FILE || null;
+
+/**
+ * Claude list prices in USD per million tokens. Prompt cache writes cost 1.25x
+ * and cache reads 0.1x the input price. Models are matched by prefix, so dated
+ * IDs such as claude-sonnet-4-5-20250929 use the claude-sonnet-4-5 price;
+ * `default` prices every other model (the mock and replay providers included).
+ */
+const DEFAULT_PRICES = {
+  'claude-opus-4-5': { input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  'claude-opus-4': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-haiku-4-5': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+  default: { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 }
+};
+
+/**
+ * Price table: the defaults, with the models of LLM_PRICES_FILE (a JSON object
+ * of the same shape) added or replaced. Cache prices default to 1.25x and 0.1x input.
+ */
+function loadPrices() {
+  if (!pricesFile) {
+    return DEFAULT_PRICES;
+  }
+
+  const configured = JSON.parse(fs.readFileSync(pricesFile, 'utf8'));
+  const prices = { ...DEFAULT_PRICES };
+  Object.entries(configured).forEach(([model, price]) => {
+    if (typeof price?.input !== 'number' || typeof price?.output !== 'number') {
+      throw new Error(`Invalid price of "${model}" in ${pricesFile}: input and output (USD per million tokens) are required`);
+    }
+    prices[model] = {
+      input: price.input,
+      output: price.output,
+      cacheWrite: price.cacheWrite ?? price.input * 1.25,
+      cacheRead: price.cacheRead ?? price.input * 0.1
+    };
+  });
+  return prices;
+}
+
+const prices = loadPrices();
+
+/**
+ * Price of a model, by the longest matching model prefix
+ * @returns {Object} { model, input, output, cacheWrite, cacheRead } - model: the table entry used
+ */
+function getPrice(model) {
+  const match = Object.keys(prices)
+    .filter(prefix => prefix !== 'default' && model?.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0] || 'default';
+  return { model: match, ...prices[match] };
+}
+
+/**
+ * Cost of one call in USD, rounded to 4 decimals
+ * @param {Object} usage - { input_tokens, output_tokens, cache_creation_input_tokens, cache_read_input_tokens }
+ * @param {String} model - Model of the call
+ */
+function calculateCost(usage, model) {
+  const price = getPrice(model);
+  const cost = (usage.input_tokens || 0) * price.input +
+    (usage.output_tokens || 0) * price.output +
+    (usage.cache_creation_input_tokens || 0) * price.cacheWrite +
+    (usage.cache_read_input_tokens || 0) * price.cacheRead;
+  return parseFloat((cost / 1_000_000).toFixed(4));
+}
+
+/**
+ * The whole price table, for GET /api/costs
+ */
+function listPrices() {
+  return prices;
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  getPrice,
+  calculateCost,
+  listPrices
+};
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { useTestEnvironment } = require('../testSupport');
+
+const dataDir = useTestEnvironment();
+
+const pricesFile = path.join(dataDir, 'prices.json');
+fs.writeFileSync(pricesFile, JSON.stringify({
+  'claude-sonnet-4-5': { input: 2, output: 10 },
+  'claude-haiku-4-5': { input: 1, output: 5, cacheWrite: 2, cacheRead: 0.5 }
+}));
+process.env.LLM_PRICES_FILE = pricesFile;
+
+const { DEFAULT_PRICES, getPrice, calculateCost, listPrices } = require('./pricing');
+
+test('prices a model by its longest matching prefix, other models by the default', () => {
+  assert.deepEqual(getPrice('claude-opus-4-5-20251101'), { model: 'claude-opus-4-5', ...DEFAULT_PRICES['claude-opus-4-5'] });
+  assert.equal(getPrice('claude-opus-4-1-20250805').model, 'claude-opus-4');
+  assert.equal(getPrice('claude-sonnet-4-20250514').model, 'claude-sonnet-4');
+  assert.equal(getPrice('mock').model, 'default');
+  assert.equal(getPrice(undefined).model, 'default');
+});
+
+test('adds and replaces models from LLM_PRICES_FILE, deriving the cache prices', () => {
+  assert.deepEqual(getPrice('claude-sonnet-4-5-20250929'),
+    { model: 'claude-sonnet-4-5', input: 2, output: 10, cacheWrite: 2.5, cacheRead: 0.2 });
+  assert.deepEqual(getPrice('claude-haiku-4-5'),
+    { model: 'claude-haiku-4-5', input: 1, output: 5, cacheWrite: 2, cacheRead: 0.5 });
+  assert.deepEqual(listPrices()['claude-opus-4'], DEFAULT_PRICES['claude-opus-4']);
+});
+
+test('charges input, output, cache writes and cache reads at their own price', () => {
+  const usage = { input_tokens: 1000, output_tokens: 500, cache_creation_input_tokens: 2000, cache_read_input_tokens: 10000 };
+
+  // 1000 x 5 + 500 x 25 + 2000 x 6.25 + 10000 x 0.5 per million
+  assert.equal(calculateCost(usage, 'claude-opus-4-5'), 0.035);
+  assert.equal(calculateCost({ input_tokens: 1000, output_tokens: 500 }, 'mock'), 0.0105);
+  assert.equal(calculateCost({}, 'mock'), 0);
+});
+
+test('refuses a price file without input and output prices', () => {
+  fs.writeFileSync(pricesFile, JSON.stringify({ 'claude-opus-4-5': { input: 5 } }));
+  delete require.cache[require.resolve('./pricing')];
+
+  assert.throws(() => require('./pricing'), /Invalid price of "claude-opus-4-5"/);
+});
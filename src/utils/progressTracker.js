@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { getContext } = require('../middleware/correlationContext');
+
+const HISTORY_TTL_MS = 10 * 60 * 1000;
+const MAX_EVENTS_PER_STREAM = 50;
+const TOKEN_TTL_MS = parseInt(process.env.PROGRESS_TOKEN_TTL_SECONDS || '300', 10) * 1000;
+
+/**
+ * Broadcasts per-stage progress of the extraction pipeline.
+ *
+ * The services report a stage (classification, extraction, repair,
+ * verification, correction, complete) when it starts and when it finishes;
+ * the routes and the job queue publish the final payload or the failure.
+ * Each event is tagged with the correlation context of the request or job
+ * that is running (request, job, client and progress stream), so listeners
+ * can pick out the events that belong to them.
+ *
+ * Event types:
+ * - progress: { stage, status, details }
+ * - result:   { payload } - the response body of the finished extraction
+ * - failed:   { error: { message, status } }
+ *
+ * Progress streams are created by the server (createStream) for one client,
+ * and the requests it sends with the stream ID in X-Progress-Stream report
+ * to that stream. Recent events are kept per stream, so a client which opens
+ * its stream slightly after submitting the PDF still receives everything.
+ */
+class ProgressTracker extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per running job or open stream
+    this.setMaxListeners(0);
+    this.history = new Map();
+    this.streams = new Map();
+
+    const pruneTimer = setInterval(() => this.prune(), 60 * 1000);
+    if (pruneTimer.unref) {
+      pruneTimer.unref();
+    }
+  }
+
+  /**
+   * @param {String} stage - Pipeline stage, matches the `stage` field in the logs
+   * @param {String} status - 'started', 'completed' or 'skipped'
+   * @param {Object} details - Stage specific summary (tokens, confidence, ...)
+   */
+  report(stage, status, details = {}) {
+    this.publish('progress', { stage, status, details });
+  }
+
+  publishResult(payload) {
+    this.publish('result', { payload });
+  }
+
+  publishFailure(error) {
+    this.publish('failed', {
+      error: {
+        message: error.message,
+        status: error.status || 500
+      }
+    });
+  }
+
+  publish(type, fields) {
+    const context = getContext();
+    if (!context.requestId) return;
+
+    const event = {
+      type,
+      requestId: context.requestId,
+      jobId: context.jobId || null,
+      clientId: context.clientId || null,
+      streamId: context.progressStreamId || null,
+      ...fields,
+      timestamp: new Date().toISOString()
+    };
+
+    if (event.streamId) {
+      this.remember(event);
+    }
+    this.emit('event', event);
+  }
+
+  /**
+   * Create a progress stream for a client
+   * @param {String|null} clientId - Owner of the stream, null without authentication
+   * @returns {Object} { streamId, token, expiresAt } - token: opens the stream until expiresAt
+   */
+  createStream(clientId) {
+    const token = crypto.randomBytes(24).toString('hex');
+    const stream = {
+      id: uuidv4(),
+      clientId,
+      tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+      expiresAt: Date.now() + TOKEN_TTL_MS,
+      updatedAt: Date.now()
+    };
+    this.streams.set(stream.id, stream);
+
+    return { streamId: stream.id, token, expiresAt: new Date(stream.expiresAt).toISOString() };
+  }
+
+  getStream(streamId) {
+    return this.streams.get(streamId) || null;
+  }
+
+  /**
+   * @returns {Object|null} The stream, if the token is its own and has not expired
+   */
+  verifyToken(streamId, token) {
+    const stream = this.getStream(streamId);
+    if (!stream || Date.now() > stream.expiresAt) return null;
+
+    const expected = Buffer.from(stream.tokenHash, 'hex');
+    const actual = crypto.createHash('sha256').update(String(token)).digest();
+    return crypto.timingSafeEqual(expected, actual) ? stream : null;
+  }
+
+  /**
+   * Listen to the events of one stream, replaying the ones already published.
+   * Only events of the stream's own client are passed on.
+   * @returns {Function} unsubscribe
+   */
+  subscribe(streamId, listener) {
+    const stream = this.getStream(streamId);
+    const belongs = event => event.streamId === streamId && event.clientId === (stream?.clientId ?? null);
+
+    const entry = this.history.get(streamId);
+    if (entry) {
+      entry.events.filter(belongs).forEach(event => listener(event));
+    }
+
+    const handler = (event) => {
+      if (belongs(event)) {
+        listener(event);
+      }
+    };
+    this.on('event', handler);
+
+    return () => this.off('event', handler);
+  }
+
+  remember(event) {
+    let entry = this.history.get(event.streamId);
+    if (!entry) {
+      entry = { events: [], updatedAt: 0 };
+      this.history.set(event.streamId, entry);
+    }
+
+    entry.events.push(event);
+    if (entry.events.length > MAX_EVENTS_PER_STREAM) {
+      entry.events.shift();
+    }
+    entry.updatedAt = Date.now();
+
+    const stream = this.streams.get(event.streamId);
+    if (stream) {
+      stream.updatedAt = entry.updatedAt;
+    }
+  }
+
+  prune() {
+    const cutoff = Date.now() - HISTORY_TTL_MS;
+    for (const [streamId, entry] of this.history) {
+      if (entry.updatedAt < cutoff) {
+        this.history.delete(streamId);
+      }
+    }
+    for (const [streamId, stream] of this.streams) {
+      if (stream.updatedAt < cutoff) {
+        this.streams.delete(streamId);
+      }
+    }
+  }
+}
+
+module.exports = new ProgressTracker();
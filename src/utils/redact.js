@@ -0,0 +1,29 @@
+const SECRET_HEADERS = ['authorization', 'x-api-key'];
+// api_key is no longer accepted, but clients may still send it
+const SECRET_QUERY_PARAMS = ['api_key', 'token'];
+
+/**
+ * Copy of the request headers with credentials replaced, for logging
+ */
+function redactHeaders(headers) {
+  const redacted = { ...headers };
+  SECRET_HEADERS.forEach(name => {
+    if (redacted[name]) redacted[name] = '[REDACTED]';
+  });
+  return redacted;
+}
+
+/**
+ * Request URL with the values of credential query parameters replaced, for logging
+ */
+function redactUrl(url) {
+  return SECRET_QUERY_PARAMS.reduce(
+    (redacted, name) => redacted.replace(new RegExp(`([?&]${name}=)[^&]*`, 'g'), '$1[REDACTED]'),
+    url
+  );
+}
+
+module.exports = {
+  redactHeaders,
+  redactUrl
+};
@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { redactHeaders, redactUrl } = require('./redact');
+
+test('replaces credential headers and keeps the rest', () => {
+  const headers = { 'x-api-key': 'imf_secret', authorization: 'Bearer imf_secret', 'user-agent': 'curl' };
+
+  assert.deepEqual(redactHeaders(headers), {
+    'x-api-key': '[REDACTED]',
+    authorization: '[REDACTED]',
+    'user-agent': 'curl'
+  });
+  assert.equal(headers['x-api-key'], 'imf_secret');
+});
+
+test('replaces credential query parameters', () => {
+  assert.equal(
+    redactUrl('/api/progress/1?token=abc&x=1&api_key=imf_secret'),
+    '/api/progress/1?token=[REDACTED]&x=1&api_key=[REDACTED]'
+  );
+  assert.equal(redactUrl('/api/extractions?city=Berlin'), '/api/extractions?city=Berlin');
+});
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const complexSchema = require('../schemas/complexSchema.json');
+const portfolioSchema = require('../schemas/portfolioSchema.json');
+const { MIGRATIONS } = require('../schemas/migrations');
+
+/**
+ * Extraction schema versions
+ *
+ * Each schema in src/schemas carries a `version`, and results record the
+ * version they were extracted with. Results of an older version are upgraded
+ * to the current shape with the migrations in src/schemas/migrations.js, so
+ * stored and cached results never reach a client in an outdated shape.
+ *
+ * A content hash (fingerprint) of each schema is recorded as well: a result of
+ * the current version whose fingerprint differs was made with a schema edited
+ * without a version bump and is not served from the cache.
+ */
+const SCHEMAS = {
+  complex: complexSchema,
+  portfolio: portfolioSchema
+};
+
+const CURRENT = {};
+Object.entries(SCHEMAS).forEach(([name, schema]) => {
+  if (!Number.isInteger(schema.version) || schema.version < 1) {
+    throw new Error(`src/schemas/${name}Schema.json needs an integer "version" of at least 1`);
+  }
+  for (let version = 1; version < schema.version; version++) {
+    if (!MIGRATIONS[name].some(migration => migration.from === version)) {
+      throw new Error(`Missing ${name} schema migration from version ${version} to ${version + 1} in src/schemas/migrations.js`);
+    }
+  }
+
+  CURRENT[name] = {
+    name,
+    version: schema.version,
+    fingerprint: crypto.createHash('sha256').update(JSON.stringify(schema)).digest('hex').slice(0, 12)
+  };
+});
+
+function schemaName(classification) {
+  return classification === 'PORTFOLIO' ? 'portfolio' : 'complex';
+}
+
+/**
+ * Current schema of a document type
+ * @param {String} classification - SINGLE or PORTFOLIO
+ * @returns {Object} { name, version, fingerprint }
+ */
+function currentSchema(classification) {
+  return CURRENT[schemaName(classification)];
+}
+
+/**
+ * Schema statement of a result, as returned in metadata.schema
+ * @returns {Object} { name, version }
+ */
+function describeSchema(classification) {
+  const { name, version } = currentSchema(classification);
+  return { name, version };
+}
+
+/**
+ * X-Schema-Version header value, e.g. "complex@1"
+ */
+function schemaHeader(schema) {
+  return schema ? `${schema.name}@${schema.version}` : null;
+}
+
+/**
+ * Schema as sent to the model: the version is ours, not part of the JSON schema
+ */
+function toolSchema(schema) {
+  const { version: _version, ...inputSchema } = schema;
+  return inputSchema;
+}
+
+/**
+ * Whether a stored result can be served from the cache: any older version
+ * (it is upgraded), the current version only with the current fingerprint
+ * @param {Object} summary - { classification, schemaVersion, schemaFingerprint }
+ */
+function isServable(summary) {
+  const current = currentSchema(summary.classification);
+  const version = summary.schemaVersion;
+  return version < current.version || (version === current.version && summary.schemaFingerprint === current.fingerprint);
+}
+
+/**
+ * Upgrade extracted data from a schema version to the current one
+ * @returns {Object|Array} The migrated data (a copy)
+ */
+function migrateData(data, classification, fromVersion) {
+  const { name, version } = currentSchema(classification);
+  let migrated = JSON.parse(JSON.stringify(data));
+
+  for (let step = fromVersion; step < version; step++) {
+    const { migrate } = MIGRATIONS[name].find(migration => migration.from === step);
+    migrated = Array.isArray(migrated) ? migrated.map(property => migrate(property)) : migrate(migrated);
+  }
+
+  return migrated;
+}
+
+/**
+ * A stored extraction in the current schema shape, with metadata.schema stating
+ * the version (and migratedFrom when it was upgraded)
+ */
+function upgradeRecord(record) {
+  const current = currentSchema(record.classification);
+  const version = record.schemaVersion;
+
+  if (version >= current.version) {
+    return {
+      ...record,
+      schemaVersion: version,
+      metadata: { ...record.metadata, schema: { name: current.name, version } }
+    };
+  }
+
+  return {
+    ...record,
+    data: migrateData(record.data, record.classification, version),
+    ...(record.originalData !== undefined && {
+      originalData: migrateData(record.originalData, record.classification, version)
+    }),
+    schemaVersion: current.version,
+    metadata: { ...record.metadata, schema: { name: current.name, version: current.version, migratedFrom: version } }
+  };
+}
+
+module.exports = {
+  currentSchema,
+  describeSchema,
+  schemaHeader,
+  toolSchema,
+  isServable,
+  migrateData,
+  upgradeRecord
+};
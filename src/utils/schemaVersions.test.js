@@ -0,0 +1,130 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useTestEnvironment } = require('../testSupport');
+
+useTestEnvironment();
+
+const { MIGRATIONS, renameField, addField, splitField } = require('../schemas/migrations');
+const complexSchema = require('../schemas/complexSchema.json');
+
+/**
+ * Years in a free-text list such as "2008 (Fassade), 2019", null when there are none
+ */
+function yearsIn(text) {
+  const years = String(text ?? '').match(/\b(1[89]|20)\d{2}\b/g);
+  return years ? [...new Set(years.map(Number))].sort((a, b) => a - b) : null;
+}
+
+const shipped = { version: complexSchema.version, migrations: MIGRATIONS.complex.length };
+
+// A complex@2 that exists only in this test, with its migration from the shipped version 1
+const schemaPath = require.resolve('../schemas/complexSchema.json');
+require.cache[schemaPath].exports = { ...complexSchema, version: 2 };
+MIGRATIONS.complex.push({
+  from: 1,
+  description: 'Split modernization_years into a list of years and last_modernization_year, add monument_protected',
+  migrate: property => {
+    addField(property, 'additional_metrics.monument_protected');
+    return splitField(property, 'project_details.modernization_years', {
+      'project_details.modernization_years': yearsIn,
+      'project_details.last_modernization_year': text => yearsIn(text)?.at(-1) ?? null
+    });
+  }
+});
+
+const {
+  currentSchema,
+  describeSchema,
+  schemaHeader,
+  toolSchema,
+  isServable,
+  upgradeRecord
+} = require('./schemaVersions');
+const extractionStore = require('../services/extractionStore');
+
+// A single property as extracted with complex@1
+function versionOneProperty() {
+  return {
+    property_identity: { name_id: 'Leopoldstraße', city: 'München', postal_code: '80802', streets: [], country: 'DE' },
+    project_details: { original_year_built: 1962, modernization_years: '2008 (Fassade), 2019, 2008' },
+    additional_metrics: { elevator: true }
+  };
+}
+
+test('renames, adds and splits fields', () => {
+  const property = { unit_counts: { apartments: 12 }, financial: { noi: { amount: 100, source: 'p. 3' } } };
+
+  renameField(property, 'unit_counts.apartments', 'unit_counts.residential_units');
+  renameField(property, 'unit_counts.missing', 'unit_counts.other');
+  addField(property, 'additional_metrics.parking_spaces');
+  addField(property, 'unit_counts.residential_units', 0);
+  splitField(property, 'financial.noi', {
+    'financial.noi_annual_eur': value => value?.amount ?? null,
+    'financial.noi_source': value => value?.source ?? null
+  });
+
+  assert.deepEqual(property, {
+    unit_counts: { residential_units: 12 },
+    financial: { noi_annual_eur: 100, noi_source: 'p. 3' },
+    additional_metrics: { parking_spaces: null }
+  });
+});
+
+test('versions every schema and keeps the version out of the tool schema', () => {
+  assert.deepEqual(shipped, { version: 1, migrations: 0 });
+  assert.deepEqual(describeSchema('SINGLE'), { name: 'complex', version: 2 });
+  assert.deepEqual(describeSchema('PORTFOLIO'), { name: 'portfolio', version: 1 });
+  assert.equal(schemaHeader(describeSchema('SINGLE')), 'complex@2');
+  assert.equal(toolSchema(complexSchema).version, undefined);
+});
+
+test('upgrades complex@1 results to the current shape', () => {
+  const record = { classification: 'SINGLE', schemaVersion: 1, data: versionOneProperty(), originalData: versionOneProperty(), metadata: {} };
+
+  const upgraded = upgradeRecord(record);
+  assert.deepEqual(upgraded.data.project_details, {
+    original_year_built: 1962,
+    modernization_years: [2008, 2019],
+    last_modernization_year: 2019
+  });
+  assert.equal(upgraded.data.additional_metrics.monument_protected, null);
+  assert.equal(upgraded.data.additional_metrics.elevator, true);
+  assert.deepEqual(upgraded.originalData, upgraded.data);
+  assert.deepEqual(upgraded.metadata.schema, { name: 'complex', version: 2, migratedFrom: 1 });
+  assert.equal(upgraded.schemaVersion, 2);
+
+  // The stored record itself is left alone
+  assert.equal(record.data.project_details.modernization_years, '2008 (Fassade), 2019, 2008');
+});
+
+test('migrates free text without years to null', () => {
+  const property = versionOneProperty();
+  property.project_details.modernization_years = 'laufend';
+
+  const { data } = upgradeRecord({ classification: 'SINGLE', schemaVersion: 1, data: property });
+  assert.equal(data.project_details.modernization_years, null);
+  assert.equal(data.project_details.last_modernization_year, null);
+});
+
+test('serves older versions and the current version only with the current fingerprint', () => {
+  const { version, fingerprint } = currentSchema('SINGLE');
+
+  assert.equal(isServable({ classification: 'SINGLE', schemaVersion: 1 }), true);
+  assert.equal(isServable({ classification: 'SINGLE', schemaVersion: version, schemaFingerprint: fingerprint }), true);
+  assert.equal(isServable({ classification: 'SINGLE', schemaVersion: version, schemaFingerprint: 'edited' }), false);
+});
+
+test('returns stored results of an older version in the current shape', async () => {
+  const saved = await extractionStore.save({
+    documentHash: 'version-one',
+    mode: 'standard',
+    classification: 'SINGLE',
+    schemaVersion: 1,
+    data: versionOneProperty()
+  });
+
+  const record = await extractionStore.get(saved.id);
+  assert.deepEqual(record.data.project_details.modernization_years, [2008, 2019]);
+  assert.equal(record.metadata.schema.migratedFrom, 1);
+});
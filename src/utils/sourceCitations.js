@@ -0,0 +1,125 @@
+const logger = require('./contextLogger');
+const { normalizePath, valueAtPath, valuePaths } = require('./fieldPaths');
+
+const MAX_SNIPPET_LENGTH = 300;
+
+/**
+ * Tool input property the model fills with one citation per extracted value.
+ * It lives next to the data (not inside it), so complexSchema.json and
+ * portfolioSchema.json stay unchanged and the data validates as before.
+ */
+const citationsSchema = {
+  type: 'array',
+  description: 'One source citation per non-null extracted value',
+  items: {
+    type: 'object',
+    properties: {
+      field: {
+        type: 'string',
+        description: 'Path of the value in this tool input, e.g. "financial.total_rental_income_annual_eur" or "properties[0].city"'
+      },
+      page: {
+        type: 'integer',
+        description: '1-based page number of the PDF where the value is stated'
+      },
+      snippet: {
+        type: 'string',
+        description: 'The source text, copied verbatim from the page (max 200 characters)'
+      },
+      calculation: {
+        type: ['string', 'null'],
+        description: 'Arithmetic used when the value was computed from several numbers, e.g. "418560 + 156240 = 574800"'
+      }
+    },
+    required: ['field', 'page', 'snippet']
+  }
+};
+
+/**
+ * Copy of an extraction tool that also asks for citations
+ */
+function withCitations(tool) {
+  return {
+    ...tool,
+    input_schema: {
+      ...tool.input_schema,
+      properties: {
+        ...tool.input_schema.properties,
+        sources: citationsSchema
+      },
+      required: [...(tool.input_schema.required || []), 'sources']
+    }
+  };
+}
+
+/**
+ * Prompt section explaining the sources list, appended to extraction and correction prompts
+ */
+function getCitationInstructions() {
+  return `SOURCE CITATIONS:
+Besides the data, fill the "sources" list with one entry for EVERY non-null value you extract:
+- field: path of the value in the tool input, e.g. "financial.total_rental_income_annual_eur" or "properties[0].city"
+- page: 1-based page number of the PDF where the value is stated
+- snippet: the text the value comes from, copied verbatim (max 200 characters)
+- calculation: when you computed the value from several numbers, the arithmetic, e.g. "418560 + 156240 + 128000 + 10000 = 712800"; otherwise null`;
+}
+
+/**
+ * Separate the citations from the extracted data. Always applied to tool
+ * input, so a stray "sources" property never ends up in the data.
+ * @returns {Object} { input, citations } - citations is the raw list (or null)
+ */
+function splitCitations(toolInput) {
+  if (!toolInput || typeof toolInput !== 'object' || !('sources' in toolInput)) {
+    return { input: toolInput, citations: null };
+  }
+  const { sources, ...input } = toolInput;
+  return { input, citations: Array.isArray(sources) ? sources : null };
+}
+
+/**
+ * Citations keyed by the path of the value in the returned data
+ *
+ * Portfolio paths drop the tool's "properties" wrapper ("[0].city"), because
+ * portfolio data is returned as a plain array. Citations of values that are
+ * null in the final data (e.g. removed as fabricated) are dropped.
+ *
+ * @param {Array} citations - Raw list from splitCitations()
+ * @param {Object|Array} data - Final extracted data
+ * @returns {Object} { "<path>": { page, snippet, calculation } }
+ */
+function buildSources(citations, data) {
+  const sources = {};
+
+  (citations || []).forEach(citation => {
+    if (!citation || typeof citation.field !== 'string') return;
+
+    const field = normalizePath(citation.field);
+    const value = valueAtPath(data, field);
+    if (value === null || value === undefined) return;
+
+    const page = parseInt(citation.page, 10);
+    sources[field] = {
+      page: Number.isNaN(page) ? null : page,
+      snippet: typeof citation.snippet === 'string' ? citation.snippet.trim().slice(0, MAX_SNIPPET_LENGTH) : null,
+      calculation: citation.calculation || null
+    };
+  });
+
+  const uncited = valuePaths(data).filter(path => !sources[path]);
+  if (uncited.length > 0) {
+    logger.warn('Extracted values without source citation', {
+      count: uncited.length,
+      fields: uncited.slice(0, 20)
+    });
+  }
+
+  return sources;
+}
+
+module.exports = {
+  withCitations,
+  getCitationInstructions,
+  splitCitations,
+  buildSources
+};
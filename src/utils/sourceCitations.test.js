@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useTestEnvironment, samplePdf } = require('../testSupport');
+
+useTestEnvironment();
+
+const { withCitations, splitCitations, buildSources } = require('./sourceCitations');
+const { valueAtPath } = require('./fieldPaths');
+const { runStandardExtraction, runCleanExtraction, includeOptions, withExtras } = require('../services/extractionPipeline');
+
+test('asks for citations next to the data, leaving the tool schema otherwise unchanged', () => {
+  const tool = {
+    name: 'extract',
+    input_schema: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] }
+  };
+
+  const cited = withCitations(tool);
+  assert.deepEqual(cited.input_schema.required, ['city', 'sources']);
+  assert.equal(cited.input_schema.properties.sources.type, 'array');
+  assert.deepEqual(tool.input_schema.required, ['city']);
+});
+
+test('keeps citations out of the extracted data', () => {
+  const { input, citations } = splitCitations({ city: 'München', sources: [{ field: 'city', page: 1 }] });
+  assert.deepEqual(input, { city: 'München' });
+  assert.equal(citations.length, 1);
+
+  assert.deepEqual(splitCitations({ city: 'München', sources: 'page 1' }), { input: { city: 'München' }, citations: null });
+  assert.deepEqual(splitCitations({ city: 'München' }), { input: { city: 'München' }, citations: null });
+});
+
+test('keys citations by the path of the value in the returned data', () => {
+  const data = [{ city: 'Berlin', usable_area_sqm: null }, { city: 'Hamburg', usable_area_sqm: 1200 }];
+  const sources = buildSources([
+    { field: 'properties[0].city', page: '2', snippet: '  10115 Berlin  ' },
+    { field: 'properties[1].usable_area_sqm', page: 3, snippet: 'Fläche', calculation: '800 + 400 = 1200' },
+    { field: 'properties[0].usable_area_sqm', page: 2, snippet: 'removed as fabricated' },
+    { field: 'properties[5].city', page: 9, snippet: 'no such property' },
+    { page: 1, snippet: 'no field' }
+  ], data);
+
+  assert.deepEqual(sources, {
+    '[0].city': { page: 2, snippet: '10115 Berlin', calculation: null },
+    '[1].usable_area_sqm': { page: 3, snippet: 'Fläche', calculation: '800 + 400 = 1200' }
+  });
+});
+
+test('cuts long snippets and tolerates a missing page', () => {
+  const sources = buildSources([{ field: 'city', page: 'unknown', snippet: 'x'.repeat(1000) }], { city: 'München' });
+
+  assert.equal(sources.city.page, null);
+  assert.equal(sources.city.snippet.length, 300);
+});
+
+test('returns sources only with ?include=sources', async () => {
+  assert.deepEqual(includeOptions({ include: 'confidence, sources' }), { includeSources: true, includeConfidence: true });
+  assert.deepEqual(includeOptions({}), { includeSources: false, includeConfidence: false });
+
+  const pdf = samplePdf('sources');
+  const plain = await runStandardExtraction(pdf);
+  assert.equal(plain.sources, null);
+  assert.equal(plain.data.sources, undefined);
+  assert.equal(withExtras(plain.data, { sources: plain.sources }), plain.data);
+
+  const cited = await runStandardExtraction(pdf, { includeSources: true });
+  assert.equal(cited.cached, false);
+  assert.equal(cited.data.sources, undefined);
+  assert.equal(cited.sources['property_identity.city'].page, 1);
+  assert.match(cited.sources['property_identity.city'].snippet, /München/);
+  assert.deepEqual(Object.keys(withExtras(cited.data, { sources: cited.sources })), ['data', 'sources']);
+});
+
+test('serves cached sources and cites the cleaned data in clean mode', async () => {
+  const pdf = samplePdf('clean sources');
+
+  const first = await runCleanExtraction(pdf, { includeSources: true });
+  const again = await runCleanExtraction(pdf, { includeSources: true });
+
+  assert.equal(again.cached, true);
+  assert.deepEqual(again.sources, first.sources);
+  assert.ok(Object.keys(first.sources).length > 0);
+  Object.keys(first.sources).forEach(field => {
+    assert.notEqual(valueAtPath(first.data, field) ?? null, null, field);
+  });
+});
@@ -0,0 +1,87 @@
+const { SpanStatusCode, context, propagation, trace } = require('@opentelemetry/api');
+const { W3CTraceContextPropagator } = require('@opentelemetry/core');
+const { NodeTracerProvider, BatchSpanProcessor } = require('@opentelemetry/sdk-trace-node');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { resourceFromAttributes } = require('@opentelemetry/resources');
+const { ATTR_SERVICE_NAME, ATTR_SERVICE_VERSION } = require('@opentelemetry/semantic-conventions');
+
+const { CorrelationContextManager } = require('../middleware/correlationContext');
+const { version } = require('../../package.json');
+
+const tracingEnabled = process.env.TRACING_ENABLED === 'true';
+const serviceName = process.env.OTEL_SERVICE_NAME || 'immo-frog';
+
+const tracer = trace.getTracer('immo-frog');
+let tracerProvider = null;
+
+/**
+ * OpenTelemetry tracing
+ *
+ * The trace context travels in the correlation context (see
+ * CorrelationContextManager) and is continued from incoming W3C traceparent
+ * headers. Spans are only recorded and exported with TRACING_ENABLED=true,
+ * over OTLP/HTTP to OTEL_EXPORTER_OTLP_ENDPOINT (default http://localhost:4318,
+ * a local collector); the exporter and sampler read the standard OTEL_* variables.
+ */
+function initTracing() {
+  context.setGlobalContextManager(new CorrelationContextManager());
+  propagation.setGlobalPropagator(new W3CTraceContextPropagator());
+
+  if (!tracingEnabled) return;
+
+  tracerProvider = new NodeTracerProvider({
+    resource: resourceFromAttributes({
+      [ATTR_SERVICE_NAME]: serviceName,
+      [ATTR_SERVICE_VERSION]: version
+    }),
+    spanProcessors: [new BatchSpanProcessor(new OTLPTraceExporter())]
+  });
+  trace.setGlobalTracerProvider(tracerProvider);
+}
+
+/**
+ * Export the spans still buffered, before the process exits
+ */
+async function shutdownTracing() {
+  if (tracerProvider) {
+    await tracerProvider.shutdown().catch(() => {});
+  }
+}
+
+/**
+ * Mark a span as failed with the error
+ */
+function recordError(span, error) {
+  span.recordException(error);
+  span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+  if (error.status) {
+    span.setAttribute('error.status', error.status);
+  }
+}
+
+/**
+ * Run fn in a new span, the active span while it runs
+ * @param {String} name - Span name
+ * @param {Object} attributes - Initial span attributes
+ * @param {Function} fn - async (span) => result
+ */
+function withSpan(name, attributes, fn) {
+  return tracer.startActiveSpan(name, { attributes }, async span => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      recordError(span, error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+module.exports = {
+  tracer,
+  initTracing,
+  shutdownTracing,
+  recordError,
+  withSpan
+};
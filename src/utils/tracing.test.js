@@ -0,0 +1,103 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { useTestEnvironment, samplePdf, startApp, waitFor } = require('../testSupport');
+
+useTestEnvironment();
+
+const { SpanKind, SpanStatusCode, trace } = require('@opentelemetry/api');
+const { NodeTracerProvider, InMemorySpanExporter, SimpleSpanProcessor } = require('@opentelemetry/sdk-trace-node');
+const { initTracing, withSpan } = require('./tracing');
+const { getContext } = require('../middleware/correlationContext');
+const { httpMetrics } = require('../middleware/httpMetrics');
+const extractionRoutes = require('../routes/extraction');
+const { runValidatedExtraction } = require('../services/extractionPipeline');
+
+// Registers the context manager and propagator as server.js does; spans go to memory instead of OTLP
+initTracing();
+const exporter = new InMemorySpanExporter();
+trace.setGlobalTracerProvider(new NodeTracerProvider({ spanProcessors: [new SimpleSpanProcessor(exporter)] }));
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_SPAN_ID = '00f067aa0ba902b7';
+
+let server;
+
+before(async () => {
+  const app = express.Router();
+  app.use('/api', extractionRoutes);
+  server = await startApp(httpMetrics, app);
+});
+
+after(() => server.close());
+
+beforeEach(() => exporter.reset());
+
+function span(name) {
+  return exporter.getFinishedSpans().find(candidate => candidate.name === name);
+}
+
+const parentOf = child => child.parentSpanContext?.spanId;
+
+test('runs a function in an active child span and records its error', async () => {
+  const result = await withSpan('outer', { 'test.attribute': 1 }, async outer => {
+    assert.equal(trace.getActiveSpan(), outer);
+    assert.equal(trace.getSpan(getContext().traceContext), outer);
+    return withSpan('inner', {}, async () => 'done');
+  });
+  assert.equal(result, 'done');
+  assert.equal(parentOf(span('inner')), span('outer').spanContext().spanId);
+  assert.equal(span('outer').attributes['test.attribute'], 1);
+
+  const error = Object.assign(new Error('Rate limited'), { status: 429 });
+  await assert.rejects(withSpan('failing', {}, async () => { throw error; }), error);
+  assert.deepEqual(span('failing').status, { code: SpanStatusCode.ERROR, message: 'Rate limited' });
+  assert.equal(span('failing').attributes['error.status'], 429);
+  assert.equal(span('failing').events[0].name, 'exception');
+});
+
+test('continues the trace of the traceparent header through upload, parsing and the Claude passes', async () => {
+  const form = new FormData();
+  form.append('pdf', new Blob([samplePdf('traced')], { type: 'application/pdf' }), 'traced.pdf');
+  const response = await fetch(`${server.url}/api/extract-property-data`, {
+    method: 'POST',
+    headers: { traceparent: `00-${TRACE_ID}-${PARENT_SPAN_ID}-01` },
+    body: form
+  });
+  assert.equal(response.status, 200);
+  await waitFor(() => span('POST /api/extract-property-data'));
+
+  const request = span('POST /api/extract-property-data');
+  assert.equal(request.kind, SpanKind.SERVER);
+  assert.equal(parentOf(request), PARENT_SPAN_ID);
+  assert.equal(request.attributes['http.route'], '/api/extract-property-data');
+  assert.equal(request.attributes['http.response.status_code'], 200);
+
+  const requestSpanId = request.spanContext().spanId;
+  ['pdf.upload', 'pdf.parse', 'llm.classification', 'llm.extraction'].forEach(name => {
+    assert.ok(span(name), name);
+    assert.equal(span(name).spanContext().traceId, TRACE_ID, name);
+    assert.equal(parentOf(span(name)), requestSpanId, name);
+  });
+  assert.ok(span('pdf.upload').attributes['pdf.size_bytes'] > 0);
+  assert.ok(span('pdf.parse').attributes['pdf.size_bytes'] > 0);
+
+  const classification = span('llm.classification');
+  assert.equal(classification.kind, SpanKind.CLIENT);
+  assert.equal(classification.attributes['gen_ai.system'], 'mock');
+  assert.equal(classification.attributes['llm.pass'], 'classification');
+  assert.ok(classification.attributes['gen_ai.usage.input_tokens'] > 0);
+  assert.ok(classification.attributes['gen_ai.usage.output_tokens'] > 0);
+});
+
+test('traces the correction step with its Claude pass inside', async () => {
+  await withSpan('validated', {}, () => runValidatedExtraction(samplePdf('traced correction')));
+
+  const correction = span('extraction.correction');
+  assert.ok(correction.attributes['correction.issues'] > 0);
+  assert.equal(correction.attributes['correction.applied'], true);
+  assert.equal(parentOf(correction), span('validated').spanContext().spanId);
+  assert.equal(parentOf(span('llm.correction')), correction.spanContext().spanId);
+  assert.equal(parentOf(span('llm.verification')), span('validated').spanContext().spanId);
+});
@@ -1,147 +1,139 @@
+const Ajv = require('ajv');
+
 const logger = require('./contextLogger');
+const complexSchema = require('../schemas/complexSchema.json');
+const portfolioSchema = require('../schemas/portfolioSchema.json');
+const { currentSchema, schemaHeader, toolSchema } = require('./schemaVersions');
+
+const ajv = new Ajv({ allErrors: true });
+const SCHEMA_VALIDATORS = {
+  complex: ajv.compile(toolSchema(complexSchema)),
+  portfolio: ajv.compile(toolSchema(portfolioSchema))
+};
+
+/**
+ * Field path of an ajv error in the notation of src/utils/fieldPaths.js:
+ * "financial.total_rental_income_annual_eur", "[2].city"
+ */
+function errorPath(error) {
+  const parent = error.dataPath
+    .replace(/\['([^']*)'\]/g, '.$1')
+    .replace(/^\./, '');
+  const child = error.params.missingProperty ?? error.params.additionalProperty;
+  if (child === undefined) return parent;
+  return parent ? `${parent}.${child}` : child;
+}
+
+function schemaError(error) {
+  const path = errorPath(error);
+  switch (error.keyword) {
+    case 'required':
+      return { path, keyword: error.keyword, message: 'is required' };
+    case 'additionalProperties':
+      return { path, keyword: error.keyword, message: 'is not allowed by the schema' };
+    default:
+      return { path, keyword: error.keyword, message: error.message };
+  }
+}
 
+/**
+ * Two layers of checks on extracted data:
+ *
+ * 1. Schema: the data against complexSchema.json / portfolioSchema.json, as the
+ *    model was asked to produce it. Violations are errors with the field path
+ *    ({ path, keyword, message }) and make the data invalid; the validated
+ *    service asks the model to repair them.
+ * 2. Domain: plausibility of values the schema allows (occupancy above 100%,
+ *    a year built in 1600). These are warnings only.
+ */
 class PropertyDataValidator {
-  validatePropertyData(data) {
-    const warnings = [];
-    const errors = [];
+  /**
+   * @param {Object|Array} data - Extracted data
+   * @param {String} classification - SINGLE or PORTFOLIO (default: from the shape of the data)
+   * @returns {Object} { valid, schema, errors, warnings } - schema as in X-Schema-Version, e.g. "complex@1"
+   */
+  validatePropertyData(data, classification) {
+    const type = classification || (Array.isArray(data) ? 'PORTFOLIO' : 'SINGLE');
+    const { valid, errors } = this.validateSchema(data, type);
+    let warnings = [];
 
     try {
       if (Array.isArray(data)) {
-        return this.validatePortfolio(data);
+        warnings = this.checkPortfolio(data);
       } else if (typeof data === 'object' && data !== null) {
-        return this.validateSingleProperty(data);
-      } else {
-        errors.push('Data must be an object (single property) or array (portfolio)');
-        return { valid: false, errors, warnings };
+        warnings = this.checkSingleProperty(data);
       }
     } catch (error) {
       logger.error('Validation error:', error);
-      errors.push(`Validation failed: ${error.message}`);
-      return { valid: false, errors, warnings };
+      warnings.push(`Plausibility checks failed: ${error.message}`);
     }
-  }
 
-  validateSingleProperty(property) {
-    const warnings = [];
-    const errors = [];
+    return {
+      valid,
+      schema: schemaHeader(currentSchema(type)),
+      errors,
+      warnings
+    };
+  }
 
-    if (!property.property_identity) {
-      errors.push('Missing property_identity section');
-    } else {
-      if (!property.property_identity.city) {
-        warnings.push('Missing city in property_identity');
-      }
-      if (!property.property_identity.postal_code) {
-        warnings.push('Missing postal_code in property_identity');
-      }
-      if (!property.property_identity.streets || property.property_identity.streets.length === 0) {
-        warnings.push('Missing or empty streets array in property_identity');
-      }
+  /**
+   * Schema layer only
+   * @param {String} classification - SINGLE or PORTFOLIO
+   * @returns {Object} { valid, errors: [{ path, keyword, message }] }
+   */
+  validateSchema(data, classification) {
+    const validate = SCHEMA_VALIDATORS[currentSchema(classification).name];
+    if (validate(data)) {
+      return { valid: true, errors: [] };
     }
+    return { valid: false, errors: validate.errors.map(schemaError) };
+  }
 
-    if (!property.property_metrics) {
-      warnings.push('Missing property_metrics section');
-    } else {
-      if (typeof property.property_metrics.total_usable_area_sqm !== 'number') {
-        warnings.push('total_usable_area_sqm should be a number');
-      }
-      if (property.property_metrics.breakdown_by_use) {
-        const breakdown = property.property_metrics.breakdown_by_use;
-        const validKeys = ['office_sqm', 'retail_sqm', 'gastronomy_sqm', 'residential_sqm', 'parking_sqm', 'other_sqm'];
-        Object.keys(breakdown).forEach(key => {
-          if (!validKeys.includes(key)) {
-            warnings.push(`Unknown usage type in breakdown: ${key}`);
-          }
-        });
-      }
-    }
+  checkSingleProperty(property) {
+    const warnings = [];
 
-    if (!property.financial) {
-      warnings.push('Missing financial section');
-    } else {
-      if (typeof property.financial.total_rental_income_annual_eur !== 'number') {
-        warnings.push('total_rental_income_annual_eur should be a number');
-      }
+    if (Array.isArray(property.property_identity?.streets) && property.property_identity.streets.length === 0) {
+      warnings.push('Empty streets array in property_identity');
     }
 
-    if (property.usage_details) {
-      if (property.usage_details.overall_occupancy_percent) {
-        const occupancy = property.usage_details.overall_occupancy_percent;
-        if (occupancy < 0 || occupancy > 100) {
-          warnings.push(`Invalid occupancy rate: ${occupancy}% (should be 0-100)`);
-        }
-      }
+    const occupancy = property.usage_details?.overall_occupancy_percent;
+    if (typeof occupancy === 'number' && (occupancy < 0 || occupancy > 100)) {
+      warnings.push(`Invalid occupancy rate: ${occupancy}% (should be 0-100)`);
     }
 
-    if (property.project_details) {
-      if (property.project_details.original_year_built) {
-        const year = property.project_details.original_year_built;
-        const currentYear = new Date().getFullYear();
-        if (year < 1800 || year > currentYear + 10) {
-          warnings.push(`Unlikely year_built value: ${year}`);
-        }
-      }
+    const year = property.project_details?.original_year_built;
+    const currentYear = new Date().getFullYear();
+    if (typeof year === 'number' && (year < 1800 || year > currentYear + 10)) {
+      warnings.push(`Unlikely year_built value: ${year}`);
     }
 
-    return {
-      valid: errors.length === 0,
-      errors,
-      warnings
-    };
+    return warnings;
   }
 
-  validatePortfolio(portfolio) {
+  checkPortfolio(portfolio) {
     const warnings = [];
-    const errors = [];
-
-    if (!Array.isArray(portfolio)) {
-      errors.push('Portfolio data must be an array');
-      return { valid: false, errors, warnings };
-    }
 
     if (portfolio.length === 0) {
       warnings.push('Portfolio array is empty');
     }
 
     portfolio.forEach((property, index) => {
-      if (!property.name_id) {
-        warnings.push(`Property at index ${index} missing name_id`);
-      }
-      if (!property.city) {
-        warnings.push(`Property at index ${index} missing city`);
-      }
-      if (!property.postal_code) {
-        warnings.push(`Property at index ${index} missing postal_code`);
-      }
-      if (!property.street) {
-        warnings.push(`Property at index ${index} missing street`);
-      }
-
-      if (typeof property.rental_income_annual_eur !== 'number' && property.rental_income_annual_eur !== null) {
-        warnings.push(`Property "${property.name_id || index}" has invalid rental_income_annual_eur`);
-      }
+      if (typeof property !== 'object' || property === null) return;
+      const name = property.name_id || index;
 
-      if (property.occupancy_rate_percent !== null) {
-        const occupancy = property.occupancy_rate_percent;
-        if (typeof occupancy === 'number' && (occupancy < 0 || occupancy > 100)) {
-          warnings.push(`Property "${property.name_id || index}" has invalid occupancy: ${occupancy}%`);
-        }
+      const occupancy = property.occupancy_rate_percent;
+      if (typeof occupancy === 'number' && (occupancy < 0 || occupancy > 100)) {
+        warnings.push(`Property "${name}" has invalid occupancy: ${occupancy}%`);
       }
 
-      if (property.year_built !== null) {
-        const year = property.year_built;
-        const currentYear = new Date().getFullYear();
-        if (typeof year === 'number' && (year < 1800 || year > currentYear + 10)) {
-          warnings.push(`Property "${property.name_id || index}" has unlikely year_built: ${year}`);
-        }
+      const year = property.year_built;
+      const currentYear = new Date().getFullYear();
+      if (typeof year === 'number' && (year < 1800 || year > currentYear + 10)) {
+        warnings.push(`Property "${name}" has unlikely year_built: ${year}`);
       }
     });
 
-    return {
-      valid: errors.length === 0,
-      errors,
-      warnings
-    };
+    return warnings;
   }
 
   sanitizeNumber(value) {
@@ -219,4 +211,4 @@ class PropertyDataValidator {
   }
 }
 
-module.exports = new PropertyDataValidator();
\ No newline at end of file
+module.exports = new PropertyDataValidator();
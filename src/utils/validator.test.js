@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { useTestEnvironment, samplePdf } = require('../testSupport');
+
+useTestEnvironment();
+
+const validator = require('./validator');
+const { splitCitations } = require('./sourceCitations');
+const { runValidatedExtraction } = require('../services/extractionPipeline');
+
+const fixture = require(path.join(__dirname, '..', '..', 'fixtures', 'mock', 'default', 'extract.json'));
+
+// The mock extraction, as the model returns it without citations
+function property() {
+  return structuredClone(splitCitations(fixture.content[0].input).input);
+}
+
+function portfolioProperty(name) {
+  return { name_id: name, street: 'Hauptstraße 1', postal_code: '10115', city: 'Berlin', country: 'Deutschland' };
+}
+
+test('accepts data that follows the schema', () => {
+  assert.deepEqual(validator.validatePropertyData(property()), {
+    valid: true,
+    schema: 'complex@1',
+    errors: [],
+    warnings: []
+  });
+  assert.equal(validator.validatePropertyData([portfolioProperty('A')]).schema, 'portfolio@1');
+});
+
+test('reports type, minimum, required and additionalProperties errors by field path', () => {
+  const data = property();
+  data.financial.total_rental_income_annual_eur = '766.800 EUR';
+  data.property_metrics.land_area_sqm = -5;
+  delete data.property_identity.city;
+  data.property_identity.district = 'Schwabing';
+
+  const { valid, errors } = validator.validatePropertyData(data, 'SINGLE');
+  assert.equal(valid, false);
+
+  const byPath = Object.fromEntries(errors.map(error => [error.path, error]));
+  assert.equal(byPath['financial.total_rental_income_annual_eur'].keyword, 'type');
+  assert.equal(byPath['property_metrics.land_area_sqm'].keyword, 'minimum');
+  assert.deepEqual(byPath['property_identity.city'], { path: 'property_identity.city', keyword: 'required', message: 'is required' });
+  assert.deepEqual(byPath['property_identity.district'],
+    { path: 'property_identity.district', keyword: 'additionalProperties', message: 'is not allowed by the schema' });
+});
+
+test('reports portfolio errors by property index', () => {
+  const second = portfolioProperty('B');
+  second.year_built = 'circa 1900';
+
+  const { valid, errors } = validator.validateSchema([portfolioProperty('A'), second], 'PORTFOLIO');
+  assert.equal(valid, false);
+  assert.deepEqual(errors.map(error => error.path), ['[1].year_built']);
+});
+
+test('adds plausibility warnings without failing the schema check', () => {
+  const data = property();
+  data.usage_details.overall_occupancy_percent = 120;
+  data.project_details.original_year_built = 1600;
+
+  const result = validator.validatePropertyData(data);
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.warnings, [
+    'Invalid occupancy rate: 120% (should be 0-100)',
+    'Unlikely year_built value: 1600'
+  ]);
+
+  const portfolio = validator.validatePropertyData([{ ...portfolioProperty('A'), occupancy_rate_percent: -3 }]);
+  assert.deepEqual(portfolio.warnings, ['Property "A" has invalid occupancy: -3%']);
+});
+
+test('returns the schema validation with a validated extraction', async () => {
+  const { schemaValidation } = await runValidatedExtraction(samplePdf('schema'));
+
+  assert.equal(schemaValidation.valid, true);
+  assert.equal(schemaValidation.schema, 'complex@1');
+  assert.deepEqual(schemaValidation.errors, []);
+});